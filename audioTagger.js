@@ -0,0 +1,122 @@
+// audioTagger.js
+const fs = require('fs').promises;
+const path = require('path');
+const { logger, fetchWithRetry, getUniqueTempPath } = require('./utils');
+const { registerJobFiles } = require('./jobManager');
+
+// Hậu tố tên kênh tự động của YouTube Music ("Tên nghệ sĩ - Topic")
+const TOPIC_CHANNEL_SUFFIX = /\s+-\s+Topic$/;
+
+// Dòng đầu tiên trong mô tả tự động của các bài hát trên YouTube Music
+const MUSIC_DESCRIPTION_HEADER = 'Provided to YouTube by';
+
+// Số lần thử lại khi tải ảnh bìa
+const COVER_FETCH_RETRIES = 2;
+
+// Hàm kiểm tra URL có phải của YouTube Music hay không
+function isYouTubeMusicUrl(url) {
+    try {
+        return new URL(url).hostname === 'music.youtube.com';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Hàm đọc tên bài hát, nghệ sĩ, album và năm phát hành từ mô tả tự động của YouTube Music:
+// "Provided to YouTube by ...", "Bài hát · Nghệ sĩ 1 · Nghệ sĩ 2", "Album", "℗ 2019 ...", "Released on: 2019-05-10"
+function parseMusicDescription(description) {
+    const blocks = String(description || '').replace(/\r/g, '').split(/\n\s*\n/).map(block => block.trim());
+    if (!blocks[0] || !blocks[0].startsWith(MUSIC_DESCRIPTION_HEADER)) return {};
+
+    const [track, ...artists] = (blocks[1] || '').split(' · ').map(part => part.trim());
+    const album = blocks[2] && !/^(℗|©|Released on:)/.test(blocks[2]) ? blocks[2] : null;
+    const releaseMatch = description.match(/Released on:\s*(\d{4})/) || description.match(/℗\s*(\d{4})/);
+    return {
+        track: track || null,
+        artist: artists.length > 0 ? artists.join(', ') : null,
+        album,
+        year: releaseMatch ? releaseMatch[1] : null
+    };
+}
+
+// Hàm lấy thông tin dùng cho thẻ metadata từ kết quả ytdl.getInfo
+function getYtdlTagSource({ videoDetails }) {
+    return {
+        title: videoDetails.title,
+        channel: videoDetails.author?.name || videoDetails.ownerChannelName || null,
+        description: videoDetails.description || '',
+        uploadDate: videoDetails.publishDate || videoDetails.uploadDate || null,
+        thumbnails: videoDetails.thumbnails || [],
+        artist: null,
+        album: null,
+        track: null,
+        releaseYear: null
+    };
+}
+
+// Hàm lấy thông tin dùng cho thẻ metadata từ kết quả --dump-single-json của yt-dlp
+function getYtDlpTagSource(info) {
+    return {
+        title: info.title,
+        channel: info.channel || info.uploader || null,
+        description: info.description || '',
+        uploadDate: info.upload_date || null,
+        thumbnails: info.thumbnails || (info.thumbnail ? [{ url: info.thumbnail }] : []),
+        artist: info.artist || (Array.isArray(info.artists) ? info.artists.join(', ') : null),
+        album: info.album || null,
+        track: info.track || null,
+        releaseYear: info.release_year ? String(info.release_year) : null
+    };
+}
+
+// Hàm tạo thẻ metadata của file âm thanh (tên khóa theo FFmpeg, dùng chung cho ID3 và MP4 atom)
+// URL YouTube Music dùng tên bài hát/nghệ sĩ/album đọc được từ mô tả tự động (hoặc từ yt-dlp),
+// còn lại dùng tiêu đề video và tên kênh; album mặc định là tên playlist, số track là thứ tự trong playlist
+function buildAudioTags(source, { url, playlistTitle = null, playlistIndex = null }) {
+    const music = isYouTubeMusicUrl(url) ? parseMusicDescription(source.description) : null;
+    const channel = source.channel ? source.channel.replace(TOPIC_CHANNEL_SUFFIX, '') : null;
+    const uploadYear = source.uploadDate ? String(source.uploadDate).slice(0, 4) : null;
+    return {
+        title: (music && (music.track || source.track)) || source.title,
+        artist: (music && (music.artist || source.artist)) || channel,
+        album: (music && (music.album || source.album)) || playlistTitle,
+        date: (music && (music.year || source.releaseYear)) || uploadYear,
+        track: playlistIndex ? String(parseInt(playlistIndex, 10)) : null,
+        comment: url
+    };
+}
+
+// Hàm chọn ảnh thumbnail lớn nhất làm ảnh bìa
+function selectCoverThumbnail(thumbnails) {
+    return thumbnails
+        .filter(thumbnail => thumbnail.url)
+        .sort((a, b) => ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)))[0] || null;
+}
+
+// Hàm tải ảnh bìa về file tạm cạnh file đích (filePath), trả về null nếu không tải được
+// (thiếu ảnh bìa không làm hỏng bản tải, file vẫn được ghi các thẻ còn lại)
+async function downloadCoverArt(thumbnails, { filePath, jobId }) {
+    const thumbnail = selectCoverThumbnail(thumbnails);
+    if (!thumbnail) return null;
+
+    try {
+        const extension = path.extname(new URL(thumbnail.url).pathname) || '.jpg';
+        const coverPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, `.cover${extension}`), jobId, 'temp');
+        const response = await fetchWithRetry(thumbnail.url, { responseType: 'arraybuffer' }, COVER_FETCH_RETRIES, 1000);
+        registerJobFiles(jobId, coverPath);
+        await fs.writeFile(coverPath, Buffer.from(response.data));
+        return coverPath;
+    } catch (error) {
+        logger.warn(`Failed to download cover art for job ${jobId}: ${error.message}`, { url: thumbnail.url });
+        return null;
+    }
+}
+
+module.exports = {
+    isYouTubeMusicUrl,
+    parseMusicDescription,
+    getYtdlTagSource,
+    getYtDlpTagSource,
+    buildAudioTags,
+    downloadCoverArt
+};
@@ -0,0 +1,133 @@
+// chapterSplitter.js
+const { parseTimestamp } = require('./utils');
+const { buildAudioTags } = require('./audioTagger');
+
+// Các kiểu đóng gói kết quả khi tách theo chương
+const CHAPTER_PACKAGING = ['none', 'zip'];
+
+// Quy tắc chương của YouTube: chương đầu bắt đầu từ 0:00, có ít nhất 3 chương, mỗi chương dài tối thiểu 10 giây
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_DURATION = 10;
+
+// Độ dài tối đa của tên chương trong tên file
+const MAX_CHAPTER_TITLE_LENGTH = 80;
+
+// Dòng mô tả có mốc thời gian: "0:00 Mở đầu", "[01:02:03] - Phần 2", "Phần 3 - 12:34"
+const DESCRIPTION_TIMESTAMP_PATTERN = /^\s*(?:[-*•]\s*)?(?:(?:\[|\()?((?:\d{1,2}:)?\d{1,2}:\d{2})(?:\]|\))?\s*[-–—:|.)]?\s*(.+?)|(.+?)\s*[-–—:|]?\s*(?:\[|\()?((?:\d{1,2}:)?\d{1,2}:\d{2})(?:\]|\))?)\s*$/;
+
+// Hàm tạo lỗi dữ liệu đầu vào (HTTP 400)
+function createChapterOptionError(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn tách file theo chương
+// splitByChapters: true để tách thành từng file theo chương; chapterPackaging: 'zip' để nén thêm các file chương
+function normalizeChapterOptions({ splitByChapters, chapterPackaging } = {}) {
+    if (splitByChapters !== undefined && splitByChapters !== null && typeof splitByChapters !== 'boolean') {
+        throw createChapterOptionError('splitByChapters phải là true hoặc false.');
+    }
+    if (chapterPackaging !== undefined && chapterPackaging !== null) {
+        if (!splitByChapters) {
+            throw createChapterOptionError('chapterPackaging chỉ dùng cùng với splitByChapters.');
+        }
+        if (!CHAPTER_PACKAGING.includes(chapterPackaging)) {
+            throw createChapterOptionError(`Kiểu đóng gói chương không được hỗ trợ. Chỉ hỗ trợ: ${CHAPTER_PACKAGING.join(', ')}.`);
+        }
+    }
+    return {
+        splitByChapters: Boolean(splitByChapters),
+        chapterPackaging: splitByChapters ? chapterPackaging || 'none' : null
+    };
+}
+
+// Hàm tạo danh sách chương { title, start, end } từ các mốc bắt đầu, chương cuối kết thúc ở cuối video
+function toChapterRanges(entries, duration) {
+    return entries.map((entry, index) => ({
+        title: entry.title,
+        start: entry.start,
+        end: index + 1 < entries.length ? entries[index + 1].start : duration
+    }));
+}
+
+// Hàm lấy danh sách chương có cấu trúc trong thông tin video của ytdl-core
+function getInfoChapters(info) {
+    const duration = parseInt(info.videoDetails.lengthSeconds, 10) || null;
+    const chapters = (info.videoDetails.chapters || [])
+        .map(chapter => ({ title: String(chapter.title || '').trim(), start: Number(chapter.start_time) }))
+        .filter(chapter => Number.isFinite(chapter.start))
+        .sort((a, b) => a.start - b.start);
+    return chapters.length > 0 ? toChapterRanges(chapters, duration) : [];
+}
+
+// Hàm đọc các mốc thời gian trong mô tả video thành danh sách chương theo quy tắc chương của YouTube
+// Trả về mảng rỗng nếu mô tả không có danh sách mốc thời gian hợp lệ
+function parseDescriptionChapters(description, duration) {
+    const entries = [];
+    for (const line of String(description || '').replace(/\r/g, '').split('\n')) {
+        const match = line.match(DESCRIPTION_TIMESTAMP_PATTERN);
+        if (!match) continue;
+        const start = parseTimestamp(match[1] || match[4]);
+        const title = (match[2] || match[3] || '').trim();
+        if (start === null || !title) continue;
+        // Mốc đầu tiên phải là 0:00 và các mốc sau phải tăng dần, bỏ qua các mốc lẻ trong phần mô tả khác
+        if (entries.length === 0 ? start !== 0 : start <= entries[entries.length - 1].start) continue;
+        if (duration && start >= duration) break;
+        entries.push({ title, start });
+    }
+
+    const chapters = toChapterRanges(entries, duration);
+    const valid = chapters.length >= MIN_CHAPTERS
+        && chapters.every(chapter => chapter.end === null || chapter.end - chapter.start >= MIN_CHAPTER_DURATION);
+    return valid ? chapters : [];
+}
+
+// Hàm xác định danh sách chương của video: ưu tiên chương có cấu trúc, nếu không có thì đọc mốc thời gian trong mô tả
+// Trả về { chapters, source: 'chapters' | 'description' }; ném lỗi 422 nếu video không có chương
+function resolveChapters(info) {
+    const duration = parseInt(info.videoDetails.lengthSeconds, 10) || null;
+    const infoChapters = getInfoChapters(info);
+    if (infoChapters.length > 0) {
+        return { chapters: infoChapters, source: 'chapters' };
+    }
+    const descriptionChapters = parseDescriptionChapters(info.videoDetails.description, duration);
+    if (descriptionChapters.length > 0) {
+        return { chapters: descriptionChapters, source: 'description' };
+    }
+    throw Object.assign(new Error('Video không có chương hoặc danh sách mốc thời gian trong mô tả để tách file.'), {
+        status: 422,
+        jobErrorCode: 'CHAPTERS_UNAVAILABLE'
+    });
+}
+
+// Hàm tạo tên file của một chương, ví dụ "03 - Phần 3.mp3" (giữ khoảng trắng, bỏ ký tự không hợp lệ)
+function getChapterFileName(number, total, title, extension) {
+    const index = String(number).padStart(Math.max(2, String(total).length), '0');
+    const safeTitle = title
+        .replace(/[<>:"\/\\|?*\x00-\x1F]/g, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .substring(0, MAX_CHAPTER_TITLE_LENGTH)
+        .trim();
+    return `${index} - ${safeTitle || `Chapter ${number}`}.${extension}`;
+}
+
+// Hàm tạo thẻ metadata cho file của một chương: tên chương là title, video (hoặc album trên YouTube Music) là album
+function buildChapterTags(source, chapter, { url, number, total }) {
+    const tags = buildAudioTags(source, { url });
+    return {
+        ...tags,
+        title: chapter.title,
+        album: tags.album || tags.title,
+        track: `${number}/${total}`
+    };
+}
+
+module.exports = {
+    CHAPTER_PACKAGING,
+    normalizeChapterOptions,
+    getInfoChapters,
+    parseDescriptionChapters,
+    resolveChapters,
+    getChapterFileName,
+    buildChapterTags
+};
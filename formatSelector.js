@@ -0,0 +1,489 @@
+// formatSelector.js
+const { logger } = require('./utils');
+
+// Các mức quality của /api/download (mức ưu tiên độ phân giải khi tải bằng ytdl-core)
+const QUALITY_LEVELS = ['high', 'medium', 'low'];
+
+// Các độ phân giải được hỗ trợ khi chọn chính xác (chiều cao khung hình)
+const RESOLUTIONS = [144, 240, 360, 480, 720, 1080, 1440, 2160, 4320];
+
+// Các mức fps có thể ưu tiên
+const FPS_PREFERENCES = [30, 60];
+
+// Các codec video nguồn có thể ưu tiên (tiền tố codec trong thông tin định dạng của YouTube)
+const CODEC_PREFERENCES = ['avc1', 'vp9', 'av01'];
+
+// Tiền tố codec tương ứng với từng lựa chọn (YouTube ghi VP9 là "vp9" trong webm và "vp09" trong mp4)
+const CODEC_PREFIXES = {
+    avc1: ['avc1'],
+    vp9: ['vp9', 'vp09'],
+    av01: ['av01']
+};
+
+// Các tùy chọn chọn chất lượng chi tiết
+const QUALITY_OPTION_KEYS = ['resolution', 'maxHeight', 'fps', 'hdr', 'codecPreference', 'maxFileSizeMB'];
+
+// Các tùy chọn chọn luồng chính xác theo itag (lấy từ GET /api/formats)
+const ITAG_OPTION_KEYS = ['itag', 'audioItag'];
+
+// Các đặc tính truyền sáng của luồng HDR (PQ và HLG)
+const HDR_TRANSFERS = ['SMPTE2084', 'ARIB_STD_B67'];
+
+// Hàm tạo lỗi dữ liệu đầu vào (HTTP 400)
+function createSelectionError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Hàm đổi độ phân giải dạng "1080p" hoặc 1080 thành số
+function parseHeight(value) {
+    const height = parseInt(String(value).replace(/p$/i, ''), 10);
+    return /^\d+p?$/i.test(String(value)) ? height : NaN;
+}
+
+// Hàm kiểm tra và chuẩn hóa các tùy chọn chọn chất lượng chi tiết
+// (resolution, maxHeight, fps, hdr, codecPreference, maxFileSizeMB)
+function normalizeQualityOptions({ resolution, maxHeight, fps, hdr, codecPreference, maxFileSizeMB } = {}) {
+    const options = { resolution: null, maxHeight: null, fps: null, hdr: null, codecPreference: null, maxFileSizeMB: null };
+
+    if (resolution !== undefined && resolution !== null) {
+        options.resolution = parseHeight(resolution);
+        if (!RESOLUTIONS.includes(options.resolution)) {
+            throw createSelectionError(`resolution không hợp lệ. Chỉ hỗ trợ: ${RESOLUTIONS.map(height => `${height}p`).join(', ')}.`);
+        }
+    }
+    if (maxHeight !== undefined && maxHeight !== null) {
+        options.maxHeight = parseHeight(maxHeight);
+        if (!Number.isInteger(options.maxHeight) || options.maxHeight < RESOLUTIONS[0] || options.maxHeight > RESOLUTIONS[RESOLUTIONS.length - 1]) {
+            throw createSelectionError(`maxHeight phải từ ${RESOLUTIONS[0]} đến ${RESOLUTIONS[RESOLUTIONS.length - 1]}.`);
+        }
+        if (options.resolution && options.resolution > options.maxHeight) {
+            throw createSelectionError('resolution không được lớn hơn maxHeight.');
+        }
+    }
+    if (fps !== undefined && fps !== null) {
+        options.fps = parseInt(fps, 10);
+        if (!FPS_PREFERENCES.includes(options.fps)) {
+            throw createSelectionError(`fps chỉ hỗ trợ: ${FPS_PREFERENCES.join(', ')}.`);
+        }
+    }
+    if (hdr !== undefined && hdr !== null) {
+        if (typeof hdr !== 'boolean') {
+            throw createSelectionError('hdr phải là true (ưu tiên HDR) hoặc false (ưu tiên SDR).');
+        }
+        options.hdr = hdr;
+    }
+    if (codecPreference !== undefined && codecPreference !== null) {
+        options.codecPreference = String(codecPreference).toLowerCase();
+        if (!CODEC_PREFERENCES.includes(options.codecPreference)) {
+            throw createSelectionError(`codecPreference chỉ hỗ trợ: ${CODEC_PREFERENCES.join(', ')}.`);
+        }
+    }
+    if (maxFileSizeMB !== undefined && maxFileSizeMB !== null) {
+        if (typeof maxFileSizeMB !== 'number' || !(maxFileSizeMB > 0)) {
+            throw createSelectionError('maxFileSizeMB phải là số dương.');
+        }
+        options.maxFileSizeMB = maxFileSizeMB;
+    }
+    return options;
+}
+
+// Hàm kiểm tra yêu cầu có dùng cách chọn chất lượng chi tiết hay không
+function hasQualityOptions(options) {
+    return Boolean(options) && QUALITY_OPTION_KEYS.some(key => options[key] !== null && options[key] !== undefined);
+}
+
+// Hàm tạo phần tên file mô tả tùy chọn chất lượng, ví dụ _2160p_60fps_hdr_av01
+function getQualityFileSuffix(options) {
+    return [
+        options.resolution ? `${options.resolution}p` : null,
+        options.maxHeight ? `max${options.maxHeight}p` : null,
+        options.fps ? `${options.fps}fps` : null,
+        options.hdr === null || options.hdr === undefined ? null : (options.hdr ? 'hdr' : 'sdr'),
+        options.codecPreference,
+        options.maxFileSizeMB ? `max${options.maxFileSizeMB}MB` : null
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm kiểm tra và chuẩn hóa itag do client chọn (itag: luồng chính, audioItag: luồng âm thanh ghép kèm khi tải video)
+function normalizeItagOptions({ itag, audioItag } = {}, type = 'video') {
+    const options = { itag: null, audioItag: null };
+    for (const [key, value] of [['itag', itag], ['audioItag', audioItag]]) {
+        if (value === undefined || value === null) continue;
+        options[key] = Number(value);
+        if (!Number.isInteger(options[key]) || options[key] <= 0) {
+            throw createSelectionError(`${key} phải là số nguyên dương.`);
+        }
+    }
+    if (options.audioItag !== null && type !== 'video') {
+        throw createSelectionError('audioItag chỉ dùng khi tải video.');
+    }
+    if (options.audioItag !== null && options.itag === null) {
+        throw createSelectionError('audioItag phải đi kèm itag của luồng video.');
+    }
+    return options;
+}
+
+// Hàm kiểm tra yêu cầu có chọn luồng theo itag hay không
+function hasItagOptions(options) {
+    return Boolean(options) && ITAG_OPTION_KEYS.some(key => options[key] !== null && options[key] !== undefined);
+}
+
+// Hàm tạo phần tên file mô tả itag đã chọn, ví dụ _itag137-251
+function getItagFileSuffix(options) {
+    if (!options.itag) return '';
+    return `_itag${options.itag}${options.audioItag ? `-${options.audioItag}` : ''}`;
+}
+
+// Hàm chuyển danh sách định dạng của yt-dlp (--dump-single-json) sang cấu trúc giống ytdl-core để xếp hạng chung
+// Chỉ giữ các định dạng có format_id là itag (bỏ qua các biến thể như "251-drc")
+function normalizeYtDlpFormats(formats = []) {
+    return formats
+        .filter(format => /^\d+$/.test(String(format.format_id)))
+        .map((format) => {
+            const hasVideo = Boolean(format.vcodec) && format.vcodec !== 'none';
+            const hdr = Boolean(format.dynamic_range) && format.dynamic_range !== 'SDR';
+            return {
+                itag: Number(format.format_id),
+                hasVideo,
+                hasAudio: Boolean(format.acodec) && format.acodec !== 'none',
+                container: format.ext || null,
+                width: hasVideo ? format.width || null : null,
+                height: hasVideo ? format.height || null : null,
+                fps: format.fps || null,
+                qualityLabel: hasVideo && format.height ? `${format.height}p${format.fps > 30 ? format.fps : ''}${hdr ? ' HDR' : ''}` : null,
+                videoCodec: hasVideo ? format.vcodec : null,
+                audioCodec: format.acodec !== 'none' ? format.acodec : null,
+                bitrate: format.tbr ? Math.round(format.tbr * 1000) : null,
+                audioBitrate: format.abr ? Math.round(format.abr) : null,
+                audioSampleRate: format.asr || null,
+                audioChannels: format.audio_channels || null,
+                contentLength: format.filesize || format.filesize_approx || null,
+                isHLS: String(format.protocol || '').includes('m3u8'),
+                isDashMPD: format.protocol === 'http_dash_segments'
+            };
+        });
+}
+
+// Hàm kiểm tra luồng video có phải HDR hay không
+function isHdrFormat(format) {
+    return /HDR/i.test(format.qualityLabel || '') || HDR_TRANSFERS.includes(format.colorInfo?.transferCharacteristics);
+}
+
+// Hàm lấy họ codec của luồng video (avc1, vp9, av01) theo tiền tố codec
+function getCodecFamily(format) {
+    const codec = String(format.videoCodec || '').toLowerCase();
+    return CODEC_PREFERENCES.find(family => CODEC_PREFIXES[family].some(prefix => codec.startsWith(prefix))) || codec || null;
+}
+
+// Hàm ước tính kích thước luồng (byte): dùng contentLength, nếu không có thì tính từ bitrate và thời lượng
+function getFormatSize(format, durationSec) {
+    const contentLength = parseInt(format.contentLength, 10);
+    if (contentLength > 0) return contentLength;
+    const bitrate = format.averageBitrate || format.bitrate;
+    return bitrate && durationSec ? Math.round((bitrate * durationSec) / 8) : null;
+}
+
+// Hàm so sánh 2 luồng video theo thứ tự ưu tiên cố định:
+// độ phân giải cao hơn, khớp fps, khớp HDR/SDR, khớp codec, fps cao hơn, bitrate cao hơn, itag nhỏ hơn
+function compareVideoFormats(a, b, options) {
+    const preferFps = format => (options.fps === null ? 0 : Number((format.fps > 30 ? 60 : 30) === options.fps));
+    // Không yêu cầu thì ưu tiên SDR vì HDR cần trình phát hỗ trợ
+    const preferHdr = format => Number(isHdrFormat(format) === (options.hdr === true));
+    const preferCodec = format => (options.codecPreference === null ? 0 : Number(getCodecFamily(format) === options.codecPreference));
+    return (b.height || 0) - (a.height || 0)
+        || preferFps(b) - preferFps(a)
+        || preferHdr(b) - preferHdr(a)
+        || preferCodec(b) - preferCodec(a)
+        || (b.fps || 0) - (a.fps || 0)
+        || (b.bitrate || 0) - (a.bitrate || 0)
+        || a.itag - b.itag;
+}
+
+// Hàm so sánh 2 luồng âm thanh: bitrate âm thanh cao hơn, bitrate tổng cao hơn, itag nhỏ hơn
+function compareAudioFormats(a, b) {
+    return (b.audioBitrate || 0) - (a.audioBitrate || 0)
+        || (b.bitrate || 0) - (a.bitrate || 0)
+        || a.itag - b.itag;
+}
+
+// Tùy chọn xếp hạng mặc định khi không có yêu cầu fps/HDR/codec
+const DEFAULT_RANKING = { fps: null, hdr: null, codecPreference: null };
+
+// Hàm mô tả ngắn một luồng video, ví dụ "1080p60 HDR av01"
+function describeVideoFormat(format) {
+    return `${format.height}p${format.fps > 30 ? format.fps : ''}${isHdrFormat(format) ? ' HDR' : ''} ${getCodecFamily(format)}`;
+}
+
+// Hàm lọc các định dạng tải trực tiếp được (bỏ qua luồng HLS/DASH manifest)
+function getDownloadableFormats(formats) {
+    return formats.filter(format => !format.isHLS && !format.isDashMPD && (format.hasVideo || format.hasAudio));
+}
+
+// Hàm xác định loại luồng: có sẵn cả hình và tiếng, chỉ có hình hoặc chỉ có tiếng
+function getFormatKind(format) {
+    if (format.hasVideo && format.hasAudio) return 'progressive';
+    return format.hasVideo ? 'video-only' : 'audio-only';
+}
+
+// Hàm mô tả đầy đủ một định dạng để client hiển thị bảng chọn chất lượng
+function describeFormat(format, durationSec = null) {
+    return {
+        itag: format.itag,
+        kind: getFormatKind(format),
+        container: format.container || null,
+        mimeType: format.mimeType || null,
+        videoCodec: format.hasVideo ? format.videoCodec || null : null,
+        audioCodec: format.hasAudio ? format.audioCodec || null : null,
+        width: format.hasVideo ? format.width || null : null,
+        height: format.hasVideo ? format.height || null : null,
+        qualityLabel: format.hasVideo ? format.qualityLabel || null : null,
+        fps: format.hasVideo ? format.fps || null : null,
+        hdr: format.hasVideo ? isHdrFormat(format) : false,
+        bitrate: format.bitrate || null,
+        audioBitrate: format.hasAudio ? format.audioBitrate || null : null,
+        audioSampleRate: format.hasAudio ? parseInt(format.audioSampleRate, 10) || null : null,
+        audioChannels: format.hasAudio ? format.audioChannels || null : null,
+        approxSize: getFormatSize(format, durationSec),
+        // true khi kích thước được ước tính từ bitrate thay vì lấy từ contentLength
+        sizeEstimated: !(parseInt(format.contentLength, 10) > 0)
+    };
+}
+
+// Hàm liệt kê các định dạng tải được, sắp xếp luồng có hình trước (theo bảng xếp hạng video) rồi đến luồng âm thanh
+function listFormats(formats, durationSec = null) {
+    const downloadable = getDownloadableFormats(formats);
+    const videos = downloadable.filter(format => format.hasVideo).sort((a, b) => compareVideoFormats(a, b, DEFAULT_RANKING));
+    const audios = downloadable.filter(format => !format.hasVideo).sort(compareAudioFormats);
+    return [...videos, ...audios].map(format => describeFormat(format, durationSec));
+}
+
+// Hàm cộng kích thước ước tính của các luồng (null nếu có luồng không ước tính được)
+function sumFormatSizes(formats, durationSec) {
+    const sizes = formats.map(format => getFormatSize(format, durationSec));
+    return sizes.includes(null) ? null : sizes.reduce((total, size) => total + size, 0);
+}
+
+// Hàm nhóm các định dạng thành các lựa chọn gợi ý: mỗi độ phân giải một cặp video-only + âm thanh tốt nhất,
+// luồng progressive tốt nhất (không cần ghép) và luồng chỉ có âm thanh tốt nhất
+// request: các trường truyền lại vào /api/download để tải đúng lựa chọn
+function buildFormatPresets(formats, durationSec = null) {
+    const downloadable = getDownloadableFormats(formats);
+    const rank = (a, b) => compareVideoFormats(a, b, DEFAULT_RANKING);
+    const videos = downloadable.filter(format => format.hasVideo && !format.hasAudio && format.height).sort(rank);
+    const progressive = downloadable.filter(format => format.hasVideo && format.hasAudio && format.height).sort(rank);
+    const bestAudio = downloadable.filter(format => format.hasAudio && !format.hasVideo).sort(compareAudioFormats)[0] || null;
+    const presets = [];
+
+    if (bestAudio) {
+        for (const height of [...new Set(videos.map(format => format.height))]) {
+            const video = videos.find(format => format.height === height);
+            presets.push({
+                id: `${height}p`,
+                label: `${describeVideoFormat(video)} + âm thanh ${bestAudio.audioBitrate || '?'} kbps`,
+                approxSize: sumFormatSizes([video, bestAudio], durationSec),
+                request: { type: 'video', itag: video.itag, audioItag: bestAudio.itag }
+            });
+        }
+    }
+    if (progressive.length > 0) {
+        presets.push({
+            id: 'progressive',
+            label: `${describeVideoFormat(progressive[0])} có sẵn âm thanh (không cần ghép)`,
+            approxSize: sumFormatSizes([progressive[0]], durationSec),
+            request: { type: 'video', itag: progressive[0].itag }
+        });
+    }
+    if (bestAudio) {
+        presets.push({
+            id: 'audio',
+            label: `Chỉ âm thanh ${bestAudio.audioBitrate || '?'} kbps ${String(bestAudio.audioCodec || '').split('.')[0]}`,
+            approxSize: sumFormatSizes([bestAudio], durationSec),
+            request: { type: 'audio', itag: bestAudio.itag }
+        });
+    }
+    return presets;
+}
+
+// Hàm chọn luồng video theo itag do client chỉ định, ghép với audioItag hoặc luồng âm thanh tốt nhất
+// Luồng progressive không cần ghép nên audio trả về null; ném lỗi 422 nếu itag không dùng được
+function selectFormatsByItag(formats, { itag, audioItag = null }, { durationSec = null } = {}) {
+    const downloadable = getDownloadableFormats(formats);
+    const video = downloadable.find(format => format.itag === itag);
+    if (!video) {
+        throw Object.assign(new Error(`Video không có định dạng itag ${itag}. Xem các định dạng hiện có tại /api/formats.`), { status: 422 });
+    }
+    if (!video.hasVideo) {
+        throw Object.assign(new Error(`itag ${itag} là luồng chỉ có âm thanh, không dùng để tải video được.`), { status: 422 });
+    }
+
+    const reasons = [`itag ${itag} do người dùng chọn`];
+    let audio = null;
+    if (video.hasAudio) {
+        if (audioItag !== null) {
+            throw Object.assign(new Error(`itag ${itag} đã có sẵn âm thanh, không cần audioItag.`), { status: 422 });
+        }
+        reasons.push('luồng đã có sẵn âm thanh');
+    } else if (audioItag !== null) {
+        audio = downloadable.find(format => format.itag === audioItag);
+        if (!audio || audio.hasVideo) {
+            throw Object.assign(new Error(`audioItag ${audioItag} không phải luồng chỉ có âm thanh của video này.`), { status: 422 });
+        }
+        reasons.push(`âm thanh itag ${audioItag} do người dùng chọn`);
+    } else {
+        audio = downloadable.filter(format => format.hasAudio && !format.hasVideo).sort(compareAudioFormats)[0];
+        if (!audio) {
+            throw Object.assign(new Error(`itag ${itag} chỉ có hình và video không có luồng âm thanh riêng để ghép.`), { status: 422 });
+        }
+        reasons.push(`âm thanh ${audio.audioBitrate || '?'} kbps ${String(audio.audioCodec || '').split('.')[0]} là luồng tốt nhất`);
+    }
+
+    logger.info(`Selected formats by itag: video ${video.itag}${audio ? `, audio ${audio.itag}` : ''}`);
+    return { video, audio, estimatedSize: sumFormatSizes(audio ? [video, audio] : [video], durationSec), reasons };
+}
+
+// Hàm chọn luồng chỉ có âm thanh theo itag do client chỉ định (ném lỗi 422 nếu không có hoặc không phải audio-only)
+function selectAudioFormatByItag(formats, itag) {
+    const format = getDownloadableFormats(formats).find(candidate => candidate.itag === itag);
+    if (!format || format.hasVideo || !format.hasAudio) {
+        throw Object.assign(new Error(`itag ${itag} không phải luồng chỉ có âm thanh của video này. Xem các định dạng hiện có tại /api/formats.`), { status: 422 });
+    }
+    return format;
+}
+
+// Hàm chọn cặp luồng video-only và audio-only tốt nhất theo tùy chọn chất lượng chi tiết
+// formats: danh sách định dạng của ytdl-core; durationSec: thời lượng video để ước tính kích thước
+// Trả về { video, audio, estimatedSize, reasons } hoặc ném lỗi 422 nếu không có cặp nào thỏa mãn
+function selectAdaptiveFormats(formats, options, { durationSec = null } = {}) {
+    const adaptive = formats.filter(format => !format.isHLS && !format.isDashMPD);
+    let videoFormats = adaptive.filter(format => format.hasVideo && !format.hasAudio && format.height);
+    const audioFormats = adaptive.filter(format => format.hasAudio && !format.hasVideo).sort(compareAudioFormats);
+    const reasons = [];
+
+    if (videoFormats.length === 0 || audioFormats.length === 0) {
+        throw Object.assign(new Error('Video không có luồng video/âm thanh tách riêng để ghép theo chất lượng yêu cầu.'), { status: 422 });
+    }
+
+    const availableHeights = [...new Set(videoFormats.map(format => format.height))].sort((a, b) => b - a);
+    if (options.resolution) {
+        videoFormats = videoFormats.filter(format => format.height === options.resolution);
+        if (videoFormats.length === 0) {
+            throw Object.assign(new Error(`Video không có độ phân giải ${options.resolution}p. Các độ phân giải hiện có: ${availableHeights.map(height => `${height}p`).join(', ')}.`), { status: 422 });
+        }
+        reasons.push(`đúng độ phân giải yêu cầu ${options.resolution}p`);
+    }
+    if (options.maxHeight) {
+        videoFormats = videoFormats.filter(format => format.height <= options.maxHeight);
+        if (videoFormats.length === 0) {
+            throw Object.assign(new Error(`Không có luồng video nào có chiều cao tối đa ${options.maxHeight}p. Các độ phân giải hiện có: ${availableHeights.map(height => `${height}p`).join(', ')}.`), { status: 422 });
+        }
+    }
+
+    const rankedVideos = [...videoFormats].sort((a, b) => compareVideoFormats(a, b, options));
+    const maxBytes = options.maxFileSizeMB ? options.maxFileSizeMB * 1024 * 1024 : null;
+    let video = null;
+    let audio = null;
+    let estimatedSize = null;
+    for (const candidate of rankedVideos) {
+        const videoSize = getFormatSize(candidate, durationSec);
+        // Giới hạn dung lượng: chọn luồng âm thanh tốt nhất mà tổng kích thước vẫn nằm trong giới hạn
+        const audioCandidate = maxBytes === null
+            ? audioFormats[0]
+            : audioFormats.find(format => videoSize !== null && getFormatSize(format, durationSec) !== null
+                && videoSize + getFormatSize(format, durationSec) <= maxBytes);
+        if (audioCandidate) {
+            video = candidate;
+            audio = audioCandidate;
+            const audioSize = getFormatSize(audioCandidate, durationSec);
+            estimatedSize = videoSize !== null && audioSize !== null ? videoSize + audioSize : null;
+            break;
+        }
+    }
+    if (!video) {
+        throw Object.assign(new Error(`Không có cặp luồng video/âm thanh nào có dung lượng ước tính nhỏ hơn ${options.maxFileSizeMB} MB.`), { status: 422 });
+    }
+
+    // Giải thích lựa chọn theo đúng thứ tự ưu tiên của bảng xếp hạng
+    if (video !== rankedVideos[0]) {
+        reasons.push(`luồng tốt nhất có tổng dung lượng ước tính không vượt quá ${options.maxFileSizeMB} MB`);
+    } else if (!options.resolution) {
+        reasons.push(options.maxHeight
+            ? `độ phân giải cao nhất không vượt quá ${options.maxHeight}p`
+            : 'độ phân giải cao nhất hiện có');
+    }
+    if (options.fps !== null) {
+        const fpsMatched = (video.fps > 30 ? 60 : 30) === options.fps;
+        reasons.push(fpsMatched ? `khớp fps ${options.fps}` : `không có luồng ${options.fps} fps ở độ phân giải này, dùng ${video.fps} fps`);
+    }
+    if (isHdrFormat(video) !== (options.hdr === true)) {
+        reasons.push(options.hdr ? 'không có luồng HDR ở độ phân giải này, dùng SDR' : 'chỉ có luồng HDR ở độ phân giải này');
+    } else {
+        reasons.push(isHdrFormat(video) ? 'luồng HDR theo yêu cầu' : 'luồng SDR');
+    }
+    if (options.codecPreference !== null) {
+        reasons.push(getCodecFamily(video) === options.codecPreference
+            ? `khớp codec ưu tiên ${options.codecPreference}`
+            : `không có codec ${options.codecPreference} ở độ phân giải này, dùng ${getCodecFamily(video)}`);
+    }
+    reasons.push(`âm thanh ${audio.audioBitrate || '?'} kbps ${String(audio.audioCodec || '').split('.')[0]} là luồng tốt nhất${maxBytes !== null ? ' vừa với giới hạn dung lượng' : ''}`);
+
+    logger.info(`Selected adaptive formats: video ${video.itag} (${describeVideoFormat(video)}), audio ${audio.itag}`, { options, estimatedSize });
+    return { video, audio, estimatedSize, reasons };
+}
+
+// Hàm chọn luồng video làm nguồn cho ảnh động GIF/WebP (không cần âm thanh)
+// Chọn luồng SDR nhỏ nhất có chiều rộng không nhỏ hơn width để đọc ít dữ liệu nhất mà không phải phóng to,
+// nếu không có thì lấy luồng rộng nhất
+function selectAnimationSourceFormat(formats, width) {
+    const videoFormats = formats
+        .filter(format => format.hasVideo && format.width && !format.isHLS && !format.isDashMPD)
+        .sort((a, b) => a.width - b.width || (a.bitrate || 0) - (b.bitrate || 0));
+    const sdrFormats = videoFormats.filter(format => !isHdrFormat(format));
+    const candidates = sdrFormats.length > 0 ? sdrFormats : videoFormats;
+    return candidates.find(format => format.width >= width) || candidates[candidates.length - 1] || null;
+}
+
+// Hàm tạo mô tả lựa chọn định dạng để trả về cho client (itag đã chọn và lý do)
+function describeSelection({ video, audio, estimatedSize, reasons }) {
+    return {
+        videoItag: video.itag,
+        audioItag: audio ? audio.itag : null,
+        video: {
+            itag: video.itag,
+            qualityLabel: video.qualityLabel,
+            height: video.height,
+            fps: video.fps,
+            codec: video.videoCodec,
+            hdr: isHdrFormat(video),
+            bitrate: video.bitrate || null
+        },
+        audio: audio ? {
+            itag: audio.itag,
+            codec: audio.audioCodec,
+            audioBitrate: audio.audioBitrate || null
+        } : null,
+        estimatedSize,
+        reason: `Chọn video itag ${video.itag} (${describeVideoFormat(video)})${audio ? ` và âm thanh itag ${audio.itag}` : ''}: ${reasons.join('; ')}.`
+    };
+}
+
+module.exports = {
+    QUALITY_LEVELS,
+    RESOLUTIONS,
+    normalizeQualityOptions,
+    hasQualityOptions,
+    getQualityFileSuffix,
+    normalizeItagOptions,
+    hasItagOptions,
+    getItagFileSuffix,
+    normalizeYtDlpFormats,
+    compareVideoFormats,
+    listFormats,
+    buildFormatPresets,
+    selectAdaptiveFormats,
+    selectFormatsByItag,
+    selectAudioFormatByItag,
+    selectAnimationSourceFormat,
+    describeSelection
+};
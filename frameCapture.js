@@ -0,0 +1,138 @@
+// frameCapture.js
+const path = require('path');
+const { parseTimestamp } = require('./utils');
+const { IMAGE_FORMATS } = require('./mediaProcessor');
+
+// Định dạng ảnh được hỗ trợ: 'original' giữ nguyên thumbnail gốc (khung hình chụp khi đó lưu JPEG)
+const FRAME_IMAGE_FORMATS = ['original', ...Object.keys(IMAGE_FORMATS)];
+
+// Định dạng ảnh của khung hình chụp khi không yêu cầu chuyển đổi
+const DEFAULT_FRAME_FORMAT = 'jpeg';
+
+// Số khung hình tối đa trong một yêu cầu (mốc thời gian hoặc số điểm chia đều)
+const MAX_FRAMES = 20;
+
+// Chiều cao tối đa của luồng video dùng để chụp khung hình (đủ cho ảnh xem trước, đọc ít dữ liệu hơn)
+const FRAME_SOURCE_MAX_HEIGHT = 1080;
+
+// Hàm tạo lỗi dữ liệu đầu vào (HTTP 400)
+function createFrameOptionError(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn của /api/frames
+// thumbnails: tải thumbnail ở mọi độ phân giải (mặc định true); imageFormat: original, jpeg hoặc webp
+// timestamps: danh sách mốc thời gian (giây hoặc hh:mm:ss) cần chụp; count: số khung hình chia đều trên cả video
+function normalizeFrameOptions({ thumbnails, imageFormat, timestamps, count } = {}) {
+    if (thumbnails !== undefined && thumbnails !== null && typeof thumbnails !== 'boolean') {
+        throw createFrameOptionError('thumbnails phải là true hoặc false.');
+    }
+    const formatName = String(imageFormat || 'original').toLowerCase();
+    if (!FRAME_IMAGE_FORMATS.includes(formatName)) {
+        throw createFrameOptionError(`Định dạng ảnh không được hỗ trợ. Chỉ hỗ trợ: ${FRAME_IMAGE_FORMATS.join(', ')}.`);
+    }
+
+    const hasTimestamps = timestamps !== undefined && timestamps !== null;
+    const hasCount = count !== undefined && count !== null;
+    if (hasTimestamps && hasCount) {
+        throw createFrameOptionError('Chỉ dùng một trong hai tùy chọn timestamps hoặc count.');
+    }
+
+    let frameTimestamps = null;
+    if (hasTimestamps) {
+        if (!Array.isArray(timestamps) || timestamps.length === 0 || timestamps.length > MAX_FRAMES) {
+            throw createFrameOptionError(`timestamps phải là danh sách từ 1 đến ${MAX_FRAMES} mốc thời gian.`);
+        }
+        frameTimestamps = timestamps.map((value) => {
+            const seconds = parseTimestamp(value);
+            if (seconds === null) {
+                throw createFrameOptionError(`Mốc thời gian không hợp lệ: ${value}. Dùng số giây hoặc định dạng hh:mm:ss.`);
+            }
+            return seconds;
+        });
+    }
+    if (hasCount && (!Number.isInteger(count) || count < 1 || count > MAX_FRAMES)) {
+        throw createFrameOptionError(`count phải là số nguyên từ 1 đến ${MAX_FRAMES}.`);
+    }
+
+    const withThumbnails = thumbnails !== false;
+    if (!withThumbnails && !hasTimestamps && !hasCount) {
+        throw createFrameOptionError('Không có gì để lấy: bật thumbnails hoặc gửi timestamps/count.');
+    }
+    return {
+        thumbnails: withThumbnails,
+        imageFormat: formatName,
+        timestamps: frameTimestamps,
+        count: hasCount ? count : null
+    };
+}
+
+// Hàm xác định các mốc thời gian cần chụp: đúng các mốc yêu cầu, hoặc count điểm chia đều
+// (bỏ qua đầu và cuối video vì thường là màn hình đen)
+// duration: thời lượng video tính bằng giây (null nếu không xác định được)
+function getFrameTimestamps({ timestamps, count }, duration) {
+    if (timestamps) {
+        const outside = duration ? timestamps.find(timestamp => timestamp >= duration) : undefined;
+        if (outside !== undefined) {
+            throw createFrameOptionError(`Mốc thời gian ${outside} giây vượt quá độ dài video (${duration} giây).`);
+        }
+        return timestamps;
+    }
+    if (!count) return [];
+    if (!duration) {
+        throw Object.assign(new Error('Không xác định được độ dài video để chia đều khung hình. Hãy gửi timestamps.'), {
+            status: 422,
+            jobErrorCode: 'DURATION_UNAVAILABLE'
+        });
+    }
+    return Array.from({ length: count }, (_, index) => Math.round((duration * (index + 1) / (count + 1)) * 1000) / 1000);
+}
+
+// Hàm chọn luồng video dùng để chụp khung hình: độ phân giải cao nhất không vượt quá FRAME_SOURCE_MAX_HEIGHT
+function selectFrameSourceFormat(formats) {
+    const videoFormats = formats
+        .filter(format => format.hasVideo && format.url && !format.isHLS && !format.isDashMPD)
+        .sort((a, b) => (b.height || 0) - (a.height || 0));
+    return videoFormats.find(format => (format.height || 0) <= FRAME_SOURCE_MAX_HEIGHT) || videoFormats[videoFormats.length - 1] || null;
+}
+
+// Hàm lọc danh sách thumbnail thành mỗi độ phân giải một ảnh, sắp xếp từ nhỏ tới lớn
+function getThumbnailVariants(thumbnails) {
+    const variants = new Map();
+    for (const thumbnail of thumbnails.filter(item => item.url)) {
+        const key = thumbnail.width && thumbnail.height ? `${thumbnail.width}x${thumbnail.height}` : thumbnail.url;
+        if (!variants.has(key)) variants.set(key, thumbnail);
+    }
+    return [...variants.values()].sort((a, b) => (a.width || 0) - (b.width || 0));
+}
+
+// Hàm tạo tên file của thumbnail, ví dụ "thumbnail_1280x720.jpg" (giữ phần mở rộng của ảnh gốc khi imageFormat là original)
+function getThumbnailFileName(thumbnail, imageFormat) {
+    const extension = imageFormat === 'original'
+        ? (path.extname(new URL(thumbnail.url).pathname).slice(1) || 'jpg')
+        : IMAGE_FORMATS[imageFormat].extension;
+    const size = thumbnail.width && thumbnail.height ? `_${thumbnail.width}x${thumbnail.height}` : '';
+    return `thumbnail${size}.${extension}`;
+}
+
+// Hàm tạo tên file của khung hình chụp tại mốc thời gian, ví dụ "frame_00-01-30.500.jpg"
+function getFrameFileName(timestamp, imageFormat) {
+    const extension = IMAGE_FORMATS[imageFormat === 'original' ? DEFAULT_FRAME_FORMAT : imageFormat].extension;
+    const totalMs = Math.round(timestamp * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const seconds = Math.floor((totalMs % 60000) / 1000);
+    const pad = value => String(value).padStart(2, '0');
+    return `frame_${pad(hours)}-${pad(minutes)}-${pad(seconds)}.${String(totalMs % 1000).padStart(3, '0')}.${extension}`;
+}
+
+module.exports = {
+    FRAME_IMAGE_FORMATS,
+    DEFAULT_FRAME_FORMAT,
+    normalizeFrameOptions,
+    getFrameTimestamps,
+    selectFrameSourceFormat,
+    getThumbnailVariants,
+    getThumbnailFileName,
+    getFrameFileName
+};
@@ -0,0 +1,842 @@
+// jobManager.js
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const { logger } = require('./utils');
+
+// Các trạng thái của một job tải xuống
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    CONVERTING: 'converting',
+    PAUSED: 'paused',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Các giai đoạn xử lý chi tiết của một job
+const JOB_PHASES = {
+    FETCHING_INFO: 'fetching_info',
+    DOWNLOADING_VIDEO: 'downloading_video',
+    DOWNLOADING_AUDIO: 'downloading_audio',
+    DOWNLOADING_SUBTITLE: 'downloading_subtitle',
+    MERGING: 'merging',
+    CONVERTING_MP3: 'converting_mp3',
+    CONVERTING_AUDIO: 'converting_audio',
+    ANALYZING_AUDIO: 'analyzing_audio',
+    CONVERTING_VIDEO: 'converting_video',
+    ENCODING_PASS_1: 'encoding_pass_1',
+    ENCODING_PASS_2: 'encoding_pass_2',
+    EMBEDDING_SUBTITLES: 'embedding_subtitles',
+    TAGGING: 'tagging',
+    CLIPPING: 'clipping',
+    SPLITTING_CHAPTERS: 'splitting_chapters',
+    VALIDATING: 'validating',
+    PACKAGING: 'packaging'
+};
+
+// Các trạng thái gửi webhook khi job kết thúc
+const WEBHOOK_STATES = {
+    PENDING: 'pending',
+    DELIVERING: 'delivering',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+// Các trạng thái kết thúc (job không còn thay đổi)
+const FINAL_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+// Số job đã kết thúc tối đa được giữ lại trong bộ nhớ
+const MAX_FINISHED_JOBS = 500;
+
+// Khoảng thời gian tối thiểu giữa hai sự kiện progress của cùng một job (ms)
+const PROGRESS_EVENT_INTERVAL = 500;
+
+// Số lần chuyển trạng thái tối đa được lưu trong lịch sử của một job
+const MAX_HISTORY_ENTRIES = 50;
+
+// Cách xử lý job bị gián đoạn khi server khởi động lại
+const RECOVERY_MODES = {
+    FAIL: 'fail',
+    REQUEUE: 'requeue'
+};
+
+// Bản đồ lưu tiến trình của tất cả job (downloadId -> job)
+const downloadProgressMap = new Map();
+
+// Thời điểm phát sự kiện progress gần nhất của từng job
+const lastProgressEventAt = new Map();
+
+// Bản đồ các hàm điều khiển (pause/resume/cancel) của job đang chạy
+const jobControls = new Map();
+
+// Bản đồ các file tạm/file đang ghi dở của job (bị xóa khi job bị hủy)
+const jobPartialFiles = new Map();
+
+// Bản đồ khóa yêu cầu -> ID job đang chạy, dùng để gộp các yêu cầu giống hệt nhau
+const activeJobKeys = new Map();
+
+// Số client đang chờ kết quả của từng job (job chỉ bị hủy khi không còn ai chờ)
+const jobWaiters = new Map();
+
+// Bản đồ các hàm chạy lại job theo loại job (dùng khi khôi phục job sau khi khởi động lại)
+const jobRunners = new Map();
+
+// Store lưu job bền vững (file hoặc Redis), null nếu chưa khởi tạo
+let jobStore = null;
+
+// Bộ phát sự kiện thay đổi của job (dùng cho SSE và WebSocket)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Hàm ghi một bản ghi xuống store (bỏ qua nếu chưa có store)
+function saveStoreEntry(collection, key, value) {
+    if (!jobStore) return;
+    jobStore.set(collection, key, value)
+        .catch(error => logger.error(`Failed to save ${collection}/${key} to job store: ${error.message}`));
+}
+
+// Hàm xóa một bản ghi khỏi store (bỏ qua nếu chưa có store)
+function deleteStoreEntry(collection, key) {
+    if (!jobStore) return;
+    jobStore.delete(collection, key)
+        .catch(error => logger.error(`Failed to delete ${collection}/${key} from job store: ${error.message}`));
+}
+
+// Hàm đọc tất cả bản ghi của một collection trong store dưới dạng [key, value]
+async function loadStoreEntries(collection) {
+    if (!jobStore) return [];
+    return jobStore.entries(collection);
+}
+
+// Hàm lưu job xuống store, kèm danh sách file tạm để dọn dẹp nếu server dừng đột ngột
+function persistJob(job) {
+    const partialFiles = FINAL_STATES.includes(job.status) ? [] : [...(jobPartialFiles.get(job.id) || [])];
+    saveStoreEntry('jobs', job.id, { ...job, partialFiles });
+}
+
+// Các sự kiện không ghi xuống store: tiến trình được lưu cùng lần chuyển trạng thái/giai đoạn kế tiếp
+const UNPERSISTED_EVENTS = ['progress', 'queue'];
+
+// Hàm phát sự kiện thay đổi của job
+function emitJobEvent(type, job) {
+    if (!UNPERSISTED_EVENTS.includes(type)) persistJob(job);
+    jobEvents.emit('job', { type, job });
+    if (job.parentId) refreshParentJob(job.parentId);
+}
+
+// Hàm ghi lại một lần chuyển trạng thái/giai đoạn vào lịch sử của job
+function recordTransition(job, at) {
+    job.history.push({ status: job.status, phase: job.phase, at });
+    if (job.history.length > MAX_HISTORY_ENTRIES) {
+        job.history.splice(0, job.history.length - MAX_HISTORY_ENTRIES);
+    }
+}
+
+// Hàm tạo lỗi có cấu trúc cho job
+function createJobError(code, message, details = null) {
+    return { code, message, details };
+}
+
+// Hàm tạo lỗi dùng để dừng các bước xử lý khi job bị hủy
+function createCancelledError() {
+    const error = new Error('Job đã bị hủy.');
+    error.jobErrorCode = 'CANCELLED';
+    return error;
+}
+
+// Hàm chuyển lỗi bất kỳ thành lỗi có cấu trúc
+function toJobError(error, fallbackMessage = 'Lỗi server khi tải nội dung.') {
+    if (!error) {
+        return createJobError('UNKNOWN_ERROR', fallbackMessage);
+    }
+    if (typeof error === 'string') {
+        return createJobError('DOWNLOAD_FAILED', error);
+    }
+    if (error.code === 'ECONNABORTED') {
+        return createJobError('TIMEOUT', 'Yêu cầu tải nội dung hết thời gian. Vui lòng kiểm tra kết nối và thử lại!', error.message);
+    }
+    return createJobError(error.jobErrorCode || 'DOWNLOAD_FAILED', error.message || fallbackMessage, error.details || null);
+}
+
+// Hàm tính thời gian còn lại (giây) dựa trên số byte đã tải
+function estimateEta(job) {
+    if (!job.startedAt || !job.totalBytes || !job.downloadedBytes) return null;
+    const elapsedSeconds = (Date.now() - new Date(job.startedAt).getTime()) / 1000;
+    if (elapsedSeconds <= 0) return null;
+    const bytesPerSecond = job.downloadedBytes / elapsedSeconds;
+    if (bytesPerSecond <= 0) return null;
+    return Math.max(0, Math.round((job.totalBytes - job.downloadedBytes) / bytesPerSecond));
+}
+
+// Hàm xóa bớt các job đã kết thúc khi vượt quá giới hạn
+function pruneFinishedJobs() {
+    const finished = [...downloadProgressMap.values()].filter(job => FINAL_STATES.includes(job.status));
+    if (finished.length <= MAX_FINISHED_JOBS) return;
+
+    finished
+        .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .forEach(job => {
+            downloadProgressMap.delete(job.id);
+            lastProgressEventAt.delete(job.id);
+            jobControls.delete(job.id);
+            jobPartialFiles.delete(job.id);
+            deleteStoreEntry('jobs', job.id);
+        });
+}
+
+// Hàm tạo job mới ở trạng thái queued (có thể dùng ID do client tạo trước)
+function createJob(kind, params = {}, requestedId = null) {
+    if (requestedId && (!uuidValidate(requestedId) || downloadProgressMap.has(requestedId))) {
+        const error = new Error('Job ID không hợp lệ hoặc đã tồn tại.');
+        error.status = 409;
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: requestedId || uuidv4(),
+        kind,
+        params,
+        status: JOB_STATES.QUEUED,
+        phase: null,
+        progress: 0,
+        downloadedBytes: 0,
+        totalBytes: 0,
+        eta: null,
+        queue: null,
+        downloadUrl: null,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        history: []
+    };
+    recordTransition(job, now);
+    downloadProgressMap.set(job.id, job);
+    logger.info(`Job created: ${job.id}`, { kind, params });
+    emitJobEvent('created', job);
+    return job;
+}
+
+// Hàm cập nhật trạng thái/tiến trình của job
+function updateJob(id, patch = {}) {
+    const job = downloadProgressMap.get(id);
+    if (!job) {
+        logger.warn(`Attempted to update unknown job: ${id}`);
+        return null;
+    }
+    if (FINAL_STATES.includes(job.status)) {
+        return job;
+    }
+
+    const now = new Date().toISOString();
+    const previousStatus = job.status;
+    const previousPhase = job.phase;
+
+    // Job đang tạm dừng giữ nguyên trạng thái paused, chỉ ghi nhận trạng thái sẽ trở lại khi tiếp tục
+    if (job.status === JOB_STATES.PAUSED && patch.status && !FINAL_STATES.includes(patch.status)) {
+        patch = { ...patch, status: JOB_STATES.PAUSED, pausedFrom: patch.status === JOB_STATES.PAUSED ? job.pausedFrom : patch.status };
+    }
+    Object.assign(job, patch, { updatedAt: now });
+
+    if (!job.startedAt && [JOB_STATES.RUNNING, JOB_STATES.CONVERTING].includes(job.status)) {
+        job.startedAt = now;
+    }
+    if (typeof job.progress === 'number') {
+        job.progress = Math.min(100, Math.max(0, Math.round(job.progress * 100) / 100));
+    }
+    if (patch.eta === undefined && job.status === JOB_STATES.RUNNING) {
+        job.eta = estimateEta(job);
+    }
+    if (FINAL_STATES.includes(job.status)) {
+        job.finishedAt = now;
+        job.eta = 0;
+        job.phase = null;
+        job.queue = null;
+    }
+
+    if (job.status !== previousStatus || job.phase !== previousPhase) {
+        recordTransition(job, now);
+    }
+    if (job.status !== previousStatus) {
+        emitJobEvent(FINAL_STATES.includes(job.status) ? job.status : 'status', job);
+    }
+    if (job.phase && job.phase !== previousPhase) {
+        emitJobEvent('phase', job);
+    }
+    if (patch.queue !== undefined && !FINAL_STATES.includes(job.status)) {
+        emitJobEvent('queue', job);
+    }
+    if (patch.progress !== undefined && !FINAL_STATES.includes(job.status)) {
+        const lastEmit = lastProgressEventAt.get(id) || 0;
+        if (Date.now() - lastEmit >= PROGRESS_EVENT_INTERVAL) {
+            lastProgressEventAt.set(id, Date.now());
+            emitJobEvent('progress', job);
+        }
+    }
+
+    if (FINAL_STATES.includes(job.status)) {
+        lastProgressEventAt.delete(id);
+        jobControls.delete(id);
+        jobWaiters.delete(id);
+        if (job.dedupeKey && activeJobKeys.get(job.dedupeKey) === id) {
+            activeJobKeys.delete(job.dedupeKey);
+        }
+        if (job.status !== JOB_STATES.CANCELLED) {
+            jobPartialFiles.delete(id);
+        }
+        pruneFinishedJobs();
+    }
+    return job;
+}
+
+// Hàm gắn job con vào job cha (batch, playlist) để theo dõi tiến trình tổng
+function linkChildJob(parentId, childId) {
+    const parent = downloadProgressMap.get(parentId);
+    const child = downloadProgressMap.get(childId);
+    if (!parent || !child) return;
+    child.parentId = parentId;
+    parent.children = [...(parent.children || []), childId];
+    refreshParentJob(parentId);
+}
+
+// Số lần gửi webhook tối đa được lưu lại cho mỗi callbackUrl
+const MAX_WEBHOOK_ATTEMPTS = 20;
+
+// Hàm đăng ký callbackUrl nhận thông báo khi job kết thúc
+function addJobWebhook(id, url, baseUrl = null) {
+    const job = downloadProgressMap.get(id);
+    if (!job) return null;
+    job.webhooks = job.webhooks || [];
+    if (!job.webhooks.some(webhook => webhook.url === url)) {
+        job.webhooks.push({ url, baseUrl, status: WEBHOOK_STATES.PENDING, attempts: [], deliveredAt: null });
+        persistJob(job);
+    }
+    return job;
+}
+
+// Hàm cập nhật trạng thái gửi webhook của job (kể cả khi job đã kết thúc) và ghi lại lần gửi
+function updateJobWebhook(id, url, { status, attempt } = {}) {
+    const job = downloadProgressMap.get(id);
+    const webhook = job?.webhooks?.find(item => item.url === url);
+    if (!webhook) return null;
+
+    if (attempt) {
+        webhook.attempts.push(attempt);
+        if (webhook.attempts.length > MAX_WEBHOOK_ATTEMPTS) {
+            webhook.attempts.splice(0, webhook.attempts.length - MAX_WEBHOOK_ATTEMPTS);
+        }
+    }
+    if (status) {
+        webhook.status = status;
+        if (status === WEBHOOK_STATES.DELIVERED) webhook.deliveredAt = new Date().toISOString();
+    }
+    emitJobEvent('webhook', job);
+    return webhook;
+}
+
+// Hàm đếm số job con theo trạng thái
+function summarizeChildJobs(parent) {
+    const summary = { total: (parent.children || []).length };
+    Object.values(JOB_STATES).forEach(state => {
+        summary[state] = 0;
+    });
+    (parent.children || []).forEach(childId => {
+        const child = downloadProgressMap.get(childId);
+        if (child) summary[child.status]++;
+    });
+    return summary;
+}
+
+// Hàm cập nhật tiến trình tổng của job cha từ các job con
+function refreshParentJob(parentId) {
+    const parent = downloadProgressMap.get(parentId);
+    if (!parent || FINAL_STATES.includes(parent.status)) return;
+
+    const children = (parent.children || []).map(childId => downloadProgressMap.get(childId)).filter(Boolean);
+    const progress = children.length === 0
+        ? 0
+        : children.reduce((total, child) => total + (FINAL_STATES.includes(child.status) ? 100 : child.progress || 0), 0) / children.length;
+    const childSummary = summarizeChildJobs(parent);
+    const started = children.some(child => child.status !== JOB_STATES.QUEUED);
+    updateJob(parentId, {
+        ...(started && parent.status === JOB_STATES.QUEUED ? { status: JOB_STATES.RUNNING } : {}),
+        progress,
+        childSummary
+    });
+}
+
+// Hàm gắn khóa nhận diện yêu cầu cho job để các yêu cầu giống hệt sau đó gộp vào job này
+function claimJobKey(id, key) {
+    const job = downloadProgressMap.get(id);
+    if (!job || FINAL_STATES.includes(job.status)) return;
+    job.dedupeKey = key;
+    activeJobKeys.set(key, id);
+}
+
+// Hàm tìm job đang chạy có cùng khóa yêu cầu
+function findActiveJob(key) {
+    const job = downloadProgressMap.get(activeJobKeys.get(key));
+    return job && !FINAL_STATES.includes(job.status) ? job : null;
+}
+
+// Hàm liệt kê các thư mục con trong downloads đang được job chưa kết thúc sử dụng (playlist, tách chương)
+function listActiveJobFolders() {
+    const folders = new Set();
+    for (const job of downloadProgressMap.values()) {
+        if (FINAL_STATES.includes(job.status)) continue;
+        for (const folder of [job.playlistFolder, job.params?.playlistFolder, job.chapterFolder]) {
+            if (folder) folders.add(folder.split('/')[0]);
+        }
+    }
+    return [...folders];
+}
+
+// Hàm ghi nhận thêm một client đang chờ kết quả của job
+function addJobWaiter(id) {
+    jobWaiters.set(id, (jobWaiters.get(id) || 0) + 1);
+}
+
+// Hàm bỏ một client khỏi danh sách chờ, trả về số client còn lại
+function removeJobWaiter(id) {
+    const remaining = Math.max(0, (jobWaiters.get(id) || 0) - 1);
+    jobWaiters.set(id, remaining);
+    return remaining;
+}
+
+// Hàm cho job đi theo một job giống hệt đang chạy: sao chép tiến trình và kết quả của job đó
+function followJob(id, sourceId) {
+    updateJob(id, { coalescedWith: sourceId });
+    return new Promise((resolve) => {
+        const onJobEvent = ({ job: source }) => {
+            const job = downloadProgressMap.get(id);
+            if (!job || FINAL_STATES.includes(job.status)) {
+                jobEvents.off('job', onJobEvent);
+                return resolve(downloadProgressMap.get(sourceId) || null);
+            }
+            if (source.id !== sourceId) return;
+
+            if (source.status === JOB_STATES.DONE) {
+                completeJob(id, source.result || {});
+            } else if (FINAL_STATES.includes(source.status)) {
+                updateJob(id, { status: source.status, error: source.error });
+            } else {
+                const { status, phase, progress, downloadedBytes, totalBytes, eta, queue } = source;
+                updateJob(id, { status, phase, progress, downloadedBytes, totalBytes, eta, queue });
+                return;
+            }
+            jobEvents.off('job', onJobEvent);
+            resolve(source);
+        };
+        jobEvents.on('job', onJobEvent);
+
+        // Đồng bộ ngay trạng thái hiện tại của job nguồn
+        const source = downloadProgressMap.get(sourceId);
+        if (source) {
+            onJobEvent({ job: source });
+        } else {
+            jobEvents.off('job', onJobEvent);
+            failJob(id, { message: 'Không tìm thấy job đang xử lý yêu cầu giống hệt.' });
+            resolve(null);
+        }
+    });
+}
+
+// Hàm kiểm tra job đã bị hủy chưa
+function isJobCancelled(id) {
+    return downloadProgressMap.get(id)?.status === JOB_STATES.CANCELLED;
+}
+
+// Hàm đăng ký các hàm điều khiển cho bước đang chạy của job
+// Thay hẳn các hàm của bước trước (không gộp) để pause/resume của bước đã xong không còn được gọi
+function setJobControls(id, controls) {
+    const job = downloadProgressMap.get(id);
+    if (!job) return;
+    if (FINAL_STATES.includes(job.status)) {
+        // Job đã bị hủy trước khi bước này bắt đầu: dừng bước này ngay
+        if (job.status === JOB_STATES.CANCELLED && controls.cancel) {
+            controls.cancel();
+        }
+        return;
+    }
+    jobControls.set(id, controls);
+
+    // Nếu job đang bị tạm dừng, bước mới cũng phải bắt đầu ở trạng thái tạm dừng
+    if (job.status === JOB_STATES.PAUSED && controls.pause) {
+        controls.pause();
+    }
+}
+
+// Hàm đăng ký các file tạm của job để xóa khi job bị hủy
+function registerJobFiles(id, ...filePaths) {
+    const files = jobPartialFiles.get(id) || new Set();
+    filePaths.filter(Boolean).forEach(filePath => files.add(filePath));
+    jobPartialFiles.set(id, files);
+
+    const job = downloadProgressMap.get(id);
+    if (job) persistJob(job);
+
+    // File được tạo sau khi job đã bị hủy thì xóa luôn
+    if (isJobCancelled(id)) {
+        removeJobFiles(id);
+    }
+}
+
+// Hàm xóa danh sách file, bỏ qua file không tồn tại
+async function unlinkFiles(id, files) {
+    for (const filePath of files) {
+        try {
+            await fs.unlink(filePath);
+            logger.info(`Removed partial file of job ${id}: ${filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Failed to remove partial file ${filePath}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Hàm xóa các file tạm/ghi dở của job
+async function removeJobFiles(id) {
+    const files = jobPartialFiles.get(id);
+    jobPartialFiles.delete(id);
+    if (!files) return;
+    await unlinkFiles(id, files);
+}
+
+// Hàm tạo hàm điều khiển cho luồng tải đang ghi vào file
+function createStreamControls(stream, destination) {
+    return {
+        pause: () => {
+            stream.unpipe(destination);
+            stream.pause();
+        },
+        resume: () => {
+            stream.pipe(destination);
+        },
+        cancel: () => {
+            stream.unpipe(destination);
+            stream.destroy(createCancelledError());
+            destination.destroy();
+        }
+    };
+}
+
+// Hàm tạo hàm điều khiển cho tiến trình con (yt-dlp, FFmpeg)
+// Windows không có SIGSTOP/SIGCONT nên chỉ hỗ trợ hủy, pauseJob sẽ báo bước này không hỗ trợ tạm dừng
+function createProcessControls(child, platform = process.platform) {
+    const cancel = () => {
+        if (platform !== 'win32') {
+            // Tiến trình đang bị SIGSTOP phải được tiếp tục thì mới nhận được SIGTERM
+            try {
+                child.kill('SIGCONT');
+            } catch (error) {
+                logger.warn(`Failed to send SIGCONT before SIGTERM: ${error.message}`);
+            }
+        }
+        child.kill('SIGTERM');
+    };
+    if (platform === 'win32') return { cancel };
+    return {
+        pause: () => child.kill('SIGSTOP'),
+        resume: () => child.kill('SIGCONT'),
+        cancel
+    };
+}
+
+// Hàm tạm dừng job đang chạy
+function pauseJob(id) {
+    const job = downloadProgressMap.get(id);
+    if (!job) return { ok: false, error: 'Không tìm thấy job.' };
+    if (![JOB_STATES.RUNNING, JOB_STATES.CONVERTING].includes(job.status)) {
+        return { ok: false, error: `Không thể tạm dừng job ở trạng thái ${job.status}.` };
+    }
+
+    const controls = jobControls.get(id);
+    if (!controls || !controls.pause) {
+        return { ok: false, error: 'Bước xử lý hiện tại không hỗ trợ tạm dừng.' };
+    }
+
+    try {
+        controls.pause();
+    } catch (error) {
+        logger.error(`Failed to pause job ${id}: ${error.message}`);
+        return { ok: false, error: 'Không thể tạm dừng job.' };
+    }
+    updateJob(id, { status: JOB_STATES.PAUSED, pausedFrom: job.status, eta: null });
+    logger.info(`Job paused: ${id}`);
+    return { ok: true };
+}
+
+// Hàm tiếp tục job đã tạm dừng
+function resumeJob(id) {
+    const job = downloadProgressMap.get(id);
+    if (!job) return { ok: false, error: 'Không tìm thấy job.' };
+    if (job.status !== JOB_STATES.PAUSED) {
+        return { ok: false, error: 'Job không ở trạng thái tạm dừng.' };
+    }
+
+    const controls = jobControls.get(id);
+    try {
+        if (controls && controls.resume) controls.resume();
+    } catch (error) {
+        logger.error(`Failed to resume job ${id}: ${error.message}`);
+        return { ok: false, error: 'Không thể tiếp tục job.' };
+    }
+    job.status = job.pausedFrom || JOB_STATES.RUNNING;
+    job.pausedFrom = null;
+    job.updatedAt = new Date().toISOString();
+    recordTransition(job, job.updatedAt);
+    emitJobEvent('status', job);
+    logger.info(`Job resumed: ${id}`);
+    return { ok: true };
+}
+
+// Hàm hủy job đang chạy
+function cancelJob(id) {
+    const job = downloadProgressMap.get(id);
+    if (!job) return { ok: false, error: 'Không tìm thấy job.' };
+    if (FINAL_STATES.includes(job.status)) {
+        return { ok: false, error: `Job đã kết thúc với trạng thái ${job.status}.` };
+    }
+
+    // Đánh dấu hủy trước để các bước tiếp theo của job tự dừng
+    const controls = jobControls.get(id);
+    updateJob(id, {
+        status: JOB_STATES.CANCELLED,
+        error: createJobError('CANCELLED', 'Job đã bị hủy.')
+    });
+    logger.info(`Job cancelled: ${id}`);
+
+    try {
+        if (controls && controls.cancel) controls.cancel();
+    } catch (error) {
+        logger.error(`Failed to stop running step of cancelled job ${id}: ${error.message}`);
+    }
+    removeJobFiles(id);
+
+    // Hủy job cha thì hủy luôn các job con chưa kết thúc
+    (job.children || []).forEach(childId => {
+        const child = downloadProgressMap.get(childId);
+        if (child && !FINAL_STATES.includes(child.status)) cancelJob(childId);
+    });
+    return { ok: true };
+}
+
+// Hàm đánh dấu job hoàn thành
+function completeJob(id, result = {}) {
+    logger.info(`Job completed: ${id}`, { downloadUrl: result.downloadUrl });
+    return updateJob(id, {
+        status: JOB_STATES.DONE,
+        progress: 100,
+        downloadUrl: result.downloadUrl || null,
+        result,
+        error: null
+    });
+}
+
+// Hàm đánh dấu job thất bại
+function failJob(id, error, fallbackMessage) {
+    if (isJobCancelled(id)) return downloadProgressMap.get(id);
+    const jobError = toJobError(error, fallbackMessage);
+    logger.error(`Job failed: ${id}: ${jobError.message}`, { code: jobError.code });
+    return updateJob(id, {
+        status: JOB_STATES.FAILED,
+        error: jobError
+    });
+}
+
+// Hàm lấy job theo ID
+function getJob(id) {
+    return downloadProgressMap.get(id) || null;
+}
+
+// Hàm liệt kê job, lọc theo trạng thái/loại
+function listJobs({ status, kind, limit = 50 } = {}) {
+    return [...downloadProgressMap.values()]
+        .filter(job => !status || job.status === status)
+        .filter(job => !kind || job.kind === kind)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+}
+
+// Hàm chuyển job thành dữ liệu trả về cho client
+function serializeJob(job) {
+    if (!job) return null;
+    return {
+        id: job.id,
+        kind: job.kind,
+        status: job.status,
+        phase: job.phase,
+        progress: job.progress,
+        downloadedBytes: job.downloadedBytes,
+        totalBytes: job.totalBytes,
+        eta: job.eta,
+        queue: job.queue || null,
+        coalescedWith: job.coalescedWith || null,
+        parentId: job.parentId || null,
+        children: job.children,
+        childSummary: job.childSummary,
+        webhooks: job.webhooks,
+        downloadUrl: job.downloadUrl,
+        formatSelection: job.formatSelection || null,
+        result: job.result,
+        error: job.error,
+        params: job.params,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        history: job.history
+    };
+}
+
+// Hàm đăng ký hàm chạy lại job theo loại job, dùng khi khôi phục job với chế độ requeue
+function registerJobRunner(kind, runner) {
+    jobRunners.set(kind, runner);
+}
+
+// Hàm khôi phục một job bị gián đoạn: xóa file ghi dở rồi đưa vào hàng đợi lại (requeue) hoặc đánh dấu thất bại
+// Trả về true nếu job được đưa lại vào hàng đợi
+async function recoverInterruptedJob(job, partialFiles, requeue) {
+    await unlinkFiles(job.id, partialFiles);
+
+    const now = new Date().toISOString();
+    if (requeue) {
+        Object.assign(job, {
+            status: JOB_STATES.QUEUED,
+            phase: null,
+            pausedFrom: null,
+            progress: 0,
+            downloadedBytes: 0,
+            totalBytes: 0,
+            eta: null,
+            queue: null,
+            error: null,
+            startedAt: null,
+            updatedAt: now
+        });
+        recordTransition(job, now);
+        persistJob(job);
+        if (job.dedupeKey) activeJobKeys.set(job.dedupeKey, job.id);
+        logger.info(`Re-queued interrupted job ${job.id} (${job.kind})`);
+        return true;
+    }
+
+    Object.assign(job, {
+        status: JOB_STATES.FAILED,
+        phase: null,
+        pausedFrom: null,
+        eta: 0,
+        queue: null,
+        error: createJobError('INTERRUPTED', 'Job bị gián đoạn do server khởi động lại. Vui lòng thử lại.'),
+        updatedAt: now,
+        finishedAt: now
+    });
+    recordTransition(job, now);
+    persistJob(job);
+    logger.warn(`Marked interrupted job ${job.id} (${job.kind}) as failed`);
+    return false;
+}
+
+// Hàm khởi tạo store và khôi phục các job đã lưu khi server khởi động
+async function restoreJobs(store, { recoveryMode = process.env.JOB_RECOVERY_MODE || RECOVERY_MODES.FAIL } = {}) {
+    if (!Object.values(RECOVERY_MODES).includes(recoveryMode)) {
+        throw new Error(`Chế độ khôi phục job không hợp lệ: ${recoveryMode}. Chỉ hỗ trợ: ${Object.values(RECOVERY_MODES).join(', ')}.`);
+    }
+
+    await store.init();
+    jobStore = store;
+
+    const storedJobs = await store.list('jobs');
+    const interrupted = [];
+    for (const { partialFiles = [], ...job } of storedJobs) {
+        if (!job.id || downloadProgressMap.has(job.id)) continue;
+        job.history = job.history || [];
+        downloadProgressMap.set(job.id, job);
+        if (!FINAL_STATES.includes(job.status)) interrupted.push({ job, partialFiles });
+    }
+
+    // Job cha (batch, playlist, subscription) được khôi phục trước: job con chỉ được đưa lại vào hàng đợi
+    // khi job cha cũng được chạy lại (job cha tự chạy các job con chưa kết thúc), ngược lại bị đánh dấu thất bại
+    interrupted.sort((a, b) => Number(Boolean(a.job.parentId)) - Number(Boolean(b.job.parentId)));
+    const requeuedIds = new Set();
+    const requeued = [];
+    for (const { job, partialFiles } of interrupted) {
+        const runner = jobRunners.get(job.kind);
+        // Job đồng bộ (sync) không còn client chờ kết quả nên không chạy lại
+        const canRequeue = recoveryMode === RECOVERY_MODES.REQUEUE && !job.params?.sync
+            && (job.parentId ? requeuedIds.has(job.parentId) : Boolean(runner));
+        if (await recoverInterruptedJob(job, partialFiles, canRequeue)) {
+            requeuedIds.add(job.id);
+            if (!job.parentId) requeued.push({ job, runner });
+        }
+    }
+    pruneFinishedJobs();
+    logger.info(`Restored ${storedJobs.length} jobs from ${store.type} store (${requeuedIds.size} re-queued)`);
+
+    // Chạy lại job sau khi đã khôi phục xong toàn bộ để tránh trùng lặp trạng thái
+    for (const { job, runner } of requeued) {
+        Promise.resolve()
+            .then(() => runner(job))
+            .catch(error => failJob(job.id, error, 'Không thể chạy lại job sau khi khởi động lại.'));
+    }
+    return { restored: storedJobs.length, requeued: requeuedIds.size };
+}
+
+// Hàm đóng store (ghi nốt các thay đổi còn chờ) khi server dừng
+async function closeJobStore() {
+    if (!jobStore) return;
+    const store = jobStore;
+    jobStore = null;
+    await store.close();
+}
+
+module.exports = {
+    JOB_STATES,
+    JOB_PHASES,
+    FINAL_STATES,
+    downloadProgressMap,
+    jobEvents,
+    createJobError,
+    createCancelledError,
+    toJobError,
+    createJob,
+    updateJob,
+    completeJob,
+    failJob,
+    getJob,
+    listJobs,
+    serializeJob,
+    isJobCancelled,
+    setJobControls,
+    registerJobFiles,
+    createStreamControls,
+    createProcessControls,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    claimJobKey,
+    findActiveJob,
+    listActiveJobFolders,
+    addJobWaiter,
+    removeJobWaiter,
+    followJob,
+    linkChildJob,
+    summarizeChildJobs,
+    WEBHOOK_STATES,
+    addJobWebhook,
+    updateJobWebhook,
+    RECOVERY_MODES,
+    registerJobRunner,
+    restoreJobs,
+    closeJobStore,
+    saveStoreEntry,
+    deleteStoreEntry,
+    loadStoreEntries
+};
@@ -0,0 +1,148 @@
+// jobSocket.js
+const { WebSocketServer } = require('ws');
+const { logger } = require('./utils');
+const {
+    jobEvents,
+    getJob,
+    serializeJob,
+    pauseJob,
+    resumeJob,
+    cancelJob
+} = require('./jobManager');
+
+// Đường dẫn của endpoint WebSocket theo dõi job
+const JOB_SOCKET_PATH = '/ws/jobs';
+
+// Chu kỳ ping để phát hiện kết nối đã chết (ms)
+const HEARTBEAT_INTERVAL = 30000;
+
+// Số job tối đa mà một kết nối được theo dõi cùng lúc
+const MAX_SUBSCRIPTIONS = 100;
+
+// Hàm gửi một thông điệp JSON tới client
+function sendMessage(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+// Hàm đăng ký theo dõi danh sách job và gửi lại trạng thái mới nhất của từng job
+function subscribeJobs(socket, jobIds) {
+    for (const jobId of jobIds) {
+        if (socket.subscriptions.size >= MAX_SUBSCRIPTIONS && !socket.subscriptions.has(jobId)) {
+            sendMessage(socket, { type: 'error', jobId, error: `Chỉ được theo dõi tối đa ${MAX_SUBSCRIPTIONS} job trên một kết nối.` });
+            continue;
+        }
+
+        const job = getJob(jobId);
+        if (!job) {
+            sendMessage(socket, { type: 'error', jobId, error: 'Không tìm thấy job.' });
+            continue;
+        }
+
+        socket.subscriptions.add(jobId);
+        sendMessage(socket, { type: 'snapshot', jobId, job: serializeJob(job) });
+    }
+}
+
+// Hàm xử lý lệnh điều khiển job (cancel/pause/resume)
+function handleControlCommand(socket, action, jobId) {
+    const handlers = { cancel: cancelJob, pause: pauseJob, resume: resumeJob };
+    const result = handlers[action](jobId);
+    logger.info(`WebSocket ${action} command for job ${jobId}: ${result.ok ? 'ok' : result.error}`);
+    sendMessage(socket, { type: 'ack', action, jobId, ok: result.ok, error: result.error || null });
+}
+
+// Hàm xử lý thông điệp từ client
+function handleMessage(socket, rawMessage) {
+    let message;
+    try {
+        message = JSON.parse(rawMessage.toString());
+    } catch (error) {
+        return sendMessage(socket, { type: 'error', error: `Invalid JSON: ${error.message}` });
+    }
+
+    const { action } = message || {};
+    const jobIds = Array.isArray(message?.jobIds) ? message.jobIds : message?.jobId ? [message.jobId] : [];
+
+    switch (action) {
+        case 'subscribe':
+            return subscribeJobs(socket, jobIds);
+        case 'unsubscribe':
+            jobIds.forEach(jobId => socket.subscriptions.delete(jobId));
+            return sendMessage(socket, { type: 'ack', action, jobIds, ok: true });
+        case 'cancel':
+        case 'pause':
+        case 'resume':
+            if (jobIds.length === 0) {
+                return sendMessage(socket, { type: 'error', action, error: 'Thiếu jobId.' });
+            }
+            return jobIds.forEach(jobId => handleControlCommand(socket, action, jobId));
+        case 'ping':
+            return sendMessage(socket, { type: 'pong', time: Date.now() });
+        default:
+            return sendMessage(socket, {
+                type: 'error',
+                error: 'Hành động không được hỗ trợ. Chỉ hỗ trợ: subscribe, unsubscribe, cancel, pause, resume, ping.'
+            });
+    }
+}
+
+// Hàm gắn WebSocket server vào HTTP server của Express
+function attachJobSocket(server, { allowedOrigins = [] } = {}) {
+    const wss = new WebSocketServer({
+        server,
+        path: JOB_SOCKET_PATH,
+        verifyClient: ({ origin }) => !origin || allowedOrigins.includes(origin)
+    });
+
+    wss.on('connection', (socket, req) => {
+        socket.subscriptions = new Set();
+        socket.isAlive = true;
+        logger.info(`WebSocket client connected from IP: ${req.socket.remoteAddress}`);
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+        socket.on('message', (data) => handleMessage(socket, data));
+        socket.on('error', (error) => logger.error(`WebSocket error: ${error.message}`));
+
+        // Cho phép client kết nối lại với ?jobs=id1,id2 để nhận lại trạng thái mới nhất
+        const initialJobs = new URL(req.url, 'http://localhost').searchParams.get('jobs');
+        if (initialJobs) {
+            subscribeJobs(socket, initialJobs.split(',').map(id => id.trim()).filter(Boolean));
+        }
+    });
+
+    const onJobEvent = ({ type, job }) => {
+        for (const socket of wss.clients) {
+            if (socket.subscriptions?.has(job.id)) {
+                sendMessage(socket, { type, jobId: job.id, job: serializeJob(job) });
+            }
+        }
+    };
+    jobEvents.on('job', onJobEvent);
+
+    const heartbeatTimer = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    wss.on('close', () => {
+        clearInterval(heartbeatTimer);
+        jobEvents.off('job', onJobEvent);
+    });
+
+    logger.info(`WebSocket job channel listening on path ${JOB_SOCKET_PATH}`);
+    return wss;
+}
+
+module.exports = {
+    attachJobSocket
+};
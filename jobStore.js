@@ -0,0 +1,140 @@
+// jobStore.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./utils');
+
+// Đường dẫn mặc định của file lưu job
+const DEFAULT_STORE_PATH = path.join(__dirname, 'data', 'jobs.json');
+
+// Tiền tố mặc định của các key trong Redis
+const DEFAULT_REDIS_PREFIX = 'downloadvideo';
+
+// Thời gian gom các thay đổi trước khi ghi xuống file (ms)
+const FILE_FLUSH_DELAY = 500;
+
+// Hàm tạo store lưu dữ liệu vào một file JSON (mặc định)
+function createFileStore(filePath = DEFAULT_STORE_PATH) {
+    let collections = {};
+    let flushTimer = null;
+    let writing = Promise.resolve();
+
+    // Ghi toàn bộ dữ liệu ra file tạm rồi đổi tên để tránh hỏng file khi đang ghi dở
+    const writeSnapshot = async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(collections));
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    const scheduleFlush = () => {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            writing = writing
+                .then(writeSnapshot)
+                .catch(error => logger.error(`Failed to write job store ${filePath}: ${error.message}`));
+        }, FILE_FLUSH_DELAY);
+    };
+
+    const getCollection = (name) => {
+        if (!collections[name]) collections[name] = {};
+        return collections[name];
+    };
+
+    return {
+        type: 'file',
+        async init() {
+            try {
+                collections = JSON.parse(await fs.promises.readFile(filePath, 'utf8')) || {};
+                logger.info(`Loaded job store from ${filePath}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Failed to read job store ${filePath}, starting empty: ${error.message}`);
+                }
+                collections = {};
+            }
+        },
+        async list(collection) {
+            return Object.values(getCollection(collection));
+        },
+        async entries(collection) {
+            return Object.entries(getCollection(collection));
+        },
+        async set(collection, key, value) {
+            getCollection(collection)[key] = value;
+            scheduleFlush();
+        },
+        async delete(collection, key) {
+            delete getCollection(collection)[key];
+            scheduleFlush();
+        },
+        async close() {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flushTimer = null;
+            }
+            await writing;
+            await writeSnapshot();
+        }
+    };
+}
+
+// Hàm tạo store lưu dữ liệu vào Redis (mỗi collection là một hash)
+function createRedisStore(redisUrl, prefix = DEFAULT_REDIS_PREFIX) {
+    // Chỉ nạp thư viện redis khi thực sự dùng adapter này
+    const { createClient } = require('redis');
+    const client = createClient({ url: redisUrl });
+    client.on('error', (error) => logger.error(`Redis job store error: ${error.message}`));
+
+    const keyOf = (collection) => `${prefix}:${collection}`;
+
+    return {
+        type: 'redis',
+        async init() {
+            await client.connect();
+            logger.info(`Connected to Redis job store at ${redisUrl}`);
+        },
+        async list(collection) {
+            const values = await client.hVals(keyOf(collection));
+            return values.map(value => JSON.parse(value));
+        },
+        async entries(collection) {
+            const hash = await client.hGetAll(keyOf(collection));
+            return Object.entries(hash).map(([key, value]) => [key, JSON.parse(value)]);
+        },
+        async set(collection, key, value) {
+            await client.hSet(keyOf(collection), key, JSON.stringify(value));
+        },
+        async delete(collection, key) {
+            await client.hDel(keyOf(collection), key);
+        },
+        async close() {
+            await client.quit();
+        }
+    };
+}
+
+// Hàm tạo store theo cấu hình môi trường (JOB_STORE=file|redis)
+function createJobStore({
+    type = process.env.JOB_STORE || 'file',
+    filePath = process.env.JOB_STORE_PATH,
+    redisUrl = process.env.REDIS_URL,
+    redisPrefix = process.env.REDIS_PREFIX
+} = {}) {
+    if (type === 'redis') {
+        if (!redisUrl) {
+            throw new Error('Thiếu REDIS_URL để dùng Redis job store.');
+        }
+        return createRedisStore(redisUrl, redisPrefix);
+    }
+    if (type !== 'file') {
+        throw new Error(`Loại job store không được hỗ trợ: ${type}. Chỉ hỗ trợ: file, redis.`);
+    }
+    return createFileStore(filePath ? path.resolve(filePath) : undefined);
+}
+
+module.exports = {
+    createJobStore,
+    createFileStore,
+    createRedisStore
+};
@@ -0,0 +1,1353 @@
+// mediaProcessor.js
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { logger } = require('./utils');
+const { JOB_STATES, JOB_PHASES, getJob, updateJob, isJobCancelled, setJobControls, createProcessControls } = require('./jobManager');
+const {
+    normalizeQualityOptions,
+    hasQualityOptions,
+    getQualityFileSuffix,
+    normalizeItagOptions,
+    getItagFileSuffix
+} = require('./formatSelector');
+const { normalizeChapterOptions } = require('./chapterSplitter');
+
+// Các định dạng âm thanh đầu ra được hỗ trợ
+// sourceCodec: codec của luồng YouTube có thể trả về trực tiếp mà không cần mã hóa lại
+// vbrRange: khoảng giá trị -q:a của bộ mã hóa (null nếu không hỗ trợ chất lượng VBR)
+// tagFormat: kiểu thẻ metadata và ảnh bìa được ghi vào file sau khi tải (null nếu không ghi thẻ)
+const AUDIO_FORMATS = {
+    mp3: { extension: 'mp3', codec: 'libmp3lame', muxer: 'mp3', mimeType: 'audio/mpeg', ytDlpFormat: 'mp3', defaultBitrate: '192k', vbrRange: [0, 9], sourceCodec: null, tagFormat: 'id3' },
+    m4a: { extension: 'm4a', codec: 'aac', muxer: 'ipod', mimeType: 'audio/mp4', ytDlpFormat: 'm4a', defaultBitrate: '192k', vbrRange: null, sourceCodec: 'mp4a', tagFormat: 'mp4' },
+    opus: { extension: 'opus', codec: 'libopus', muxer: 'opus', mimeType: 'audio/ogg', ytDlpFormat: 'opus', defaultBitrate: '128k', vbrRange: null, sourceCodec: 'opus', tagFormat: null },
+    ogg: { extension: 'ogg', codec: 'libvorbis', muxer: 'ogg', mimeType: 'audio/ogg', ytDlpFormat: 'vorbis', defaultBitrate: '192k', vbrRange: [0, 10], sourceCodec: null, tagFormat: null },
+    flac: { extension: 'flac', codec: 'flac', muxer: 'flac', mimeType: 'audio/flac', ytDlpFormat: 'flac', defaultBitrate: null, vbrRange: null, sourceCodec: null, tagFormat: null },
+    wav: { extension: 'wav', codec: 'pcm_s16le', muxer: 'wav', mimeType: 'audio/wav', ytDlpFormat: 'wav', defaultBitrate: null, vbrRange: null, sourceCodec: null, tagFormat: null }
+};
+
+// Tên gọi khác của các định dạng âm thanh
+const AUDIO_FORMAT_ALIASES = { aac: 'm4a', vorbis: 'ogg' };
+
+// Định dạng âm thanh mặc định (giữ nguyên hành vi cũ: MP3 192k stereo)
+const DEFAULT_AUDIO_FORMAT = 'mp3';
+
+// Các tần số lấy mẫu được hỗ trợ (Hz); Opus chỉ hỗ trợ một số tần số nhất định
+const SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Các container video đầu ra được hỗ trợ
+// videoCodecs/audioCodecs: codec (theo tên của ffprobe) có thể đưa vào container mà không cần mã hóa lại
+// audioEncoder: bộ mã hóa âm thanh dùng khi luồng âm thanh nguồn không phù hợp với container
+// subtitleCodecs: codec phụ đề mềm container hỗ trợ (phần tử đầu tiên là mặc định)
+const VIDEO_CONTAINERS = {
+    mp4: { extension: 'mp4', muxer: 'mp4', mimeType: 'video/mp4', videoCodecs: ['h264', 'h265', 'vp9', 'av1'], audioCodecs: ['aac', 'mp3'], audioEncoder: { codec: 'aac', bitrate: '192k' }, subtitleCodecs: ['mov_text'], defaultVideoCodec: 'h264', faststart: true },
+    mkv: { extension: 'mkv', muxer: 'matroska', mimeType: 'video/x-matroska', videoCodecs: ['h264', 'h265', 'vp9', 'av1'], audioCodecs: ['aac', 'mp3', 'opus', 'vorbis', 'flac'], audioEncoder: { codec: 'aac', bitrate: '192k' }, subtitleCodecs: ['srt', 'ass'], defaultVideoCodec: 'h264', faststart: false },
+    webm: { extension: 'webm', muxer: 'webm', mimeType: 'video/webm', videoCodecs: ['vp9', 'av1'], audioCodecs: ['opus', 'vorbis'], audioEncoder: { codec: 'libopus', bitrate: '128k' }, subtitleCodecs: ['webvtt'], defaultVideoCodec: 'vp9', faststart: false },
+    mov: { extension: 'mov', muxer: 'mov', mimeType: 'video/quicktime', videoCodecs: ['h264', 'h265'], audioCodecs: ['aac', 'mp3'], audioEncoder: { codec: 'aac', bitrate: '192k' }, subtitleCodecs: ['mov_text'], defaultVideoCodec: 'h264', faststart: true }
+};
+
+// Container video mặc định (giữ nguyên hành vi cũ: MP4)
+const DEFAULT_VIDEO_CONTAINER = 'mp4';
+
+// Các codec video được hỗ trợ (bộ mã hóa phần mềm)
+// probeName: tên codec theo ffprobe, sourcePrefixes: tiền tố codec trong thông tin định dạng của YouTube
+// cpuUsed: giá trị -cpu-used tương ứng với từng preset (libvpx/libaom không dùng -preset như x264/x265)
+// crfOptions: tùy chọn bắt buộc đi kèm -crf (libvpx/libaom cần -b:v 0 để mã hóa theo chất lượng cố định)
+const VIDEO_CODECS = {
+    h264: { encoder: 'libx264', probeName: 'h264', sourcePrefixes: ['avc1', 'h264'], crfRange: [0, 51], defaultCrf: 23, cpuUsed: null, crfOptions: [], extraOptions: [] },
+    h265: { encoder: 'libx265', probeName: 'hevc', sourcePrefixes: ['hvc1', 'hev1', 'hevc'], crfRange: [0, 51], defaultCrf: 28, cpuUsed: null, crfOptions: [], extraOptions: [] },
+    vp9: { encoder: 'libvpx-vp9', probeName: 'vp9', sourcePrefixes: ['vp09', 'vp9'], crfRange: [0, 63], defaultCrf: 31, cpuUsed: [5, 5, 4, 4, 3, 2, 1, 1, 0], crfOptions: ['-b:v', '0'], extraOptions: ['-deadline', 'good', '-row-mt', '1'] },
+    av1: { encoder: 'libaom-av1', probeName: 'av1', sourcePrefixes: ['av01', 'av1'], crfRange: [0, 63], defaultCrf: 30, cpuUsed: [8, 8, 7, 6, 5, 4, 3, 2, 1], crfOptions: ['-b:v', '0'], extraOptions: ['-row-mt', '1'] }
+};
+
+// Các preset tốc độ mã hóa, từ nhanh nhất tới nén tốt nhất
+const VIDEO_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Preset mặc định khi mã hóa lại video
+const DEFAULT_VIDEO_PRESET = 'medium';
+
+// Khoảng targetSizeMB hợp lệ (MB)
+const TARGET_SIZE_RANGE = [1, 4096];
+
+// Phần dung lượng dự phòng cho header/chỉ mục của container khi tính bitrate theo dung lượng đích
+const CONTAINER_OVERHEAD_RATIO = 0.03;
+
+// Bitrate video tối thiểu (kbps) khi nén theo dung lượng đích; thấp hơn thì hình ảnh không còn xem được
+const MIN_TARGET_VIDEO_BITRATE = 100;
+
+// Chiều cao khung hình tối đa theo bitrate video (kbps): bitrate càng thấp thì càng giảm độ phân giải
+// để mỗi điểm ảnh còn đủ dữ liệu (height null: giữ nguyên độ phân giải nguồn)
+const TARGET_BITRATE_HEIGHTS = [
+    { minBitrate: 4500, height: null },
+    { minBitrate: 2500, height: 1080 },
+    { minBitrate: 1200, height: 720 },
+    { minBitrate: 700, height: 480 },
+    { minBitrate: 350, height: 360 },
+    { minBitrate: 0, height: 240 }
+];
+
+// Số phụ đề tối đa được nhúng vào một video
+const MAX_EMBEDDED_SUBTITLES = 10;
+
+// Mã ngôn ngữ phụ đề của YouTube (ví dụ: en, vi, zh-Hans, pt-BR)
+const SUBTITLE_LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Mã ISO 639-2 của các ngôn ngữ phụ đề phổ biến (container lưu ngôn ngữ của track theo ISO 639-2)
+const ISO_639_2_LANGUAGES = {
+    en: 'eng', vi: 'vie', ja: 'jpn', ko: 'kor', zh: 'chi', fr: 'fre', de: 'ger', es: 'spa', pt: 'por', ru: 'rus',
+    it: 'ita', th: 'tha', id: 'ind', ms: 'may', ar: 'ara', hi: 'hin', nl: 'dut', pl: 'pol', tr: 'tur', uk: 'ukr'
+};
+
+// Các kiểu phụ đề in cứng (burnSubtitles.style); từng thuộc tính có thể ghi đè riêng trong burnSubtitles
+// fontSize/outline tính theo khung 288 dòng của libass nên tự co giãn theo độ phân giải video
+const BURN_SUBTITLE_PRESETS = {
+    default: { font: 'Arial', fontSize: 18, color: 'white', outlineColor: 'black', outline: 1.5, bold: false, position: 'bottom', box: false },
+    social: { font: 'Arial', fontSize: 26, color: 'white', outlineColor: 'black', outline: 3, bold: true, position: 'middle', box: false },
+    boxed: { font: 'Arial', fontSize: 18, color: 'white', outlineColor: 'black', outline: 1, bold: false, position: 'bottom', box: true },
+    yellow: { font: 'Arial', fontSize: 20, color: 'yellow', outlineColor: 'black', outline: 2, bold: true, position: 'bottom', box: false }
+};
+
+// Kiểu phụ đề in cứng mặc định
+const DEFAULT_BURN_SUBTITLE_PRESET = 'default';
+
+// Giới hạn cỡ chữ và độ dày viền của phụ đề in cứng
+const BURN_FONT_SIZE_RANGE = [8, 72];
+const BURN_OUTLINE_RANGE = [0, 8];
+
+// Tên màu hỗ trợ cho phụ đề in cứng (ngoài mã #RRGGBB)
+const BURN_SUBTITLE_COLORS = {
+    white: 'FFFFFF', black: '000000', yellow: 'FFFF00', red: 'FF0000', green: '00FF00', blue: '0000FF', cyan: '00FFFF', magenta: 'FF00FF'
+};
+
+// Căn lề (theo bàn phím số của ASS) và lề dọc của phụ đề in cứng theo vị trí
+const BURN_SUBTITLE_POSITIONS = {
+    bottom: { alignment: 2, marginV: 20 },
+    middle: { alignment: 5, marginV: 0 },
+    top: { alignment: 8, marginV: 20 }
+};
+
+// Màu nền của hộp chữ khi bật box (đen, trong suốt 50%, định dạng &HAABBGGRR của ASS)
+const BURN_SUBTITLE_BOX_COLOUR = '&H80000000';
+
+// Các định dạng ảnh đầu ra của thumbnail và khung hình chụp từ video
+// qualityOptions: tham số chất lượng của bộ mã hóa ảnh
+const IMAGE_FORMATS = {
+    jpeg: { extension: 'jpg', codec: 'mjpeg', mimeType: 'image/jpeg', qualityOptions: ['-q:v', '2'] },
+    webp: { extension: 'webp', codec: 'libwebp', mimeType: 'image/webp', qualityOptions: ['-quality', '85'] }
+};
+
+// Các định dạng ảnh động (type 'gif' và 'webp' khi tải)
+// noLoop: giá trị -loop để chỉ phát một lần (0 là lặp vô hạn ở cả hai định dạng)
+// GIF dùng bảng màu riêng tạo bằng palettegen/paletteuse, WebP mã hóa thẳng bằng libwebp_anim
+const ANIMATION_FORMATS = {
+    gif: { extension: 'gif', mimeType: 'image/gif', muxer: 'gif', noLoop: -1, codecOptions: [] },
+    webp: { extension: 'webp', mimeType: 'image/webp', muxer: 'webp', noLoop: 1, codecOptions: ['-c:v', 'libwebp_anim', '-lossless', '0', '-quality', '75'] }
+};
+
+// Giá trị mặc định và giới hạn của ảnh động
+const DEFAULT_ANIMATION_WIDTH = 480;
+const DEFAULT_ANIMATION_FPS = 12;
+const DEFAULT_ANIMATION_MAX_SIZE_MB = 10;
+const ANIMATION_WIDTH_RANGE = [64, 1280];
+const ANIMATION_FPS_RANGE = [1, 30];
+const ANIMATION_MAX_SIZE_RANGE = [0.1, 100];
+const ANIMATION_MAX_DURATION = 30;
+
+// Ảnh động vượt maxFileSizeMB thì mã hóa lại với chiều rộng nhân tỉ lệ này, tối đa số lần thử
+const ANIMATION_SHRINK_RATIO = 0.75;
+const ANIMATION_MAX_ATTEMPTS = 4;
+
+// Chuẩn hóa độ lớn EBU R128 (loudnorm): khoảng LUFS đích, đỉnh thực tối đa (dBTP) và dải độ lớn (LU)
+const TARGET_LUFS_RANGE = [-70, -5];
+const LOUDNORM_TRUE_PEAK = -1.5;
+const LOUDNORM_RANGE = 11;
+
+// Khoảng lặng ở đầu/cuối bị cắt khi nhỏ hơn ngưỡng này và dài tối thiểu SILENCE_MIN_DURATION giây
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_DURATION = 0.5;
+// Sai số (giây) khi xác định khoảng lặng nằm sát đầu/cuối file
+const SILENCE_EDGE_TOLERANCE = 0.05;
+
+// Độ dài tối đa (giây) của fade-in/fade-out
+const MAX_FADE_DURATION = 30;
+
+// Tần số lấy mẫu đầu ra sau loudnorm (bộ lọc nâng lên 192 kHz) khi không xác định được tần số của nguồn
+const DEFAULT_LOUDNORM_SAMPLE_RATE = 48000;
+
+// MIME type của các file được phục vụ từ thư mục downloads
+const MIME_TYPES = {
+    ...Object.fromEntries(Object.values(VIDEO_CONTAINERS).map(container => [container.extension, container.mimeType])),
+    ...Object.fromEntries(Object.values(AUDIO_FORMATS).map(format => [format.extension, format.mimeType])),
+    ...Object.fromEntries(Object.values(IMAGE_FORMATS).map(format => [format.extension, format.mimeType])),
+    ...Object.fromEntries(Object.values(ANIMATION_FORMATS).map(format => [format.extension, format.mimeType]))
+};
+
+// Hàm tạo lỗi dữ liệu đầu vào (HTTP 400)
+function createOptionError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn âm thanh đầu ra
+function normalizeAudioOptions({ audioFormat, audioBitrate, audioQuality, sampleRate, channels } = {}) {
+    const formatName = String(audioFormat || DEFAULT_AUDIO_FORMAT).toLowerCase();
+    const normalizedFormat = AUDIO_FORMAT_ALIASES[formatName] || formatName;
+    const format = AUDIO_FORMATS[normalizedFormat];
+    if (!format) {
+        throw createOptionError(`Định dạng âm thanh không được hỗ trợ. Chỉ hỗ trợ: ${[...Object.keys(AUDIO_FORMATS), ...Object.keys(AUDIO_FORMAT_ALIASES)].join(', ')}.`);
+    }
+
+    let bitrate = null;
+    if (audioBitrate !== undefined && audioBitrate !== null) {
+        const kbps = parseInt(String(audioBitrate).replace(/k$/i, ''), 10);
+        if (!format.defaultBitrate) {
+            throw createOptionError(`Định dạng ${normalizedFormat} là định dạng không nén/lossless, không hỗ trợ audioBitrate.`);
+        }
+        if (!Number.isInteger(kbps) || kbps < 32 || kbps > 512 || !/^\d+k?$/i.test(String(audioBitrate))) {
+            throw createOptionError('audioBitrate phải từ 32k đến 512k (ví dụ: 128k, 192, 320k).');
+        }
+        bitrate = `${kbps}k`;
+    }
+
+    let quality = null;
+    if (audioQuality !== undefined && audioQuality !== null) {
+        if (!format.vbrRange) {
+            throw createOptionError(`Định dạng ${normalizedFormat} không hỗ trợ audioQuality (VBR).`);
+        }
+        const [min, max] = format.vbrRange;
+        if (!Number.isInteger(audioQuality) || audioQuality < min || audioQuality > max) {
+            throw createOptionError(`audioQuality của ${normalizedFormat} phải là số nguyên từ ${min} đến ${max}.`);
+        }
+        if (bitrate) {
+            throw createOptionError('Chỉ được chọn một trong hai: audioBitrate (CBR) hoặc audioQuality (VBR).');
+        }
+        quality = audioQuality;
+    }
+
+    let rate = null;
+    if (sampleRate !== undefined && sampleRate !== null) {
+        const allowedRates = normalizedFormat === 'opus' ? OPUS_SAMPLE_RATES : SAMPLE_RATES;
+        rate = parseInt(sampleRate, 10);
+        if (!allowedRates.includes(rate)) {
+            throw createOptionError(`sampleRate của ${normalizedFormat} chỉ hỗ trợ: ${allowedRates.join(', ')}.`);
+        }
+    }
+
+    let channelCount = null;
+    if (channels !== undefined && channels !== null) {
+        channelCount = { mono: 1, stereo: 2 }[channels] || channels;
+        if (![1, 2].includes(channelCount)) {
+            throw createOptionError('channels chỉ hỗ trợ mono (1) hoặc stereo (2).');
+        }
+    }
+
+    return { audioFormat: normalizedFormat, audioBitrate: bitrate, audioQuality: quality, sampleRate: rate, channels: channelCount };
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn xử lý âm thanh khi chuyển đổi
+// targetLufs: chuẩn hóa độ lớn EBU R128 hai lượt về mức LUFS này; trimSilence: cắt khoảng lặng ở đầu và cuối;
+// fadeIn/fadeOut: độ dài (giây) của hiệu ứng tăng/giảm dần âm lượng
+function normalizeAudioFilterOptions({ targetLufs, trimSilence, fadeIn, fadeOut } = {}) {
+    let lufs = null;
+    if (targetLufs !== undefined && targetLufs !== null) {
+        const [min, max] = TARGET_LUFS_RANGE;
+        if (typeof targetLufs !== 'number' || !(targetLufs >= min && targetLufs <= max)) {
+            throw createOptionError(`targetLufs phải là số từ ${min} đến ${max} (ví dụ -14 cho nền tảng nghe nhạc, -23 theo EBU R128).`);
+        }
+        lufs = targetLufs;
+    }
+    if (trimSilence !== undefined && trimSilence !== null && typeof trimSilence !== 'boolean') {
+        throw createOptionError('trimSilence phải là true hoặc false.');
+    }
+    const checkFade = (name, value) => {
+        if (value === undefined || value === null) return null;
+        if (typeof value !== 'number' || !(value > 0 && value <= MAX_FADE_DURATION)) {
+            throw createOptionError(`${name} phải là số giây lớn hơn 0 và không quá ${MAX_FADE_DURATION}.`);
+        }
+        return value;
+    };
+    return { targetLufs: lufs, trimSilence: trimSilence === true, fadeIn: checkFade('fadeIn', fadeIn), fadeOut: checkFade('fadeOut', fadeOut) };
+}
+
+// Hàm kiểm tra có yêu cầu xử lý âm thanh (chuẩn hóa độ lớn, cắt khoảng lặng, fade) hay không
+function hasAudioFilters(audio) {
+    return Boolean(audio.targetLufs || audio.trimSilence || audio.fadeIn || audio.fadeOut);
+}
+
+// Hàm tạo phần tên file mô tả xử lý âm thanh, ví dụ _lufs-14_trim_fadein2_fadeout3
+function getAudioFilterFileSuffix(audio) {
+    return [
+        audio.targetLufs ? `lufs${audio.targetLufs}` : null,
+        audio.trimSilence ? 'trim' : null,
+        audio.fadeIn ? `fadein${audio.fadeIn}` : null,
+        audio.fadeOut ? `fadeout${audio.fadeOut}` : null
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm kiểm tra người dùng có yêu cầu thay đổi chất lượng âm thanh hay không
+function hasAudioOverrides(audio) {
+    return Boolean(audio.audioBitrate || audio.audioQuality !== null || audio.sampleRate || audio.channels);
+}
+
+// Hàm tạo phần tên file mô tả tùy chọn âm thanh, ví dụ _320k_48000Hz_mono (để trống với tùy chọn mặc định)
+function getAudioFileSuffix(audio) {
+    return [
+        audio.audioBitrate,
+        audio.audioQuality !== null ? `q${audio.audioQuality}` : null,
+        audio.sampleRate ? `${audio.sampleRate}Hz` : null,
+        audio.channels ? { 1: 'mono', 2: 'stereo' }[audio.channels] : null
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm xác định có thể dùng nguyên luồng âm thanh nguồn mà không mã hóa lại hay không
+// 'rename': dùng nguyên file, 'remux': chỉ đổi container, null: phải mã hóa lại
+function getAudioCopyMode(sourceFormat, audio) {
+    if (!sourceFormat || hasAudioOverrides(audio) || hasAudioFilters(audio)) return null;
+    const format = AUDIO_FORMATS[audio.audioFormat];
+    const sourceCodec = String(sourceFormat.audioCodec || '').toLowerCase();
+    if (audio.audioFormat === 'mp3' && (sourceFormat.container === 'mp3' || sourceFormat.mimeType?.includes('mp3'))) {
+        return 'rename';
+    }
+    if (!format.sourceCodec || !sourceCodec.startsWith(format.sourceCodec)) return null;
+    return audio.audioFormat === 'm4a' && sourceFormat.container === 'mp4' ? 'rename' : 'remux';
+}
+
+// Hàm áp dụng codec/bitrate/tần số lấy mẫu/số kênh của định dạng âm thanh đầu ra cho lệnh FFmpeg
+function applyAudioOutput(command, audio) {
+    const format = AUDIO_FORMATS[audio.audioFormat];
+    command.noVideo().audioCodec(format.codec);
+    if (audio.audioQuality !== null) {
+        command.outputOptions(['-q:a', String(audio.audioQuality)]);
+    } else if (format.defaultBitrate) {
+        command.audioBitrate(audio.audioBitrate || format.defaultBitrate);
+    }
+    if (audio.sampleRate) command.audioFrequency(audio.sampleRate);
+    // MP3 mặc định xuất stereo như trước đây
+    const channels = audio.channels || (audio.audioFormat === 'mp3' ? 2 : null);
+    if (channels) command.audioChannels(channels);
+    return command.format(format.muxer);
+}
+
+// Hàm chuyển đổi file âm thanh sang định dạng đầu ra (hoặc chỉ đổi container khi copyMode = 'remux')
+// Có xử lý âm thanh (hasAudioFilters) thì trả về kết quả của processAudio
+function convertAudio(input, output, audio, { jobId = null, copyMode = null } = {}) {
+    if (hasAudioFilters(audio)) {
+        return processAudio(input, output, audio, { jobId });
+    }
+    const command = ffmpeg(input);
+    if (copyMode === 'remux') {
+        command.noVideo().outputOptions(['-c:a', 'copy']).format(AUDIO_FORMATS[audio.audioFormat].muxer);
+    } else {
+        applyAudioOutput(command, audio);
+    }
+    return runFfmpegCommand(command, output, { jobId, label: `FFmpeg ${audio.audioFormat} ${copyMode || 'conversion'}` });
+}
+
+// Hàm thêm các thẻ metadata (bỏ qua giá trị rỗng) vào lệnh FFmpeg
+function applyMetadataTags(command, tags) {
+    Object.entries(tags)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .forEach(([key, value]) => command.outputOptions(['-metadata', `${key}=${value}`]));
+    return command;
+}
+
+// Hàm thêm thẻ metadata và ảnh bìa (input thứ hai của lệnh, nếu có) cho file âm thanh sao chép nguyên luồng
+function applyAudioTags(command, audio, tags, { withCover = false } = {}) {
+    const format = AUDIO_FORMATS[audio.audioFormat];
+    // Bỏ metadata của luồng nguồn (handler, encoder của YouTube), chỉ giữ các thẻ được ghi
+    command.outputOptions(['-map', '0:a', '-c:a', 'copy', '-map_metadata', '-1']);
+    if (withCover) {
+        command.outputOptions([
+            '-map', '1:v:0',
+            '-c:v', 'mjpeg',
+            '-disposition:v:0', 'attached_pic',
+            '-metadata:s:v:0', 'title=Album cover',
+            '-metadata:s:v:0', 'comment=Cover (front)'
+        ]);
+    }
+    applyMetadataTags(command, tags);
+    if (format.tagFormat === 'id3') command.outputOptions(['-id3v2_version', '3']);
+    return command.format(format.muxer);
+}
+
+// Hàm ghi thẻ metadata (title, artist, album, date, track, comment...) và ảnh bìa vào file âm thanh (sao chép nguyên luồng)
+// MP3 dùng ID3v2.3 (ảnh bìa là khung APIC), M4A dùng MP4 atom (ảnh bìa là atom covr); ảnh bìa luôn được chuyển sang JPEG
+function writeAudioTags(input, output, audio, tags, { coverPath = null, jobId = null } = {}) {
+    const command = ffmpeg(input);
+    if (coverPath) command.input(coverPath);
+    applyAudioTags(command, audio, tags, { withCover: Boolean(coverPath) });
+    return runFfmpegCommand(command, output, { jobId, label: `FFmpeg ${AUDIO_FORMATS[audio.audioFormat].tagFormat} tagging` });
+}
+
+// Hàm tạo tùy chọn yt-dlp để tách âm thanh theo định dạng đầu ra
+function getYtDlpAudioOptions(audio) {
+    const format = AUDIO_FORMATS[audio.audioFormat];
+    // Ưu tiên luồng nguồn cùng codec để yt-dlp chỉ cần sao chép luồng thay vì mã hóa lại
+    const options = {
+        format: format.sourceCodec ? `bestaudio[acodec^=${format.sourceCodec}]/bestaudio` : 'bestaudio',
+        extractAudio: true,
+        audioFormat: format.ytDlpFormat
+    };
+    if (audio.audioBitrate) options.audioQuality = audio.audioBitrate.toUpperCase();
+    // yt-dlp dùng thang 0 (tốt nhất) tới 10 cho mọi codec, trong khi -q:a của libvorbis càng cao càng tốt
+    if (audio.audioQuality !== null) {
+        options.audioQuality = audio.audioFormat === 'ogg' ? 10 - audio.audioQuality : audio.audioQuality;
+    }
+    const postprocessorArgs = [
+        audio.sampleRate ? `-ar ${audio.sampleRate}` : null,
+        audio.channels ? `-ac ${audio.channels}` : null
+    ].filter(Boolean);
+    if (postprocessorArgs.length > 0) options.postprocessorArgs = `ExtractAudio:${postprocessorArgs.join(' ')}`;
+    return options;
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn video đầu ra
+// crf/preset/targetSizeMB chỉ có tác dụng khi mã hóa lại, nên khi được đặt thì luồng video luôn được mã hóa lại
+function normalizeVideoOptions({ container, videoCodec, crf, preset, targetSizeMB } = {}) {
+    const containerName = String(container || DEFAULT_VIDEO_CONTAINER).toLowerCase();
+    const containerInfo = VIDEO_CONTAINERS[containerName];
+    if (!containerInfo) {
+        throw createOptionError(`Container không được hỗ trợ. Chỉ hỗ trợ: ${Object.keys(VIDEO_CONTAINERS).join(', ')}.`);
+    }
+
+    let codecName = null;
+    if (videoCodec !== undefined && videoCodec !== null) {
+        codecName = String(videoCodec).toLowerCase();
+        if (!VIDEO_CODECS[codecName]) {
+            throw createOptionError(`Codec video không được hỗ trợ. Chỉ hỗ trợ: ${Object.keys(VIDEO_CODECS).join(', ')}.`);
+        }
+        if (!containerInfo.videoCodecs.includes(codecName)) {
+            throw createOptionError(`Container ${containerName} không hỗ trợ codec ${codecName}. Chỉ hỗ trợ: ${containerInfo.videoCodecs.join(', ')}.`);
+        }
+    }
+
+    let crfValue = null;
+    if (crf !== undefined && crf !== null) {
+        const [min, max] = VIDEO_CODECS[codecName || containerInfo.defaultVideoCodec].crfRange;
+        if (!Number.isInteger(crf) || crf < min || crf > max) {
+            throw createOptionError(`crf của codec ${codecName || containerInfo.defaultVideoCodec} phải là số nguyên từ ${min} đến ${max}.`);
+        }
+        crfValue = crf;
+    }
+
+    let presetName = null;
+    if (preset !== undefined && preset !== null) {
+        presetName = String(preset).toLowerCase();
+        if (!VIDEO_PRESETS.includes(presetName)) {
+            throw createOptionError(`preset không hợp lệ. Chỉ hỗ trợ: ${VIDEO_PRESETS.join(', ')}.`);
+        }
+    }
+
+    let targetSize = null;
+    if (targetSizeMB !== undefined && targetSizeMB !== null) {
+        const [min, max] = TARGET_SIZE_RANGE;
+        if (typeof targetSizeMB !== 'number' || !(targetSizeMB >= min && targetSizeMB <= max)) {
+            throw createOptionError(`targetSizeMB phải là số từ ${min} đến ${max}.`);
+        }
+        if (crfValue !== null) {
+            throw createOptionError('Chỉ được chọn một trong hai: crf (chất lượng cố định) hoặc targetSizeMB (dung lượng đích).');
+        }
+        targetSize = targetSizeMB;
+    }
+
+    return { container: containerName, videoCodec: codecName, crf: crfValue, preset: presetName, targetSizeMB: targetSize };
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn nhúng phụ đề mềm vào video
+// subtitles: danh sách mã ngôn ngữ; subtitleFormat: codec phụ đề theo container; defaultSubtitle: ngôn ngữ được bật sẵn
+// (mặc định là ngôn ngữ đầu tiên, false để không bật sẵn track nào)
+function normalizeSubtitleOptions({ subtitles, subtitleFormat, defaultSubtitle } = {}, containerName = DEFAULT_VIDEO_CONTAINER) {
+    const container = VIDEO_CONTAINERS[containerName];
+    if (subtitles === undefined || subtitles === null) {
+        if ((subtitleFormat !== undefined && subtitleFormat !== null) || (defaultSubtitle !== undefined && defaultSubtitle !== null)) {
+            throw createOptionError('subtitleFormat và defaultSubtitle chỉ dùng cùng với subtitles.');
+        }
+        return { subtitles: null, subtitleFormat: null, defaultSubtitle: null };
+    }
+
+    const languages = [...new Set((Array.isArray(subtitles) ? subtitles : String(subtitles).split(',')).map(language => String(language).trim()))];
+    if (languages.length === 0 || languages.length > MAX_EMBEDDED_SUBTITLES || languages.some(language => !SUBTITLE_LANGUAGE_PATTERN.test(language))) {
+        throw createOptionError(`subtitles phải là danh sách từ 1 đến ${MAX_EMBEDDED_SUBTITLES} mã ngôn ngữ (ví dụ: ["en", "vi"]).`);
+    }
+
+    let format = container.subtitleCodecs[0];
+    if (subtitleFormat !== undefined && subtitleFormat !== null) {
+        format = String(subtitleFormat).toLowerCase();
+        if (!container.subtitleCodecs.includes(format)) {
+            throw createOptionError(`Container ${containerName} chỉ hỗ trợ phụ đề: ${container.subtitleCodecs.join(', ')}.`);
+        }
+    }
+
+    let defaultLanguage = languages[0];
+    if (defaultSubtitle === false) {
+        defaultLanguage = null;
+    } else if (defaultSubtitle !== undefined && defaultSubtitle !== null) {
+        if (!languages.includes(defaultSubtitle)) {
+            throw createOptionError('defaultSubtitle phải là một trong các ngôn ngữ của subtitles (hoặc false).');
+        }
+        defaultLanguage = defaultSubtitle;
+    }
+
+    return { subtitles: languages, subtitleFormat: format, defaultSubtitle: defaultLanguage };
+}
+
+// Hàm tạo phần tên file mô tả phụ đề đã nhúng, ví dụ _sub-en-vi_ass_default-vi
+function getSubtitleFileSuffix(video) {
+    if (!video.subtitles) return '';
+    return [
+        `sub-${video.subtitles.join('-')}`,
+        video.subtitleFormat !== VIDEO_CONTAINERS[video.container].subtitleCodecs[0] ? video.subtitleFormat : null,
+        video.defaultSubtitle === null ? 'nodefault' : null,
+        video.defaultSubtitle && video.defaultSubtitle !== video.subtitles[0] ? `default-${video.defaultSubtitle}` : null
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn phụ đề in cứng
+// burnSubtitles: mã ngôn ngữ, hoặc { language, style, font, fontSize, color, outlineColor, outline, bold, position, box }
+// (style là tên kiểu có sẵn trong BURN_SUBTITLE_PRESETS, các thuộc tính còn lại ghi đè kiểu đó)
+function normalizeBurnSubtitleOptions({ burnSubtitles } = {}) {
+    if (burnSubtitles === undefined || burnSubtitles === null || burnSubtitles === false) {
+        return { burnSubtitles: null };
+    }
+    const { language, style = DEFAULT_BURN_SUBTITLE_PRESET, ...overrides } = typeof burnSubtitles === 'object' ? burnSubtitles : { language: burnSubtitles };
+    if (typeof language !== 'string' || !SUBTITLE_LANGUAGE_PATTERN.test(language)) {
+        throw createOptionError('burnSubtitles.language phải là mã ngôn ngữ phụ đề (ví dụ: "en").');
+    }
+    const preset = BURN_SUBTITLE_PRESETS[String(style).toLowerCase()];
+    if (!preset) {
+        throw createOptionError(`burnSubtitles.style không hợp lệ. Chỉ hỗ trợ: ${Object.keys(BURN_SUBTITLE_PRESETS).join(', ')}.`);
+    }
+    const unknownKeys = Object.keys(overrides).filter(key => !(key in preset));
+    if (unknownKeys.length > 0) {
+        throw createOptionError(`burnSubtitles không hỗ trợ thuộc tính: ${unknownKeys.join(', ')}.`);
+    }
+
+    const options = { ...preset, ...overrides };
+    if (typeof options.font !== 'string' || !/^[\w .-]{1,64}$/.test(options.font)) {
+        throw createOptionError('burnSubtitles.font phải là tên font chỉ gồm chữ, số, khoảng trắng, dấu chấm hoặc gạch ngang.');
+    }
+    const [minFontSize, maxFontSize] = BURN_FONT_SIZE_RANGE;
+    if (typeof options.fontSize !== 'number' || !(options.fontSize >= minFontSize && options.fontSize <= maxFontSize)) {
+        throw createOptionError(`burnSubtitles.fontSize phải là số từ ${minFontSize} đến ${maxFontSize}.`);
+    }
+    const [minOutline, maxOutline] = BURN_OUTLINE_RANGE;
+    if (typeof options.outline !== 'number' || !(options.outline >= minOutline && options.outline <= maxOutline)) {
+        throw createOptionError(`burnSubtitles.outline phải là số từ ${minOutline} đến ${maxOutline}.`);
+    }
+    for (const key of ['color', 'outlineColor']) {
+        options[key] = String(options[key]).toLowerCase();
+        if (!BURN_SUBTITLE_COLORS[options[key]] && !/^#[0-9a-f]{6}$/.test(options[key])) {
+            throw createOptionError(`burnSubtitles.${key} phải là mã màu #RRGGBB hoặc một trong: ${Object.keys(BURN_SUBTITLE_COLORS).join(', ')}.`);
+        }
+    }
+    if (!BURN_SUBTITLE_POSITIONS[options.position]) {
+        throw createOptionError(`burnSubtitles.position không hợp lệ. Chỉ hỗ trợ: ${Object.keys(BURN_SUBTITLE_POSITIONS).join(', ')}.`);
+    }
+    if (typeof options.bold !== 'boolean' || typeof options.box !== 'boolean') {
+        throw createOptionError('burnSubtitles.bold và burnSubtitles.box phải là true hoặc false.');
+    }
+
+    return { burnSubtitles: { language, style: String(style).toLowerCase(), ...options } };
+}
+
+// Hàm tạo phần tên file mô tả phụ đề in cứng, ví dụ _burn-en_social (kèm mã băm khi ghi đè thuộc tính của kiểu)
+function getBurnSubtitleFileSuffix(video) {
+    if (!video.burnSubtitles) return '';
+    const { language, style, ...options } = video.burnSubtitles;
+    const preset = BURN_SUBTITLE_PRESETS[style];
+    const customized = Object.keys(preset).some(key => options[key] !== preset[key]);
+    return [
+        `burn-${language}`,
+        style !== DEFAULT_BURN_SUBTITLE_PRESET ? style : null,
+        customized ? crypto.createHash('md5').update(JSON.stringify(options)).digest('hex').slice(0, 8) : null
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm kiểm tra tùy chọn video có phải mặc định (MP4, giữ nguyên codec nguồn) hay không
+function isDefaultVideoOptions(video) {
+    return !video || (video.container === DEFAULT_VIDEO_CONTAINER && !video.videoCodec && video.crf === null && !video.preset && !video.targetSizeMB && !video.burnSubtitles);
+}
+
+// Hàm tạo phần tên file mô tả tùy chọn video, ví dụ _1080p_60fps_h265_crf24_slow (để trống với tùy chọn mặc định)
+function getVideoFileSuffix(video) {
+    return getQualityFileSuffix(video) + [
+        video.videoCodec,
+        video.crf !== null ? `crf${video.crf}` : null,
+        video.preset,
+        video.targetSizeMB ? `target${video.targetSizeMB}MB` : null
+    ].filter(Boolean).map(part => `_${part}`).join('') + getSubtitleFileSuffix(video) + getBurnSubtitleFileSuffix(video);
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn ảnh động GIF/WebP
+// width: chiều rộng đầu ra (không phóng to nguồn nhỏ hơn); fps: số khung hình mỗi giây; loop: lặp vô hạn (mặc định true)
+// maxFileSizeMB: dung lượng tối đa, vượt quá thì thu nhỏ chiều rộng và mã hóa lại
+function normalizeAnimationOptions({ width, fps, loop, maxFileSizeMB } = {}) {
+    const checkRange = (name, value, [min, max], integer) => {
+        if (typeof value !== 'number' || (integer && !Number.isInteger(value)) || !(value >= min && value <= max)) {
+            throw createOptionError(`${name} phải là ${integer ? 'số nguyên' : 'số'} từ ${min} đến ${max}.`);
+        }
+        return value;
+    };
+    if (loop !== undefined && loop !== null && typeof loop !== 'boolean') {
+        throw createOptionError('loop phải là true hoặc false.');
+    }
+    return {
+        width: width !== undefined && width !== null ? checkRange('width', width, ANIMATION_WIDTH_RANGE, true) : DEFAULT_ANIMATION_WIDTH,
+        fps: fps !== undefined && fps !== null ? checkRange('fps', fps, ANIMATION_FPS_RANGE, true) : DEFAULT_ANIMATION_FPS,
+        loop: loop !== false,
+        maxFileSizeMB: maxFileSizeMB !== undefined && maxFileSizeMB !== null
+            ? checkRange('maxFileSizeMB', maxFileSizeMB, ANIMATION_MAX_SIZE_RANGE, false)
+            : DEFAULT_ANIMATION_MAX_SIZE_MB
+    };
+}
+
+// Hàm kiểm tra khoảng cắt của ảnh động: bắt buộc có start/end và không dài quá ANIMATION_MAX_DURATION giây
+function validateAnimationClip(clip) {
+    if (!clip || clip.end === null) {
+        throw createOptionError('Ảnh động GIF/WebP cần khoảng cắt start và end.');
+    }
+    if (clip.end - clip.start > ANIMATION_MAX_DURATION) {
+        throw createOptionError(`Ảnh động chỉ được dài tối đa ${ANIMATION_MAX_DURATION} giây.`);
+    }
+}
+
+// Hàm tạo phần tên file mô tả tùy chọn ảnh động, ví dụ _480w_12fps_max10MB_noloop
+function getAnimationFileSuffix(animation) {
+    return [
+        `${animation.width}w`,
+        `${animation.fps}fps`,
+        `max${animation.maxFileSizeMB}MB`,
+        animation.loop ? null : 'noloop'
+    ].filter(Boolean).map(part => `_${part}`).join('');
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn đầu ra theo loại tải
+// (video gồm cả tùy chọn chọn chất lượng chi tiết: resolution, maxHeight, fps, hdr, codecPreference, maxFileSizeMB,
+// phụ đề mềm cần nhúng: subtitles, subtitleFormat, defaultSubtitle, và phụ đề in cứng: burnSubtitles;
+// cả hai loại nhận itag/audioItag lấy từ GET /api/formats để tải đúng luồng đã chọn
+// và splitByChapters/chapterPackaging để tách file theo chương; âm thanh nhận thêm targetLufs, trimSilence, fadeIn, fadeOut;
+// gif/webp nhận width, fps, loop, maxFileSizeMB)
+function normalizeMediaOptions(type, options) {
+    if (type === 'audio') {
+        return {
+            ...normalizeAudioOptions(options),
+            ...normalizeAudioFilterOptions(options),
+            ...normalizeItagOptions(options, type),
+            ...normalizeChapterOptions(options)
+        };
+    }
+    if (type === 'video') {
+        const quality = normalizeQualityOptions(options);
+        const itags = normalizeItagOptions(options, type);
+        if (itags.itag !== null && hasQualityOptions(quality)) {
+            throw createOptionError('itag không dùng chung với resolution, maxHeight, fps, hdr, codecPreference hoặc maxFileSizeMB.');
+        }
+        const output = normalizeVideoOptions(options);
+        return {
+            ...output,
+            ...normalizeSubtitleOptions(options, output.container),
+            ...normalizeBurnSubtitleOptions(options),
+            ...quality,
+            ...itags,
+            ...normalizeChapterOptions(options)
+        };
+    }
+    if (ANIMATION_FORMATS[type]) return normalizeAnimationOptions(options);
+    return {};
+}
+
+// Hàm lấy phần mở rộng và hậu tố tên file của đầu ra theo loại tải và tùy chọn đã chuẩn hóa
+function getOutputNaming(type, options) {
+    if (type === 'audio') {
+        return {
+            extension: AUDIO_FORMATS[options.audioFormat].extension,
+            suffix: getItagFileSuffix(options) + getAudioFileSuffix(options) + getAudioFilterFileSuffix(options)
+        };
+    }
+    if (ANIMATION_FORMATS[type]) {
+        return { extension: ANIMATION_FORMATS[type].extension, suffix: getAnimationFileSuffix(options) };
+    }
+    return { extension: VIDEO_CONTAINERS[options.container].extension, suffix: getItagFileSuffix(options) + getVideoFileSuffix(options) };
+}
+
+// Hàm đổi tên codec (ffprobe hoặc thông tin định dạng YouTube, ví dụ 'avc1.64001F', 'mp4a.40.2') về tên chung
+function normalizeCodecName(codec) {
+    const name = String(codec || '').toLowerCase();
+    if (!name) return null;
+    const videoCodec = Object.entries(VIDEO_CODECS)
+        .find(([, info]) => name === info.probeName || info.sourcePrefixes.some(prefix => name.startsWith(prefix)));
+    if (videoCodec) return videoCodec[1].probeName;
+    if (name.startsWith('mp4a')) return 'aac';
+    return name.split('.')[0];
+}
+
+// Hàm lấy codec video/âm thanh của một định dạng ytdl-core
+function getFormatCodecs(format) {
+    return {
+        videoCodec: normalizeCodecName(format?.videoCodec),
+        audioCodec: normalizeCodecName(format?.audioCodec)
+    };
+}
+
+// Hàm đọc codec và thời lượng của file media bằng ffprobe
+function probeMediaCodecs(input) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(input, (error, metadata) => {
+            if (error) return reject(error);
+            const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+            const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+            resolve({
+                videoCodec: normalizeCodecName(videoStream?.codec_name),
+                audioCodec: normalizeCodecName(audioStream?.codec_name),
+                sampleRate: parseInt(audioStream?.sample_rate, 10) || null,
+                duration: parseFloat(metadata.format?.duration) || null
+            });
+        });
+    });
+}
+
+// Hàm quyết định sao chép hay mã hóa lại từng luồng khi ghi ra container đích
+// source: codec của luồng nguồn (tên theo ffprobe); forceTranscode: bắt buộc mã hóa lại video (ví dụ cắt chính xác)
+function planVideoOutput(source, video, { forceTranscode = false } = {}) {
+    const container = VIDEO_CONTAINERS[video.container];
+    const sourceCodec = Object.keys(VIDEO_CODECS).find(name => VIDEO_CODECS[name].probeName === source.videoCodec) || null;
+    const videoCodec = video.videoCodec
+        || (sourceCodec && container.videoCodecs.includes(sourceCodec) ? sourceCodec : container.defaultVideoCodec);
+    const reencode = forceTranscode || video.crf !== null || Boolean(video.preset) || Boolean(video.targetSizeMB) || Boolean(video.burnSubtitles);
+    return {
+        videoCodec,
+        copyVideo: !reencode && sourceCodec === videoCodec,
+        copyAudio: container.audioCodecs.includes(source.audioCodec)
+    };
+}
+
+// Hàm escape giá trị tùy chọn của filter FFmpeg (một lần cho tùy chọn của filter, một lần cho filtergraph)
+function escapeFilterOption(value) {
+    return String(value)
+        .replace(/[\\':]/g, '\\$&')
+        .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Hàm đổi màu (#RRGGBB hoặc tên màu) sang định dạng &HAABBGGRR của ASS
+function toAssColour(color) {
+    const hex = BURN_SUBTITLE_COLORS[color] || color.slice(1).toUpperCase();
+    return `&H00${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+}
+
+// Hàm tạo filter subtitles của FFmpeg (libass) để in cứng file phụ đề theo kiểu đã chuẩn hóa
+function getBurnSubtitleFilter(subtitlePath, style) {
+    const { alignment, marginV } = BURN_SUBTITLE_POSITIONS[style.position];
+    // BorderStyle=3 vẽ hộp nền sau chữ thay cho viền (libass dùng OutlineColour làm màu hộp)
+    const forceStyle = [
+        `FontName=${style.font}`,
+        `FontSize=${style.fontSize}`,
+        `Bold=${style.bold ? -1 : 0}`,
+        `PrimaryColour=${toAssColour(style.color)}`,
+        `OutlineColour=${style.box ? BURN_SUBTITLE_BOX_COLOUR : toAssColour(style.outlineColor)}`,
+        `BackColour=${BURN_SUBTITLE_BOX_COLOUR}`,
+        `BorderStyle=${style.box ? 3 : 1}`,
+        `Outline=${style.outline}`,
+        'Shadow=0',
+        `Alignment=${alignment}`,
+        `MarginV=${marginV}`
+    ].join(',');
+    return `subtitles=filename=${escapeFilterOption(subtitlePath)}:charenc=UTF-8:force_style=${escapeFilterOption(forceStyle)}`;
+}
+
+// Hàm áp dụng codec/container đầu ra cho lệnh FFmpeg theo kế hoạch của planVideoOutput
+function applyVideoOutput(command, video, plan) {
+    const container = VIDEO_CONTAINERS[video.container];
+    const codec = VIDEO_CODECS[plan.videoCodec];
+    if (plan.copyVideo) {
+        command.outputOptions(['-c:v', 'copy']);
+    } else {
+        const presetIndex = VIDEO_PRESETS.indexOf(video.preset || DEFAULT_VIDEO_PRESET);
+        command
+            .videoCodec(codec.encoder)
+            .outputOptions([
+                '-crf', String(video.crf !== null ? video.crf : codec.defaultCrf),
+                ...codec.crfOptions,
+                ...(codec.cpuUsed ? ['-cpu-used', String(codec.cpuUsed[presetIndex])] : ['-preset', VIDEO_PRESETS[presetIndex]]),
+                ...codec.extraOptions,
+                '-pix_fmt', 'yuv420p'
+            ]);
+    }
+    // Trình phát của Apple chỉ nhận HEVC trong MP4/MOV khi gắn tag hvc1
+    if (plan.videoCodec === 'h265' && container.faststart) {
+        command.outputOptions(['-tag:v', 'hvc1']);
+    }
+    if (plan.copyAudio) {
+        command.outputOptions(['-c:a', 'copy']);
+    } else {
+        command.audioCodec(container.audioEncoder.codec).audioBitrate(container.audioEncoder.bitrate);
+    }
+    if (container.faststart) command.outputOptions(['-movflags', '+faststart']);
+    return command.format(container.muxer);
+}
+
+// Hàm ghi video (một file có sẵn âm thanh, hoặc file video + file âm thanh) ra container/codec đầu ra
+// Luồng nào tương thích với container đích thì được sao chép, còn lại mới mã hóa lại
+// burnFile: file SRT (fetchSubtitleTracks) được in cứng vào hình theo video.burnSubtitles
+async function convertVideo(inputs, output, video, { jobId = null, burnFile = null } = {}) {
+    if (video.targetSizeMB) return encodeToTargetSize(inputs, output, video, { jobId, burnFile });
+    const sources = await Promise.all(inputs.map(probeMediaCodecs));
+    const source = { videoCodec: sources[0].videoCodec, audioCodec: sources[sources.length - 1].audioCodec };
+    const plan = planVideoOutput(source, video);
+    logger.info(`Video output plan for ${output}`, { source, ...video, ...plan });
+
+    const command = ffmpeg();
+    inputs.forEach(input => command.input(input));
+    command.outputOptions(['-map', '0:v:0', '-map', inputs.length > 1 ? '1:a:0' : '0:a:0?']);
+    if (burnFile) command.outputOptions(['-vf', getBurnSubtitleFilter(burnFile, video.burnSubtitles)]);
+    applyVideoOutput(command, video, plan);
+    await runFfmpegCommand(command, output, {
+        jobId,
+        duration: sources[0].duration,
+        label: `FFmpeg ${video.container} ${plan.copyVideo ? 'remux' : `${plan.videoCodec} encode`}`
+    });
+    return plan;
+}
+
+// Hàm tạo lỗi không thể nén video xuống dung lượng đích (HTTP 422)
+function createTargetSizeError(message) {
+    return Object.assign(new Error(message), { status: 422, jobErrorCode: 'TARGET_SIZE_UNREACHABLE' });
+}
+
+// Hàm tính bitrate video/âm thanh (kbps) và chiều cao tối đa để đầu ra vừa dung lượng đích
+function planTargetSize(durationSec, targetSizeMB) {
+    if (!durationSec) {
+        throw createTargetSizeError('Không xác định được thời lượng video để tính bitrate theo targetSizeMB.');
+    }
+    const totalBitrate = Math.floor((targetSizeMB * 1024 * 1024 * 8 * (1 - CONTAINER_OVERHEAD_RATIO)) / 1000 / durationSec);
+    // Âm thanh chiếm khoảng 10% dung lượng, trong khoảng 48-128 kbps
+    const audioBitrate = Math.min(128, Math.max(48, Math.round(totalBitrate * 0.1)));
+    const videoBitrate = totalBitrate - audioBitrate;
+    if (videoBitrate < MIN_TARGET_VIDEO_BITRATE) {
+        throw createTargetSizeError(`Video dài ${Math.round(durationSec)} giây không thể nén xuống ${targetSizeMB} MB (bitrate video chỉ còn ${Math.max(videoBitrate, 0)} kbps). Vui lòng tăng targetSizeMB hoặc cắt đoạn ngắn hơn.`);
+    }
+    const { height } = TARGET_BITRATE_HEIGHTS.find(level => videoBitrate >= level.minBitrate);
+    return { videoBitrate, audioBitrate, maxHeight: height };
+}
+
+// Hàm tạo lệnh FFmpeg cho một lượt mã hóa hai lượt theo bitrate
+// Lượt 1 chỉ phân tích video và ghi thống kê vào passLogPrefix, lượt 2 dùng thống kê đó để phân bổ bitrate
+function createTargetSizeCommand(inputs, video, plan, { pass, passLogPrefix, clip = null, burnFile = null }) {
+    const container = VIDEO_CONTAINERS[video.container];
+    const codec = VIDEO_CODECS[plan.videoCodec];
+    const command = ffmpeg();
+    inputs.forEach((input) => {
+        command.input(input);
+        if (clip) command.inputOptions(['-ss', String(clip.start), ...(clip.duration !== null ? ['-t', String(clip.duration)] : [])]);
+    });
+
+    const presetIndex = VIDEO_PRESETS.indexOf(video.preset || DEFAULT_VIDEO_PRESET);
+    // libx265 không nhận -pass/-passlogfile mà dùng tham số riêng của x265
+    const passOptions = plan.videoCodec === 'h265'
+        ? ['-x265-params', `pass=${pass}:stats=${passLogPrefix}.log`]
+        : ['-pass', String(pass), '-passlogfile', passLogPrefix];
+    command
+        .outputOptions(['-map', '0:v:0'])
+        .videoCodec(codec.encoder)
+        .outputOptions([
+            '-b:v', `${plan.videoBitrate}k`,
+            ...(codec.cpuUsed ? ['-cpu-used', String(codec.cpuUsed[presetIndex])] : ['-preset', VIDEO_PRESETS[presetIndex]]),
+            ...codec.extraOptions,
+            ...passOptions,
+            '-pix_fmt', 'yuv420p'
+        ]);
+    // In phụ đề trước khi thu nhỏ; chỉ thu nhỏ, không phóng to video nguồn có độ phân giải thấp hơn
+    const filters = [
+        burnFile ? getBurnSubtitleFilter(burnFile, video.burnSubtitles) : null,
+        plan.maxHeight ? `scale=-2:'min(ih,${plan.maxHeight})'` : null
+    ].filter(Boolean);
+    if (filters.length > 0) command.outputOptions(['-vf', filters.join(',')]);
+
+    if (pass === 1) {
+        return command.noAudio().format('null');
+    }
+    command
+        .outputOptions(['-map', inputs.length > 1 ? '1:a:0' : '0:a:0?'])
+        .audioCodec(container.audioEncoder.codec)
+        .audioBitrate(`${plan.audioBitrate}k`);
+    if (plan.videoCodec === 'h265' && container.faststart) command.outputOptions(['-tag:v', 'hvc1']);
+    if (container.faststart) command.outputOptions(['-movflags', '+faststart']);
+    return command.format(container.muxer);
+}
+
+// Hàm xóa các file thống kê của mã hóa hai lượt
+async function removePassLogs(passLogPrefix) {
+    const directory = path.dirname(passLogPrefix);
+    const prefix = path.basename(passLogPrefix);
+    const files = await fs.promises.readdir(directory).catch(() => []);
+    await Promise.all(files
+        .filter(file => file.startsWith(prefix))
+        .map(file => fs.promises.unlink(path.join(directory, file)).catch(() => {})));
+}
+
+// Hàm mã hóa hai lượt để đầu ra vừa dung lượng đích (video.targetSizeMB), giảm độ phân giải khi bitrate quá thấp
+// clip: khoảng cắt { start, end } khi mã hóa thẳng từ file/URL nguồn; burnFile: file SRT cần in cứng (xem convertVideo)
+// Đầu ra vẫn vượt giới hạn thì mã hóa lại một lần với bitrate giảm theo tỉ lệ vượt, sau đó báo lỗi 422
+async function encodeToTargetSize(inputs, output, video, { jobId = null, clip = null, burnFile = null } = {}) {
+    const container = VIDEO_CONTAINERS[video.container];
+    const start = clip ? clip.start : 0;
+    const sourceDuration = clip && clip.end !== null ? null : (await probeMediaCodecs(inputs[0])).duration;
+    const duration = clip && clip.end !== null ? clip.end - start : (sourceDuration ? sourceDuration - start : null);
+    const limitBytes = video.targetSizeMB * 1024 * 1024;
+    const passLogPrefix = `${output}.passlog`;
+    let plan = { videoCodec: video.videoCodec || container.defaultVideoCodec, ...planTargetSize(duration, video.targetSizeMB) };
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            logger.info(`Target size encode for ${output} (attempt ${attempt})`, { targetSizeMB: video.targetSizeMB, duration, ...plan });
+            for (const pass of [1, 2]) {
+                if (jobId) updateJob(jobId, { phase: pass === 1 ? JOB_PHASES.ENCODING_PASS_1 : JOB_PHASES.ENCODING_PASS_2, progress: 0 });
+                const command = createTargetSizeCommand(inputs, video, plan, {
+                    pass,
+                    passLogPrefix,
+                    clip: clip ? { start, duration: clip.end !== null ? duration : null } : null,
+                    burnFile
+                });
+                await runFfmpegCommand(command, pass === 1 ? os.devNull : output, {
+                    jobId,
+                    duration,
+                    label: `FFmpeg ${plan.videoCodec} pass ${pass}/2`
+                });
+            }
+
+            const { size } = await fs.promises.stat(output);
+            if (size <= limitBytes) {
+                logger.info(`Target size encode fits: ${size} bytes <= ${limitBytes} bytes`, { output });
+                return { ...plan, copyVideo: false, copyAudio: false, size };
+            }
+            // Bitrate thực tế vượt dự kiến: giảm tổng bitrate theo tỉ lệ vượt (giữ nguyên bitrate âm thanh)
+            const videoBitrate = Math.floor((plan.videoBitrate + plan.audioBitrate) * (limitBytes / size) * 0.97) - plan.audioBitrate;
+            if (attempt >= 2 || videoBitrate < MIN_TARGET_VIDEO_BITRATE) {
+                await fs.promises.unlink(output).catch(() => {});
+                throw createTargetSizeError(`Không thể nén video xuống ${video.targetSizeMB} MB (kết quả ${(size / 1024 / 1024).toFixed(2)} MB). Vui lòng tăng targetSizeMB hoặc cắt đoạn ngắn hơn.`);
+            }
+            logger.warn(`Target size exceeded (${size} > ${limitBytes} bytes), re-encoding at ${videoBitrate}k`, { output });
+            plan = { ...plan, videoBitrate };
+        }
+    } finally {
+        await removePassLogs(passLogPrefix);
+    }
+}
+
+// Hàm tạo chuỗi filter của ảnh động: giảm fps, thu nhỏ theo chiều rộng (giữ tỉ lệ, không phóng to),
+// với GIF thì tạo bảng màu tối ưu cho chính đoạn cắt (palettegen) rồi áp dụng (paletteuse)
+function getAnimationFilter(type, width, fps) {
+    const base = `fps=${fps},scale='min(${width},iw)':-1:flags=lanczos`;
+    if (type !== 'gif') return base;
+    return `${base},split[frames][source];[source]palettegen=stats_mode=diff[palette];[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`;
+}
+
+// Hàm mã hóa một đoạn video thành ảnh động GIF/WebP (type), không có âm thanh
+// Đầu ra vượt animation.maxFileSizeMB thì thu nhỏ chiều rộng và mã hóa lại, hết số lần thử thì báo lỗi 422
+async function encodeAnimation(input, output, { start = 0, end }, animation, { type, jobId = null } = {}) {
+    const format = ANIMATION_FORMATS[type];
+    const duration = end - start;
+    const limitBytes = animation.maxFileSizeMB * 1024 * 1024;
+    let width = animation.width;
+    for (let attempt = 1; ; attempt++) {
+        const command = ffmpeg(input)
+            .inputOptions(['-ss', String(start), '-t', String(duration)])
+            .noAudio()
+            .outputOptions([
+                '-vf', getAnimationFilter(type, width, animation.fps),
+                ...format.codecOptions,
+                '-loop', String(animation.loop ? 0 : format.noLoop)
+            ])
+            .format(format.muxer);
+        if (jobId) updateJob(jobId, { progress: 0 });
+        await runFfmpegCommand(command, output, { jobId, duration, label: `FFmpeg ${type} ${width}px` });
+
+        const { size } = await fs.promises.stat(output);
+        if (size <= limitBytes) {
+            logger.info(`Animation fits: ${size} bytes <= ${limitBytes} bytes at ${width}px`, { output });
+            return;
+        }
+        const nextWidth = Math.floor(width * ANIMATION_SHRINK_RATIO);
+        if (attempt >= ANIMATION_MAX_ATTEMPTS || nextWidth < ANIMATION_WIDTH_RANGE[0]) {
+            await fs.promises.unlink(output).catch(() => {});
+            throw Object.assign(new Error(`Không thể tạo ảnh động nhỏ hơn ${animation.maxFileSizeMB} MB (kết quả ${(size / 1024 / 1024).toFixed(2)} MB ở chiều rộng ${width}px). Vui lòng tăng maxFileSizeMB, giảm fps hoặc cắt đoạn ngắn hơn.`), {
+                status: 422,
+                jobErrorCode: 'ANIMATION_TOO_LARGE'
+            });
+        }
+        logger.warn(`Animation exceeded ${limitBytes} bytes (${size}), re-encoding at ${nextWidth}px`, { output });
+        width = nextWidth;
+    }
+}
+
+// Hàm đổi mã ngôn ngữ phụ đề của YouTube (ví dụ 'en', 'zh-Hans') sang ISO 639-2 cho metadata của track
+function toTrackLanguage(language) {
+    const base = language.split('-')[0].toLowerCase();
+    return ISO_639_2_LANGUAGES[base] || (base.length === 3 ? base : 'und');
+}
+
+// Hàm nhúng các file phụ đề SRT vào video dưới dạng phụ đề mềm (sao chép nguyên luồng video/âm thanh)
+// tracks: [{ language, auto, filePath }] từ fetchSubtitleTracks; mỗi track có metadata ngôn ngữ và cờ default
+// clip: khoảng cắt { start, end } khi video đã được cắt, phụ đề được dịch về cùng mốc thời gian
+function embedSubtitles(input, output, tracks, video, { jobId = null, clip = null } = {}) {
+    const container = VIDEO_CONTAINERS[video.container];
+    const command = ffmpeg(input);
+    tracks.forEach((track) => {
+        command.input(track.filePath);
+        if (clip && clip.start) command.inputOptions(['-ss', String(clip.start)]);
+    });
+
+    command.outputOptions([
+        '-map', '0:v?',
+        '-map', '0:a?',
+        ...tracks.flatMap((track, index) => ['-map', `${index + 1}:0`]),
+        '-c:v', 'copy',
+        '-c:a', 'copy',
+        '-c:s', video.subtitleFormat
+    ]);
+    tracks.forEach((track, index) => {
+        command.outputOptions([
+            `-metadata:s:s:${index}`, `language=${toTrackLanguage(track.language)}`,
+            `-metadata:s:s:${index}`, `title=${track.language}${track.auto ? ' (auto)' : ''}`,
+            `-disposition:s:${index}`, track.language === video.defaultSubtitle ? 'default' : '0'
+        ]);
+    });
+    if (clip && clip.end !== null) command.outputOptions(['-t', String(clip.end - clip.start)]);
+    if (container.faststart) command.outputOptions(['-movflags', '+faststart']);
+    command.format(container.muxer);
+
+    return runFfmpegCommand(command, output, { jobId, label: `FFmpeg subtitle embed (${video.subtitleFormat})` });
+}
+
+// Hàm tạo tùy chọn yt-dlp để tải video; tùy chọn không mặc định thì ghép ra MKV rồi mới chuyển sang container đích
+function getYtDlpVideoOptions(video) {
+    if (isDefaultVideoOptions(video)) {
+        return { format: 'bestvideo+bestaudio/best', mergeOutputFormat: 'mp4' };
+    }
+    // Ưu tiên luồng nguồn có thể sao chép thẳng vào container đích
+    const container = VIDEO_CONTAINERS[video.container];
+    const codecs = video.videoCodec ? [video.videoCodec] : container.videoCodecs;
+    const audioSelector = container.audioCodecs.includes('opus') ? 'bestaudio' : '(bestaudio[acodec^=mp4a]/bestaudio)';
+    const preferred = codecs
+        .flatMap(name => VIDEO_CODECS[name].sourcePrefixes)
+        .map(prefix => `bestvideo[vcodec^=${prefix}]+${audioSelector}`);
+    return {
+        format: [...preferred, 'bestvideo+bestaudio', 'best'].join('/'),
+        mergeOutputFormat: 'mkv',
+        remuxVideo: 'mkv'
+    };
+}
+
+// Hàm lấy MIME type theo phần mở rộng của file
+function getMimeType(fileName) {
+    return MIME_TYPES[String(fileName).split('.').pop().toLowerCase()] || null;
+}
+
+// Hàm đổi timemark của FFmpeg (hh:mm:ss.xx) thành số giây
+function timemarkToSeconds(timemark) {
+    const [hours, minutes, seconds] = String(timemark || '0:0:0').split(':').map(Number);
+    return (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+}
+
+// Hàm chạy một lệnh FFmpeg, cập nhật tiến trình của job theo thời lượng đầu ra dự kiến
+// progressRange: khoảng tiến trình của job ứng với lệnh này (khi một bước gồm nhiều lệnh FFmpeg nối tiếp)
+function runFfmpegCommand(command, output, { jobId, duration = null, label = 'FFmpeg', progressRange = [0, 100] } = {}) {
+    const controls = jobId ? createProcessControls(command) : null;
+    return new Promise((resolve, reject) => {
+        command
+            .on('start', (commandLine) => {
+                logger.info(`${label} command: ${commandLine}`);
+                if (!jobId) return;
+                // Lệnh hủy/tạm dừng đến trước khi FFmpeg khởi động chưa có tiến trình để nhận tín hiệu, áp dụng lại lúc này
+                if (isJobCancelled(jobId)) {
+                    controls.cancel();
+                } else if (getJob(jobId)?.status === JOB_STATES.PAUSED && controls.pause) {
+                    controls.pause();
+                }
+            })
+            .on('progress', (progress) => {
+                if (!jobId) return;
+                const percent = duration
+                    ? (timemarkToSeconds(progress.timemark) / duration) * 100
+                    : progress.percent;
+                const [from, to] = progressRange;
+                if (Number.isFinite(percent)) updateJob(jobId, { progress: from + (Math.min(percent, 100) / 100) * (to - from) });
+            })
+            .on('end', () => {
+                logger.info(`${label} completed: ${output}`);
+                resolve();
+            })
+            .on('error', (error) => {
+                logger.error(`${label} error: ${error.message}`, { error: error.stack, output });
+                reject(error);
+            });
+
+        command.save(output);
+        if (jobId) setJobControls(jobId, controls);
+    });
+}
+
+// Hàm làm tròn số giây tới mili giây cho tham số của bộ lọc
+function roundSeconds(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Hàm tạo bộ lọc loudnorm với mức độ lớn đích (measured: kết quả đo của lượt phân tích)
+function getLoudnormFilter(targetLufs, measured = null) {
+    const filter = `loudnorm=I=${targetLufs}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_RANGE}`;
+    if (!measured) return `${filter}:print_format=json`;
+    return `${filter}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+        + `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json`;
+}
+
+// Hàm đọc kết quả đo độ lớn (khối JSON) mà loudnorm ghi ra log của FFmpeg
+function parseLoudnormStats(log) {
+    const match = log.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    return match ? JSON.parse(match[0]) : null;
+}
+
+// Hàm đọc các khoảng lặng mà silencedetect ghi ra log của FFmpeg: [{ start, end }] (end null nếu lặng tới hết file)
+function parseSilences(log) {
+    const silences = [];
+    log.split('\n').forEach((line) => {
+        const start = line.match(/silence_start: (-?[\d.]+)/);
+        if (start) silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+        const end = line.match(/silence_end: ([\d.]+)/);
+        if (end && silences.length > 0) silences[silences.length - 1].end = parseFloat(end[1]);
+    });
+    return silences;
+}
+
+// Hàm tạo lệnh FFmpeg đọc âm thanh từ input, chỉ lấy đoạn clip nếu có, và ghi lại log để đọc kết quả của bộ lọc
+function createAudioFilterCommand(input, clip, log) {
+    const command = ffmpeg(input, { stdoutLines: 0 });
+    if (clip) command.inputOptions(['-ss', String(clip.start), ...(clip.end !== null ? ['-t', String(clip.end - clip.start)] : [])]);
+    return command.on('stderr', line => log.push(line));
+}
+
+// Hàm chuyển đổi âm thanh kèm xử lý: cắt khoảng lặng đầu/cuối, chuẩn hóa độ lớn EBU R128 hai lượt và fade-in/fade-out
+// Lượt 1 chỉ phân tích (silencedetect, loudnorm đo độ lớn), lượt 2 cắt, chuẩn hóa tuyến tính theo số đo và mã hóa ra định dạng đầu ra
+// clip: khoảng cắt { start, end } khi đọc thẳng từ file/URL nguồn
+// Trả về { filters, loudness, silence }: chuỗi bộ lọc đã áp dụng, độ lớn đo được trước/sau khi chuẩn hóa, độ dài khoảng lặng đã cắt
+async function processAudio(input, output, audio, { jobId = null, clip = null } = {}) {
+    const probed = await probeMediaCodecs(input);
+    const start = clip ? clip.start : 0;
+    const duration = clip && clip.end !== null ? clip.end - start : (probed.duration ? probed.duration - start : null);
+
+    let measured = null;
+    let trimStart = 0;
+    let trimEnd = duration;
+    if (audio.targetLufs || audio.trimSilence) {
+        if (jobId) updateJob(jobId, { phase: JOB_PHASES.ANALYZING_AUDIO, progress: 0 });
+        const log = [];
+        const analysis = createAudioFilterCommand(input, clip, log)
+            .noVideo()
+            .outputOptions(['-af', [
+                audio.trimSilence ? `silencedetect=n=${SILENCE_THRESHOLD}:d=${SILENCE_MIN_DURATION}` : null,
+                audio.targetLufs ? getLoudnormFilter(audio.targetLufs) : null
+            ].filter(Boolean).join(',')])
+            .format('null');
+        await runFfmpegCommand(analysis, os.devNull, { jobId, duration, label: 'FFmpeg audio analysis' });
+
+        if (audio.targetLufs) {
+            measured = parseLoudnormStats(log.join('\n'));
+            // Âm thanh hoàn toàn im lặng (-inf LUFS) thì không chuẩn hóa được
+            if (!measured || !Number.isFinite(parseFloat(measured.input_i))) {
+                logger.warn(`Loudness measurement unavailable for ${input}, skipping normalization`, { measured });
+                measured = null;
+            }
+        }
+        if (audio.trimSilence) {
+            const silences = parseSilences(log.join('\n'));
+            const leading = silences[0];
+            const trailing = silences[silences.length - 1];
+            if (leading && leading.start <= SILENCE_EDGE_TOLERANCE && leading.end !== null) {
+                trimStart = leading.end;
+            }
+            if (trailing && trailing.start > trimStart
+                && (trailing.end === null || (duration && trailing.end >= duration - SILENCE_EDGE_TOLERANCE))) {
+                trimEnd = trailing.start;
+            }
+        }
+    }
+
+    const length = trimEnd !== null ? trimEnd - trimStart : null;
+    const filters = [];
+    if (trimStart > 0 || (trimEnd !== null && trimEnd < duration)) {
+        filters.push(`atrim=start=${roundSeconds(trimStart)}${trimEnd !== null ? `:end=${roundSeconds(trimEnd)}` : ''}`, 'asetpts=PTS-STARTPTS');
+    }
+    if (measured) {
+        filters.push(getLoudnormFilter(audio.targetLufs, measured), `aresample=${audio.sampleRate || probed.sampleRate || DEFAULT_LOUDNORM_SAMPLE_RATE}`);
+    }
+    if (audio.fadeIn) {
+        filters.push(`afade=t=in:st=0:d=${audio.fadeIn}`);
+    }
+    if (audio.fadeOut && length) {
+        filters.push(`afade=t=out:st=${roundSeconds(Math.max(0, length - audio.fadeOut))}:d=${audio.fadeOut}`);
+    }
+
+    if (jobId) {
+        updateJob(jobId, { phase: audio.audioFormat === 'mp3' ? JOB_PHASES.CONVERTING_MP3 : JOB_PHASES.CONVERTING_AUDIO, progress: 0 });
+    }
+    const log = [];
+    const command = createAudioFilterCommand(input, clip, log);
+    applyAudioOutput(command, audio);
+    if (filters.length > 0) command.outputOptions(['-af', filters.join(',')]);
+    await runFfmpegCommand(command, output, { jobId, duration: length, label: `FFmpeg ${audio.audioFormat} processing` });
+
+    const normalized = measured ? parseLoudnormStats(log.join('\n')) : null;
+    const toLoudness = (stats, prefix) => ({
+        integrated: parseFloat(stats[`${prefix}_i`]),
+        truePeak: parseFloat(stats[`${prefix}_tp`]),
+        range: parseFloat(stats[`${prefix}_lra`])
+    });
+    return {
+        filters,
+        loudness: measured ? {
+            targetLufs: audio.targetLufs,
+            input: toLoudness(measured, 'input'),
+            output: normalized ? toLoudness(normalized, 'output') : null,
+            normalizationType: normalized ? normalized.normalization_type : null
+        } : undefined,
+        silence: audio.trimSilence ? {
+            leading: roundSeconds(trimStart),
+            trailing: trimEnd !== null && duration ? roundSeconds(duration - trimEnd) : 0
+        } : undefined
+    };
+}
+
+// Hàm cắt một đoạn video/âm thanh theo khoảng thời gian
+// input có thể là file cục bộ hoặc URL định dạng (FFmpeg chỉ đọc các khoảng byte cần thiết qua HTTP range)
+// accurate = true thì mã hóa lại để cắt đúng từng khung hình, ngược lại sao chép luồng (nhanh nhưng cắt theo keyframe)
+// audio: tùy chọn âm thanh đầu ra (normalizeAudioOptions, kèm normalizeAudioFilterOptions) khi cắt âm thanh
+// video/source: tùy chọn video đầu ra (normalizeVideoOptions) và codec của luồng nguồn (getFormatCodecs) khi cắt video
+// burnFile: file SRT cần in cứng, mốc thời gian đã được dời về đầu đoạn cắt (fetchSubtitleTracks với clip)
+// animation: tùy chọn ảnh động (normalizeAnimationOptions) khi type là gif/webp
+function extractClip(input, output, { start = 0, end = null }, { type, accurate = false, jobId = null, audio = normalizeAudioOptions(), video = null, source = {}, burnFile = null, animation = null } = {}) {
+    if (ANIMATION_FORMATS[type]) {
+        return encodeAnimation(input, output, { start, end }, animation, { type, jobId });
+    }
+    // Xử lý âm thanh (chuẩn hóa độ lớn, cắt khoảng lặng, fade) chỉ áp dụng trên đoạn cắt
+    if (type === 'audio' && hasAudioFilters(audio)) {
+        return processAudio(input, output, audio, { jobId, clip: { start, end } });
+    }
+    // Nén theo dung lượng đích luôn mã hóa lại nên cắt đúng khung hình trong cùng hai lượt mã hóa
+    if (type === 'video' && video && video.targetSizeMB) {
+        return encodeToTargetSize([input], output, video, { jobId, clip: { start, end }, burnFile });
+    }
+    const duration = end === null ? null : end - start;
+    const command = ffmpeg(input).inputOptions(['-ss', String(start)]);
+    if (duration !== null) command.outputOptions(['-t', String(duration)]);
+
+    if (type === 'audio') {
+        applyAudioOutput(command, audio);
+    } else if (!isDefaultVideoOptions(video)) {
+        const plan = planVideoOutput(source, video, { forceTranscode: accurate });
+        if (plan.copyVideo) command.outputOptions(['-avoid_negative_ts', 'make_zero']);
+        if (burnFile) command.outputOptions(['-vf', getBurnSubtitleFilter(burnFile, video.burnSubtitles)]);
+        applyVideoOutput(command, video, plan);
+    } else if (accurate) {
+        command
+            .videoCodec('libx264')
+            .audioCodec('aac')
+            .outputOptions(['-preset', 'veryfast', '-crf', '20', '-movflags', '+faststart'])
+            .format('mp4');
+    } else {
+        command
+            .outputOptions(['-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart'])
+            .format('mp4');
+    }
+
+    return runFfmpegCommand(command, output, { jobId, duration, label: 'FFmpeg clip' });
+}
+
+// Hàm cắt một chương từ file đã tải hoàn chỉnh (đúng định dạng đầu ra) thành file riêng, ghi kèm thẻ metadata
+// Các luồng được sao chép nguyên (cắt theo keyframe); accurate = true thì mã hóa lại video để cắt đúng khung hình
+// coverPath: ảnh bìa nhúng vào file âm thanh MP3/M4A; progressRange: khoảng tiến trình của job ứng với chương này
+function extractChapter(input, output, { start, end }, { type, accurate = false, jobId = null, audio = null, video = null, tags = {}, coverPath = null, progressRange } = {}) {
+    const duration = end === null ? null : end - start;
+    const command = ffmpeg(input).inputOptions(['-ss', String(start)]);
+    if (duration !== null) command.outputOptions(['-t', String(duration)]);
+
+    if (type === 'audio') {
+        const withCover = Boolean(coverPath && AUDIO_FORMATS[audio.audioFormat].tagFormat);
+        if (withCover) command.input(coverPath);
+        applyAudioTags(command, audio, tags, { withCover });
+    } else {
+        const container = VIDEO_CONTAINERS[video.container];
+        command.outputOptions(['-map', '0', '-map_metadata', '-1']);
+        if (accurate) {
+            command.outputOptions(['-c:s', 'copy']);
+            applyVideoOutput(command, video, { videoCodec: video.videoCodec || container.defaultVideoCodec, copyVideo: false, copyAudio: true });
+        } else {
+            command.outputOptions(['-c', 'copy', '-avoid_negative_ts', 'make_zero']);
+            if (container.faststart) command.outputOptions(['-movflags', '+faststart']);
+            command.format(container.muxer);
+        }
+        applyMetadataTags(command, tags);
+    }
+
+    return runFfmpegCommand(command, output, { jobId, duration, label: 'FFmpeg chapter', progressRange });
+}
+
+// Hàm thêm tham số ghi đúng một ảnh theo định dạng ảnh đầu ra (IMAGE_FORMATS)
+function applyImageOutput(command, imageFormat) {
+    const format = IMAGE_FORMATS[imageFormat];
+    command.outputOptions(['-frames:v', '1', '-c:v', format.codec, ...format.qualityOptions, '-update', '1']);
+}
+
+// Hàm chuyển một ảnh (thumbnail đã tải) sang định dạng ảnh khác
+function convertImage(input, output, imageFormat) {
+    const command = ffmpeg(input);
+    applyImageOutput(command, imageFormat);
+    return runFfmpegCommand(command, output, { label: 'FFmpeg image' });
+}
+
+// Hàm chụp một khung hình tại mốc thời gian (giây) của video
+// input có thể là file cục bộ hoặc URL định dạng (FFmpeg chỉ đọc các khoảng byte quanh mốc thời gian qua HTTP range)
+function captureFrame(input, output, timestamp, imageFormat) {
+    const command = ffmpeg(input).inputOptions(['-ss', String(timestamp)]);
+    applyImageOutput(command, imageFormat);
+    return runFfmpegCommand(command, output, { label: 'FFmpeg frame' });
+}
+
+module.exports = {
+    AUDIO_FORMATS,
+    normalizeAudioOptions,
+    getAudioFileSuffix,
+    getAudioCopyMode,
+    hasAudioFilters,
+    applyAudioOutput,
+    convertAudio,
+    writeAudioTags,
+    getYtDlpAudioOptions,
+    VIDEO_CONTAINERS,
+    normalizeVideoOptions,
+    isDefaultVideoOptions,
+    normalizeMediaOptions,
+    getOutputNaming,
+    getFormatCodecs,
+    planVideoOutput,
+    planTargetSize,
+    getBurnSubtitleFilter,
+    getLoudnormFilter,
+    parseLoudnormStats,
+    parseSilences,
+    probeMediaCodecs,
+    convertVideo,
+    embedSubtitles,
+    getYtDlpVideoOptions,
+    getMimeType,
+    timemarkToSeconds,
+    runFfmpegCommand,
+    extractClip,
+    extractChapter,
+    ANIMATION_FORMATS,
+    validateAnimationClip,
+    IMAGE_FORMATS,
+    convertImage,
+    captureFrame
+};
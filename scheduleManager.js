@@ -0,0 +1,219 @@
+// scheduleManager.js
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+const { logger } = require('./utils');
+const { saveStoreEntry, deleteStoreEntry, loadStoreEntries } = require('./jobManager');
+
+// Collection lưu các lịch tải trong job store
+const SCHEDULE_COLLECTION = 'schedules';
+
+// Chu kỳ scheduler kiểm tra các lịch đến hạn (ms)
+const SCHEDULE_TICK_INTERVAL = 15000;
+
+// Số lần chạy gần nhất được lưu cho mỗi lịch
+const MAX_SCHEDULE_RUNS = 50;
+
+// Các trạng thái của lịch tải
+const SCHEDULE_STATES = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    COMPLETED: 'completed'
+};
+
+// Danh sách lịch tải trong bộ nhớ
+const schedules = new Map();
+
+let schedulerTimer = null;
+let runScheduledRequest = null;
+
+// Hàm tạo lỗi kèm HTTP status cho các route lịch tải
+function createScheduleError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Hàm tính thời điểm chạy tiếp theo của biểu thức cron sau thời điểm cho trước
+function getNextCronRun(cron, timezone, after = new Date()) {
+    try {
+        return cronParser.parseExpression(cron, { currentDate: after, ...(timezone ? { tz: timezone } : {}) })
+            .next()
+            .toDate()
+            .toISOString();
+    } catch (error) {
+        throw createScheduleError(`Biểu thức cron không hợp lệ: ${error.message}`);
+    }
+}
+
+// Hàm kiểm tra thời gian chạy (runAt hoặc cron) và tính thời điểm chạy đầu tiên
+function resolveTiming({ runAt, cron, timezone }) {
+    if ((runAt && cron) || (!runAt && !cron)) {
+        throw createScheduleError('Vui lòng chọn một trong hai: runAt (chạy một lần) hoặc cron (chạy định kỳ).');
+    }
+    if (timezone && !cron) {
+        throw createScheduleError('timezone chỉ dùng cùng với cron.');
+    }
+    if (cron) {
+        return { runAt: null, cron, timezone: timezone || null, nextRunAt: getNextCronRun(cron, timezone) };
+    }
+    const runAtTime = new Date(runAt);
+    if (Number.isNaN(runAtTime.getTime())) {
+        throw createScheduleError('runAt phải là thời điểm hợp lệ (ISO 8601).');
+    }
+    return { runAt: runAtTime.toISOString(), cron: null, timezone: null, nextRunAt: runAtTime.toISOString() };
+}
+
+// Hàm lưu lịch tải xuống store
+function persistSchedule(schedule) {
+    saveStoreEntry(SCHEDULE_COLLECTION, schedule.id, schedule);
+}
+
+// Hàm tạo lịch tải; request là yêu cầu tải đã được kiểm tra ({url, platform, type, ...})
+function createSchedule(request, timing) {
+    const now = new Date().toISOString();
+    const schedule = {
+        id: uuidv4(),
+        request,
+        ...resolveTiming(timing),
+        status: SCHEDULE_STATES.ACTIVE,
+        runs: [],
+        lastRunAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    schedules.set(schedule.id, schedule);
+    persistSchedule(schedule);
+    logger.info(`Schedule created: ${schedule.id}, next run at ${schedule.nextRunAt}`, { cron: schedule.cron });
+    return schedule;
+}
+
+// Hàm lấy lịch tải theo ID
+function getSchedule(id) {
+    return schedules.get(id) || null;
+}
+
+// Hàm liệt kê các lịch tải, có thể lọc theo trạng thái
+function listSchedules({ status } = {}) {
+    return [...schedules.values()]
+        .filter(schedule => !status || schedule.status === status)
+        .sort((a, b) => new Date(a.nextRunAt || a.createdAt) - new Date(b.nextRunAt || b.createdAt));
+}
+
+// Hàm cập nhật lịch tải: đổi yêu cầu tải, thời gian chạy hoặc tạm dừng/tiếp tục
+function updateSchedule(id, { request, timing, status }) {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw createScheduleError('Không tìm thấy lịch tải.', 404);
+    }
+    if (status && ![SCHEDULE_STATES.ACTIVE, SCHEDULE_STATES.PAUSED].includes(status)) {
+        throw createScheduleError(`Trạng thái không hợp lệ. Chỉ hỗ trợ: ${SCHEDULE_STATES.ACTIVE}, ${SCHEDULE_STATES.PAUSED}.`);
+    }
+
+    const patch = {};
+    if (timing) Object.assign(patch, resolveTiming(timing));
+    if (request) patch.request = request;
+    if (status) patch.status = status;
+
+    // Lịch chạy một lần đã xong chỉ được kích hoạt lại khi đổi thời gian chạy
+    if (schedule.status === SCHEDULE_STATES.COMPLETED && !timing) {
+        throw createScheduleError('Lịch tải đã chạy xong. Vui lòng đặt runAt hoặc cron mới.', 409);
+    }
+    if (timing && !status && schedule.status === SCHEDULE_STATES.COMPLETED) {
+        patch.status = SCHEDULE_STATES.ACTIVE;
+    }
+    // Tiếp tục lịch định kỳ thì tính lại lần chạy tiếp theo từ bây giờ, bỏ qua các lần đã lỡ khi tạm dừng
+    if (status === SCHEDULE_STATES.ACTIVE && !timing && schedule.cron) {
+        patch.nextRunAt = getNextCronRun(schedule.cron, schedule.timezone);
+    }
+
+    Object.assign(schedule, patch, { updatedAt: new Date().toISOString() });
+    persistSchedule(schedule);
+    logger.info(`Schedule updated: ${id}, status ${schedule.status}, next run at ${schedule.nextRunAt}`);
+    return schedule;
+}
+
+// Hàm xóa lịch tải
+function deleteSchedule(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw createScheduleError('Không tìm thấy lịch tải.', 404);
+    }
+    schedules.delete(id);
+    deleteStoreEntry(SCHEDULE_COLLECTION, id);
+    logger.info(`Schedule deleted: ${id}`);
+    return schedule;
+}
+
+// Hàm chạy một lịch tải đã đến hạn và tính lần chạy tiếp theo
+function runSchedule(schedule) {
+    const now = new Date();
+    let jobId = null;
+    let error = null;
+    try {
+        jobId = runScheduledRequest(schedule);
+        logger.info(`Schedule ${schedule.id} started job ${jobId}`);
+    } catch (runError) {
+        error = runError.message;
+        logger.error(`Schedule ${schedule.id} failed to start job: ${runError.message}`);
+    }
+
+    schedule.runs.push({ at: now.toISOString(), jobId, error });
+    if (schedule.runs.length > MAX_SCHEDULE_RUNS) {
+        schedule.runs.splice(0, schedule.runs.length - MAX_SCHEDULE_RUNS);
+    }
+    schedule.lastRunAt = now.toISOString();
+    if (schedule.cron) {
+        // Server dừng lâu thì chỉ chạy bù một lần rồi tính lịch tiếp theo từ hiện tại
+        schedule.nextRunAt = getNextCronRun(schedule.cron, schedule.timezone, now);
+    } else {
+        schedule.nextRunAt = null;
+        schedule.status = SCHEDULE_STATES.COMPLETED;
+    }
+    schedule.updatedAt = now.toISOString();
+    persistSchedule(schedule);
+}
+
+// Hàm chạy các lịch tải đã đến hạn
+function runDueSchedules() {
+    const now = Date.now();
+    for (const schedule of schedules.values()) {
+        if (schedule.status === SCHEDULE_STATES.ACTIVE && schedule.nextRunAt && new Date(schedule.nextRunAt).getTime() <= now) {
+            runSchedule(schedule);
+        }
+    }
+}
+
+// Hàm khôi phục lịch tải từ store và bắt đầu scheduler
+// run(schedule) tạo và chạy job cho yêu cầu của lịch, trả về ID job
+async function startScheduleRunner(run) {
+    runScheduledRequest = run;
+    for (const [id, schedule] of await loadStoreEntries(SCHEDULE_COLLECTION)) {
+        schedules.set(id, schedule);
+    }
+    logger.info(`Schedule runner started with ${schedules.size} schedules`);
+
+    runDueSchedules();
+    schedulerTimer = setInterval(runDueSchedules, SCHEDULE_TICK_INTERVAL);
+    schedulerTimer.unref();
+}
+
+// Hàm dừng scheduler
+function stopScheduleRunner() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+module.exports = {
+    SCHEDULE_STATES,
+    getNextCronRun,
+    resolveTiming,
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule,
+    startScheduleRunner,
+    stopScheduleRunner
+};
@@ -5,15 +5,120 @@ const { RateLimiterMemory } = require('rate-limiter-flexible');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const ytdl = require('@distube/ytdl-core');
 const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const os = require('os');
 const { getSubtitles: getYTSubtitles } = require('@treeee/youtube-caption-extractor');
 const ytDlp = require('yt-dlp-exec');
-const ffmpeg = require('fluent-ffmpeg');
 const { JSDOM } = require('jsdom');
+const archiver = require('archiver');
+const { cleanFolder, isPartialFile, getUniqueTempPath, getDownloadKey, parseClipRange, formatClipRange, validateFile } = require('./utils');
+const {
+    AUDIO_FORMATS,
+    getAudioCopyMode,
+    convertAudio,
+    writeAudioTags,
+    extractChapter,
+    normalizeMediaOptions,
+    isDefaultVideoOptions,
+    getOutputNaming,
+    getFormatCodecs,
+    convertVideo,
+    embedSubtitles,
+    getMimeType,
+    extractClip,
+    ANIMATION_FORMATS,
+    validateAnimationClip,
+    probeMediaCodecs,
+    convertImage,
+    captureFrame
+} = require('./mediaProcessor');
+const {
+    hasQualityOptions,
+    listFormats,
+    buildFormatPresets,
+    selectAdaptiveFormats,
+    selectFormatsByItag,
+    selectAudioFormatByItag,
+    selectAnimationSourceFormat,
+    describeSelection
+} = require('./formatSelector');
+const {
+    handleDownloadSubtitle,
+    restoreSubtitleRequests,
+    runSubtitleRequest,
+    fetchSubtitleTracks,
+    removeSubtitleTracks
+} = require('./subtitleDownloader');
+const { getYtdlTagSource, getYtDlpTagSource, buildAudioTags, downloadCoverArt } = require('./audioTagger');
+const { downloadWithYtDlp } = require('./videoDownloader');
+const { resolveChapters, getChapterFileName, buildChapterTags } = require('./chapterSplitter');
+const {
+    normalizeFrameOptions,
+    getFrameTimestamps,
+    selectFrameSourceFormat,
+    getThumbnailVariants,
+    getThumbnailFileName,
+    getFrameFileName
+} = require('./frameCapture');
+const { attachJobSocket } = require('./jobSocket');
+const { createJobStore } = require('./jobStore');
+const { networkPool, cpuPool } = require('./workerPool');
+const { validateCallbackUrl, registerCallback, getRequestBaseUrl, attachWebhookNotifier } = require('./webhookNotifier');
+const {
+    createSubscription,
+    getSubscription,
+    listSubscriptions,
+    updateSubscription,
+    deleteSubscription,
+    checkSubscription,
+    serializeSubscription,
+    startSubscriptionScheduler,
+    stopSubscriptionScheduler
+} = require('./subscriptionManager');
+const {
+    SCHEDULE_STATES,
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule,
+    startScheduleRunner,
+    stopScheduleRunner
+} = require('./scheduleManager');
+const {
+    JOB_STATES,
+    JOB_PHASES,
+    FINAL_STATES,
+    jobEvents,
+    createJob,
+    updateJob,
+    completeJob,
+    failJob,
+    cancelJob,
+    isJobCancelled,
+    getJob,
+    listJobs,
+    serializeJob,
+    setJobControls,
+    registerJobFiles,
+    claimJobKey,
+    findActiveJob,
+    listActiveJobFolders,
+    addJobWaiter,
+    removeJobWaiter,
+    followJob,
+    linkChildJob,
+    summarizeChildJobs,
+    createCancelledError,
+    createStreamControls,
+    registerJobRunner,
+    restoreJobs,
+    closeJobStore
+} = require('./jobManager');
 
 // Khởi tạo logger với winston
 const logger = winston.createLogger({
@@ -54,7 +159,7 @@ app.use((req, res, next) => {
         res.header('Access-Control-Allow-Origin', origin);
     }
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
     next();
 });
 
@@ -323,8 +428,36 @@ async function downloadSubtitleWithYtdlCore(url, language, isAuto = false) {
     }
 }
 
+// Hàm tải một luồng đã chọn (theo định dạng ytdl-core) về file, cập nhật tiến trình của job
+async function downloadFormatToFile(info, format, filePath, jobId, phase) {
+    updateJob(jobId, { status: JOB_STATES.RUNNING, phase, progress: 0 });
+    const stream = ytdl.downloadFromInfo(info, { format });
+    const fileStream = fs.createWriteStream(filePath);
+    setJobControls(jobId, createStreamControls(stream, fileStream));
+    await new Promise((resolve, reject) => {
+        stream.on('progress', (chunkLength, downloaded, total) => {
+            updateJob(jobId, { progress: (downloaded / total) * 100, downloadedBytes: downloaded, totalBytes: total });
+        });
+        stream.on('error', (error) => {
+            fileStream.end();
+            reject(error);
+        });
+        fileStream.on('error', (error) => {
+            stream.destroy();
+            reject(error);
+        });
+        fileStream.on('finish', resolve);
+        stream.pipe(fileStream);
+    });
+    logger.info(`Downloaded itag ${format.itag} for job ${jobId}: ${filePath}`);
+}
+
 // Hàm tải video/âm thanh với @distube/ytdl-core
-async function downloadMediaWithYtdlCore(url, type, quality) {
+// selectOnly = true thì chỉ chọn định dạng (kèm URL trực tiếp) mà không mở luồng tải
+// preferAudioCodec: với âm thanh, ưu tiên luồng có codec này (ví dụ 'opus', 'mp4a') để khỏi mã hóa lại
+// itag: với âm thanh, dùng đúng luồng audio-only mà client đã chọn từ /api/formats
+// animationWidth: với ảnh động gif/webp, chiều rộng đầu ra để chọn luồng video nguồn vừa đủ lớn
+async function downloadMediaWithYtdlCore(url, type, quality, { selectOnly = false, preferAudioCodec = null, itag = null, animationWidth = null } = {}) {
     try {
         // List of user agents to try
         const userAgents = [
@@ -415,9 +548,22 @@ async function downloadMediaWithYtdlCore(url, type, quality) {
             if (!selectedFormat) {
                 selectedFormat = formats.find(f => f.hasVideo);
             }
+        } else if (ANIMATION_FORMATS[type]) {
+            // Ảnh động chỉ cần hình: luồng video nhỏ nhất vẫn đủ chiều rộng đầu ra
+            selectedFormat = selectAnimationSourceFormat(formats, animationWidth || 0);
+        } else if (itag) {
+            // Client đã chọn luồng âm thanh cụ thể từ /api/formats
+            selectedFormat = selectAudioFormatByItag(formats, itag);
         } else {
+            // Ưu tiên luồng âm thanh có sẵn codec của định dạng đầu ra
+            if (preferAudioCodec) {
+                selectedFormat = formats
+                    .filter(f => f.hasAudio && !f.hasVideo && String(f.audioCodec || '').startsWith(preferAudioCodec))
+                    .sort((a, b) => (b.audioBitrate || 0) - (a.audioBitrate || 0))[0];
+            }
+
             // Cho audio, ưu tiên định dạng có sẵn MP3
-            selectedFormat = formats.find(f => {
+            if (!selectedFormat) selectedFormat = formats.find(f => {
                 const hasAudio = f.hasAudio;
                 const noVideo = !f.hasVideo;
                 const isMP3 = f.container === 'mp3' || f.mimeType.includes('mp3');
@@ -447,6 +593,10 @@ async function downloadMediaWithYtdlCore(url, type, quality) {
             mimeType: selectedFormat.mimeType
         });
 
+        if (selectOnly) {
+            return { format: selectedFormat, info };
+        }
+
         // Try downloading with different user agents
         let lastDownloadError = null;
         for (const userAgent of userAgents) {
@@ -474,7 +624,7 @@ async function downloadMediaWithYtdlCore(url, type, quality) {
                     });
                 });
 
-                return { format: selectedFormat, stream };
+                return { format: selectedFormat, stream, info };
             } catch (error) {
                 lastDownloadError = error;
                 logger.warn(`Failed to download with user agent ${userAgent}: ${error.message}`);
@@ -494,35 +644,6 @@ async function downloadMediaWithYtdlCore(url, type, quality) {
     }
 }
 
-// Hàm xóa file cũ nhất nếu vượt quá giới hạn
-async function cleanFolder(folderPath, maxFiles = 10) {
-    try {
-        const exists = await fsPromises.access(folderPath).then(() => true).catch(() => false);
-        if (!exists) return;
-
-        const files = await fsPromises.readdir(folderPath);
-        const fileStats = [];
-
-        for (const file of files) {
-            const filePath = path.join(folderPath, file);
-            const stats = await fsPromises.stat(filePath);
-            if (stats.isFile()) {
-                fileStats.push({ file, mtimeMs: stats.mtimeMs });
-            }
-        }
-
-        if (fileStats.length > maxFiles) {
-            fileStats.sort((a, b) => a.mtimeMs - b.mtimeMs);
-            const fileToDelete = path.join(folderPath, fileStats[0].file);
-            logger.info(`Chuẩn bị xóa file cũ nhất: ${fileToDelete}`);
-            await fsPromises.unlink(fileToDelete);
-            logger.info(`Đã xóa file cũ nhất: ${fileToDelete}`);
-        }
-    } catch (error) {
-        logger.error(`Error cleaning folder ${folderPath}: ${error.message}`);
-    }
-}
-
 // Hàm xử lý tiêu đề thành tên file hợp lệ
 function sanitizeFileName(title) {
     return title
@@ -1078,309 +1199,931 @@ app.post('/api/metadata', async (req, res) => {
     }
 });
 
-// Endpoint tải video hoặc âm thanh
-app.post('/api/download', async (req, res) => {
+// Endpoint liệt kê các định dạng của video YouTube kèm các lựa chọn gợi ý
+// Client hiển thị bảng chọn chất lượng rồi gửi itag/audioItag đã chọn vào /api/download
+app.get('/api/formats', async (req, res) => {
+    const { url } = req.query;
+    if (!url || typeof url !== 'string') {
+        logger.warn(`Missing url query for formats from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url)' });
+    }
+    if (!ytdl.validateURL(url)) {
+        logger.warn(`Invalid YouTube URL for formats from IP: ${req.ip}: ${url}`);
+        return res.status(400).json({ error: 'URL video YouTube không hợp lệ.' });
+    }
+
+    try {
+        const { info } = await networkPool.run(null, () => downloadMediaWithYtdlCore(url, 'video', null, { selectOnly: true }));
+        const durationSec = parseInt(info.videoDetails?.lengthSeconds, 10) || null;
+        res.json({
+            videoId: info.videoDetails?.videoId || ytdl.getURLVideoID(url),
+            title: info.videoDetails?.title || '',
+            duration: durationSec,
+            formats: listFormats(info.formats, durationSec),
+            presets: buildFormatPresets(info.formats, durationSec)
+        });
+    } catch (error) {
+        logger.error(`Formats Error: ${error.message}`, { url });
+        res.status(500).json({ error: 'Không thể lấy danh sách định dạng. Vui lòng thử lại sau!', details: error.message });
+    }
+});
+
+// Hàm lấy nguồn để tải thumbnail và chụp khung hình
+// Trả về { id, title, duration, thumbnails: [{ url, width, height }], mediaUrl }
+// YouTube lấy mọi độ phân giải thumbnail và luồng video từ ytdl-core, nền tảng khác lấy link video và thumbnail từ RapidAPI
+async function getFrameSource(url, platform) {
+    if (platform === 'youtube') {
+        const info = await getVideoInfo(url);
+        const format = selectFrameSourceFormat(info.formats);
+        return {
+            id: info.videoDetails.videoId,
+            title: info.videoDetails.title || '',
+            duration: parseInt(info.videoDetails.lengthSeconds, 10) || null,
+            thumbnails: info.videoDetails.thumbnails || [],
+            mediaUrl: format ? format.url : null
+        };
+    }
+
+    const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
+        method: 'POST',
+        headers: {
+            'x-rapidapi-key': process.env.RAPIDAPI_KEY,
+            'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
+            'Content-Type': 'application/json'
+        },
+        data: { url }
+    });
+    const data = response.data || {};
+    if (data.error) {
+        throw Object.assign(new Error(data.error), { status: 422 });
+    }
+    return {
+        id: crypto.createHash('md5').update(url).digest('hex').slice(0, 12),
+        title: data.metadata?.title || '',
+        duration: null,
+        thumbnails: data.metadata?.thumbnail ? [{ url: data.metadata.thumbnail }] : [],
+        mediaUrl: data.video || null
+    };
+}
+
+// Hàm trả về thông tin file ảnh đã lưu trong thư mục downloads
+async function describeImageFile(fileName, details) {
+    const { size } = await fsPromises.stat(path.join(__dirname, 'downloads', fileName));
+    return { ...details, fileName, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, size };
+}
+
+// Các thư mục <id>_frames đang được /api/frames ghi ảnh (tên thư mục -> số yêu cầu đang dùng),
+// cleanFolder bỏ qua các thư mục này giống thư mục của job chưa kết thúc
+const activeFrameFolders = new Map();
+
+// Hàm liệt kê các thư mục con trong downloads đang được sử dụng, không được cleanFolder xóa
+function listBusyFolders() {
+    return [...listActiveJobFolders(), ...activeFrameFolders.keys()];
+}
+
+// Endpoint tải thumbnail ở mọi độ phân giải và chụp khung hình từ video (ảnh xem trước)
+// Body: { url, platform, thumbnails, imageFormat, timestamps | count }
+// Ảnh được lưu trong thư mục downloads/<id>_frames và dùng lại nếu đã có từ yêu cầu trước
+app.post('/api/frames', async (req, res) => {
     if (!req.body || Object.keys(req.body).length === 0) {
         logger.warn(`Invalid request body from IP: ${req.ip}`);
         return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với các trường url và platform.' });
     }
 
-    const { url, platform, type, quality } = req.body;
+    const { url, platform } = req.body;
+    if (!url || !platform) {
+        logger.warn(`Missing required fields (url, platform) from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform)' });
+    }
+    if (platform === 'youtube' && !ytdl.validateURL(url)) {
+        logger.warn(`Invalid YouTube URL for frames from IP: ${req.ip}: ${url}`);
+        return res.status(400).json({ error: 'URL video YouTube không hợp lệ.' });
+    }
 
-    if (!url || !platform || !type) {
-        logger.warn(`Missing required fields (url, platform, type) from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform, type)' });
+    let options;
+    try {
+        options = normalizeFrameOptions(req.body);
+    } catch (error) {
+        logger.warn(`Invalid frame options from IP: ${req.ip}: ${error.message}`);
+        return res.status(400).json({ error: error.message });
     }
 
+    let folder = null;
     try {
         await rateLimiter.consume('download_endpoint', 1);
-        logger.info(`Download request: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}, Quality: ${quality}`);
-
         const ffmpegAvailable = await checkFFmpeg();
-        if (!ffmpegAvailable) {
+        if (!ffmpegAvailable && (options.imageFormat !== 'original' || options.timestamps || options.count)) {
             logger.error('FFmpeg is not installed or accessible');
-            return res.status(500).json({
-                error: 'FFmpeg không được cài đặt hoặc không thể truy cập. Vui lòng cài FFmpeg theo hướng dẫn tại https://ffmpeg.org/download.html và thử lại.'
-            });
+            return res.status(500).json({ error: 'FFmpeg không được cài đặt hoặc không thể truy cập.' });
         }
 
-        if (platform === 'youtube') {
-            const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-            if (!videoId) {
-                logger.warn(`Invalid YouTube URL from IP: ${req.ip}: ${url}`);
-                return res.status(400).json({ error: 'URL YouTube không hợp lệ' });
+        const source = await networkPool.run(null, () => getFrameSource(url, platform));
+        const wantsFrames = Boolean(options.timestamps || options.count);
+        if (wantsFrames && !source.mediaUrl) {
+            return res.status(422).json({ error: 'Không tìm thấy luồng video để chụp khung hình.' });
+        }
+        if (wantsFrames && source.duration === null && options.count) {
+            const { duration } = await probeMediaCodecs(source.mediaUrl);
+            source.duration = duration;
+        }
+        const timestamps = getFrameTimestamps(options, source.duration);
+
+        folder = `${source.id}_frames`;
+        activeFrameFolders.set(folder, (activeFrameFolders.get(folder) || 0) + 1);
+        const requestId = uuidv4();
+        await fsPromises.mkdir(path.join(__dirname, 'downloads', folder), { recursive: true });
+        const exists = fileName => fsPromises.access(path.join(__dirname, 'downloads', fileName)).then(() => true).catch(() => false);
+
+        // Thumbnail: tải ảnh gốc rồi chuyển định dạng nếu được yêu cầu, bỏ qua độ phân giải không tải được
+        const thumbnails = [];
+        for (const thumbnail of options.thumbnails ? getThumbnailVariants(source.thumbnails) : []) {
+            const fileName = `${folder}/${getThumbnailFileName(thumbnail, options.imageFormat)}`;
+            const filePath = path.join(__dirname, 'downloads', fileName);
+            if (!await exists(fileName)) {
+                const originalPath = getUniqueTempPath(path.join(path.dirname(filePath), getThumbnailFileName(thumbnail, 'original')), requestId, 'original');
+                const tempPath = getUniqueTempPath(filePath, requestId);
+                try {
+                    const response = await networkPool.run(null, () => fetchWithRetry(thumbnail.url, { responseType: 'arraybuffer' }, 1, 1000));
+                    await fsPromises.writeFile(originalPath, Buffer.from(response.data));
+                    if (options.imageFormat === 'original') {
+                        await fsPromises.rename(originalPath, filePath);
+                    } else {
+                        await cpuPool.run(null, () => convertImage(originalPath, tempPath, options.imageFormat));
+                        await fsPromises.rename(tempPath, filePath);
+                    }
+                } catch (error) {
+                    logger.warn(`Failed to save thumbnail ${thumbnail.url}: ${error.message}`);
+                    continue;
+                } finally {
+                    [originalPath, tempPath].forEach(file => fs.unlink(file, () => {}));
+                }
             }
+            thumbnails.push(await describeImageFile(fileName, { width: thumbnail.width || null, height: thumbnail.height || null }));
+        }
 
-            const availability = await checkVideoAvailability(videoId);
-            if (!availability.isAvailable) {
-                logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
-                return res.status(403).json({ error: availability.reason });
+        // Khung hình: FFmpeg tua tới từng mốc trên luồng video và chụp một ảnh
+        const frames = [];
+        for (const timestamp of timestamps) {
+            const fileName = `${folder}/${getFrameFileName(timestamp, options.imageFormat)}`;
+            const filePath = path.join(__dirname, 'downloads', fileName);
+            if (!await exists(fileName)) {
+                const tempPath = getUniqueTempPath(filePath, requestId);
+                try {
+                    await cpuPool.run(null, () => captureFrame(source.mediaUrl, tempPath, timestamp, options.imageFormat));
+                    await fsPromises.rename(tempPath, filePath);
+                } finally {
+                    fs.unlink(tempPath, () => {});
+                }
             }
+            frames.push(await describeImageFile(fileName, { timestamp }));
+        }
 
-            let videoTitle = await getVideoTitle(videoId);
-            const fileExtension = type === 'video' ? 'mp4' : 'mp3';
-            const fileName = `${videoTitle}${quality ? `_${quality}` : ''}.${fileExtension}`;
-            const filePath = path.join(__dirname, 'downloads', fileName);
+        logger.info(`Frames request for ${url}: ${thumbnails.length} thumbnails, ${frames.length} frames, IP: ${req.ip}`);
+        res.json({ id: source.id, title: source.title, duration: source.duration, thumbnails, frames });
+    } catch (error) {
+        if (error.msBeforeNext !== undefined) {
+            logger.warn(`Frames request rate limited for IP: ${req.ip}`);
+            return res.status(429).json({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!' });
+        }
+        if (error.status === 400 || error.status === 422) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error(`Frames Error: ${error.message}`, { url, error: error.stack });
+        res.status(500).json({ error: 'Không thể lấy thumbnail hoặc chụp khung hình. Vui lòng thử lại sau!', details: error.message });
+    } finally {
+        if (folder) {
+            const remaining = activeFrameFolders.get(folder) - 1;
+            if (remaining > 0) activeFrameFolders.set(folder, remaining);
+            else activeFrameFolders.delete(folder);
+        }
+    }
+});
+
+// Hàm tách file đã tải hoàn chỉnh (filePath) thành từng file theo chương trong thư mục <tên file>_chapters,
+// ghi thẻ metadata cho từng file và nén thêm thành ZIP nếu chapterPackaging là zip
+// info: thông tin video đã lấy trước đó (lấy lại nếu không có)
+async function splitIntoChapters(jobId, { url, type, fileName, filePath, outputOptions, accurate = false, info = null }) {
+    const folder = fileName.replace(/\.[^.]+$/, '_chapters');
+    updateJob(jobId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.SPLITTING_CHAPTERS, progress: 0, eta: null, chapterFolder: folder });
+    const videoInfo = info || await networkPool.run(jobId, () => getVideoInfo(url));
+    const { chapters, source: chapterSource } = resolveChapters(videoInfo);
+    const tagSource = getYtdlTagSource(videoInfo);
+    const audio = type === 'audio' ? outputOptions : null;
+    const video = type === 'video' ? outputOptions : null;
+
+    await fsPromises.mkdir(path.join(__dirname, 'downloads', folder), { recursive: true });
+    const extension = path.extname(filePath).slice(1);
+    const coverPath = audio && AUDIO_FORMATS[audio.audioFormat].tagFormat
+        ? await networkPool.run(jobId, () => downloadCoverArt(tagSource.thumbnails, { filePath, jobId }))
+        : null;
+
+    const items = [];
+    try {
+        for (const [index, chapter] of chapters.entries()) {
+            const number = index + 1;
+            const chapterFileName = `${folder}/${getChapterFileName(number, chapters.length, chapter.title, extension)}`;
+            const chapterPath = path.join(__dirname, 'downloads', chapterFileName);
+            const tempPath = getUniqueTempPath(chapterPath, jobId);
+            registerJobFiles(jobId, tempPath);
+            const tags = buildChapterTags(tagSource, chapter, { url, number, total: chapters.length });
+            const progressRange = [(index / chapters.length) * 100, (number / chapters.length) * 100];
+            await cpuPool.run(jobId, () => extractChapter(filePath, tempPath, chapter, { type, accurate, jobId, audio, video, tags, coverPath, progressRange }))
+                .catch((error) => {
+                    fs.unlink(tempPath, () => {});
+                    throw error;
+                });
+            await fsPromises.rename(tempPath, chapterPath);
+            const { size } = await fsPromises.stat(chapterPath);
+            items.push({
+                number,
+                title: chapter.title,
+                start: chapter.start,
+                end: chapter.end,
+                fileName: chapterFileName,
+                downloadUrl: `/downloads/${encodeURIComponent(chapterFileName)}`,
+                size
+            });
+        }
+    } finally {
+        if (coverPath) fs.unlink(coverPath, () => {});
+    }
+
+    let zipUrl = null;
+    if (outputOptions.chapterPackaging === 'zip') {
+        updateJob(jobId, { phase: JOB_PHASES.PACKAGING });
+        const zipFileName = `${folder}/${path.basename(folder)}.zip`;
+        await writeDownloadsZip(path.join(__dirname, 'downloads', zipFileName), items, jobId);
+        zipUrl = `/downloads/${encodeURIComponent(zipFileName)}`;
+    }
+    logger.info(`Split ${filePath} into ${items.length} chapters (from ${chapterSource}) for job ${jobId}`);
+    return { chapterSource, chapters: items, zipUrl };
+}
+
+// Hàm tách file theo chương rồi hoàn tất job (dùng cả khi file đầy đủ đã có sẵn từ lần tải trước)
+// result: kết quả của file đầy đủ; downloadUrl của job là file ZIP nếu có, ngược lại là file đầy đủ
+async function completeChapterSplit(downloadId, splitParams, result) {
+    try {
+        const split = await splitIntoChapters(downloadId, splitParams);
+        const downloadUrl = split.zipUrl || result.downloadUrl;
+        completeJob(downloadId, { ...result, ...split, downloadUrl });
+        return reply(200, { success: true, downloadId, ...result, ...split, downloadUrl });
+    } catch (error) {
+        if (isJobCancelled(downloadId)) {
+            logger.info(`Chapter split stopped because job ${downloadId} was cancelled`);
+            return reply(409, { error: 'Job đã bị hủy.', downloadId });
+        }
+        logger.error(`Chapter split failed for job ${downloadId}: ${error.message}`, { error: error.stack, filePath: splitParams.filePath });
+        if (error.status === 422) {
+            failJob(downloadId, { jobErrorCode: error.jobErrorCode, message: error.message });
+            return reply(422, { error: error.message, downloadId });
+        }
+        failJob(downloadId, { message: 'Không thể tách file theo chương.', details: error.message });
+        return reply(500, { error: 'Không thể tách file theo chương.', details: error.message, downloadId });
+    }
+}
+
+// Hàm tạo kết quả trả về cho client (mã HTTP và nội dung JSON)
+function reply(status, body) {
+    return { status, body };
+}
+
+// Hàm tải video/âm thanh cho một job đã tạo và trả về kết quả cho client
+// (dùng chung cho /api/download và các mục trong /api/batch)
+async function processDownload(downloadId, params, { ip, onCoalesced = () => {} } = {}) {
+    const { url, platform, type, quality, playlistIndex, playlistFolder, playlistTitle, start, end, accurate } = params;
+    const ffmpegAvailable = await checkFFmpeg();
+    if (!ffmpegAvailable) {
+        logger.error('FFmpeg is not installed or accessible');
+        failJob(downloadId, { jobErrorCode: 'FFMPEG_UNAVAILABLE', message: 'FFmpeg không được cài đặt hoặc không thể truy cập.' });
+        return reply(500, {
+            error: 'FFmpeg không được cài đặt hoặc không thể truy cập. Vui lòng cài FFmpeg theo hướng dẫn tại https://ffmpeg.org/download.html và thử lại.',
+            downloadId
+        });
+    }
+
+    if (platform === 'youtube') {
+        const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
+        if (!videoId) {
+            logger.warn(`Invalid YouTube URL from IP: ${ip}: ${url}`);
+            failJob(downloadId, { jobErrorCode: 'INVALID_URL', message: 'URL YouTube không hợp lệ' });
+            return reply(400, { error: 'URL YouTube không hợp lệ', downloadId });
+        }
 
-            if (!await fsPromises.access(path.join(__dirname, 'downloads')).then(() => true).catch(() => false)) {
-                await fsPromises.mkdir(path.join(__dirname, 'downloads'), { recursive: true });
+        // Yêu cầu giống hệt đang được xử lý thì đi theo job đó và nhận chung kết quả
+        const clip = parseClipRange(start, end);
+        const outputOptions = normalizeMediaOptions(type, params);
+        const audio = type === 'audio' ? outputOptions : null;
+        const video = type === 'video' ? outputOptions : null;
+        const animation = ANIMATION_FORMATS[type] ? outputOptions : null;
+        const downloadKey = getDownloadKey(videoId, {
+            type,
+            quality,
+            ...outputOptions,
+            playlistIndex,
+            playlistFolder,
+            start: clip?.start,
+            end: clip?.end,
+            accurate: (clip || outputOptions.splitByChapters) && accurate ? true : undefined
+        });
+        // Job được chạy lại sau khi khởi động lại đã giữ sẵn khóa của chính nó
+        const existingJob = findActiveJob(downloadKey);
+        if (existingJob && existingJob.id !== downloadId) {
+            const sharedJobId = existingJob.id;
+            onCoalesced(sharedJobId);
+            addJobWaiter(sharedJobId);
+            logger.info(`Coalesced download ${downloadId} into running job ${sharedJobId}`);
+            const sharedJob = await followJob(downloadId, sharedJobId);
+            if (sharedJob?.status === JOB_STATES.DONE) {
+                return reply(200, { success: true, downloadUrl: sharedJob.downloadUrl, downloadId, coalescedWith: sharedJobId });
+            }
+            if (isJobCancelled(downloadId) || sharedJob?.status === JOB_STATES.CANCELLED) {
+                return reply(409, { error: 'Job đã bị hủy.', downloadId });
             }
+            return reply(500, {
+                error: sharedJob?.error?.message || 'Không thể tải video/âm thanh. Vui lòng thử lại sau!',
+                details: sharedJob?.error?.details,
+                downloadId,
+                coalescedWith: sharedJobId
+            });
+        }
+        claimJobKey(downloadId, downloadKey);
+
+        updateJob(downloadId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.FETCHING_INFO });
+        const availability = await checkVideoAvailability(videoId);
+        if (!availability.isAvailable) {
+            logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
+            failJob(downloadId, { jobErrorCode: 'VIDEO_UNAVAILABLE', message: availability.reason });
+            return reply(403, { error: availability.reason, downloadId });
+        }
+
+        let videoTitle = await getVideoTitle(videoId);
+        const { extension: fileExtension, suffix: outputSuffix } = getOutputNaming(type, outputOptions);
+        // Video trong playlist được lưu vào thư mục riêng của playlist, tên file bắt đầu bằng số thứ tự
+        const clipSuffix = clip ? formatClipRange(clip) : '';
+        const baseName = `${playlistIndex ? `${playlistIndex}_` : ''}${videoTitle}${quality ? `_${quality}` : ''}${outputSuffix}${clipSuffix}.${fileExtension}`;
+        const fileName = playlistFolder ? `${playlistFolder}/${baseName}` : baseName;
+        const filePath = path.join(__dirname, 'downloads', fileName);
+
+        if (!await fsPromises.access(path.dirname(filePath)).then(() => true).catch(() => false)) {
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        }
 
-            await cleanFolder(path.join(__dirname, 'downloads'));
+        await cleanFolder(path.join(__dirname, 'downloads'), 10, { keep: listBusyFolders() });
 
-            if (await fsPromises.access(filePath).then(() => true).catch(() => false)) {
-                logger.info(`File đã tồn tại: ${filePath}`);
-                return res.status(200).json({ success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}` });
+        const splitParams = { url, type, fileName, filePath, outputOptions, accurate: Boolean(accurate) };
+        if (await fsPromises.access(filePath).then(() => true).catch(() => false)) {
+            logger.info(`File đã tồn tại: ${filePath}`);
+            if (outputOptions.splitByChapters) {
+                return completeChapterSplit(downloadId, splitParams, { downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, fileName });
             }
+            completeJob(downloadId, { downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, fileName });
+            return reply(200, { success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, downloadId });
+        }
 
-            // Sử dụng @distube/ytdl-core để tải video/âm thanh
-            try {
-                const { format, stream } = await downloadMediaWithYtdlCore(url, type, quality);
-                logger.info(`Selected format: ${JSON.stringify(format)}`);
+        // Ghi vào file tạm riêng của job rồi mới đổi tên sang file đích, tránh hai job cùng ghi một file
+        const outputPath = getUniqueTempPath(filePath, downloadId);
+        // Video với container/codec khác mặc định được tải về file tạm rồi mới chuyển đổi
+        const convertVideoOutput = type === 'video' && !isDefaultVideoOptions(video);
+        const downloadPath = type === 'audio' || clip || convertVideoOutput
+            ? getUniqueTempPath(filePath.replace(/\.[^.]+$/, '.mp4'), downloadId, 'temp')
+            : outputPath;
+        registerJobFiles(downloadId, outputPath, downloadPath);
+        // Chọn chất lượng chi tiết hoặc chọn itag: tải riêng luồng video-only và audio-only rồi ghép bằng FFmpeg
+        const adaptive = type === 'video' && (hasQualityOptions(video) || video.itag !== null);
+
+        // Tải qua mạng trong pool tải, chuyển đổi FFmpeg trong pool CPU để giới hạn tải của máy chủ
+        let format = null;
+        let videoInfo = null;
+        // Thông tin video của yt-dlp khi phải tải dự phòng bằng yt-dlp
+        let ytDlpInfo = null;
+        let formatSelection;
+        let subtitleTracks = [];
+        let burnTracks = [];
+        let downloadError = null;
+        let downloadProgress = 0;
+        // Kết quả xử lý âm thanh (bộ lọc đã áp dụng, độ lớn đo được) khi có targetLufs/trimSilence/fadeIn/fadeOut
+        let audioProcessing;
+        try {
+            // Tách theo chương: lấy danh sách chương trước để báo lỗi sớm nếu video không có chương
+            if (outputOptions.splitByChapters) {
+                updateJob(downloadId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.FETCHING_INFO });
+                splitParams.info = await networkPool.run(downloadId, () => getVideoInfo(url));
+                resolveChapters(splitParams.info);
+            }
 
-                const fileStream = fs.createWriteStream(filePath);
-                let downloadError = null;
-                let downloadProgress = 0;
-                
-                return new Promise((resolve, reject) => {
-                    stream.pipe(fileStream);
-                    
-                    stream.on('error', (error) => {
-                        downloadError = error;
-                        logger.error(`Stream error: ${error.message}`, { 
-                            error: error.stack,
-                            url: url,
-                            type: type,
-                            format: format
-                        });
-                        fileStream.end();
-                        fs.unlink(filePath, () => {});
-                        reject(error);
+            // Phụ đề cần nhúng được tải trước để báo lỗi sớm nếu video không có ngôn ngữ yêu cầu
+            if (video && video.subtitles) {
+                updateJob(downloadId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.DOWNLOADING_SUBTITLE });
+                subtitleTracks = await networkPool.run(downloadId, () => fetchSubtitleTracks(url, video.subtitles, { filePath, jobId: downloadId }));
+            }
+            // Phụ đề in cứng chỉ giữ các câu trong đoạn cắt, mốc thời gian dời về đầu đoạn
+            if (video && video.burnSubtitles) {
+                updateJob(downloadId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.DOWNLOADING_SUBTITLE });
+                burnTracks = await networkPool.run(downloadId, () => fetchSubtitleTracks(url, [video.burnSubtitles.language], { filePath, jobId: downloadId, variant: 'burn', clip }));
+            }
+            const burnFile = burnTracks.length > 0 ? burnTracks[0].filePath : null;
+
+            // Cắt đoạn: thử để FFmpeg đọc trực tiếp URL định dạng, chỉ tải các khoảng byte cần thiết
+            let clipped = false;
+            if (clip && !adaptive) {
+                clipped = await networkPool.run(downloadId, async () => {
+                    const media = await downloadMediaWithYtdlCore(url, type, quality, {
+                        selectOnly: true,
+                        preferAudioCodec: audio && AUDIO_FORMATS[audio.audioFormat].sourceCodec,
+                        itag: audio && audio.itag,
+                        animationWidth: animation && animation.width
                     });
+                    format = media.format;
+                    videoInfo = media.info;
+                    updateJob(downloadId, {
+                        status: JOB_STATES.RUNNING,
+                        phase: type === 'audio' ? JOB_PHASES.DOWNLOADING_AUDIO : JOB_PHASES.DOWNLOADING_VIDEO
+                    });
+                    const result = await extractClip(format.url, outputPath, clip, { type, accurate, jobId: downloadId, audio, video, source: getFormatCodecs(format), burnFile, animation });
+                    if (type === 'audio') audioProcessing = result;
+                    return true;
+                }).catch((error) => {
+                    if (isJobCancelled(downloadId)) throw error;
+                    logger.warn(`Range clip extraction failed for job ${downloadId}, downloading full media instead: ${error.message}`);
+                    fs.unlink(outputPath, () => {});
+                    return false;
+                });
+            }
 
-                    stream.on('progress', (chunkLength, downloaded, total) => {
-                        downloadProgress = (downloaded / total) * 100;
-                        logger.info(`Download progress: ${downloadProgress.toFixed(2)}%`);
+            if (adaptive) {
+                const videoPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, '.mp4'), downloadId, 'video');
+                const audioPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, '.mp4'), downloadId, 'audio');
+                registerJobFiles(downloadId, videoPath, audioPath);
+                try {
+                    await networkPool.run(downloadId, async () => {
+                        const { info } = await downloadMediaWithYtdlCore(url, type, quality, { selectOnly: true });
+                        const durationSec = parseInt(info.videoDetails?.lengthSeconds, 10) || null;
+                        const selection = video.itag !== null
+                            ? selectFormatsByItag(info.formats, video, { durationSec })
+                            : selectAdaptiveFormats(info.formats, video, { durationSec });
+                        format = selection.video;
+                        formatSelection = describeSelection(selection);
+                        updateJob(downloadId, { formatSelection });
+                        await downloadFormatToFile(info, selection.video, videoPath, downloadId, JOB_PHASES.DOWNLOADING_VIDEO);
+                        // itag progressive đã có sẵn âm thanh nên không cần tải luồng âm thanh riêng
+                        if (selection.audio) {
+                            await downloadFormatToFile(info, selection.audio, audioPath, downloadId, JOB_PHASES.DOWNLOADING_AUDIO);
+                        }
+                    });
+                    // Ghép thẳng ra container đích; khi cắt đoạn thì ghép ra file tạm để cắt ở bước sau
+                    // (nén theo targetSizeMB và in phụ đề chỉ làm một lần ở bước cắt)
+                    updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.MERGING, eta: null });
+                    const inputs = formatSelection.audio ? [videoPath, audioPath] : [videoPath];
+                    const mergeOptions = clip ? { ...video, targetSizeMB: null, burnSubtitles: null } : video;
+                    await cpuPool.run(downloadId, () => convertVideo(inputs, clip ? downloadPath : outputPath, mergeOptions, { jobId: downloadId, burnFile: clip ? null : burnFile }));
+                } finally {
+                    fs.unlink(videoPath, () => {});
+                    fs.unlink(audioPath, () => {});
+                }
+            } else if (!clipped) {
+                const downloadedWithYtdl = await networkPool.run(downloadId, async () => {
+                    // Sử dụng @distube/ytdl-core để tải video/âm thanh
+                    const media = await downloadMediaWithYtdlCore(url, type, quality, {
+                        preferAudioCodec: audio && AUDIO_FORMATS[audio.audioFormat].sourceCodec,
+                        itag: audio && audio.itag,
+                        animationWidth: animation && animation.width
+                    });
+                    const { stream } = media;
+                    format = media.format;
+                    videoInfo = media.info;
+                    logger.info(`Selected format: ${JSON.stringify(format)}`);
+                    updateJob(downloadId, {
+                        status: JOB_STATES.RUNNING,
+                        phase: type === 'audio' ? JOB_PHASES.DOWNLOADING_AUDIO : JOB_PHASES.DOWNLOADING_VIDEO
                     });
 
-                    fileStream.on('error', (error) => {
-                        downloadError = error;
-                        logger.error(`File stream error: ${error.message}`, {
-                            error: error.stack,
-                            filePath: filePath
+                    const fileStream = fs.createWriteStream(downloadPath);
+                    await new Promise((resolve, reject) => {
+                        stream.pipe(fileStream);
+                        setJobControls(downloadId, createStreamControls(stream, fileStream));
+
+                        stream.on('error', (error) => {
+                            downloadError = error;
+                            logger.error(`Stream error: ${error.message}`, {
+                                error: error.stack,
+                                url: url,
+                                type: type,
+                                format: format
+                            });
+                            fileStream.end();
+                            fs.unlink(downloadPath, () => {});
+                            reject(error);
+                        });
+
+                        stream.on('progress', (chunkLength, downloaded, total) => {
+                            downloadProgress = (downloaded / total) * 100;
+                            logger.info(`Download progress: ${downloadProgress.toFixed(2)}%`);
+                            updateJob(downloadId, { progress: downloadProgress, downloadedBytes: downloaded, totalBytes: total });
                         });
-                        stream.destroy();
-                        fs.unlink(filePath, () => {});
-                        reject(error);
-                    });
 
-                    fileStream.on('finish', () => {
-                        fileStream.close();
-                        if (type === 'audio') {
-                            // Kiểm tra xem file đã là MP3 chưa
-                            const isMP3 = format.container === 'mp3' || format.mimeType.includes('mp3');
-                            if (isMP3) {
-                                // Nếu đã là MP3, chỉ cần đổi tên file
-                                fs.rename(filePath, filePath.replace('.mp4', '.mp3'), (err) => {
-                                    if (err) {
-                                        logger.error(`Error renaming file: ${err.message}`, {
-                                            error: err.stack,
-                                            from: filePath,
-                                            to: filePath.replace('.mp4', '.mp3')
-                                        });
-                                        reject(err);
-                                        return;
-                                    }
-                                    resolve();
-                                });
-                            } else {
-                                // Nếu không phải MP3, cần chuyển đổi
-                                const tempPath = filePath.replace('.mp3', '_temp.mp4');
-                                fs.rename(filePath, tempPath, async (err) => {
-                                    if (err) {
-                                        logger.error(`Error renaming file: ${err.message}`, {
-                                            error: err.stack,
-                                            from: filePath,
-                                            to: tempPath
-                                        });
-                                        reject(err);
-                                        return;
-                                    }
-                                    try {
-                                        await new Promise((resolve, reject) => {
-                                            const ffmpegCommand = ffmpeg(tempPath)
-                                                .noVideo()
-                                                .audioCodec('libmp3lame')
-                                                .audioBitrate('192k')
-                                                .audioChannels(2)
-                                                .on('start', (commandLine) => {
-                                                    logger.info(`FFmpeg command: ${commandLine}`);
-                                                })
-                                                .on('progress', (progress) => {
-                                                    logger.info(`FFmpeg progress: ${JSON.stringify(progress)}`);
-                                                })
-                                                .on('end', () => {
-                                                    logger.info('FFmpeg conversion completed successfully');
-                                                    resolve();
-                                                })
-                                                .on('error', (err) => {
-                                                    logger.error(`FFmpeg error: ${err.message}`, {
-                                                        error: err.stack,
-                                                        input: tempPath,
-                                                        output: filePath
-                                                    });
-                                                    reject(err);
-                                                });
-
-                                            logger.info('Starting FFmpeg conversion...');
-                                            ffmpegCommand.save(filePath);
-                                        });
-                                        fs.unlink(tempPath, () => {});
-                                        resolve();
-                                    } catch (error) {
-                                        logger.error(`FFmpeg conversion error: ${error.message}`, {
-                                            error: error.stack,
-                                            input: tempPath,
-                                            output: filePath
-                                        });
-                                        fs.unlink(tempPath, () => {});
-                                        reject(error);
-                                    }
-                                });
-                            }
-                        } else {
+                        fileStream.on('error', (error) => {
+                            downloadError = error;
+                            logger.error(`File stream error: ${error.message}`, {
+                                error: error.stack,
+                                filePath: downloadPath
+                            });
+                            stream.destroy();
+                            fs.unlink(downloadPath, () => {});
+                            reject(error);
+                        });
+
+                        fileStream.on('finish', () => {
+                            fileStream.close();
                             resolve();
-                        }
+                        });
                     });
-                }).then(() => {
-                    if (!fs.existsSync(filePath)) {
-                        throw new Error('Download failed, file not created');
-                    }
-                    const stats = fs.statSync(filePath);
-                    if (stats.size === 0) {
-                        fs.unlinkSync(filePath);
-                        throw new Error('File tải về rỗng');
-                    }
-                    logger.info(`File tải về thành công: ${filePath}, kích thước: ${stats.size} bytes`);
-                    return res.status(200).json({ success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}` });
-                }).catch((error) => {
-                    logger.error(`Download failed: ${error.message}`, {
-                        error: error.stack,
-                        url: url,
-                        type: type,
-                        quality: quality,
-                        downloadProgress: downloadProgress,
-                        downloadError: downloadError
+                }).then(() => true).catch((error) => {
+                    if (isJobCancelled(downloadId)) throw error;
+                    logger.warn(`ytdl-core download failed for job ${downloadId}, falling back to yt-dlp: ${error.message}`);
+                    fs.unlink(downloadPath, () => {});
+                    return false;
+                });
+
+                // Dự phòng: tải nguyên luồng bằng yt-dlp, việc chuyển đổi vẫn chạy ở các bước sau trong pool CPU
+                if (!downloadedWithYtdl) {
+                    await networkPool.run(downloadId, async () => {
+                        const media = await downloadWithYtDlp(url, type, downloadPath, downloadId, {
+                            itag: audio && audio.itag,
+                            preferAudioCodec: audio && AUDIO_FORMATS[audio.audioFormat].sourceCodec
+                        });
+                        format = media.format;
+                        ytDlpInfo = media.info;
                     });
-                    return res.status(500).json({ 
-                        error: 'Không thể tải video/âm thanh. Vui lòng thử lại sau!',
-                        details: error.message,
-                        code: error.code
+                }
+            }
+
+            if (clip && !clipped) {
+                // Đã tải toàn bộ, cắt đoạn cần thiết từ file tạm (âm thanh được chuyển sang định dạng đầu ra cùng lúc)
+                updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.CLIPPING, eta: null });
+                try {
+                    const result = await cpuPool.run(downloadId, () => extractClip(downloadPath, outputPath, clip, { type, accurate, jobId: downloadId, audio, video, source: getFormatCodecs(format), burnFile, animation }));
+                    if (type === 'audio') audioProcessing = result;
+                } finally {
+                    fs.unlink(downloadPath, () => {});
+                }
+            } else if (type === 'audio' && !clipped) {
+                // Luồng nguồn đã đúng codec của định dạng đầu ra thì dùng nguyên file hoặc chỉ đổi container
+                const copyMode = getAudioCopyMode(format, audio);
+                if (copyMode === 'rename') {
+                    await fsPromises.rename(downloadPath, outputPath);
+                } else {
+                    updateJob(downloadId, {
+                        status: JOB_STATES.CONVERTING,
+                        phase: audio.audioFormat === 'mp3' ? JOB_PHASES.CONVERTING_MP3 : JOB_PHASES.CONVERTING_AUDIO,
+                        eta: null
                     });
-                });
-            } catch (error) {
-                logger.error(`@distube/ytdl-core download failed: ${error.message}`, {
-                    error: error.stack,
-                    url: url,
-                    type: type,
-                    quality: quality
-                });
-                return res.status(500).json({ 
-                    error: 'Không thể tải video/âm thanh từ bất kỳ nguồn nào.',
-                    details: error.message,
-                    code: error.code
-                });
+                    try {
+                        audioProcessing = await cpuPool.run(downloadId, () => convertAudio(downloadPath, outputPath, audio, { jobId: downloadId, copyMode }));
+                    } finally {
+                        fs.unlink(downloadPath, () => {});
+                    }
+                }
+            } else if (convertVideoOutput && !adaptive) {
+                // Sao chép luồng sang container đích nếu tương thích, ngược lại mã hóa lại theo codec/CRF/preset
+                updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.CONVERTING_VIDEO, eta: null });
+                try {
+                    await cpuPool.run(downloadId, () => convertVideo([downloadPath], outputPath, video, { jobId: downloadId, burnFile }));
+                } finally {
+                    fs.unlink(downloadPath, () => {});
+                }
             }
-        } else {
-            try {
-                const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
-                    method: 'POST',
-                    headers: {
-                        'x-rapidapi-key': process.env.RAPIDAPI_KEY,
-                        'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
-                        'Content-Type': 'application/json'
-                    },
-                    data: { url, quality }
-                });
 
-                const data = response.data;
-                if (data.error) {
-                    logger.warn(`RapidAPI returned error: ${data.error}`);
-                    return res.status(400).json({ error: data.error });
+            // Ghi thẻ metadata và ảnh bìa cho MP3 (ID3) và M4A (MP4 atom)
+            let tags;
+            if (type === 'audio' && AUDIO_FORMATS[audio.audioFormat].tagFormat) {
+                const tagSource = ytDlpInfo ? getYtDlpTagSource(ytDlpInfo) : getYtdlTagSource(videoInfo);
+                tags = buildAudioTags(tagSource, { url, playlistTitle, playlistIndex });
+                updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.TAGGING, eta: null });
+                const coverPath = await networkPool.run(downloadId, () => downloadCoverArt(tagSource.thumbnails, { filePath, jobId: downloadId }));
+                const taggedPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, '.tagged$&'), downloadId, 'temp');
+                registerJobFiles(downloadId, taggedPath);
+                try {
+                    await cpuPool.run(downloadId, () => writeAudioTags(outputPath, taggedPath, audio, tags, { coverPath, jobId: downloadId }));
+                    await fsPromises.rename(taggedPath, outputPath);
+                } finally {
+                    fs.unlink(taggedPath, () => {});
+                    if (coverPath) fs.unlink(coverPath, () => {});
                 }
+            }
 
-                if (type === 'video' && data.video) {
-                    return res.status(200).json({ downloadUrl: data.video });
-                } else if (type === 'audio' && data.audio) {
-                    return res.status(200).json({ downloadUrl: data.audio });
-                } else {
-                    logger.warn(`RapidAPI did not return expected content for type ${type}`);
-                    return res.status(400).json({ error: 'Không tìm thấy nội dung để tải. API không trả về link tải.' });
+            // Nhúng phụ đề mềm vào file đầu ra (sao chép nguyên luồng video/âm thanh)
+            if (subtitleTracks.length > 0) {
+                const subtitledPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, '.subtitled$&'), downloadId, 'temp');
+                registerJobFiles(downloadId, subtitledPath);
+                updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.EMBEDDING_SUBTITLES, eta: null });
+                try {
+                    await cpuPool.run(downloadId, () => embedSubtitles(outputPath, subtitledPath, subtitleTracks, video, { jobId: downloadId, clip }));
+                    await fsPromises.rename(subtitledPath, outputPath);
+                } finally {
+                    fs.unlink(subtitledPath, () => {});
                 }
-            } catch (rapidError) {
-                logger.error(`RapidAPI Download Error: ${rapidError.message}`);
-                return res.status(500).json({
-                    error: rapidError.message || 'Lỗi từ RapidAPI. Vui lòng kiểm tra API key hoặc thử lại sau.'
+            }
+
+            updateJob(downloadId, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.VALIDATING, eta: null });
+            if (!fs.existsSync(outputPath)) {
+                throw new Error('Download failed, file not created');
+            }
+            const stats = fs.statSync(outputPath);
+            if (stats.size === 0) {
+                fs.unlinkSync(outputPath);
+                throw new Error('File tải về rỗng');
+            }
+            // Kiểm tra file sau khi sao chép luồng/mã hóa lại vẫn có đủ luồng video/âm thanh
+            // (ảnh động đã được kiểm tra dung lượng khi mã hóa, ffprobe không đọc được WebP động)
+            if (!animation && !await validateFile(outputPath, type)) {
+                fs.unlinkSync(outputPath);
+                throw new Error('File không hợp lệ sau khi chuyển đổi.');
+            }
+            // Job bị hủy trong lúc kiểm tra file thì không đưa file vào downloads
+            if (isJobCancelled(downloadId)) throw createCancelledError();
+            // Đổi tên nguyên tử sang file đích khi file đã hoàn chỉnh
+            await fsPromises.rename(outputPath, filePath);
+            logger.info(`File tải về thành công: ${filePath}, kích thước: ${stats.size} bytes`);
+            const subtitles = subtitleTracks.length > 0
+                ? subtitleTracks.map(track => ({ language: track.language, auto: track.auto, default: track.language === video.defaultSubtitle }))
+                : undefined;
+            const burnedSubtitles = burnTracks.length > 0
+                ? { language: burnTracks[0].language, auto: burnTracks[0].auto, style: video.burnSubtitles.style }
+                : undefined;
+            if (outputOptions.splitByChapters) {
+                return completeChapterSplit(downloadId, splitParams, {
+                    downloadUrl: `/downloads/${encodeURIComponent(fileName)}`,
+                    fileName,
+                    size: stats.size,
+                    formatSelection,
+                    subtitles,
+                    burnedSubtitles,
+                    tags,
+                    audioProcessing
                 });
             }
+            completeJob(downloadId, { downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, fileName, size: stats.size, formatSelection, subtitles, burnedSubtitles, tags, audioProcessing });
+            return reply(200, { success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, downloadId, formatSelection, subtitles, burnedSubtitles, tags, audioProcessing });
+        } catch (error) {
+            if (isJobCancelled(downloadId)) {
+                // File tạm có thể được ghi xong sau khi job bị hủy và các file tạm đã được dọn
+                fs.unlink(outputPath, () => {});
+                fs.unlink(downloadPath, () => {});
+                logger.info(`Download stopped because job ${downloadId} was cancelled`);
+                return reply(409, { error: 'Job đã bị hủy.', downloadId });
+            }
+            logger.error(`Download failed: ${error.message}`, {
+                error: error.stack,
+                url: url,
+                type: type,
+                quality: quality,
+                downloadProgress: downloadProgress,
+                downloadError: downloadError
+            });
+            // Video không có luồng nào thỏa mãn tùy chọn chất lượng chi tiết/itag đã chọn, không có phụ đề cần nhúng
+            // hoặc không nén được xuống targetSizeMB
+            if (error.status === 422) {
+                failJob(downloadId, { jobErrorCode: error.jobErrorCode || 'FORMAT_UNAVAILABLE', message: error.message });
+                return reply(422, { error: error.message, downloadId });
+            }
+            // Chưa chọn được định dạng nghĩa là ytdl-core không lấy được luồng nào
+            const message = format
+                ? 'Không thể tải video/âm thanh. Vui lòng thử lại sau!'
+                : 'Không thể tải video/âm thanh từ bất kỳ nguồn nào.';
+            failJob(downloadId, { message, details: error.message });
+            return reply(500, {
+                error: message,
+                details: error.message,
+                code: error.code,
+                downloadId
+            });
+        } finally {
+            removeSubtitleTracks([...subtitleTracks, ...burnTracks]);
         }
-    } catch (error) {
-        logger.error(`API Error: ${error.message}`, {
-            error: error.stack,
-            url: url,
-            platform: platform,
-            type: type,
-            quality: quality
-        });
-        if (error.code === 'ECONNABORTED') {
-            return res.status(504).json({ error: 'Yêu cầu tải nội dung hết thời gian. Vui lòng kiểm tra kết nối và thử lại!' });
-        } else if (error.code === 'RATE_LIMITER_POINTS_EXCEEDED') {
-            return res.status(429).json({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!' });
+    } else {
+        try {
+            const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
+                method: 'POST',
+                headers: {
+                    'x-rapidapi-key': process.env.RAPIDAPI_KEY,
+                    'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
+                    'Content-Type': 'application/json'
+                },
+                data: { url, quality }
+            });
+
+            const data = response.data;
+            if (data.error) {
+                logger.warn(`RapidAPI returned error: ${data.error}`);
+                failJob(downloadId, data.error);
+                return reply(400, { error: data.error, downloadId });
+            }
+
+            if (type === 'video' && data.video) {
+                completeJob(downloadId, { downloadUrl: data.video, external: true });
+                return reply(200, { downloadUrl: data.video, downloadId });
+            } else if (type === 'audio' && data.audio) {
+                completeJob(downloadId, { downloadUrl: data.audio, external: true });
+                return reply(200, { downloadUrl: data.audio, downloadId });
+            } else {
+                logger.warn(`RapidAPI did not return expected content for type ${type}`);
+                failJob(downloadId, 'Không tìm thấy nội dung để tải. API không trả về link tải.');
+                return reply(400, { error: 'Không tìm thấy nội dung để tải. API không trả về link tải.', downloadId });
+            }
+        } catch (rapidError) {
+            logger.error(`RapidAPI Download Error: ${rapidError.message}`);
+            failJob(downloadId, rapidError, 'Lỗi từ RapidAPI. Vui lòng kiểm tra API key hoặc thử lại sau.');
+            return reply(500, {
+                error: rapidError.message || 'Lỗi từ RapidAPI. Vui lòng kiểm tra API key hoặc thử lại sau.',
+                downloadId
+            });
         }
-        return res.status(500).json({ 
-            error: error.message || 'Lỗi server khi tải nội dung. Vui lòng thử lại sau!',
-            details: error.stack,
-            code: error.code
-        });
     }
-});
+}
 
-// Endpoint tải phụ đề
-app.post('/api/download-subtitle', async (req, res) => {
-    if (!req.body || Object.keys(req.body).length === 0) {
-        logger.warn(`Invalid request body from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu.' });
-    }
+// Hàm tạo tham số cắt đoạn của job tải
+// accurate: cắt chính xác (mã hóa lại) khi cắt đoạn hoặc tách theo chương
+function getClipParams(clip, outputParams, accurate) {
+    if (clip) return { start: clip.start, end: clip.end, accurate: accurate === true };
+    return outputParams.splitByChapters ? { accurate: accurate === true } : {};
+}
 
-    const { url, platform, targetLanguage, formatPreference } = req.body;
+// Hàm kiểm tra yêu cầu tải video/âm thanh/ảnh động (dùng chung cho /api/download và /api/jobs/download)
+// Trả về { clip, outputParams }; ném lỗi 400 nếu dữ liệu không hợp lệ
+async function parseDownloadRequest(body, ip) {
+    const { url, platform, type, callbackUrl, start, end } = body;
+    const createRequestError = message => Object.assign(new Error(message), { status: 400 });
 
-    if (!url || !platform) {
-        logger.warn(`Missing required fields (url, platform) from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform)' });
+    if (!url || !platform || !type) {
+        logger.warn(`Missing required fields (url, platform, type) from IP: ${ip}`);
+        throw createRequestError('Thiếu thông tin cần thiết (url, platform, type)');
     }
 
-    if (!targetLanguage) {
-        logger.warn(`No subtitle language selected from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Vui lòng chọn ngôn ngữ phụ đề' });
+    const callbackError = await validateCallbackUrl(callbackUrl);
+    if (callbackError) {
+        logger.warn(`Invalid callbackUrl from IP: ${ip}: ${callbackUrl}`);
+        throw createRequestError(callbackError);
     }
 
+    // Khoảng cắt (start/end tính bằng giây hoặc hh:mm:ss), chỉ tải và trả về đoạn cần thiết
+    let clip;
     try {
-        await subtitleRateLimiter.consume(`download_subtitle_${req.ip}`, 1);
-        const selectedLanguage = targetLanguage;
-        const selectedFormat = formatPreference ? formatPreference.toLowerCase() : 'srt';
-
-        logger.info(`Download subtitle request: ${platform}, URL: ${url}, Language: ${selectedLanguage}, Format: ${selectedFormat}, IP: ${req.ip}`);
+        clip = parseClipRange(start, end);
+    } catch (error) {
+        logger.warn(`Invalid clip range from IP: ${ip}: ${start}-${end}`);
+        throw createRequestError(error.message);
+    }
 
-        // Kiểm tra FFmpeg
-        const ffmpegAvailable = await checkFFmpeg();
-        if (!ffmpegAvailable) {
-            logger.error('FFmpeg is not installed or accessible');
-            return res.status(500).json({
-                error: 'FFmpeg không được cài đặt hoặc không thể truy cập. Vui lòng cài FFmpeg theo hướng dẫn tại https://ffmpeg.org/download.html và thử lại.'
-            });
-        }
+    // Định dạng đầu ra: audioFormat, audioBitrate/audioQuality, sampleRate, channels với âm thanh,
+    // kèm targetLufs (chuẩn hóa độ lớn EBU R128), trimSilence (cắt khoảng lặng đầu/cuối), fadeIn/fadeOut;
+    // container, videoCodec, crf, preset, targetSizeMB (nén hai lượt theo dung lượng đích),
+    // subtitles/subtitleFormat/defaultSubtitle (nhúng phụ đề mềm), burnSubtitles (in cứng phụ đề vào hình) với video;
+    // splitByChapters/chapterPackaging (tách thành từng file theo chương) với cả hai;
+    // width, fps, loop, maxFileSizeMB với ảnh động gif/webp (bắt buộc có start/end)
+    let outputParams;
+    try {
+        outputParams = normalizeMediaOptions(type, body);
+        if (ANIMATION_FORMATS[type]) validateAnimationClip(clip);
+    } catch (error) {
+        logger.warn(`Invalid output options from IP: ${ip}: ${error.message}`);
+        throw createRequestError(error.message);
+    }
 
-        if (platform === 'youtube') {
+    if (clip && outputParams.splitByChapters) {
+        throw createRequestError('splitByChapters không dùng chung với start/end.');
+    }
+    if (ANIMATION_FORMATS[type] && platform !== 'youtube') {
+        throw createRequestError('Ảnh động GIF/WebP chỉ hỗ trợ video YouTube.');
+    }
+    return { clip, outputParams };
+}
+
+// Endpoint tải video hoặc âm thanh
+app.post('/api/download', async (req, res) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        logger.warn(`Invalid request body from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với các trường url và platform.' });
+    }
+
+    const { url, platform, type, quality, jobId, callbackUrl, accurate } = req.body;
+
+    let clip;
+    let outputParams;
+    try {
+        ({ clip, outputParams } = await parseDownloadRequest(req.body, req.ip));
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    // URL playlist YouTube được tải thành từng video qua job playlist chạy nền
+    if (isPlaylistRequest(req.body)) {
+        if (clip) {
+            return res.status(400).json({ error: 'start/end không dùng được với playlist.' });
+        }
+        return handlePlaylistDownload(req, res);
+    }
+
+    // Hàng đợi tải đã đầy: báo client thử lại sau thay vì nhận thêm việc
+    if (networkPool.isFull()) {
+        const retryAfter = networkPool.getRetryAfter();
+        logger.warn(`Download queue is full, rejecting request from IP: ${req.ip}`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({ error: 'Hệ thống đang xử lý quá nhiều yêu cầu. Vui lòng thử lại sau!', retryAfter });
+    }
+
+    // Tạo job để client có thể theo dõi tiến trình qua /api/jobs/:id/events
+    let downloadId;
+    try {
+        const clipParams = getClipParams(clip, outputParams, accurate);
+        downloadId = createJob('download', { url, platform, type, quality, ...outputParams, ...clipParams, sync: true }, jobId).id;
+        registerCallback(downloadId, callbackUrl, getRequestBaseUrl(req));
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    // Client ngắt kết nối trước khi nhận kết quả thì hủy job để không tải tiếp vô ích,
+    // trừ khi job còn đang được client khác dùng chung
+    let sharedJobId = null;
+    addJobWaiter(downloadId);
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        logger.info(`Client disconnected before download finished, releasing job ${downloadId}`);
+        [downloadId, sharedJobId].filter(Boolean).forEach((id) => {
+            if (removeJobWaiter(id) === 0 && getJob(id)?.params?.sync) {
+                cancelJob(id);
+            }
+        });
+    });
+
+    try {
+        await rateLimiter.consume('download_endpoint', 1);
+        logger.info(`Download request: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}, Quality: ${quality}`);
+
+        const { status, body } = await processDownload(downloadId, getJob(downloadId).params, {
+            ip: req.ip,
+            onCoalesced: (id) => {
+                sharedJobId = id;
+            }
+        });
+        return res.status(status).json(body);
+    } catch (error) {
+        logger.error(`API Error: ${error.message}`, {
+            error: error.stack,
+            url: url,
+            platform: platform,
+            type: type,
+            quality: quality
+        });
+        failJob(downloadId, error);
+        if (error.code === 'ECONNABORTED') {
+            return res.status(504).json({ error: 'Yêu cầu tải nội dung hết thời gian. Vui lòng kiểm tra kết nối và thử lại!' });
+        } else if (error.code === 'RATE_LIMITER_POINTS_EXCEEDED') {
+            return res.status(429).json({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!' });
+        }
+        // Stack đã được ghi vào log, không trả về client để tránh lộ đường dẫn và mã nguồn của server
+        return res.status(500).json({
+            error: error.message || 'Lỗi server khi tải nội dung. Vui lòng thử lại sau!',
+            code: error.code
+        });
+    }
+});
+
+// Endpoint tải phụ đề
+app.post('/api/download-subtitle', async (req, res) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        logger.warn(`Invalid request body from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu.' });
+    }
+
+    const { url, platform, targetLanguage, formatPreference } = req.body;
+
+    if (!url || !platform) {
+        logger.warn(`Missing required fields (url, platform) from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform)' });
+    }
+
+    if (!targetLanguage) {
+        logger.warn(`No subtitle language selected from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Vui lòng chọn ngôn ngữ phụ đề' });
+    }
+
+    try {
+        await subtitleRateLimiter.consume(`download_subtitle_${req.ip}`, 1);
+        const selectedLanguage = targetLanguage;
+        const selectedFormat = formatPreference ? formatPreference.toLowerCase() : 'srt';
+
+        logger.info(`Download subtitle request: ${platform}, URL: ${url}, Language: ${selectedLanguage}, Format: ${selectedFormat}, IP: ${req.ip}`);
+
+        // Kiểm tra FFmpeg
+        const ffmpegAvailable = await checkFFmpeg();
+        if (!ffmpegAvailable) {
+            logger.error('FFmpeg is not installed or accessible');
+            return res.status(500).json({
+                error: 'FFmpeg không được cài đặt hoặc không thể truy cập. Vui lòng cài FFmpeg theo hướng dẫn tại https://ffmpeg.org/download.html và thử lại.'
+            });
+        }
+
+        if (platform === 'youtube') {
             const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
             if (!videoId) {
                 logger.warn(`Invalid YouTube URL from IP: ${req.ip}: ${url}`);
@@ -1646,6 +2389,907 @@ app.post('/api/download-all-subtitles', async (req, res) => {
     }
 });
 
+// Hàm trả lỗi cho các yêu cầu tạo job
+function sendJobRequestError(res, error, ip) {
+    logger.error(`Job request error from IP ${ip}: ${error.message}`);
+    if (res.headersSent) return;
+    if (error.code === 'RATE_LIMITER_POINTS_EXCEEDED' || error.msBeforeNext !== undefined) {
+        return res.status(429).json({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!' });
+    }
+    if (error.code === 'ECONNABORTED') {
+        return res.status(504).json({ error: 'Yêu cầu tải nội dung hết thời gian. Vui lòng kiểm tra kết nối và thử lại!' });
+    }
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status || 503).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    return res.status(error.status || 400).json({ error: error.message || 'Không thể tạo job tải xuống.' });
+}
+
+// Endpoint tạo job tải video hoặc âm thanh (trả về job ID ngay lập tức)
+// Nhận cùng tùy chọn với /api/download, job chạy nền qua processDownload
+app.post('/api/jobs/download', async (req, res) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        logger.warn(`Invalid request body from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với các trường url, platform và type.' });
+    }
+
+    const { url, platform, type, quality, callbackUrl, accurate } = req.body;
+    try {
+        const { clip, outputParams } = await parseDownloadRequest(req.body, req.ip);
+        await rateLimiter.consume('download_endpoint', 1);
+        // Từ chối sớm khi hàng đợi tải đã đầy
+        networkPool.assertCapacity();
+
+        const job = createJob('download', { url, platform, type, quality, ...outputParams, ...getClipParams(clip, outputParams, accurate) });
+        registerCallback(job.id, callbackUrl, getRequestBaseUrl(req));
+        logger.info(`Download job ${job.id}: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}`);
+        res.status(202).json({ message: 'Đang tải, vui lòng chờ...', downloadId: job.id, statusUrl: `/api/jobs/${job.id}` });
+
+        processDownload(job.id, job.params, { ip: req.ip })
+            .then(({ status, body }) => logger.info(`Download job ${job.id} finished with status ${status}`, { error: body.error }))
+            .catch(error => failJob(job.id, error, 'Lỗi server khi tải nội dung.'));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint tạo job tải phụ đề (trả về job ID ngay lập tức)
+app.post('/api/jobs/subtitle', async (req, res) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        logger.warn(`Invalid request body from IP: ${req.ip}`);
+        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với các trường url và platform.' });
+    }
+
+    try {
+        await handleDownloadSubtitle(req, res);
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint liệt kê các job
+app.get('/api/jobs', (req, res) => {
+    const { status, kind } = req.query;
+    if (status && !Object.values(JOB_STATES).includes(status)) {
+        return res.status(400).json({ error: `Trạng thái không hợp lệ. Chỉ hỗ trợ: ${Object.values(JOB_STATES).join(', ')}.` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const jobs = listJobs({ status, kind, limit }).map(serializeJob);
+    res.json({ total: jobs.length, jobs });
+});
+
+// Endpoint lấy trạng thái của một job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Không tìm thấy job.' });
+    }
+    res.json(serializeJob(job));
+});
+
+// Endpoint hủy job: dừng tiến trình đang chạy và xóa các file tạm
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Không tìm thấy job.' });
+    }
+
+    const result = cancelJob(job.id);
+    if (!result.ok) {
+        return res.status(409).json({ error: result.error, job: serializeJob(job) });
+    }
+    logger.info(`Job ${job.id} cancelled via API from IP: ${req.ip}`);
+    res.json(serializeJob(job));
+});
+
+// Thời gian chờ job được tạo khi client mở SSE trước khi gửi yêu cầu tải (ms)
+const SSE_JOB_WAIT_TIMEOUT = 10000;
+
+// Chu kỳ gửi heartbeat để giữ kết nối SSE (ms)
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+// Hàm ghi một sự kiện SSE
+function writeSseEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Endpoint SSE đẩy tiến trình, giai đoạn và kết quả của job
+app.get('/api/jobs/:id/events', (req, res) => {
+    const jobId = req.params.id;
+    if (!getJob(jobId) && !uuidValidate(jobId)) {
+        return res.status(404).json({ error: 'Không tìm thấy job.' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let waitTimer = null;
+    const heartbeatTimer = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    const cleanup = () => {
+        clearInterval(heartbeatTimer);
+        clearTimeout(waitTimer);
+        jobEvents.off('job', onJobEvent);
+    };
+
+    const onJobEvent = ({ type, job }) => {
+        if (job.id !== jobId) return;
+        writeSseEvent(res, type, serializeJob(job));
+        if (FINAL_STATES.includes(job.status)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    req.on('close', cleanup);
+
+    const job = getJob(jobId);
+    if (job) {
+        writeSseEvent(res, 'snapshot', serializeJob(job));
+        if (FINAL_STATES.includes(job.status)) {
+            cleanup();
+            return res.end();
+        }
+    } else {
+        // Client có thể mở SSE trước khi job được tạo (ví dụ khi tự tạo jobId cho /api/download)
+        waitTimer = setTimeout(() => {
+            if (getJob(jobId)) return;
+            writeSseEvent(res, 'error', { id: jobId, error: 'Không tìm thấy job.' });
+            cleanup();
+            res.end();
+        }, SSE_JOB_WAIT_TIMEOUT);
+    }
+
+    jobEvents.on('job', onJobEvent);
+});
+
+// Số mục tối đa trong một batch
+const MAX_BATCH_ITEMS = 50;
+
+// Số mục của một batch được xử lý đồng thời (các pool tải/FFmpeg vẫn giới hạn chung toàn server)
+const BATCH_CONCURRENCY = 3;
+
+// Các loại mục được hỗ trợ trong batch
+const BATCH_ITEM_TYPES = ['video', 'audio', 'subtitle'];
+
+// Hàm chờ tới khi rate limiter cho phép thay vì từ chối ngay (dùng cho các mục trong batch)
+async function consumeWhenAllowed(limiter, key, jobId) {
+    while (!isJobCancelled(jobId)) {
+        try {
+            return await limiter.consume(key, 1);
+        } catch (rejection) {
+            if (rejection instanceof Error) throw rejection;
+            await new Promise(resolve => setTimeout(resolve, rejection.msBeforeNext + 50));
+        }
+    }
+    throw createCancelledError();
+}
+
+// Hàm kiểm tra một yêu cầu tải video/âm thanh/phụ đề, trả về thông báo lỗi hoặc null
+function validateDownloadItem(item) {
+    if (!item || !item.url || !item.platform || !item.type) {
+        return 'Thiếu thông tin cần thiết (url, platform, type).';
+    }
+    if (!BATCH_ITEM_TYPES.includes(item.type)) {
+        return `Loại không được hỗ trợ. Chỉ hỗ trợ: ${BATCH_ITEM_TYPES.join(', ')}.`;
+    }
+    if (item.type === 'subtitle' && item.formatPreference && !['srt', 'vtt', 'txt'].includes(item.formatPreference.toLowerCase())) {
+        return 'Định dạng phụ đề không được hỗ trợ. Chỉ hỗ trợ: srt, vtt, txt.';
+    }
+    try {
+        const outputParams = normalizeMediaOptions(item.type, item);
+        // Khoảng cắt start/end giống /api/download, chỉ dùng với video/âm thanh
+        const clip = parseClipRange(item.start, item.end);
+        if (clip && item.type === 'subtitle') {
+            return 'start/end chỉ dùng được khi tải video hoặc âm thanh.';
+        }
+        if (clip && outputParams.splitByChapters) {
+            return 'splitByChapters không dùng chung với start/end.';
+        }
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+// Hàm kiểm tra danh sách mục của batch, trả về thông báo lỗi đầu tiên hoặc null
+function validateBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'Vui lòng gửi danh sách items gồm các mục {url, platform, type, quality}.';
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return `Mỗi batch chỉ được tối đa ${MAX_BATCH_ITEMS} mục.`;
+    }
+    for (const [index, item] of items.entries()) {
+        const itemError = validateDownloadItem(item);
+        if (itemError) {
+            return `Mục ${index}: ${itemError.charAt(0).toLowerCase()}${itemError.slice(1)}`;
+        }
+    }
+    return null;
+}
+
+// Hàm tạo job tải hoặc job phụ đề cho một yêu cầu tải đã được kiểm tra
+function createItemJob(item, defaultLanguage, extraParams = {}) {
+    const { url, platform, type, quality } = item;
+    if (type === 'subtitle') {
+        return createJob('subtitle', {
+            url,
+            platform,
+            type,
+            targetLanguage: item.targetLanguage || defaultLanguage,
+            formatPreference: (item.formatPreference || 'srt').toLowerCase(),
+            defaultLanguage,
+            ...extraParams
+        });
+    }
+    const outputParams = normalizeMediaOptions(type, item);
+    const clipParams = getClipParams(parseClipRange(item.start, item.end), outputParams, item.accurate);
+    return createJob('download', { url, platform, type, quality, ...outputParams, ...clipParams, ...extraParams });
+}
+
+// Hàm xử lý một mục của batch trên job con đã tạo
+async function runBatchItem(childId, ip) {
+    const { params } = getJob(childId);
+    try {
+        if (params.type === 'subtitle') {
+            await consumeWhenAllowed(subtitleRateLimiter, `download_subtitle_${ip}`, childId);
+            await runSubtitleRequest(childId, params);
+            return;
+        }
+
+        await consumeWhenAllowed(rateLimiter, 'download_endpoint', childId);
+        const { status, body } = await processDownload(childId, params, { ip });
+        logger.info(`Batch item ${childId} finished with status ${status}`, { error: body.error });
+    } catch (error) {
+        logger.error(`Batch item ${childId} failed: ${error.message}`);
+        failJob(childId, error);
+    }
+}
+
+// Hàm tạo bản tóm tắt kết quả/lỗi của từng mục trong batch
+function getBatchItems(batch) {
+    return (batch.children || []).map((childId, index) => {
+        const child = getJob(childId);
+        if (!child) {
+            return { index, jobId: childId, status: null, error: { code: 'JOB_EXPIRED', message: 'Job đã bị xóa khỏi bộ nhớ.' } };
+        }
+        const { url, platform, type, quality, targetLanguage, formatPreference } = child.params;
+        return {
+            index,
+            jobId: child.id,
+            url,
+            platform,
+            type,
+            quality: quality || null,
+            targetLanguage,
+            formatPreference,
+            status: child.status,
+            progress: child.progress,
+            downloadUrl: child.downloadUrl,
+            error: child.error
+        };
+    });
+}
+
+// Hàm chạy các job con của batch/playlist với số mục đồng thời giới hạn
+// (bỏ qua job con đã kết thúc khi job cha được chạy lại sau khi khởi động lại)
+async function runChildJobs(parentId, ip) {
+    const pending = getJob(parentId).children.filter((childId) => {
+        const child = getJob(childId);
+        return child && !FINAL_STATES.includes(child.status);
+    });
+    const worker = async () => {
+        while (pending.length > 0 && !isJobCancelled(parentId)) {
+            await runBatchItem(pending.shift(), ip);
+        }
+    };
+    await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+}
+
+// Hàm chạy toàn bộ batch, sau đó tổng kết kết quả
+async function runBatch(batchId, ip) {
+    await runChildJobs(batchId, ip);
+
+    const batch = getJob(batchId);
+    const summary = summarizeChildJobs(batch);
+    const result = { summary, items: getBatchItems(batch) };
+    if (summary[JOB_STATES.DONE] > 0) {
+        logger.info(`Batch ${batchId} finished: ${summary[JOB_STATES.DONE]}/${summary.total} items done`);
+        completeJob(batchId, result);
+    } else {
+        failJob(batchId, { jobErrorCode: 'BATCH_FAILED', message: 'Không tải được mục nào trong batch.', details: summary });
+    }
+}
+
+// Endpoint tạo batch tải nhiều video/âm thanh/phụ đề cùng lúc
+app.post('/api/batch', async (req, res) => {
+    const items = req.body?.items;
+    const callbackUrl = req.body?.callbackUrl;
+    const validationError = validateBatchItems(items) || await validateCallbackUrl(callbackUrl);
+    if (validationError) {
+        logger.warn(`Invalid batch request from IP ${req.ip}: ${validationError}`);
+        return res.status(400).json({ error: validationError });
+    }
+
+    // Hàng đợi tải đã đầy: báo client thử lại sau thay vì nhận thêm việc
+    if (networkPool.isFull()) {
+        const retryAfter = networkPool.getRetryAfter();
+        res.set('Retry-After', String(retryAfter));
+        return res.status(503).json({ error: 'Hệ thống đang xử lý quá nhiều yêu cầu. Vui lòng thử lại sau!', retryAfter });
+    }
+
+    try {
+        const defaultLanguage = await getDefaultLanguage(req.ip);
+        const batch = createJob('batch', { itemCount: items.length });
+        registerCallback(batch.id, callbackUrl, getRequestBaseUrl(req));
+        for (const item of items) {
+            linkChildJob(batch.id, createItemJob(item, defaultLanguage).id);
+        }
+        logger.info(`Batch ${batch.id} created with ${items.length} items from IP: ${req.ip}`);
+
+        res.status(202).json({
+            message: 'Đang xử lý batch, vui lòng chờ...',
+            batchId: batch.id,
+            statusUrl: `/api/batch/${batch.id}`,
+            items: batch.children.map((jobId, index) => ({ index, jobId }))
+        });
+
+        runBatch(batch.id, req.ip).catch(error => failJob(batch.id, error, 'Lỗi server khi xử lý batch.'));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint xem tiến trình tổng và kết quả/lỗi của từng mục trong batch
+app.get('/api/batch/:id', (req, res) => {
+    const batch = getJob(req.params.id);
+    if (!batch || batch.kind !== 'batch') {
+        return res.status(404).json({ error: 'Không tìm thấy batch.' });
+    }
+    res.json({ ...serializeJob(batch), childSummary: summarizeChildJobs(batch), items: getBatchItems(batch) });
+});
+
+// Hàm chạy lại job tải đã được khôi phục sau khi server khởi động lại
+// (đi qua processDownload như /api/download nên giữ nguyên khoảng cắt, tách chương, xử lý âm thanh và thư mục playlist)
+async function resumeDownloadJob(job) {
+    await runBatchItem(job.id, `restart_${job.id}`);
+}
+
+// Hàm chạy lại batch hoặc nhóm video mới của kênh đã được khôi phục sau khi server khởi động lại
+// (các job con chưa kết thúc đã được đưa lại vào hàng đợi cùng job cha)
+async function resumeBatchJob(job) {
+    await runBatch(job.id, job.kind === 'subscription' ? `subscription_${job.params.subscriptionId}` : `restart_${job.id}`);
+}
+
+registerJobRunner('download', resumeDownloadJob);
+registerJobRunner('batch', resumeBatchJob);
+registerJobRunner('subscription', resumeBatchJob);
+
+// Số video tối đa được tải trong một playlist
+const MAX_PLAYLIST_ITEMS = 100;
+
+// Các kiểu đóng gói kết quả playlist được hỗ trợ
+const PLAYLIST_PACKAGING = ['m3u', 'zip', 'none'];
+
+// Hàm lấy ID playlist từ URL YouTube
+function getPlaylistId(url) {
+    return url.match(/[?&]list=([^&#]+)/)?.[1] || null;
+}
+
+// Hàm kiểm tra yêu cầu tải có phải là tải playlist hay không
+// (URL có list= nhưng không có v=, hoặc client yêu cầu rõ playlist: true)
+function isPlaylistRequest({ url, platform, playlist }) {
+    if (platform !== 'youtube' || !getPlaylistId(url)) return false;
+    return playlist === true || !/[?&]v=/.test(url);
+}
+
+// Hàm chuyển danh sách chỉ số playlist ("1,3,5-7" hoặc [1, 3, 5]) thành mảng số, trả về null nếu không hợp lệ
+function parsePlaylistItems(playlistItems) {
+    const parts = Array.isArray(playlistItems) ? playlistItems.map(String) : String(playlistItems).split(',');
+    const indices = new Set();
+    for (const part of parts.map(item => item.trim()).filter(Boolean)) {
+        const range = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!range) return null;
+        const start = parseInt(range[1], 10);
+        const end = range[2] ? parseInt(range[2], 10) : start;
+        if (start < 1 || end < start) return null;
+        for (let index = start; index <= end && indices.size <= MAX_PLAYLIST_ITEMS; index++) {
+            indices.add(index);
+        }
+    }
+    return indices.size > 0 ? [...indices].sort((a, b) => a - b) : null;
+}
+
+// Hàm kiểm tra các tùy chọn chọn video của playlist, trả về thông báo lỗi đầu tiên hoặc null
+function validatePlaylistOptions({ type, playlistStart, playlistEnd, playlistItems, packaging }) {
+    if (!['video', 'audio'].includes(type)) {
+        return 'Playlist chỉ hỗ trợ loại video hoặc audio.';
+    }
+    const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+    if (playlistStart !== undefined && !isPositiveInt(playlistStart)) {
+        return 'playlistStart phải là số nguyên dương.';
+    }
+    if (playlistEnd !== undefined && !isPositiveInt(playlistEnd)) {
+        return 'playlistEnd phải là số nguyên dương.';
+    }
+    if (playlistStart && playlistEnd && playlistEnd < playlistStart) {
+        return 'playlistEnd phải lớn hơn hoặc bằng playlistStart.';
+    }
+    if (playlistItems !== undefined && !parsePlaylistItems(playlistItems)) {
+        return 'playlistItems không hợp lệ. Ví dụ hợp lệ: "1,3,5-7" hoặc [1, 3, 5].';
+    }
+    if (packaging !== undefined && !PLAYLIST_PACKAGING.includes(packaging)) {
+        return `Kiểu đóng gói không được hỗ trợ. Chỉ hỗ trợ: ${PLAYLIST_PACKAGING.join(', ')}.`;
+    }
+    return null;
+}
+
+// Hàm lấy danh sách video của playlist bằng yt-dlp (chỉ đọc thông tin, không tải)
+async function resolvePlaylistEntries(playlistId) {
+    const info = await ytDlp(`https://www.youtube.com/playlist?list=${playlistId}`, {
+        flatPlaylist: true,
+        dumpSingleJson: true,
+        noWarnings: true
+    });
+    return {
+        title: info.title || playlistId,
+        entries: (info.entries || [])
+            .map((entry, index) => ({
+                index: index + 1,
+                videoId: entry.id,
+                title: entry.title || entry.id,
+                duration: entry.duration || null
+            }))
+            .filter(entry => entry.videoId)
+    };
+}
+
+// Hàm chọn các video của playlist theo khoảng (playlistStart/playlistEnd) hoặc theo chỉ số (playlistItems)
+function selectPlaylistEntries(entries, { playlistStart, playlistEnd, playlistItems }) {
+    if (playlistItems !== undefined) {
+        const indices = new Set(parsePlaylistItems(playlistItems));
+        return entries.filter(entry => indices.has(entry.index));
+    }
+    const start = playlistStart || 1;
+    const end = playlistEnd || entries.length;
+    return entries.filter(entry => entry.index >= start && entry.index <= end);
+}
+
+// Hàm tạo bản tóm tắt kết quả/lỗi của từng video trong playlist
+function getPlaylistItems(playlist) {
+    return (playlist.children || []).map((childId) => {
+        const child = getJob(childId);
+        if (!child) {
+            return { jobId: childId, status: null, error: { code: 'JOB_EXPIRED', message: 'Job đã bị xóa khỏi bộ nhớ.' } };
+        }
+        return {
+            jobId: child.id,
+            playlistIndex: child.params.playlistIndex,
+            title: child.params.title,
+            url: child.params.url,
+            status: child.status,
+            progress: child.progress,
+            downloadUrl: child.downloadUrl,
+            fileName: child.result?.fileName || null,
+            error: child.error
+        };
+    });
+}
+
+// Hàm ghi file M3U liệt kê các video đã tải của playlist (đường dẫn tương đối trong thư mục playlist)
+async function writePlaylistM3u(folderPath, items) {
+    const lines = ['#EXTM3U'];
+    for (const item of items) {
+        lines.push(`#EXTINF:${Math.round(item.duration || -1)},${item.title}`);
+        lines.push(path.basename(item.fileName));
+    }
+    const m3uPath = path.join(folderPath, 'playlist.m3u');
+    await fsPromises.writeFile(m3uPath, `${lines.join('\n')}\n`);
+    return m3uPath;
+}
+
+// Hàm nén các file đã tải (video của playlist, file của từng chương) thành một file ZIP
+// items: [{ fileName }] với fileName tương đối so với thư mục downloads
+// (chỉ lưu trữ, không nén lại vì video/âm thanh đã được nén sẵn)
+async function writeDownloadsZip(zipPath, items, jobId) {
+    const tempPath = getUniqueTempPath(zipPath, jobId);
+    registerJobFiles(jobId, tempPath);
+    try {
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(tempPath);
+            const archive = archiver('zip', { store: true });
+            output.on('close', resolve);
+            output.on('error', reject);
+            archive.on('error', reject);
+            archive.on('warning', (warning) => logger.warn(`ZIP warning for job ${jobId}: ${warning.message}`));
+            setJobControls(jobId, { cancel: () => archive.abort() });
+            archive.pipe(output);
+            for (const item of items) {
+                archive.file(path.join(__dirname, 'downloads', item.fileName), { name: path.basename(item.fileName) });
+            }
+            archive.finalize();
+        });
+        if (isJobCancelled(jobId)) throw createCancelledError();
+        await fsPromises.rename(tempPath, zipPath);
+    } catch (error) {
+        await fsPromises.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    return zipPath;
+}
+
+// Hàm lấy danh sách video của playlist và tạo job con cho từng video
+// Trả về { title, playlistFolder, truncated }, hoặc null nếu job đã kết thúc (không có video nào, đã bị hủy)
+async function createPlaylistChildJobs(playlistJobId) {
+    const { params } = getJob(playlistJobId);
+    updateJob(playlistJobId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.FETCHING_INFO });
+
+    const { title, entries } = await networkPool.run(playlistJobId, () => resolvePlaylistEntries(params.playlistId));
+    let selected = selectPlaylistEntries(entries, params);
+    if (selected.length === 0) {
+        failJob(playlistJobId, { jobErrorCode: 'PLAYLIST_EMPTY', message: 'Không có video nào trong playlist khớp với lựa chọn.' });
+        return null;
+    }
+    const truncated = selected.length > MAX_PLAYLIST_ITEMS;
+    if (truncated) {
+        logger.warn(`Playlist ${params.playlistId} has ${selected.length} selected items, keeping first ${MAX_PLAYLIST_ITEMS}`);
+        selected = selected.slice(0, MAX_PLAYLIST_ITEMS);
+    }
+    if (isJobCancelled(playlistJobId)) return null;
+
+    // Mỗi playlist được lưu vào một thư mục riêng để không bị cleanFolder xóa dần khi đang tải
+    const playlistFolder = `${sanitizeFileName(title)}_${playlistJobId.slice(0, 8)}`;
+    const indexWidth = Math.max(2, String(selected[selected.length - 1].index).length);
+    for (const entry of selected) {
+        const child = createJob('download', {
+            url: `https://www.youtube.com/watch?v=${entry.videoId}`,
+            platform: 'youtube',
+            type: params.type,
+            quality: params.quality,
+            ...params.outputOptions,
+            title: entry.title,
+            duration: entry.duration,
+            playlistIndex: String(entry.index).padStart(indexWidth, '0'),
+            playlistFolder,
+            playlistTitle: title
+        });
+        linkChildJob(playlistJobId, child.id);
+    }
+    updateJob(playlistJobId, { phase: null, playlistTitle: title, playlistFolder, truncated });
+    logger.info(`Playlist ${params.playlistId} resolved: ${selected.length}/${entries.length} items selected for job ${playlistJobId}`);
+    return { title, playlistFolder, truncated };
+}
+
+// Hàm chạy toàn bộ playlist: lấy danh sách video, tạo job con cho từng video, tải rồi đóng gói kết quả
+// Job được chạy lại sau khi khởi động lại đã có job con thì chỉ chạy tiếp các job con chưa kết thúc
+async function runPlaylist(playlistJobId, ip) {
+    const job = getJob(playlistJobId);
+    const { params } = job;
+    const resolved = (job.children || []).length > 0
+        ? { title: job.playlistTitle, playlistFolder: job.playlistFolder, truncated: Boolean(job.truncated) }
+        : await createPlaylistChildJobs(playlistJobId);
+    if (!resolved) return;
+    const { title, playlistFolder, truncated } = resolved;
+
+    await runChildJobs(playlistJobId, ip);
+    if (isJobCancelled(playlistJobId)) return;
+
+    const playlist = getJob(playlistJobId);
+    const summary = summarizeChildJobs(playlist);
+    const items = getPlaylistItems(playlist);
+    const doneItems = items
+        .filter(item => item.status === JOB_STATES.DONE && item.fileName)
+        .map(item => ({ ...item, duration: getJob(item.jobId)?.params.duration }));
+    if (doneItems.length === 0) {
+        return failJob(playlistJobId, { jobErrorCode: 'PLAYLIST_FAILED', message: 'Không tải được video nào trong playlist.', details: summary });
+    }
+
+    const result = { playlistTitle: title, playlistFolder, truncated, summary, items, packaging: params.packaging };
+    updateJob(playlistJobId, { phase: JOB_PHASES.PACKAGING });
+    const folderPath = path.join(__dirname, 'downloads', playlistFolder);
+    if (params.packaging === 'm3u') {
+        await writePlaylistM3u(folderPath, doneItems);
+        result.downloadUrl = `/downloads/${encodeURIComponent(`${playlistFolder}/playlist.m3u`)}`;
+    } else if (params.packaging === 'zip') {
+        await writeDownloadsZip(path.join(folderPath, `${playlistFolder}.zip`), doneItems, playlistJobId);
+        result.downloadUrl = `/downloads/${encodeURIComponent(`${playlistFolder}/${playlistFolder}.zip`)}`;
+    }
+
+    logger.info(`Playlist job ${playlistJobId} finished: ${summary[JOB_STATES.DONE]}/${summary.total} items done`);
+    completeJob(playlistJobId, result);
+}
+
+// Hàm tạo job tải playlist YouTube từ yêu cầu /api/download
+async function handlePlaylistDownload(req, res) {
+    const { url, type, quality, playlistStart, playlistEnd, playlistItems, packaging = 'm3u', jobId, callbackUrl } = req.body;
+    const validationError = validatePlaylistOptions({ type, playlistStart, playlistEnd, playlistItems, packaging });
+    if (validationError) {
+        logger.warn(`Invalid playlist request from IP ${req.ip}: ${validationError}`);
+        return res.status(400).json({ error: validationError });
+    }
+    // Tùy chọn đầu ra đã được kiểm tra ở /api/download, áp dụng chung cho mọi video của playlist
+    const outputOptions = normalizeMediaOptions(type, req.body);
+
+    try {
+        networkPool.assertCapacity();
+        await rateLimiter.consume('download_endpoint', 1);
+
+        const playlistId = getPlaylistId(url);
+        const playlist = createJob('playlist', {
+            url,
+            playlistId,
+            type,
+            quality,
+            playlistStart,
+            playlistEnd,
+            playlistItems,
+            packaging,
+            outputOptions
+        }, jobId);
+        registerCallback(playlist.id, callbackUrl, getRequestBaseUrl(req));
+        logger.info(`Playlist request ${playlistId} (${type}) from IP: ${req.ip}, job ${playlist.id}`);
+
+        res.status(202).json({
+            message: 'Đang xử lý playlist, vui lòng chờ...',
+            downloadId: playlist.id,
+            playlistId,
+            statusUrl: `/api/playlist/${playlist.id}`
+        });
+
+        runPlaylist(playlist.id, req.ip).catch(error => failJob(playlist.id, error, 'Lỗi server khi xử lý playlist.'));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+}
+
+// Hàm chạy lại job playlist đã được khôi phục sau khi server khởi động lại
+async function resumePlaylistJob(job) {
+    await runPlaylist(job.id, `restart_${job.id}`);
+}
+
+registerJobRunner('playlist', resumePlaylistJob);
+
+// Endpoint xem tiến trình tổng và kết quả của từng video trong playlist
+app.get('/api/playlist/:id', (req, res) => {
+    const playlist = getJob(req.params.id);
+    if (!playlist || playlist.kind !== 'playlist') {
+        return res.status(404).json({ error: 'Không tìm thấy playlist.' });
+    }
+    res.json({
+        ...serializeJob(playlist),
+        playlistTitle: playlist.playlistTitle || null,
+        childSummary: summarizeChildJobs(playlist),
+        items: getPlaylistItems(playlist)
+    });
+});
+
+// Hàm tạo job tải cho các video mới của kênh đã đăng ký
+// (mỗi video một job tải và các job phụ đề theo tùy chọn, gom vào một job cha như batch)
+function enqueueSubscriptionVideos(subscription, entries) {
+    const parent = createJob('subscription', {
+        subscriptionId: subscription.id,
+        channelUrl: subscription.channelUrl,
+        itemCount: entries.length
+    });
+    for (const entry of entries) {
+        const url = `https://www.youtube.com/watch?v=${entry.videoId}`;
+        if (subscription.type) {
+            const child = createJob('download', { url, platform: 'youtube', type: subscription.type, quality: subscription.quality });
+            linkChildJob(parent.id, child.id);
+        }
+        for (const targetLanguage of subscription.subtitleLanguages) {
+            for (const formatPreference of subscription.subtitleFormats) {
+                const child = createJob('subtitle', {
+                    url,
+                    platform: 'youtube',
+                    type: 'subtitle',
+                    targetLanguage,
+                    formatPreference,
+                    defaultLanguage: targetLanguage
+                });
+                linkChildJob(parent.id, child.id);
+            }
+        }
+    }
+
+    runBatch(parent.id, `subscription_${subscription.id}`)
+        .catch(error => failJob(parent.id, error, 'Lỗi server khi tải video mới của kênh.'));
+    return parent.id;
+}
+
+// Endpoint đăng ký theo dõi kênh YouTube
+app.post('/api/subscriptions', (req, res) => {
+    try {
+        const subscription = createSubscription(req.body || {});
+        res.status(201).json(serializeSubscription(subscription));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint liệt kê các kênh đang theo dõi
+app.get('/api/subscriptions', (req, res) => {
+    res.json({ subscriptions: listSubscriptions().map(serializeSubscription) });
+});
+
+// Endpoint xem thông tin một subscription
+app.get('/api/subscriptions/:id', (req, res) => {
+    const subscription = getSubscription(req.params.id);
+    if (!subscription) {
+        return res.status(404).json({ error: 'Không tìm thấy subscription.' });
+    }
+    res.json(serializeSubscription(subscription));
+});
+
+// Endpoint cập nhật tùy chọn tải/chu kỳ kiểm tra của subscription
+app.patch('/api/subscriptions/:id', (req, res) => {
+    try {
+        res.json(serializeSubscription(updateSubscription(req.params.id, req.body || {})));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint hủy theo dõi kênh
+app.delete('/api/subscriptions/:id', (req, res) => {
+    try {
+        res.json(serializeSubscription(deleteSubscription(req.params.id)));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint xem lịch sử các video đã tải của subscription (mới nhất trước)
+app.get('/api/subscriptions/:id/history', (req, res) => {
+    const subscription = getSubscription(req.params.id);
+    if (!subscription) {
+        return res.status(404).json({ error: 'Không tìm thấy subscription.' });
+    }
+    const history = [...subscription.history].reverse().map((entry) => {
+        const job = entry.jobId ? getJob(entry.jobId) : null;
+        return { ...entry, status: job?.status || null, childSummary: job?.childSummary || null };
+    });
+    res.json({ subscriptionId: subscription.id, history });
+});
+
+// Endpoint kiểm tra kênh ngay lập tức thay vì chờ tới lượt
+app.post('/api/subscriptions/:id/check', async (req, res) => {
+    if (!getSubscription(req.params.id)) {
+        return res.status(404).json({ error: 'Không tìm thấy subscription.' });
+    }
+    try {
+        const result = await checkSubscription(req.params.id);
+        if (!result) {
+            return res.status(409).json({ error: 'Subscription đang được kiểm tra.' });
+        }
+        res.json({ ...result, subscription: serializeSubscription(getSubscription(req.params.id)) });
+    } catch (error) {
+        logger.error(`Manual subscription check failed: ${error.message}`);
+        res.status(502).json({ error: `Không thể đọc danh sách video của kênh: ${error.message}` });
+    }
+});
+
+// Các trường yêu cầu tải có thể đặt trong lịch tải
+const SCHEDULE_REQUEST_FIELDS = [
+    'url', 'platform', 'type', 'quality', 'targetLanguage', 'formatPreference', 'callbackUrl',
+    'audioFormat', 'audioBitrate', 'audioQuality', 'sampleRate', 'channels', 'targetLufs', 'trimSilence', 'fadeIn', 'fadeOut',
+    'container', 'videoCodec', 'crf', 'preset', 'targetSizeMB', 'subtitles', 'subtitleFormat', 'defaultSubtitle', 'burnSubtitles',
+    'start', 'end', 'accurate', 'splitByChapters', 'chapterPackaging',
+    'resolution', 'maxHeight', 'fps', 'hdr', 'codecPreference', 'maxFileSizeMB', 'itag', 'audioItag'
+];
+
+// Hàm tạo yêu cầu tải của lịch từ body, trả về null nếu body không có trường nào của yêu cầu tải
+async function buildScheduleRequest(body, req, current = null) {
+    if (!SCHEDULE_REQUEST_FIELDS.some(field => body[field] !== undefined)) return null;
+
+    const request = { ...(current || {}) };
+    SCHEDULE_REQUEST_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) request[field] = body[field];
+    });
+    const validationError = validateDownloadItem(request) || await validateCallbackUrl(request.callbackUrl);
+    if (validationError) {
+        const error = new Error(validationError);
+        error.status = 400;
+        throw error;
+    }
+    // Ngôn ngữ phụ đề mặc định và địa chỉ server được xác định tại thời điểm đặt lịch
+    if (request.type === 'subtitle' && !request.targetLanguage && !request.defaultLanguage) {
+        request.defaultLanguage = await getDefaultLanguage(req.ip);
+    }
+    request.baseUrl = getRequestBaseUrl(req);
+    return request;
+}
+
+// Hàm lấy thời gian chạy (runAt/cron) từ body, trả về null nếu không đổi
+function getScheduleTiming({ runAt, cron, timezone }) {
+    return runAt !== undefined || cron !== undefined ? { runAt, cron, timezone } : null;
+}
+
+// Hàm tạo và chạy job cho một lịch tải đã đến hạn (đi qua cùng pipeline với /api/download và /api/download-subtitle)
+function runScheduledRequest(schedule) {
+    const { request } = schedule;
+    const job = createItemJob(request, request.defaultLanguage, { scheduleId: schedule.id });
+    registerCallback(job.id, request.callbackUrl, request.baseUrl);
+    runBatchItem(job.id, `schedule_${schedule.id}`);
+    return job.id;
+}
+
+// Hàm chuyển lịch tải thành dữ liệu trả về cho client, kèm trạng thái job của các lần chạy
+function serializeSchedule(schedule) {
+    const { baseUrl, ...request } = schedule.request;
+    return {
+        ...schedule,
+        request,
+        runs: [...schedule.runs].reverse().map(run => ({ ...run, status: run.jobId ? getJob(run.jobId)?.status || null : null }))
+    };
+}
+
+// Endpoint đặt lịch tải video/âm thanh/phụ đề (runAt: chạy một lần, cron: chạy định kỳ)
+app.post('/api/schedules', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const request = await buildScheduleRequest(body, req);
+        if (!request) {
+            return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform, type)' });
+        }
+        const schedule = createSchedule(request, getScheduleTiming(body) || {});
+        logger.info(`Schedule ${schedule.id} created from IP: ${req.ip}`);
+        res.status(201).json(serializeSchedule(schedule));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint liệt kê các lịch tải
+app.get('/api/schedules', (req, res) => {
+    const { status } = req.query;
+    if (status && !Object.values(SCHEDULE_STATES).includes(status)) {
+        return res.status(400).json({ error: `Trạng thái không hợp lệ. Chỉ hỗ trợ: ${Object.values(SCHEDULE_STATES).join(', ')}.` });
+    }
+    res.json({ schedules: listSchedules({ status }).map(serializeSchedule) });
+});
+
+// Endpoint xem một lịch tải và các lần đã chạy
+app.get('/api/schedules/:id', (req, res) => {
+    const schedule = getSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Không tìm thấy lịch tải.' });
+    }
+    res.json(serializeSchedule(schedule));
+});
+
+// Endpoint cập nhật lịch tải (yêu cầu tải, thời gian chạy, tạm dừng/tiếp tục qua status)
+app.patch('/api/schedules/:id', async (req, res) => {
+    const schedule = getSchedule(req.params.id);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Không tìm thấy lịch tải.' });
+    }
+    try {
+        const body = req.body || {};
+        const request = await buildScheduleRequest(body, req, schedule.request);
+        const updated = updateSchedule(schedule.id, { request, timing: getScheduleTiming(body), status: body.status });
+        res.json(serializeSchedule(updated));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
+// Endpoint xóa lịch tải (các job đã chạy vẫn được giữ nguyên)
+app.delete('/api/schedules/:id', (req, res) => {
+    try {
+        res.json(serializeSchedule(deleteSchedule(req.params.id)));
+    } catch (error) {
+        sendJobRequestError(res, error, req.ip);
+    }
+});
+
 // Endpoint tải phụ đề (GET) - Thông báo lỗi
 app.get('/api/download-subtitle', (req, res) => {
     logger.warn(`Invalid method GET for /api/download-subtitle from IP: ${req.ip}`);
@@ -1694,6 +3338,10 @@ app.get('/downloads/:file', async (req, res) => {
     try {
         const fileName = decodeURIComponent(req.params.file);
         const filePath = path.join(__dirname, 'downloads', fileName);
+        // File của playlist nằm trong thư mục con, nhưng không cho phép truy cập ra ngoài thư mục downloads
+        if (!filePath.startsWith(path.join(__dirname, 'downloads') + path.sep)) {
+            return res.status(400).json({ error: 'Tên file không hợp lệ.' });
+        }
         logger.info(`Yêu cầu tải file: ${filePath}`);
 
         await fsPromises.access(filePath);
@@ -1707,7 +3355,9 @@ app.get('/downloads/:file', async (req, res) => {
         }
 
         res.setTimeout(600000);
-        res.download(filePath, fileName, (err) => {
+        // Đặt đúng MIME type cho các định dạng âm thanh (opus, flac, m4a, ...)
+        const mimeType = getMimeType(fileName);
+        res.download(filePath, fileName, mimeType ? { headers: { 'Content-Type': mimeType } } : {}, (err) => {
             if (err) {
                 logger.error(`Lỗi khi gửi file ${fileName}: ${err.message}`);
                 if (err.code === 'EPIPE' || err.message.includes('Request aborted')) {
@@ -1817,6 +3467,59 @@ function convertVttToSrt(vttText) {
     }
 }
 
-app.listen(port, () => {
-    logger.info(`Server running on port ${port}, OS: ${os.platform()}, Node.js version: ${process.version}`);
-});
\ No newline at end of file
+// Hàm dọn các file tạm còn sót lại khi server bị dừng giữa chừng ở lần chạy trước
+async function cleanupOrphanedFiles() {
+    const downloadsDir = path.join(__dirname, 'downloads');
+    const files = await fsPromises.readdir(downloadsDir).catch(() => []);
+    for (const file of files.filter(isPartialFile)) {
+        await fsPromises.unlink(path.join(downloadsDir, file))
+            .then(() => logger.info(`Removed orphaned partial file: ${file}`))
+            .catch(error => logger.error(`Failed to remove orphaned file ${file}: ${error.message}`));
+    }
+    await fsPromises.rm(path.join(__dirname, 'temp'), { recursive: true, force: true });
+}
+
+// Hàm khởi động server: khôi phục job đã lưu trước khi nhận request mới
+async function startServer() {
+    await cleanupOrphanedFiles();
+    await restoreJobs(createJobStore());
+    await restoreSubtitleRequests();
+
+    // Gửi webhook khi job kết thúc (kể cả các webhook còn dở trước khi khởi động lại)
+    attachWebhookNotifier();
+
+    // Theo dõi các kênh đã đăng ký và tự động tải video mới
+    await startSubscriptionScheduler(enqueueSubscriptionVideos);
+
+    // Chạy các lịch tải đã đặt (kể cả lịch đến hạn trong lúc server dừng)
+    await startScheduleRunner(runScheduledRequest);
+
+    const server = app.listen(port, () => {
+        logger.info(`Server running on port ${port}, OS: ${os.platform()}, Node.js version: ${process.version}`);
+    });
+
+    // Kênh WebSocket theo dõi và điều khiển nhiều job cùng lúc
+    attachJobSocket(server, { allowedOrigins });
+}
+
+// Chỉ khởi động server khi chạy trực tiếp (node server.js), khi được require (test) chỉ dùng app
+if (require.main === module) {
+    // Ghi nốt dữ liệu job xuống store trước khi dừng server
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.once(signal, () => {
+            logger.info(`Received ${signal}, closing job store...`);
+            stopSubscriptionScheduler();
+            stopScheduleRunner();
+            closeJobStore()
+                .catch(error => logger.error(`Failed to close job store: ${error.message}`))
+                .finally(() => process.exit(0));
+        });
+    });
+
+    startServer().catch(error => {
+        logger.error(`Failed to start server: ${error.message}`, { error: error.stack });
+        process.exit(1);
+    });
+}
+
+module.exports = { app, logger };
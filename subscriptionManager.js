@@ -0,0 +1,327 @@
+// subscriptionManager.js
+const { v4: uuidv4 } = require('uuid');
+const ytDlp = require('yt-dlp-exec');
+const { logger } = require('./utils');
+const { QUALITY_LEVELS } = require('./formatSelector');
+const { networkPool } = require('./workerPool');
+const { saveStoreEntry, deleteStoreEntry, loadStoreEntries } = require('./jobManager');
+
+// Collection lưu các subscription trong job store
+const SUBSCRIPTION_COLLECTION = 'subscriptions';
+
+// Chu kỳ scheduler kiểm tra các subscription đến hạn (ms)
+const SCHEDULER_TICK_INTERVAL = 60000;
+
+// Khoảng thời gian kiểm tra mặc định/tối thiểu của một subscription (phút)
+const DEFAULT_CHECK_INTERVAL = 60;
+const MIN_CHECK_INTERVAL = 5;
+
+// Số video mới nhất của kênh được đọc trong mỗi lần kiểm tra
+const CHANNEL_SCAN_LIMIT = parseInt(process.env.SUBSCRIPTION_SCAN_LIMIT, 10) || 30;
+
+// Số video đã thấy được ghi nhớ cho mỗi subscription
+const MAX_SEEN_VIDEOS = 500;
+
+// Số mục lịch sử tối đa được lưu cho mỗi subscription
+const MAX_SUBSCRIPTION_HISTORY = 200;
+
+// Số video tối đa được tải ở lần kiểm tra đầu tiên (các video cũ hơn chỉ được đánh dấu đã thấy)
+const MAX_BACKFILL = 50;
+
+// Các loại tải và định dạng phụ đề được hỗ trợ
+const SUBSCRIPTION_TYPES = ['video', 'audio'];
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'txt'];
+
+// Danh sách subscription trong bộ nhớ
+const subscriptions = new Map();
+
+// Các subscription đang được kiểm tra, tránh kiểm tra chồng lên nhau
+const checkingSubscriptions = new Set();
+
+let schedulerTimer = null;
+let enqueueVideos = null;
+
+// Hàm tạo lỗi kèm HTTP status cho các route subscription
+function createSubscriptionError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Hàm chuẩn hóa URL kênh YouTube (chấp nhận channel ID, @handle hoặc URL kênh) thành URL danh sách video
+function normalizeChannelUrl(channel) {
+    const value = String(channel || '').trim();
+    if (/^UC[\w-]{22}$/.test(value)) {
+        return `https://www.youtube.com/channel/${value}/videos`;
+    }
+    if (/^@[\w.-]+$/.test(value)) {
+        return `https://www.youtube.com/${value}/videos`;
+    }
+    const match = value.match(/^https?:\/\/(?:www\.|m\.)?youtube\.com\/((?:channel\/UC[\w-]{22})|(?:@[\w.-]+)|(?:c\/[\w.-]+)|(?:user\/[\w.-]+))/);
+    return match ? `https://www.youtube.com/${match[1]}/videos` : null;
+}
+
+// Hàm kiểm tra và chuẩn hóa tùy chọn tải của subscription
+function normalizePreferences(input, current = {}) {
+    const preferences = {
+        type: input.type !== undefined ? input.type : current.type,
+        quality: input.quality !== undefined ? input.quality : current.quality,
+        subtitleLanguages: input.subtitleLanguages !== undefined ? input.subtitleLanguages : current.subtitleLanguages || [],
+        subtitleFormats: input.subtitleFormats !== undefined ? input.subtitleFormats : current.subtitleFormats || ['srt'],
+        intervalMinutes: input.intervalMinutes !== undefined ? input.intervalMinutes : current.intervalMinutes || DEFAULT_CHECK_INTERVAL,
+        enabled: input.enabled !== undefined ? input.enabled : current.enabled !== false
+    };
+
+    if (preferences.type !== null && preferences.type !== undefined && !SUBSCRIPTION_TYPES.includes(preferences.type)) {
+        throw createSubscriptionError(`Loại tải không được hỗ trợ. Chỉ hỗ trợ: ${SUBSCRIPTION_TYPES.join(', ')}.`);
+    }
+    if (preferences.quality !== null && preferences.quality !== undefined) {
+        preferences.quality = String(preferences.quality).toLowerCase();
+        if (!QUALITY_LEVELS.includes(preferences.quality)) {
+            throw createSubscriptionError(`Chất lượng không được hỗ trợ. Chỉ hỗ trợ: ${QUALITY_LEVELS.join(', ')}.`);
+        }
+    }
+    if (!Array.isArray(preferences.subtitleLanguages) || preferences.subtitleLanguages.some(lang => typeof lang !== 'string' || !lang)) {
+        throw createSubscriptionError('subtitleLanguages phải là danh sách mã ngôn ngữ.');
+    }
+    if (!Array.isArray(preferences.subtitleFormats) || preferences.subtitleFormats.length === 0) {
+        throw createSubscriptionError('subtitleFormats phải là danh sách định dạng phụ đề.');
+    }
+    preferences.subtitleFormats = preferences.subtitleFormats.map(format => String(format).toLowerCase());
+    if (preferences.subtitleFormats.some(format => !SUBTITLE_FORMATS.includes(format))) {
+        throw createSubscriptionError(`Định dạng phụ đề không được hỗ trợ. Chỉ hỗ trợ: ${SUBTITLE_FORMATS.join(', ')}.`);
+    }
+    if (!preferences.type && preferences.subtitleLanguages.length === 0) {
+        throw createSubscriptionError('Vui lòng chọn loại tải (type) hoặc ít nhất một ngôn ngữ phụ đề.');
+    }
+    if (!Number.isInteger(preferences.intervalMinutes) || preferences.intervalMinutes < MIN_CHECK_INTERVAL) {
+        throw createSubscriptionError(`intervalMinutes phải là số nguyên không nhỏ hơn ${MIN_CHECK_INTERVAL}.`);
+    }
+    if (typeof preferences.enabled !== 'boolean') {
+        throw createSubscriptionError('enabled phải là true hoặc false.');
+    }
+    preferences.type = preferences.type || null;
+    preferences.quality = preferences.quality || null;
+    return preferences;
+}
+
+// Hàm lưu subscription xuống store
+function persistSubscription(subscription) {
+    saveStoreEntry(SUBSCRIPTION_COLLECTION, subscription.id, subscription);
+}
+
+// Hàm chuyển subscription thành dữ liệu trả về cho client (không kèm lịch sử và danh sách video đã thấy)
+function serializeSubscription(subscription) {
+    if (!subscription) return null;
+    const { seenVideoIds, history, ...rest } = subscription;
+    return { ...rest, seenCount: seenVideoIds.length, historyCount: history.length };
+}
+
+// Hàm tạo subscription mới
+function createSubscription({ channel, channelUrl, backfill = 0, ...input }) {
+    const videosUrl = normalizeChannelUrl(channel || channelUrl);
+    if (!videosUrl) {
+        throw createSubscriptionError('URL hoặc ID kênh YouTube không hợp lệ.');
+    }
+    if ([...subscriptions.values()].some(item => item.channelUrl === videosUrl)) {
+        throw createSubscriptionError('Kênh này đã được đăng ký.', 409);
+    }
+    if (!Number.isInteger(backfill) || backfill < 0 || backfill > MAX_BACKFILL) {
+        throw createSubscriptionError(`backfill phải là số nguyên từ 0 đến ${MAX_BACKFILL}.`);
+    }
+
+    const now = new Date().toISOString();
+    const subscription = {
+        id: uuidv4(),
+        channelUrl: videosUrl,
+        channelId: null,
+        channelTitle: null,
+        ...normalizePreferences(input),
+        backfill,
+        initialized: false,
+        seenVideoIds: [],
+        history: [],
+        lastCheckedAt: null,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    subscriptions.set(subscription.id, subscription);
+    persistSubscription(subscription);
+    logger.info(`Subscription created: ${subscription.id} for ${videosUrl}`);
+
+    // Kiểm tra ngay lần đầu để ghi nhận các video hiện có của kênh
+    if (subscription.enabled) scheduleCheck(subscription.id);
+    return subscription;
+}
+
+// Hàm lấy subscription theo ID
+function getSubscription(id) {
+    return subscriptions.get(id) || null;
+}
+
+// Hàm liệt kê các subscription
+function listSubscriptions() {
+    return [...subscriptions.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Hàm cập nhật tùy chọn tải của subscription
+function updateSubscription(id, input) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+        throw createSubscriptionError('Không tìm thấy subscription.', 404);
+    }
+    Object.assign(subscription, normalizePreferences(input, subscription), { updatedAt: new Date().toISOString() });
+    persistSubscription(subscription);
+    logger.info(`Subscription updated: ${id}`);
+    return subscription;
+}
+
+// Hàm xóa subscription
+function deleteSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) {
+        throw createSubscriptionError('Không tìm thấy subscription.', 404);
+    }
+    subscriptions.delete(id);
+    deleteStoreEntry(SUBSCRIPTION_COLLECTION, id);
+    logger.info(`Subscription deleted: ${id}`);
+    return subscription;
+}
+
+// Hàm đọc danh sách video mới nhất của kênh bằng yt-dlp (chỉ đọc thông tin, không tải)
+async function fetchChannelUploads(channelUrl) {
+    const info = await networkPool.run(null, () => ytDlp(channelUrl, {
+        flatPlaylist: true,
+        dumpSingleJson: true,
+        playlistEnd: CHANNEL_SCAN_LIMIT,
+        noWarnings: true
+    }));
+    return {
+        channelId: info.channel_id || info.id || null,
+        channelTitle: info.channel || info.uploader || info.title || null,
+        entries: (info.entries || [])
+            .filter(entry => entry.id)
+            .map(entry => ({ videoId: entry.id, title: entry.title || entry.id, duration: entry.duration || null }))
+    };
+}
+
+// Hàm ghi thêm các mục vào lịch sử của subscription
+function appendHistory(subscription, entries) {
+    subscription.history.push(...entries);
+    if (subscription.history.length > MAX_SUBSCRIPTION_HISTORY) {
+        subscription.history.splice(0, subscription.history.length - MAX_SUBSCRIPTION_HISTORY);
+    }
+}
+
+// Hàm kiểm tra một subscription: tìm video chưa thấy và đưa vào hàng đợi tải
+async function checkSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription || checkingSubscriptions.has(id)) return null;
+    checkingSubscriptions.add(id);
+
+    try {
+        const { channelId, channelTitle, entries } = await fetchChannelUploads(subscription.channelUrl);
+        // Subscription có thể đã bị xóa trong lúc đang đọc danh sách video
+        if (!subscriptions.has(id)) return null;
+
+        const seen = new Set(subscription.seenVideoIds);
+        let newEntries = entries.filter(entry => !seen.has(entry.videoId));
+        // Lần kiểm tra đầu tiên chỉ tải tối đa `backfill` video mới nhất, còn lại coi như đã thấy
+        if (!subscription.initialized) {
+            newEntries = newEntries.slice(0, subscription.backfill);
+        }
+
+        // Tải theo thứ tự đăng, video cũ trước
+        const queuedEntries = [...newEntries].reverse();
+        let jobId = null;
+        if (queuedEntries.length > 0) {
+            jobId = enqueueVideos(subscription, queuedEntries);
+            logger.info(`Subscription ${id} found ${newEntries.length} new uploads, queued job ${jobId}`);
+        }
+
+        const now = new Date().toISOString();
+        appendHistory(subscription, queuedEntries.map(entry => ({
+            videoId: entry.videoId,
+            title: entry.title,
+            url: `https://www.youtube.com/watch?v=${entry.videoId}`,
+            jobId,
+            fetchedAt: now
+        })));
+        subscription.seenVideoIds = [...new Set([...entries.map(entry => entry.videoId), ...subscription.seenVideoIds])]
+            .slice(0, MAX_SEEN_VIDEOS);
+        Object.assign(subscription, {
+            channelId,
+            channelTitle,
+            initialized: true,
+            lastCheckedAt: now,
+            lastError: null,
+            updatedAt: now
+        });
+        persistSubscription(subscription);
+        return { newVideos: newEntries.length, jobId };
+    } catch (error) {
+        logger.error(`Subscription check failed for ${id}: ${error.message}`);
+        if (subscriptions.has(id)) {
+            Object.assign(subscription, { lastCheckedAt: new Date().toISOString(), lastError: error.message });
+            persistSubscription(subscription);
+        }
+        throw error;
+    } finally {
+        checkingSubscriptions.delete(id);
+    }
+}
+
+// Hàm kiểm tra subscription ở nền, chỉ ghi log khi lỗi
+function scheduleCheck(id) {
+    if (!enqueueVideos) return;
+    checkSubscription(id).catch(() => {});
+}
+
+// Hàm kiểm tra các subscription đã đến hạn
+function runDueChecks() {
+    const now = Date.now();
+    for (const subscription of subscriptions.values()) {
+        if (!subscription.enabled) continue;
+        const lastChecked = subscription.lastCheckedAt ? new Date(subscription.lastCheckedAt).getTime() : 0;
+        if (now - lastChecked >= subscription.intervalMinutes * 60000) {
+            scheduleCheck(subscription.id);
+        }
+    }
+}
+
+// Hàm khôi phục subscription từ store và bắt đầu scheduler
+// enqueue(subscription, entries) tạo job tải cho các video mới và trả về ID job
+async function startSubscriptionScheduler(enqueue) {
+    enqueueVideos = enqueue;
+    for (const [id, subscription] of await loadStoreEntries(SUBSCRIPTION_COLLECTION)) {
+        subscriptions.set(id, subscription);
+    }
+    logger.info(`Subscription scheduler started with ${subscriptions.size} subscriptions`);
+
+    runDueChecks();
+    schedulerTimer = setInterval(runDueChecks, SCHEDULER_TICK_INTERVAL);
+    schedulerTimer.unref();
+}
+
+// Hàm dừng scheduler
+function stopSubscriptionScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+module.exports = {
+    normalizeChannelUrl,
+    normalizePreferences,
+    createSubscription,
+    getSubscription,
+    listSubscriptions,
+    updateSubscription,
+    deleteSubscription,
+    checkSubscription,
+    serializeSubscription,
+    startSubscriptionScheduler,
+    stopSubscriptionScheduler
+};
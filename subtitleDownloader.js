@@ -1,24 +1,43 @@
 // subtitleDownloader.js
 const { RateLimiterMemory } = require('rate-limiter-flexible');
-const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
 const ytdl = require('@distube/ytdl-core');
 const ytDlp = require('yt-dlp-exec');
+const { getSubtitles: getYTSubtitles } = require('@treeee/youtube-caption-extractor');
 const {
     logger,
     fetchWithRetry,
     cleanFolder,
     sanitizeFileName,
     getVideoTitle,
-    arrayToVtt,
-    convertVttToSrt,
+    msToTime,
+    msToTimeSrt,
     extractTextFromVtt,
+    convertXmlToVtt,
     getAvailableSubtitleLanguages,
     checkVideoAvailability,
-    getDefaultLanguage
+    getDefaultLanguage,
+    getUniqueTempPath,
+    clipSrtCues
 } = require('./utils');
+const { validateCallbackUrl, registerCallback, getRequestBaseUrl } = require('./webhookNotifier');
+const {
+    JOB_STATES,
+    JOB_PHASES,
+    FINAL_STATES,
+    createJob,
+    updateJob,
+    completeJob,
+    failJob,
+    getJob,
+    followJob,
+    registerJobRunner,
+    registerJobFiles,
+    saveStoreEntry,
+    deleteStoreEntry,
+    loadStoreEntries
+} = require('./jobManager');
 
 // Rate Limiter cho tải phụ đề: Giới hạn 5 request/giây
 const subtitleRateLimiter = new RateLimiterMemory({
@@ -26,9 +45,38 @@ const subtitleRateLimiter = new RateLimiterMemory({
     duration: 1,
 });
 
-// Danh sách để theo dõi các yêu cầu tải phụ đề đang xử lý
+// Danh sách để theo dõi các yêu cầu tải phụ đề đang xử lý (đồng bộ xuống job store)
 const activeSubtitleRequests = new Map();
 
+// Hàm tạo khóa nhận diện yêu cầu tải phụ đề trùng lặp
+function getSubtitleRequestKey(url, language, format) {
+    return `${url}:${language}:${format}`;
+}
+
+// Hàm ghi nhận yêu cầu tải phụ đề đang xử lý
+function trackSubtitleRequest(requestKey, downloadId) {
+    activeSubtitleRequests.set(requestKey, downloadId);
+    saveStoreEntry('subtitleRequests', requestKey, { downloadId });
+}
+
+// Hàm bỏ ghi nhận yêu cầu tải phụ đề đã xử lý xong
+function releaseSubtitleRequest(requestKey) {
+    activeSubtitleRequests.delete(requestKey);
+    deleteStoreEntry('subtitleRequests', requestKey);
+}
+
+// Hàm khôi phục các yêu cầu tải phụ đề còn đang xử lý sau khi server khởi động lại
+async function restoreSubtitleRequests() {
+    for (const [requestKey, { downloadId }] of await loadStoreEntries('subtitleRequests')) {
+        const job = getJob(downloadId);
+        if (job && !FINAL_STATES.includes(job.status)) {
+            activeSubtitleRequests.set(requestKey, downloadId);
+        } else {
+            releaseSubtitleRequest(requestKey);
+        }
+    }
+}
+
 // Hàm làm sạch nội dung phụ đề
 function cleanSubtitleContent(content) {
     if (!content || content.trim() === '') {
@@ -569,15 +617,306 @@ function convertVttToSrt(vttText) {
     }
 }
 
+// Hàm tải nội dung phụ đề của một ngôn ngữ, lần lượt thử @distube/ytdl-core, yt-dlp,
+// node-youtube-subtitles và YouTube API; outputPath là file VTT tạm cho yt-dlp
+// Trả về { content, method, error } với content = null nếu mọi phương pháp đều thất bại
+async function fetchSubtitleContent(url, videoId, language, { outputPath }) {
+    let subtitleContent = null;
+    let downloadMethod = '';
+    let downloadError = null;
+
+    // Phương pháp 1: Sử dụng @distube/ytdl-core
+    try {
+        subtitleContent = await downloadSubtitleWithYtdlCore(videoId, language);
+        if (subtitleContent) {
+            downloadMethod = 'ytdl-core';
+            logger.info('Successfully downloaded subtitles using ytdl-core');
+        }
+    } catch (error) {
+        downloadError = error;
+        logger.error(`ytdl-core download failed: ${error.message}`);
+    }
+
+    // Phương pháp 2: Thử với yt-dlp nếu phương pháp 1 thất bại
+    if (!subtitleContent) {
+        try {
+            subtitleContent = await downloadSubtitleWithYtDlp(url, language, outputPath);
+            if (subtitleContent) {
+                downloadMethod = 'yt-dlp';
+                logger.info('Successfully downloaded subtitles using yt-dlp');
+            }
+        } catch (error) {
+            downloadError = error;
+            logger.error(`yt-dlp download failed: ${error.message}`);
+        }
+    }
+
+    // Phương pháp 3: Thử với node-youtube-subtitles
+    if (!subtitleContent) {
+        try {
+            subtitleContent = await downloadSubtitleWithNodeSubtitles(videoId, language);
+            if (subtitleContent) {
+                downloadMethod = 'node-youtube-subtitles';
+                logger.info('Successfully downloaded subtitles using node-youtube-subtitles');
+            }
+        } catch (error) {
+            downloadError = error;
+            logger.error(`node-youtube-subtitles download failed: ${error.message}`);
+        }
+    }
+
+    // Phương pháp 4: Thử với YouTube API
+    if (!subtitleContent) {
+        try {
+            subtitleContent = await downloadSubtitleWithYouTubeAPI(videoId, language);
+            if (subtitleContent) {
+                downloadMethod = 'youtube-api';
+                logger.info('Successfully downloaded subtitles using YouTube API');
+            }
+        } catch (error) {
+            downloadError = error;
+            logger.error(`YouTube API download failed: ${error.message}`);
+        }
+    }
+
+    return { content: subtitleContent, method: downloadMethod, error: downloadError };
+}
+
+// Hàm tải phụ đề của các ngôn ngữ cần nhúng vào video, ghi thành file SRT tạm cạnh file đích (filePath)
+// Trả về [{ language, sourceLanguage, auto, method, filePath }]; ném lỗi 422 nếu video không có phụ đề của ngôn ngữ nào đó
+// (hoặc phụ đề không có câu nào trong đoạn cắt)
+// variant: phần thêm vào tên file tạm (ví dụ 'burn') để không trùng với track phụ đề mềm cùng ngôn ngữ
+// clip: khoảng cắt { start, end }, chỉ giữ các câu trong đoạn cắt và dời mốc thời gian về đầu đoạn
+async function fetchSubtitleTracks(url, languages, { filePath, jobId, variant = null, clip = null }) {
+    const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
+    const { manual: manualLanguages, auto: autoLanguages } = await getAvailableSubtitleLanguages(url);
+    const missingLanguages = languages.filter(language => !manualLanguages.includes(language) && !autoLanguages.includes(language));
+    if (missingLanguages.length > 0) {
+        const availableLangs = [...new Set([...manualLanguages, ...autoLanguages])].join(', ') || 'không có';
+        throw Object.assign(new Error(`Không tìm thấy phụ đề cho ngôn ngữ ${missingLanguages.join(', ')}. Các ngôn ngữ khả dụng: ${availableLangs}`), {
+            status: 422,
+            jobErrorCode: 'SUBTITLE_UNAVAILABLE'
+        });
+    }
+
+    const tempDir = path.join(__dirname, 'temp');
+    await fsPromises.mkdir(tempDir, { recursive: true });
+    const tracks = [];
+    try {
+        for (const language of languages) {
+            // Ưu tiên phụ đề thủ công, chỉ dùng phụ đề tự động khi không có
+            const sourceLanguage = manualLanguages.includes(language) ? language : `${language}.auto`;
+            const { content, method, error } = await fetchSubtitleContent(url, videoId, sourceLanguage, {
+                outputPath: path.join(tempDir, `${videoId}.${jobId}.${sourceLanguage}.vtt`)
+            });
+            if (!content || content.trim() === '') {
+                throw new Error(`Không thể tải phụ đề cho ngôn ngữ ${language}.${error ? ` Lỗi: ${error.message}` : ''}`);
+            }
+
+            // YouTube API trả về XML timedtext, cần chuyển sang VTT trước khi chuyển sang SRT
+            const vttContent = /^\s*<(\?xml|transcript)/.test(content) ? convertXmlToVtt(content) : content;
+            const fullSrtContent = vttContent && convertSubtitleFormat(vttContent, 'srt');
+            if (!fullSrtContent) {
+                throw new Error(`Không thể chuyển đổi phụ đề ${language} sang SRT.`);
+            }
+            const srtContent = clip ? clipSrtCues(fullSrtContent, clip) : fullSrtContent;
+            // File SRT rỗng làm FFmpeg lỗi khi in/nhúng phụ đề, báo lỗi trước khi tải video
+            if (!srtContent) {
+                logger.warn(`Subtitle track ${sourceLanguage} has no cues inside clip range for job ${jobId}`, clip);
+                throw Object.assign(new Error(`Phụ đề ${language} không có câu nào trong đoạn cắt đã chọn.`), {
+                    status: 422,
+                    jobErrorCode: 'SUBTITLE_UNAVAILABLE'
+                });
+            }
+
+            const trackPath = getUniqueTempPath(filePath.replace(/\.[^.]+$/, `.${language}${variant ? `.${variant}` : ''}.srt`), jobId, 'temp');
+            registerJobFiles(jobId, trackPath);
+            await fsPromises.writeFile(trackPath, srtContent, 'utf8');
+            tracks.push({ language, sourceLanguage, auto: sourceLanguage !== language, method, filePath: trackPath });
+            logger.info(`Prepared subtitle track ${sourceLanguage} for job ${jobId} using ${method}`);
+        }
+    } catch (error) {
+        await removeSubtitleTracks(tracks);
+        throw error;
+    }
+    return tracks;
+}
+
+// Hàm xóa các file phụ đề tạm đã nhúng (hoặc không dùng tới)
+async function removeSubtitleTracks(tracks) {
+    await Promise.all(tracks.map(track => fsPromises.unlink(track.filePath).catch(() => {})));
+}
+
+// Hàm tải phụ đề cho một job đã tạo
+async function runSubtitleJob(downloadId, { url, platform, targetLanguage: selectedLanguage, formatPreference: selectedFormat, defaultLanguage = selectedLanguage }) {
+    const requestKey = getSubtitleRequestKey(url, selectedLanguage, selectedFormat);
+    try {
+        updateJob(downloadId, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.FETCHING_INFO });
+
+        if (platform !== 'youtube') {
+            throw new Error('Hiện tại chỉ hỗ trợ nền tảng YouTube.');
+        }
+
+        // Kiểm tra URL và trích xuất video ID
+        const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
+        if (!videoId) {
+            throw new Error('URL YouTube không hợp lệ');
+        }
+
+        // Kiểm tra tính khả dụng của video
+        const availability = await checkVideoAvailability(videoId);
+        if (!availability.isAvailable) {
+            throw new Error(availability.reason);
+        }
+
+        // Lấy danh sách ngôn ngữ phụ đề khả dụng
+        const { manual: manualLanguages, auto: autoLanguages } = await getAvailableSubtitleLanguages(url);
+        const allLanguages = [...new Set([...manualLanguages, ...autoLanguages])];
+
+        if (allLanguages.length === 0) {
+            throw new Error('Video không có phụ đề nào khả dụng.');
+        }
+
+        // Kiểm tra xem ngôn ngữ yêu cầu có khả dụng không
+        if (!allLanguages.includes(selectedLanguage)) {
+            const availableLangs = allLanguages.join(', ');
+            throw new Error(`Không tìm thấy phụ đề cho ngôn ngữ ${selectedLanguage}. Các ngôn ngữ khả dụng: ${availableLangs}`);
+        }
+
+        // Xác định ngôn ngữ cuối cùng
+        let finalLanguage = selectedLanguage;
+        if (manualLanguages.includes(selectedLanguage)) {
+            finalLanguage = selectedLanguage;
+        } else if (autoLanguages.includes(selectedLanguage)) {
+            finalLanguage = `${selectedLanguage}.auto`;
+        } else {
+            // Thử tìm ngôn ngữ thay thế
+            if (manualLanguages.includes(defaultLanguage)) {
+                finalLanguage = defaultLanguage;
+            } else if (autoLanguages.includes(defaultLanguage)) {
+                finalLanguage = `${defaultLanguage}.auto`;
+            } else {
+                finalLanguage = manualLanguages[0] || `${autoLanguages[0]}.auto`;
+            }
+            logger.info(`Ngôn ngữ ${selectedLanguage} không khả dụng, sử dụng ${finalLanguage} thay thế`);
+        }
+
+        // Cập nhật tiến trình
+        updateJob(downloadId, { progress: 30, phase: JOB_PHASES.DOWNLOADING_SUBTITLE });
+
+        const videoTitle = await getVideoTitle(videoId) || `Video_YouTube_${videoId}`;
+        const tempDir = path.join(__dirname, 'temp');
+        await fsPromises.mkdir(tempDir, { recursive: true });
+
+        // Thử tải phụ đề bằng nhiều phương pháp
+        const { content: subtitleContent, method: downloadMethod, error: downloadError } = await fetchSubtitleContent(url, videoId, finalLanguage, {
+            outputPath: path.join(tempDir, `${videoTitle}.${finalLanguage}.vtt`)
+        });
+
+        // Kiểm tra nội dung phụ đề
+        if (!subtitleContent || subtitleContent.trim() === '') {
+            const errorMessage = downloadError ? 
+                `Không thể tải phụ đề cho ngôn ngữ ${selectedLanguage}. Lỗi: ${downloadError.message}` :
+                `Không thể tải phụ đề cho ngôn ngữ ${selectedLanguage}. Vui lòng thử ngôn ngữ khác.`;
+            throw new Error(errorMessage);
+        }
+
+        // Cập nhật tiến trình
+        updateJob(downloadId, { status: JOB_STATES.CONVERTING, progress: 70 });
+
+        // Chuyển đổi định dạng
+        const convertedContent = convertSubtitleFormat(subtitleContent, selectedFormat);
+        if (!convertedContent) {
+            throw new Error(`Không thể chuyển đổi phụ đề sang định dạng ${selectedFormat}. Vui lòng thử định dạng khác.`);
+        }
+
+        // Tạo tên file và lưu phụ đề
+        const fileName = `${sanitizeFileName(videoTitle)}_${finalLanguage}.${selectedFormat}`;
+        const filePath = path.join(subtitlesDir, fileName);
+
+        try {
+            await fsPromises.writeFile(filePath, convertedContent, 'utf8');
+            logger.info(`Successfully wrote subtitle file: ${filePath}`);
+
+            // Kiểm tra file sau khi ghi
+            const stats = await fsPromises.stat(filePath);
+            if (stats.size === 0) {
+                throw new Error('File phụ đề rỗng sau khi tạo.');
+            }
+
+            // Cập nhật tiến trình hoàn thành
+            completeJob(downloadId, {
+                downloadUrl: `/subtitles/${encodeURIComponent(fileName)}`,
+                fileName,
+                size: stats.size,
+                downloadMethod,
+                selectedLanguage: finalLanguage,
+                defaultLanguage: defaultLanguage,
+                availableLanguages: {
+                    manual: manualLanguages,
+                    auto: autoLanguages
+                }
+            });
+        } catch (writeError) {
+            logger.error(`Error writing subtitle file: ${writeError.message}`);
+            throw new Error('Không thể lưu file phụ đề. Vui lòng thử lại!');
+        }
+
+    } catch (error) {
+        logger.error(`Subtitle Download Error: ${error.message}`);
+        let errorMessage;
+        if (error.code === 'RATE_LIMITER_POINTS_EXCEEDED') {
+            errorMessage = 'Quá nhiều yêu cầu. Vui lòng thử lại sau vài giây!';
+        } else if (error.response) {
+            errorMessage = error.response.data?.error?.message || error.message || 'Lỗi từ API tải phụ đề';
+        } else if (error.code === 'ECONNABORTED') {
+            errorMessage = 'Yêu cầu tải phụ đề hết thời gian. Vui lòng kiểm tra kết nối và thử lại!';
+        } else {
+            errorMessage = error.message || 'Lỗi server khi tải phụ đề. Vui lòng thử lại sau!';
+        }
+        failJob(downloadId, { jobErrorCode: error.jobErrorCode, message: errorMessage });
+    } finally {
+        releaseSubtitleRequest(requestKey);
+    }
+}
+
+// Hàm chạy yêu cầu tải phụ đề cho một job đã tạo (dùng cho các mục trong batch),
+// đi theo job đang xử lý yêu cầu giống hệt nếu có
+async function runSubtitleRequest(downloadId, params) {
+    const requestKey = getSubtitleRequestKey(params.url, params.targetLanguage, params.formatPreference);
+    const existingId = activeSubtitleRequests.get(requestKey);
+    if (existingId && existingId !== downloadId) {
+        logger.info(`Subtitle job ${downloadId} follows running job ${existingId} for ${requestKey}`);
+        await followJob(downloadId, existingId);
+        return;
+    }
+    trackSubtitleRequest(requestKey, downloadId);
+    await runSubtitleJob(downloadId, params);
+}
+
+// Hàm chạy lại job tải phụ đề đã được khôi phục sau khi server khởi động lại
+async function resumeSubtitleJob(job) {
+    const { url, targetLanguage, formatPreference } = job.params;
+    trackSubtitleRequest(getSubtitleRequestKey(url, targetLanguage, formatPreference), job.id);
+    await runSubtitleJob(job.id, job.params);
+}
+
+registerJobRunner('subtitle', resumeSubtitleJob);
+
 // Hàm xử lý tải phụ đề
-async function handleDownloadSubtitle(req, res, downloadProgressMap) {
-    const { url, platform, targetLanguage, formatPreference } = req.body;
+async function handleDownloadSubtitle(req, res) {
+    const { url, platform, targetLanguage, formatPreference, callbackUrl } = req.body;
 
     // Kiểm tra dữ liệu đầu vào
     if (!url || !platform) {
         logger.warn(`Missing required fields (url, platform) from IP: ${req.ip}`);
         throw new Error('Thiếu thông tin cần thiết (url, platform)');
     }
+    const callbackError = await validateCallbackUrl(callbackUrl);
+    if (callbackError) {
+        logger.warn(`Invalid callbackUrl from IP: ${req.ip}: ${callbackUrl}`);
+        throw new Error(callbackError);
+    }
 
     // Áp dụng giới hạn tốc độ
     await subtitleRateLimiter.consume(`download_subtitle_${req.ip}`, 1);
@@ -596,213 +935,40 @@ async function handleDownloadSubtitle(req, res, downloadProgressMap) {
 
     // Tạo thư mục lưu trữ phụ đề
     const subtitlesDir = path.join(__dirname, 'subtitles');
-    if (!await fs.access(subtitlesDir).then(() => true).catch(() => false)) {
-        await fs.mkdir(subtitlesDir, { recursive: true });
+    if (!await fsPromises.access(subtitlesDir).then(() => true).catch(() => false)) {
+        await fsPromises.mkdir(subtitlesDir, { recursive: true });
     }
 
     // Dọn dẹp thư mục phụ đề
     await cleanFolder(subtitlesDir);
 
-    // Tạo ID tải xuống và lưu vào tiến trình
-    const downloadId = uuidv4();
-    downloadProgressMap.set(downloadId, { progress: 0, error: null });
-
     // Kiểm tra yêu cầu trùng lặp
-    const requestKey = `${url}:${selectedLanguage}:${selectedFormat}`;
+    const requestKey = getSubtitleRequestKey(url, selectedLanguage, selectedFormat);
     if (activeSubtitleRequests.has(requestKey)) {
         logger.warn(`Duplicate subtitle request detected for ${requestKey}, IP: ${req.ip}`);
-        return res.status(429).json({ error: 'Yêu cầu tải phụ đề đang được xử lý. Vui lòng chờ!' });
+        return res.status(429).json({
+            error: 'Yêu cầu tải phụ đề đang được xử lý. Vui lòng chờ!',
+            downloadId: activeSubtitleRequests.get(requestKey)
+        });
     }
-    activeSubtitleRequests.set(requestKey, downloadId);
+
+    // Tạo job tải phụ đề và lưu vào tiến trình
+    const job = createJob('subtitle', { url, platform, targetLanguage: selectedLanguage, formatPreference: selectedFormat, defaultLanguage });
+    const downloadId = job.id;
+    trackSubtitleRequest(requestKey, downloadId);
+    registerCallback(downloadId, callbackUrl, getRequestBaseUrl(req));
 
     // Trả về ngay lập tức với downloadId để client theo dõi tiến trình
-    res.status(200).json({ message: 'Đang tải phụ đề, vui lòng chờ...', downloadId });
+    res.status(202).json({ message: 'Đang tải phụ đề, vui lòng chờ...', downloadId, statusUrl: `/api/jobs/${downloadId}` });
 
     // Tải phụ đề bất đồng bộ
-    (async () => {
-        try {
-            if (platform !== 'youtube') {
-                throw new Error('Hiện tại chỉ hỗ trợ nền tảng YouTube.');
-            }
-
-            // Kiểm tra URL và trích xuất video ID
-            const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-            if (!videoId) {
-                throw new Error('URL YouTube không hợp lệ');
-            }
-
-            // Kiểm tra tính khả dụng của video
-            const availability = await checkVideoAvailability(videoId);
-            if (!availability.isAvailable) {
-                throw new Error(availability.reason);
-            }
-
-            // Lấy danh sách ngôn ngữ phụ đề khả dụng
-            const { manual: manualLanguages, auto: autoLanguages } = await getAvailableSubtitleLanguages(url);
-            const allLanguages = [...new Set([...manualLanguages, ...autoLanguages])];
-            
-            if (allLanguages.length === 0) {
-                throw new Error('Video không có phụ đề nào khả dụng.');
-            }
-
-            // Kiểm tra xem ngôn ngữ yêu cầu có khả dụng không
-            if (!allLanguages.includes(selectedLanguage)) {
-                const availableLangs = allLanguages.join(', ');
-                throw new Error(`Không tìm thấy phụ đề cho ngôn ngữ ${selectedLanguage}. Các ngôn ngữ khả dụng: ${availableLangs}`);
-            }
-
-            // Xác định ngôn ngữ cuối cùng
-            let finalLanguage = selectedLanguage;
-            if (manualLanguages.includes(selectedLanguage)) {
-                finalLanguage = selectedLanguage;
-            } else if (autoLanguages.includes(selectedLanguage)) {
-                finalLanguage = `${selectedLanguage}.auto`;
-            } else {
-                // Thử tìm ngôn ngữ thay thế
-                if (manualLanguages.includes(defaultLanguage)) {
-                    finalLanguage = defaultLanguage;
-                } else if (autoLanguages.includes(defaultLanguage)) {
-                    finalLanguage = `${defaultLanguage}.auto`;
-                } else {
-                    finalLanguage = manualLanguages[0] || `${autoLanguages[0]}.auto`;
-                }
-                logger.info(`Ngôn ngữ ${selectedLanguage} không khả dụng, sử dụng ${finalLanguage} thay thế`);
-            }
-
-            // Cập nhật tiến trình
-            downloadProgressMap.set(downloadId, { progress: 30, error: null });
-
-            // Thử tải phụ đề bằng nhiều phương pháp
-            let subtitleContent = null;
-            let downloadMethod = '';
-            let downloadError = null;
-
-            // Phương pháp 1: Sử dụng @distube/ytdl-core
-            try {
-                subtitleContent = await downloadSubtitleWithYtdlCore(videoId, finalLanguage);
-                if (subtitleContent) {
-                    downloadMethod = 'ytdl-core';
-                    logger.info('Successfully downloaded subtitles using ytdl-core');
-                }
-            } catch (error) {
-                downloadError = error;
-                logger.error(`ytdl-core download failed: ${error.message}`);
-            }
-
-            // Phương pháp 2: Thử với yt-dlp nếu phương pháp 1 thất bại
-            if (!subtitleContent) {
-                try {
-                    const outputPath = path.join(tempDir, `${videoTitle}.${finalLanguage}.vtt`);
-                    subtitleContent = await downloadSubtitleWithYtDlp(url, finalLanguage, outputPath);
-                    if (subtitleContent) {
-                        downloadMethod = 'yt-dlp';
-                        logger.info('Successfully downloaded subtitles using yt-dlp');
-                    }
-                } catch (error) {
-                    downloadError = error;
-                    logger.error(`yt-dlp download failed: ${error.message}`);
-                }
-            }
-
-            // Phương pháp 3: Thử với node-youtube-subtitles
-            if (!subtitleContent) {
-                try {
-                    subtitleContent = await downloadSubtitleWithNodeSubtitles(videoId, finalLanguage);
-                    if (subtitleContent) {
-                        downloadMethod = 'node-youtube-subtitles';
-                        logger.info('Successfully downloaded subtitles using node-youtube-subtitles');
-                    }
-                } catch (error) {
-                    downloadError = error;
-                    logger.error(`node-youtube-subtitles download failed: ${error.message}`);
-                }
-            }
-
-            // Phương pháp 4: Thử với YouTube API
-            if (!subtitleContent) {
-                try {
-                    subtitleContent = await downloadSubtitleWithYouTubeAPI(videoId, finalLanguage);
-                    if (subtitleContent) {
-                        downloadMethod = 'youtube-api';
-                        logger.info('Successfully downloaded subtitles using YouTube API');
-                    }
-                } catch (error) {
-                    downloadError = error;
-                    logger.error(`YouTube API download failed: ${error.message}`);
-                }
-            }
-
-            // Kiểm tra nội dung phụ đề
-            if (!subtitleContent || subtitleContent.trim() === '') {
-                const errorMessage = downloadError ? 
-                    `Không thể tải phụ đề cho ngôn ngữ ${selectedLanguage}. Lỗi: ${downloadError.message}` :
-                    `Không thể tải phụ đề cho ngôn ngữ ${selectedLanguage}. Vui lòng thử ngôn ngữ khác.`;
-                throw new Error(errorMessage);
-            }
-
-            // Cập nhật tiến trình
-            downloadProgressMap.set(downloadId, { progress: 70, error: null });
-
-            // Chuyển đổi định dạng
-            const convertedContent = convertSubtitleFormat(subtitleContent, selectedFormat);
-            if (!convertedContent) {
-                throw new Error(`Không thể chuyển đổi phụ đề sang định dạng ${selectedFormat}. Vui lòng thử định dạng khác.`);
-            }
-
-            // Tạo tên file và lưu phụ đề
-            const fileName = `${sanitizeFileName(videoTitle)}_${finalLanguage}.${selectedFormat}`;
-            const filePath = path.join(subtitlesDir, fileName);
-            
-            try {
-                await fs.writeFile(filePath, convertedContent, 'utf8');
-                logger.info(`Successfully wrote subtitle file: ${filePath}`);
-
-                // Kiểm tra file sau khi ghi
-                const stats = await fs.stat(filePath);
-                if (stats.size === 0) {
-                    throw new Error('File phụ đề rỗng sau khi tạo.');
-                }
-
-                // Cập nhật tiến trình hoàn thành
-                downloadProgressMap.set(downloadId, { 
-                    progress: 100, 
-                    downloadUrl: `/subtitles/${encodeURIComponent(fileName)}`, 
-                    selectedLanguage: finalLanguage,
-                    defaultLanguage: defaultLanguage,
-                    availableLanguages: {
-                        manual: manualLanguages,
-                        auto: autoLanguages
-                    },
-                    error: null 
-                });
-            } catch (writeError) {
-                logger.error(`Error writing subtitle file: ${writeError.message}`);
-                throw new Error('Không thể lưu file phụ đề. Vui lòng thử lại!');
-            }
-
-        } catch (error) {
-            logger.error(`Subtitle Download Error: ${error.message}`);
-            let errorMessage;
-            if (error.code === 'RATE_LIMITER_POINTS_EXCEEDED') {
-                errorMessage = 'Quá nhiều yêu cầu. Vui lòng thử lại sau vài giây!';
-            } else if (error.response) {
-                errorMessage = error.response.data?.error?.message || error.message || 'Lỗi từ API tải phụ đề';
-            } else if (error.code === 'ECONNABORTED') {
-                errorMessage = 'Yêu cầu tải phụ đề hết thời gian. Vui lòng kiểm tra kết nối và thử lại!';
-            } else {
-                errorMessage = error.message || 'Lỗi server khi tải phụ đề. Vui lòng thử lại sau!';
-            }
-            downloadProgressMap.set(downloadId, { progress: 0, error: errorMessage });
-        } finally {
-            activeSubtitleRequests.delete(requestKey);
-        }
-    })();
+    runSubtitleJob(downloadId, job.params);
 }
 
 // Hàm tải tất cả phụ đề
-async function downloadAllSubtitles(url, downloadProgressMap) {
-    const downloadId = uuidv4();
-    downloadProgressMap.set(downloadId, { progress: 0, error: null });
+async function downloadAllSubtitles(url) {
+    const downloadId = createJob('subtitles', { url }).id;
+    updateJob(downloadId, { status: JOB_STATES.RUNNING });
 
     try {
         const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
@@ -827,13 +993,13 @@ async function downloadAllSubtitles(url, downloadProgressMap) {
         // Tạo thư mục tạm và thư mục phụ đề
         const tempDir = path.join(__dirname, 'temp');
         const subtitlesDir = path.join(__dirname, 'subtitles');
-        await fs.mkdir(tempDir, { recursive: true });
-        await fs.mkdir(subtitlesDir, { recursive: true });
+        await fsPromises.mkdir(tempDir, { recursive: true });
+        await fsPromises.mkdir(subtitlesDir, { recursive: true });
         await cleanFolder(subtitlesDir);
 
         // Lấy tiêu đề video
         const videoTitle = await getVideoTitle(videoId) || `Video_YouTube_${videoId}`;
-        downloadProgressMap.set(downloadId, { progress: 20, error: null });
+        updateJob(downloadId, { progress: 20 });
 
         const subtitleFiles = [];
         const formats = ['srt', 'vtt', 'txt'];
@@ -877,7 +1043,7 @@ async function downloadAllSubtitles(url, downloadProgressMap) {
                         if (content && content.trim() !== '') {
                             const fileName = `${sanitizeFileName(videoTitle)}_${selectedLang}.${format}`;
                             const filePath = path.join(subtitlesDir, fileName);
-                            await fs.writeFile(filePath, content, 'utf8');
+                            await fsPromises.writeFile(filePath, content, 'utf8');
                             subtitleFiles.push({
                                 language: selectedLang,
                                 format,
@@ -893,16 +1059,11 @@ async function downloadAllSubtitles(url, downloadProgressMap) {
         }
 
         // Cập nhật tiến trình
-        const progress = Math.min(20 + Math.floor((successCount / (allLanguages.length * formats.length)) * 80), 100);
-        downloadProgressMap.set(downloadId, {
-            progress,
-            subtitles: subtitleFiles,
-            error: null
-        });
+        completeJob(downloadId, { subtitles: subtitleFiles, successCount });
 
         // Xóa thư mục tạm
         try {
-            await fs.rm(tempDir, { recursive: true, force: true });
+            await fsPromises.rm(tempDir, { recursive: true, force: true });
         } catch (cleanupError) {
             logger.error(`Error cleaning up temp directory: ${cleanupError.message}`);
         }
@@ -910,7 +1071,7 @@ async function downloadAllSubtitles(url, downloadProgressMap) {
         return subtitleFiles;
     } catch (error) {
         logger.error(`Download All Subtitles Error: ${error.message}`);
-        downloadProgressMap.set(downloadId, { progress: 0, error: error.message });
+        failJob(downloadId, error);
         throw error;
     }
 }
@@ -1122,5 +1283,9 @@ function truncateSubtitleText(text, maxLength = 40) {
 
 module.exports = {
     handleDownloadSubtitle,
-    downloadAllSubtitles
+    downloadAllSubtitles,
+    fetchSubtitleTracks,
+    removeSubtitleTracks,
+    restoreSubtitleRequests,
+    runSubtitleRequest
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// test/audioTagger.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    isYouTubeMusicUrl,
+    parseMusicDescription,
+    getYtdlTagSource,
+    getYtDlpTagSource,
+    buildAudioTags
+} = require('../audioTagger');
+
+logger.silent = true;
+
+const MUSIC_DESCRIPTION = [
+    'Provided to YouTube by Universal Music Group',
+    'Blinding Lights · The Weeknd · Max Martin',
+    'After Hours',
+    '℗ 2020 The Weeknd XO, Inc.',
+    'Released on: 2019-11-29',
+    'Auto-generated by YouTube.'
+].join('\r\n\r\n');
+
+test('isYouTubeMusicUrl chỉ nhận URL của music.youtube.com', () => {
+    assert.ok(isYouTubeMusicUrl('https://music.youtube.com/watch?v=4NRXx6U8ABQ'));
+    assert.ok(!isYouTubeMusicUrl('https://www.youtube.com/watch?v=4NRXx6U8ABQ'));
+    assert.ok(!isYouTubeMusicUrl('không phải url'));
+});
+
+test('parseMusicDescription đọc bài hát, nghệ sĩ, album và năm từ mô tả tự động', () => {
+    assert.deepStrictEqual(parseMusicDescription(MUSIC_DESCRIPTION), {
+        track: 'Blinding Lights',
+        artist: 'The Weeknd, Max Martin',
+        album: 'After Hours',
+        year: '2019'
+    });
+    // Không có album và ngày phát hành thì lấy năm từ dòng ℗
+    assert.deepStrictEqual(parseMusicDescription('Provided to YouTube by X\n\nSong · Singer\n\n℗ 2018 Label'), {
+        track: 'Song',
+        artist: 'Singer',
+        album: null,
+        year: '2018'
+    });
+    assert.deepStrictEqual(parseMusicDescription('Video chính thức của ca sĩ'), {});
+    assert.deepStrictEqual(parseMusicDescription(undefined), {});
+});
+
+test('buildAudioTags dùng thông tin YouTube Music cho URL music.youtube.com', () => {
+    const source = getYtdlTagSource({
+        videoDetails: {
+            title: 'Blinding Lights',
+            author: { name: 'The Weeknd - Topic' },
+            description: MUSIC_DESCRIPTION,
+            publishDate: '2020-01-07'
+        }
+    });
+    assert.deepStrictEqual(buildAudioTags(source, { url: 'https://music.youtube.com/watch?v=4NRXx6U8ABQ' }), {
+        title: 'Blinding Lights',
+        artist: 'The Weeknd, Max Martin',
+        album: 'After Hours',
+        date: '2019',
+        track: null,
+        comment: 'https://music.youtube.com/watch?v=4NRXx6U8ABQ'
+    });
+});
+
+test('buildAudioTags dùng tiêu đề, tên kênh (bỏ hậu tố - Topic) và thông tin playlist cho URL thường', () => {
+    const source = getYtDlpTagSource({
+        title: 'Bài hát (Official Video)',
+        uploader: 'Ca Sĩ - Topic',
+        description: MUSIC_DESCRIPTION,
+        upload_date: '20210315',
+        thumbnail: 'https://i.ytimg.com/vi/abc/maxresdefault.jpg'
+    });
+    assert.deepStrictEqual(source.thumbnails, [{ url: 'https://i.ytimg.com/vi/abc/maxresdefault.jpg' }]);
+    assert.deepStrictEqual(buildAudioTags(source, { url: 'https://www.youtube.com/watch?v=abc', playlistTitle: 'Nhạc hay', playlistIndex: '007' }), {
+        title: 'Bài hát (Official Video)',
+        artist: 'Ca Sĩ',
+        album: 'Nhạc hay',
+        date: '2021',
+        track: '7',
+        comment: 'https://www.youtube.com/watch?v=abc'
+    });
+});
+
+test('getYtDlpTagSource ghép danh sách nghệ sĩ và năm phát hành của yt-dlp', () => {
+    const source = getYtDlpTagSource({ title: 'Song', channel: 'Label', artists: ['A', 'B'], album: 'LP', track: 'Song', release_year: 2022 });
+    assert.strictEqual(source.artist, 'A, B');
+    assert.strictEqual(source.releaseYear, '2022');
+    // Mô tả không theo mẫu YouTube Music thì dùng thông tin yt-dlp đọc được
+    assert.deepStrictEqual(
+        buildAudioTags(source, { url: 'https://music.youtube.com/watch?v=xyz' }),
+        { title: 'Song', artist: 'A, B', album: 'LP', date: '2022', track: null, comment: 'https://music.youtube.com/watch?v=xyz' }
+    );
+});
@@ -0,0 +1,90 @@
+// test/chapterSplitter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    normalizeChapterOptions,
+    parseDescriptionChapters,
+    resolveChapters,
+    getChapterFileName,
+    buildChapterTags
+} = require('../chapterSplitter');
+
+logger.silent = true;
+
+// Hàm tạo thông tin video tối giản như kết quả ytdl.getInfo
+function videoInfo({ lengthSeconds = '300', chapters = [], description = '' } = {}) {
+    return { videoDetails: { title: 'Album đầy đủ', author: { name: 'Ca Sĩ' }, lengthSeconds, chapters, description } };
+}
+
+test('normalizeChapterOptions mặc định không tách và kiểm tra chapterPackaging', () => {
+    assert.deepStrictEqual(normalizeChapterOptions(), { splitByChapters: false, chapterPackaging: null });
+    assert.deepStrictEqual(normalizeChapterOptions({ splitByChapters: true }), { splitByChapters: true, chapterPackaging: 'none' });
+    assert.deepStrictEqual(normalizeChapterOptions({ splitByChapters: true, chapterPackaging: 'zip' }), { splitByChapters: true, chapterPackaging: 'zip' });
+    assert.throws(() => normalizeChapterOptions({ splitByChapters: 'yes' }), { status: 400 });
+    assert.throws(() => normalizeChapterOptions({ chapterPackaging: 'zip' }), /chỉ dùng cùng với splitByChapters/);
+    assert.throws(() => normalizeChapterOptions({ splitByChapters: true, chapterPackaging: 'rar' }), { status: 400 });
+});
+
+test('parseDescriptionChapters đọc các kiểu dòng mốc thời gian và bỏ qua mốc lẻ', () => {
+    const description = [
+        'Tracklist:',
+        '0:00 Mở đầu',
+        '[01:30] - Phần hai',
+        'Phần ba - 3:05',
+        '• (4:10) Kết',
+        '',
+        'Cảm ơn đã xem! Đoạn hay nhất ở 2:00'
+    ].join('\r\n');
+    assert.deepStrictEqual(parseDescriptionChapters(description, 300), [
+        { title: 'Mở đầu', start: 0, end: 90 },
+        { title: 'Phần hai', start: 90, end: 185 },
+        { title: 'Phần ba', start: 185, end: 250 },
+        { title: 'Kết', start: 250, end: 300 }
+    ]);
+});
+
+test('parseDescriptionChapters trả về mảng rỗng khi không theo quy tắc chương của YouTube', () => {
+    // Không bắt đầu từ 0:00
+    assert.deepStrictEqual(parseDescriptionChapters('0:05 A\n1:00 B\n2:00 C', 300), []);
+    // Ít hơn 3 chương
+    assert.deepStrictEqual(parseDescriptionChapters('0:00 A\n1:00 B', 300), []);
+    // Có chương ngắn hơn 10 giây
+    assert.deepStrictEqual(parseDescriptionChapters('0:00 A\n1:00 B\n1:05 C', 300), []);
+    assert.deepStrictEqual(parseDescriptionChapters(undefined, 300), []);
+});
+
+test('resolveChapters ưu tiên chương có cấu trúc, sau đó tới mô tả, không có thì lỗi 422', () => {
+    const structured = resolveChapters(videoInfo({
+        chapters: [{ title: 'Hai', start_time: 120 }, { title: 'Một', start_time: 0 }],
+        description: '0:00 A\n1:00 B\n2:00 C'
+    }));
+    assert.deepStrictEqual(structured, {
+        source: 'chapters',
+        chapters: [{ title: 'Một', start: 0, end: 120 }, { title: 'Hai', start: 120, end: 300 }]
+    });
+
+    const fromDescription = resolveChapters(videoInfo({ description: '0:00 A\n1:00 B\n2:00 C' }));
+    assert.strictEqual(fromDescription.source, 'description');
+    assert.strictEqual(fromDescription.chapters.length, 3);
+
+    assert.throws(() => resolveChapters(videoInfo()), { status: 422, jobErrorCode: 'CHAPTERS_UNAVAILABLE' });
+});
+
+test('getChapterFileName đánh số theo tổng số chương và bỏ ký tự không hợp lệ', () => {
+    assert.strictEqual(getChapterFileName(3, 12, 'Phần 3: Kết / Outro', 'mp3'), '03 - Phần 3_ Kết _ Outro.mp3');
+    assert.strictEqual(getChapterFileName(7, 120, '  ...  ', 'mp4'), '007 - Chapter 7.mp4');
+    assert.strictEqual(getChapterFileName(1, 3, 'x'.repeat(100), 'm4a'), `01 - ${'x'.repeat(80)}.m4a`);
+});
+
+test('buildChapterTags dùng tên chương làm tiêu đề và tên video làm album', () => {
+    const source = { title: 'Album đầy đủ', channel: 'Ca Sĩ', description: '', uploadDate: '2020-01-01' };
+    assert.deepStrictEqual(buildChapterTags(source, { title: 'Mở đầu' }, { url: 'https://www.youtube.com/watch?v=abc', number: 1, total: 4 }), {
+        title: 'Mở đầu',
+        artist: 'Ca Sĩ',
+        album: 'Album đầy đủ',
+        date: '2020',
+        track: '1/4',
+        comment: 'https://www.youtube.com/watch?v=abc'
+    });
+});
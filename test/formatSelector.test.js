@@ -0,0 +1,166 @@
+// test/formatSelector.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    normalizeQualityOptions,
+    hasQualityOptions,
+    getQualityFileSuffix,
+    normalizeItagOptions,
+    getItagFileSuffix,
+    normalizeYtDlpFormats,
+    compareVideoFormats,
+    listFormats,
+    buildFormatPresets,
+    selectAdaptiveFormats,
+    selectFormatsByItag,
+    selectAudioFormatByItag,
+    selectAnimationSourceFormat
+} = require('../formatSelector');
+
+logger.silent = true;
+
+// Hàm tạo luồng video-only theo định dạng của ytdl-core
+function videoFormat(itag, height, { fps = 30, videoCodec = 'avc1.640028', bitrate = height * 5000, hdr = false, contentLength = null } = {}) {
+    return {
+        itag,
+        height,
+        width: Math.round(height * 16 / 9),
+        fps,
+        videoCodec,
+        bitrate,
+        qualityLabel: `${height}p${fps > 30 ? fps : ''}${hdr ? ' HDR' : ''}`,
+        contentLength,
+        hasVideo: true,
+        hasAudio: false
+    };
+}
+
+// Hàm tạo luồng audio-only theo định dạng của ytdl-core
+function audioFormat(itag, audioBitrate, contentLength = null) {
+    return { itag, audioBitrate, bitrate: audioBitrate * 1000, audioCodec: 'opus', contentLength, hasVideo: false, hasAudio: true };
+}
+
+const FORMATS = [
+    videoFormat(137, 1080, { contentLength: '60000000' }),
+    videoFormat(299, 1080, { fps: 60, contentLength: '90000000' }),
+    videoFormat(303, 1080, { fps: 60, videoCodec: 'vp9', contentLength: '80000000' }),
+    videoFormat(337, 2160, { fps: 60, videoCodec: 'vp9.2', hdr: true, contentLength: '400000000' }),
+    videoFormat(136, 720, { contentLength: '30000000' }),
+    videoFormat(135, 480, { contentLength: '15000000' }),
+    audioFormat(251, 160, '4000000'),
+    audioFormat(140, 128, '3000000'),
+    { itag: 18, height: 360, hasVideo: true, hasAudio: true, isHLS: false }
+];
+
+test('normalizeQualityOptions chuẩn hóa độ phân giải/fps/codec và từ chối giá trị không hợp lệ', () => {
+    const options = normalizeQualityOptions({ resolution: '1080p', maxHeight: 1440, fps: '60', hdr: false, codecPreference: 'VP9' });
+    assert.deepStrictEqual(options, { resolution: 1080, maxHeight: 1440, fps: 60, hdr: false, codecPreference: 'vp9', maxFileSizeMB: null });
+    assert.ok(hasQualityOptions(options));
+    assert.ok(!hasQualityOptions(normalizeQualityOptions({})));
+    assert.strictEqual(getQualityFileSuffix(options), '_1080p_max1440p_60fps_sdr_vp9');
+
+    for (const input of [{ resolution: '900p' }, { resolution: 2160, maxHeight: 1080 }, { fps: 24 }, { hdr: 'yes' }, { codecPreference: 'hevc' }, { maxFileSizeMB: -1 }]) {
+        assert.throws(() => normalizeQualityOptions(input), { status: 400 }, JSON.stringify(input));
+    }
+});
+
+test('compareVideoFormats xếp theo độ phân giải, khớp fps, SDR/HDR, codec rồi bitrate', () => {
+    const rank = options => [...FORMATS.filter(format => !format.hasAudio)]
+        .sort((a, b) => compareVideoFormats(a, b, { ...normalizeQualityOptions({}), ...options }))
+        .map(format => format.itag);
+    assert.deepStrictEqual(rank({}), [337, 299, 303, 137, 136, 135]);
+    assert.deepStrictEqual(rank({ fps: 30 }).slice(1, 4), [137, 299, 303]);
+    assert.deepStrictEqual(rank({ codecPreference: 'vp9' }).slice(1, 4), [303, 299, 137]);
+});
+
+test('selectAdaptiveFormats chọn cặp luồng tốt nhất theo yêu cầu và giải thích lựa chọn', () => {
+    const best = selectAdaptiveFormats(FORMATS, normalizeQualityOptions({ maxHeight: 1080 }));
+    assert.deepStrictEqual([best.video.itag, best.audio.itag], [299, 251]);
+    assert.strictEqual(best.estimatedSize, 94000000);
+    assert.ok(best.reasons.includes('độ phân giải cao nhất không vượt quá 1080p'));
+
+    const hdr = selectAdaptiveFormats(FORMATS, normalizeQualityOptions({ hdr: true }));
+    assert.strictEqual(hdr.video.itag, 337);
+    assert.ok(hdr.reasons.includes('luồng HDR theo yêu cầu'));
+
+    // Giới hạn dung lượng: hạ xuống luồng nhỏ hơn vừa với giới hạn
+    const limited = selectAdaptiveFormats(FORMATS, normalizeQualityOptions({ maxFileSizeMB: 32 }));
+    assert.deepStrictEqual([limited.video.itag, limited.audio.itag], [136, 140]);
+});
+
+test('selectAdaptiveFormats báo 422 khi không có luồng thỏa mãn yêu cầu', () => {
+    assert.throws(() => selectAdaptiveFormats(FORMATS, normalizeQualityOptions({ resolution: 1440 })), { status: 422, message: /1440p/ });
+    assert.throws(() => selectAdaptiveFormats(FORMATS, normalizeQualityOptions({ maxFileSizeMB: 1 })), { status: 422 });
+    assert.throws(() => selectAdaptiveFormats([FORMATS[0]], normalizeQualityOptions({})), { status: 422 });
+});
+
+test('normalizeYtDlpFormats chuyển định dạng của yt-dlp sang cấu trúc của ytdl-core', () => {
+    const [video, audio] = normalizeYtDlpFormats([
+        { format_id: '303', ext: 'webm', vcodec: 'vp9', acodec: 'none', width: 1920, height: 1080, fps: 60, tbr: 4500.4, dynamic_range: 'SDR', filesize: 80000000, protocol: 'https' },
+        { format_id: '251', ext: 'webm', vcodec: 'none', acodec: 'opus', abr: 135.2, asr: 48000, audio_channels: 2, filesize_approx: 4000000, protocol: 'https' },
+        { format_id: '251-drc', ext: 'webm', vcodec: 'none', acodec: 'opus' },
+        { format_id: 'sb0', ext: 'mhtml', vcodec: 'none', acodec: 'none' }
+    ]);
+    assert.deepStrictEqual(
+        [video.itag, video.hasVideo, video.hasAudio, video.qualityLabel, video.bitrate, video.audioCodec, video.contentLength],
+        [303, true, false, '1080p60', 4500400, null, 80000000]
+    );
+    assert.deepStrictEqual(
+        [audio.itag, audio.hasVideo, audio.hasAudio, audio.height, audio.audioBitrate, audio.audioSampleRate, audio.contentLength],
+        [251, false, true, null, 135, 48000, 4000000]
+    );
+});
+
+test('listFormats liệt kê luồng có hình theo bảng xếp hạng rồi đến luồng âm thanh', () => {
+    const formats = listFormats([...FORMATS, { ...audioFormat(600, 64), isHLS: true }], 212);
+    assert.deepStrictEqual(formats.map(format => format.itag), [337, 299, 303, 137, 136, 135, 18, 251, 140]);
+    const hdr = formats[0];
+    assert.deepStrictEqual([hdr.kind, hdr.hdr, hdr.approxSize, hdr.sizeEstimated, hdr.audioCodec], ['video-only', true, 400000000, false, null]);
+    const progressive = formats.find(format => format.itag === 18);
+    assert.strictEqual(progressive.kind, 'progressive');
+    assert.strictEqual(progressive.sizeEstimated, true);
+});
+
+test('buildFormatPresets gợi ý mỗi độ phân giải một cặp luồng, luồng progressive và luồng âm thanh', () => {
+    const presets = buildFormatPresets(FORMATS);
+    assert.deepStrictEqual(presets.map(preset => preset.id), ['2160p', '1080p', '720p', '480p', 'progressive', 'audio']);
+    assert.deepStrictEqual(presets[1].request, { type: 'video', itag: 299, audioItag: 251 });
+    assert.strictEqual(presets[1].approxSize, 94000000);
+    assert.deepStrictEqual(presets[4].request, { type: 'video', itag: 18 });
+    assert.strictEqual(presets[4].approxSize, null);
+    assert.deepStrictEqual(presets[5].request, { type: 'audio', itag: 251 });
+});
+
+test('normalizeItagOptions kiểm tra itag/audioItag do client chọn', () => {
+    const options = normalizeItagOptions({ itag: '137', audioItag: 140 });
+    assert.deepStrictEqual(options, { itag: 137, audioItag: 140 });
+    assert.strictEqual(getItagFileSuffix(options), '_itag137-140');
+    assert.strictEqual(getItagFileSuffix(normalizeItagOptions({})), '');
+    assert.throws(() => normalizeItagOptions({ itag: 'abc' }), { status: 400 });
+    assert.throws(() => normalizeItagOptions({ audioItag: 140 }), /audioItag phải đi kèm itag/);
+    assert.throws(() => normalizeItagOptions({ itag: 251, audioItag: 140 }, 'audio'), /chỉ dùng khi tải video/);
+});
+
+test('selectFormatsByItag ghép luồng theo itag đã chọn và báo 422 với itag không dùng được', () => {
+    const paired = selectFormatsByItag(FORMATS, { itag: 136 });
+    assert.deepStrictEqual([paired.video.itag, paired.audio.itag, paired.estimatedSize], [136, 251, 34000000]);
+    assert.strictEqual(selectFormatsByItag(FORMATS, { itag: 136, audioItag: 140 }).audio.itag, 140);
+    assert.strictEqual(selectFormatsByItag(FORMATS, { itag: 18 }).audio, null);
+
+    assert.throws(() => selectFormatsByItag(FORMATS, { itag: 22 }), { status: 422 });
+    assert.throws(() => selectFormatsByItag(FORMATS, { itag: 251 }), { status: 422 });
+    assert.throws(() => selectFormatsByItag(FORMATS, { itag: 18, audioItag: 140 }), { status: 422 });
+    assert.throws(() => selectFormatsByItag(FORMATS, { itag: 136, audioItag: 135 }), { status: 422 });
+    assert.strictEqual(selectAudioFormatByItag(FORMATS, 140).itag, 140);
+    assert.throws(() => selectAudioFormatByItag(FORMATS, 18), { status: 422 });
+});
+
+test('selectAnimationSourceFormat chọn luồng SDR nhỏ nhất đủ chiều rộng, không có thì lấy luồng rộng nhất', () => {
+    assert.strictEqual(selectAnimationSourceFormat(FORMATS, 480).itag, 135);
+    assert.strictEqual(selectAnimationSourceFormat(FORMATS, 1000).itag, 136);
+    // Không có luồng SDR đủ rộng thì lấy luồng SDR rộng nhất thay vì luồng HDR
+    assert.strictEqual(selectAnimationSourceFormat(FORMATS, 2560).width, 1920);
+    assert.strictEqual(selectAnimationSourceFormat([FORMATS[3]], 480).itag, 337);
+    assert.strictEqual(selectAnimationSourceFormat([FORMATS[6], FORMATS[8]], 480), null);
+});
@@ -0,0 +1,88 @@
+// test/frameCapture.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    FRAME_IMAGE_FORMATS,
+    normalizeFrameOptions,
+    getFrameTimestamps,
+    selectFrameSourceFormat,
+    getThumbnailVariants,
+    getThumbnailFileName,
+    getFrameFileName
+} = require('../frameCapture');
+
+logger.silent = true;
+
+test('normalizeFrameOptions mặc định tải thumbnail gốc và đọc các mốc thời gian', () => {
+    assert.deepStrictEqual(FRAME_IMAGE_FORMATS, ['original', 'jpeg', 'webp']);
+    assert.deepStrictEqual(normalizeFrameOptions(), { thumbnails: true, imageFormat: 'original', timestamps: null, count: null });
+    assert.deepStrictEqual(
+        normalizeFrameOptions({ thumbnails: false, imageFormat: 'WEBP', timestamps: [5, '1:30', '00:01:02.5'] }),
+        { thumbnails: false, imageFormat: 'webp', timestamps: [5, 90, 62.5], count: null }
+    );
+    assert.deepStrictEqual(normalizeFrameOptions({ count: 4 }).count, 4);
+});
+
+test('normalizeFrameOptions từ chối tùy chọn không hợp lệ với mã 400', () => {
+    const invalid = [
+        { thumbnails: 'no' },
+        { imageFormat: 'png' },
+        { timestamps: [1], count: 2 },
+        { timestamps: [] },
+        { timestamps: Array.from({ length: 21 }, (_, index) => index) },
+        { timestamps: ['1:75'] },
+        { count: 0 },
+        { count: 2.5 },
+        { count: 21 },
+        { thumbnails: false }
+    ];
+    for (const options of invalid) {
+        assert.throws(() => normalizeFrameOptions(options), { status: 400 }, JSON.stringify(options));
+    }
+});
+
+test('getFrameTimestamps trả về các mốc yêu cầu hoặc chia đều bỏ qua đầu và cuối video', () => {
+    assert.deepStrictEqual(getFrameTimestamps({ timestamps: [5, 90], count: null }, 120), [5, 90]);
+    assert.deepStrictEqual(getFrameTimestamps({ timestamps: [500], count: null }, null), [500]);
+    assert.throws(() => getFrameTimestamps({ timestamps: [5, 120], count: null }, 120), /vượt quá độ dài video/);
+
+    assert.deepStrictEqual(getFrameTimestamps({ timestamps: null, count: 3 }, 100), [25, 50, 75]);
+    assert.deepStrictEqual(getFrameTimestamps({ timestamps: null, count: 2 }, 100), [33.333, 66.667]);
+    assert.deepStrictEqual(getFrameTimestamps({ timestamps: null, count: null }, 100), []);
+    assert.throws(() => getFrameTimestamps({ timestamps: null, count: 3 }, null), { status: 422, jobErrorCode: 'DURATION_UNAVAILABLE' });
+});
+
+test('selectFrameSourceFormat chọn luồng video cao nhất không vượt quá 1080p', () => {
+    const formats = [
+        { itag: 1, hasVideo: true, url: 'u1', height: 2160 },
+        { itag: 2, hasVideo: true, url: 'u2', height: 1080, isHLS: true },
+        { itag: 3, hasVideo: true, url: 'u3', height: 720 },
+        { itag: 4, hasVideo: false, url: 'u4' },
+        { itag: 5, hasVideo: true, url: 'u5', height: 360 }
+    ];
+    assert.strictEqual(selectFrameSourceFormat(formats).itag, 3);
+    // Chỉ có luồng lớn hơn 1080p thì dùng luồng nhỏ nhất trong số đó
+    assert.strictEqual(selectFrameSourceFormat(formats.slice(0, 2)).itag, 1);
+    assert.strictEqual(selectFrameSourceFormat([formats[3]]), null);
+});
+
+test('getThumbnailVariants bỏ ảnh trùng độ phân giải, tên file theo kích thước và định dạng', () => {
+    const variants = getThumbnailVariants([
+        { url: 'https://i.ytimg.com/vi/abc/maxresdefault.webp', width: 1280, height: 720 },
+        { url: 'https://i.ytimg.com/vi/abc/hqdefault.jpg?sqp=1', width: 480, height: 360 },
+        { url: 'https://i.ytimg.com/vi/abc/maxresdefault.jpg', width: 1280, height: 720 },
+        { width: 120, height: 90 }
+    ]);
+    assert.deepStrictEqual(variants.map(thumbnail => thumbnail.width), [480, 1280]);
+    assert.strictEqual(getThumbnailFileName(variants[0], 'original'), 'thumbnail_480x360.jpg');
+    assert.strictEqual(getThumbnailFileName(variants[1], 'original'), 'thumbnail_1280x720.webp');
+    assert.strictEqual(getThumbnailFileName(variants[1], 'jpeg'), 'thumbnail_1280x720.jpg');
+    assert.strictEqual(getThumbnailFileName({ url: 'https://i.ytimg.com/vi/abc/default' }, 'original'), 'thumbnail.jpg');
+});
+
+test('getFrameFileName ghi mốc thời gian tới mili giây, ảnh chụp original lưu JPEG', () => {
+    assert.strictEqual(getFrameFileName(90.5, 'original'), 'frame_00-01-30.500.jpg');
+    assert.strictEqual(getFrameFileName(3723.0456, 'webp'), 'frame_01-02-03.046.webp');
+    assert.strictEqual(getFrameFileName(0, 'jpeg'), 'frame_00-00-00.000.jpg');
+});
@@ -0,0 +1,323 @@
+// test/jobManager.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../utils');
+const {
+    JOB_STATES,
+    JOB_PHASES,
+    jobEvents,
+    createJob,
+    updateJob,
+    completeJob,
+    failJob,
+    getJob,
+    listJobs,
+    serializeJob,
+    toJobError,
+    setJobControls,
+    registerJobFiles,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    linkChildJob,
+    claimJobKey,
+    findActiveJob,
+    listActiveJobFolders,
+    followJob,
+    createProcessControls
+} = require('../jobManager');
+
+logger.silent = true;
+
+test('createJob tạo job queued với lịch sử ban đầu', () => {
+    const job = createJob('download', { url: 'https://youtu.be/dQw4w9WgXcQ', type: 'audio' });
+    assert.strictEqual(job.status, JOB_STATES.QUEUED);
+    assert.strictEqual(job.progress, 0);
+    assert.strictEqual(job.startedAt, null);
+    assert.deepStrictEqual(job.history.map(entry => entry.status), [JOB_STATES.QUEUED]);
+    assert.strictEqual(getJob(job.id), job);
+});
+
+test('createJob từ chối ID không hợp lệ hoặc đã tồn tại với mã 409', () => {
+    const job = createJob('download');
+    assert.throws(() => createJob('download', {}, 'not-a-uuid'), { status: 409 });
+    assert.throws(() => createJob('download', {}, job.id), { status: 409 });
+});
+
+test('updateJob ghi lịch sử khi đổi trạng thái/giai đoạn và đặt startedAt khi bắt đầu chạy', () => {
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.FETCHING_INFO });
+    updateJob(job.id, { phase: JOB_PHASES.DOWNLOADING_AUDIO });
+    updateJob(job.id, { progress: 10 });
+    assert.ok(job.startedAt);
+    assert.deepStrictEqual(job.history.map(entry => [entry.status, entry.phase]), [
+        [JOB_STATES.QUEUED, null],
+        [JOB_STATES.RUNNING, JOB_PHASES.FETCHING_INFO],
+        [JOB_STATES.RUNNING, JOB_PHASES.DOWNLOADING_AUDIO]
+    ]);
+});
+
+test('updateJob giới hạn progress trong khoảng 0-100 và làm tròn 2 chữ số', () => {
+    const job = createJob('download');
+    updateJob(job.id, { progress: 33.33333 });
+    assert.strictEqual(job.progress, 33.33);
+    updateJob(job.id, { progress: 150 });
+    assert.strictEqual(job.progress, 100);
+    updateJob(job.id, { progress: -5 });
+    assert.strictEqual(job.progress, 0);
+});
+
+test('completeJob kết thúc job và bỏ qua các cập nhật sau đó', () => {
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.CONVERTING_MP3, progress: 40 });
+    completeJob(job.id, { downloadUrl: '/downloads/a.mp3', fileName: 'a.mp3' });
+    assert.strictEqual(job.status, JOB_STATES.DONE);
+    assert.strictEqual(job.progress, 100);
+    assert.strictEqual(job.phase, null);
+    assert.strictEqual(job.downloadUrl, '/downloads/a.mp3');
+    assert.ok(job.finishedAt);
+
+    updateJob(job.id, { status: JOB_STATES.RUNNING, progress: 5 });
+    failJob(job.id, new Error('muộn'));
+    assert.strictEqual(job.status, JOB_STATES.DONE);
+    assert.strictEqual(job.progress, 100);
+    assert.strictEqual(job.error, null);
+});
+
+test('failJob lưu lỗi có cấu trúc theo jobErrorCode', () => {
+    const job = createJob('download');
+    failJob(job.id, { jobErrorCode: 'VIDEO_UNAVAILABLE', message: 'Video không tồn tại.' });
+    assert.strictEqual(job.status, JOB_STATES.FAILED);
+    assert.deepStrictEqual(job.error, { code: 'VIDEO_UNAVAILABLE', message: 'Video không tồn tại.', details: null });
+});
+
+test('toJobError chuyển chuỗi, lỗi timeout và lỗi rỗng thành lỗi có cấu trúc', () => {
+    assert.strictEqual(toJobError('hỏng').code, 'DOWNLOAD_FAILED');
+    assert.strictEqual(toJobError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })).code, 'TIMEOUT');
+    assert.deepStrictEqual(toJobError(null, 'Lỗi mặc định'), { code: 'UNKNOWN_ERROR', message: 'Lỗi mặc định', details: null });
+});
+
+test('listJobs lọc theo trạng thái và loại job', () => {
+    const subtitle = createJob('subtitle-list-test');
+    const done = createJob('subtitle-list-test');
+    completeJob(done.id, {});
+    assert.deepStrictEqual(listJobs({ kind: 'subtitle-list-test', status: JOB_STATES.DONE }).map(job => job.id), [done.id]);
+    assert.strictEqual(listJobs({ kind: 'subtitle-list-test' }).length, 2);
+    assert.ok(listJobs({ status: JOB_STATES.QUEUED }).some(job => job.id === subtitle.id));
+});
+
+test('serializeJob trả về dữ liệu công khai của job', () => {
+    const job = createJob('download', { type: 'video' });
+    const serialized = serializeJob(job);
+    assert.strictEqual(serialized.id, job.id);
+    assert.deepStrictEqual(serialized.params, { type: 'video' });
+    assert.strictEqual(serialized.parentId, null);
+    assert.strictEqual(serializeJob(null), null);
+});
+
+test('jobEvents phát sự kiện status/phase và giới hạn tần suất sự kiện progress', () => {
+    const job = createJob('download');
+    const events = [];
+    const onJobEvent = ({ type, job: changed }) => {
+        if (changed.id === job.id) events.push(type);
+    };
+    jobEvents.on('job', onJobEvent);
+    try {
+        updateJob(job.id, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.DOWNLOADING_VIDEO, progress: 1 });
+        updateJob(job.id, { progress: 2 });
+        updateJob(job.id, { progress: 3 });
+        completeJob(job.id, {});
+    } finally {
+        jobEvents.off('job', onJobEvent);
+    }
+    assert.deepStrictEqual(events, ['status', 'phase', 'progress', JOB_STATES.DONE]);
+});
+
+// Hàm tạo bộ điều khiển giả ghi lại các lệnh đã gọi
+function createRecordingControls() {
+    const calls = [];
+    return {
+        calls,
+        controls: {
+            pause: () => calls.push('pause'),
+            resume: () => calls.push('resume'),
+            cancel: () => calls.push('cancel')
+        }
+    };
+}
+
+test('pauseJob/resumeJob gọi hàm điều khiển và khôi phục trạng thái trước khi tạm dừng', () => {
+    const job = createJob('download');
+    const { calls, controls } = createRecordingControls();
+    updateJob(job.id, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.MERGING });
+    setJobControls(job.id, controls);
+
+    assert.deepStrictEqual(pauseJob(job.id), { ok: true });
+    assert.strictEqual(job.status, JOB_STATES.PAUSED);
+    // Cập nhật trạng thái trong lúc tạm dừng chỉ đổi trạng thái sẽ trở lại
+    updateJob(job.id, { status: JOB_STATES.RUNNING, progress: 20 });
+    assert.strictEqual(job.status, JOB_STATES.PAUSED);
+    assert.strictEqual(job.pausedFrom, JOB_STATES.RUNNING);
+
+    assert.deepStrictEqual(resumeJob(job.id), { ok: true });
+    assert.strictEqual(job.status, JOB_STATES.RUNNING);
+    assert.deepStrictEqual(calls, ['pause', 'resume']);
+    assert.strictEqual(resumeJob(job.id).ok, false);
+});
+
+test('pauseJob từ chối job chưa chạy hoặc bước không hỗ trợ tạm dừng', () => {
+    const queued = createJob('download');
+    assert.strictEqual(pauseJob(queued.id).ok, false);
+    updateJob(queued.id, { status: JOB_STATES.RUNNING });
+    assert.strictEqual(pauseJob(queued.id).ok, false);
+    assert.strictEqual(pauseJob('khong-ton-tai').error, 'Không tìm thấy job.');
+});
+
+test('bước mới bắt đầu khi job đang tạm dừng cũng bị tạm dừng', () => {
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.RUNNING });
+    setJobControls(job.id, createRecordingControls().controls);
+    pauseJob(job.id);
+    const { calls, controls } = createRecordingControls();
+    setJobControls(job.id, controls);
+    assert.deepStrictEqual(calls, ['pause']);
+});
+
+test('setJobControls thay hẳn hàm điều khiển của bước trước thay vì gộp', () => {
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.RUNNING });
+    const { calls, controls } = createRecordingControls();
+    setJobControls(job.id, controls);
+    // Bước chờ hàng đợi chỉ có cancel, pause của bước tải trước đó không còn được gọi
+    setJobControls(job.id, { cancel: () => calls.push('cancel-wait') });
+    assert.strictEqual(pauseJob(job.id).ok, false);
+    cancelJob(job.id);
+    assert.deepStrictEqual(calls, ['cancel-wait']);
+});
+
+test('cancelJob dừng bước đang chạy, xóa file tạm và hủy các job con', async (t) => {
+    const parent = createJob('batch');
+    const child = createJob('download');
+    const finishedChild = createJob('download');
+    linkChildJob(parent.id, child.id);
+    linkChildJob(parent.id, finishedChild.id);
+    completeJob(finishedChild.id, {});
+
+    const { calls, controls } = createRecordingControls();
+    updateJob(child.id, { status: JOB_STATES.RUNNING });
+    setJobControls(child.id, controls);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-test-'));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    const partialPath = path.join(tempDir, 'video.part');
+    fs.writeFileSync(partialPath, 'dở');
+    registerJobFiles(child.id, partialPath);
+
+    assert.deepStrictEqual(cancelJob(parent.id), { ok: true });
+    assert.strictEqual(parent.status, JOB_STATES.CANCELLED);
+    assert.strictEqual(child.status, JOB_STATES.CANCELLED);
+    assert.strictEqual(child.error.code, 'CANCELLED');
+    assert.strictEqual(finishedChild.status, JOB_STATES.DONE);
+    assert.deepStrictEqual(calls, ['cancel']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(fs.existsSync(partialPath), false);
+    assert.strictEqual(cancelJob(parent.id).ok, false);
+});
+
+test('setJobControls dừng ngay bước bắt đầu sau khi job đã bị hủy', () => {
+    const job = createJob('download');
+    cancelJob(job.id);
+    const { calls, controls } = createRecordingControls();
+    setJobControls(job.id, controls);
+    assert.deepStrictEqual(calls, ['cancel']);
+});
+
+test('findActiveJob trả về job đang chạy đã giữ khóa, bỏ qua job đã kết thúc', () => {
+    const job = createJob('download');
+    claimJobKey(job.id, 'download:coalesce-test:audio:best');
+    assert.strictEqual(findActiveJob('download:coalesce-test:audio:best'), job);
+    assert.strictEqual(job.dedupeKey, 'download:coalesce-test:audio:best');
+
+    completeJob(job.id, {});
+    assert.strictEqual(findActiveJob('download:coalesce-test:audio:best'), null);
+    // Job đã kết thúc không giữ lại khóa
+    const finished = createJob('download');
+    completeJob(finished.id, {});
+    claimJobKey(finished.id, 'download:coalesce-test:video:best');
+    assert.strictEqual(findActiveJob('download:coalesce-test:video:best'), null);
+});
+
+test('followJob sao chép tiến trình và kết quả của job giống hệt đang chạy', async () => {
+    const source = createJob('download');
+    const follower = createJob('download');
+    updateJob(source.id, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.DOWNLOADING_AUDIO, progress: 30 });
+
+    const followed = followJob(follower.id, source.id);
+    assert.strictEqual(follower.coalescedWith, source.id);
+    assert.strictEqual(follower.status, JOB_STATES.RUNNING);
+    assert.strictEqual(follower.progress, 30);
+
+    completeJob(source.id, { downloadUrl: '/downloads/a.mp3', fileName: 'a.mp3' });
+    assert.strictEqual(await followed, source);
+    assert.strictEqual(follower.status, JOB_STATES.DONE);
+    assert.deepStrictEqual(follower.result, { downloadUrl: '/downloads/a.mp3', fileName: 'a.mp3' });
+});
+
+test('followJob chuyển lỗi của job nguồn và thất bại khi không tìm thấy job nguồn', async () => {
+    const source = createJob('download');
+    const follower = createJob('download');
+    const followed = followJob(follower.id, source.id);
+    failJob(source.id, { jobErrorCode: 'VIDEO_UNAVAILABLE', message: 'Video không tồn tại.' });
+    await followed;
+    assert.strictEqual(follower.status, JOB_STATES.FAILED);
+    assert.strictEqual(follower.error.code, 'VIDEO_UNAVAILABLE');
+
+    const orphan = createJob('download');
+    assert.strictEqual(await followJob(orphan.id, 'khong-ton-tai'), null);
+    assert.strictEqual(orphan.status, JOB_STATES.FAILED);
+});
+
+test('listActiveJobFolders liệt kê thư mục playlist/chương của các job chưa kết thúc', () => {
+    const playlist = createJob('playlist');
+    updateJob(playlist.id, { playlistFolder: 'active_folders_list' });
+    const child = createJob('download', { playlistFolder: 'active_folders_child' });
+    const chapters = createJob('download');
+    updateJob(chapters.id, { chapterFolder: 'active_folders_list/1_song_chapters' });
+    const finished = createJob('download', { playlistFolder: 'active_folders_done' });
+    completeJob(finished.id, {});
+
+    const folders = listActiveJobFolders();
+    assert.ok(folders.includes('active_folders_list'));
+    assert.ok(folders.includes('active_folders_child'));
+    assert.ok(!folders.includes('active_folders_done'));
+    assert.ok(!folders.some(folder => folder.includes('/')));
+    completeJob(child.id, {});
+    assert.ok(!listActiveJobFolders().includes('active_folders_child'));
+});
+
+test('createProcessControls vẫn gửi SIGTERM khi SIGCONT lỗi, trên Windows chỉ hỗ trợ hủy', () => {
+    const signals = [];
+    const child = {
+        kill: (signal) => {
+            if (signal === 'SIGCONT') throw new Error('ENOSYS');
+            signals.push(signal);
+        }
+    };
+    const controls = createProcessControls(child, 'linux');
+    controls.pause();
+    controls.cancel();
+    assert.deepStrictEqual(signals, ['SIGSTOP', 'SIGTERM']);
+
+    const windowsControls = createProcessControls(child, 'win32');
+    assert.deepStrictEqual(Object.keys(windowsControls), ['cancel']);
+    windowsControls.cancel();
+    assert.deepStrictEqual(signals, ['SIGSTOP', 'SIGTERM', 'SIGTERM']);
+
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.CONVERTING });
+    setJobControls(job.id, windowsControls);
+    assert.deepStrictEqual(pauseJob(job.id), { ok: false, error: 'Bước xử lý hiện tại không hỗ trợ tạm dừng.' });
+    assert.strictEqual(job.status, JOB_STATES.CONVERTING);
+});
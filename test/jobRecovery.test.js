@@ -0,0 +1,178 @@
+// test/jobRecovery.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils');
+const { createFileStore } = require('../jobStore');
+const {
+    JOB_STATES,
+    RECOVERY_MODES,
+    JOB_PHASES,
+    getJob,
+    createJob,
+    updateJob,
+    completeJob,
+    registerJobRunner,
+    restoreJobs,
+    closeJobStore
+} = require('../jobManager');
+
+logger.silent = true;
+
+// Các job được runner chạy lại, theo loại job
+const resumed = { download: [], batch: [] };
+registerJobRunner('download', async job => resumed.download.push(job));
+registerJobRunner('batch', async job => resumed.batch.push(job));
+
+// Hàm tạo bản ghi job như đã được lưu trong store trước khi server dừng
+function storedJob(kind, status, extra = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        kind,
+        params: {},
+        status,
+        phase: null,
+        progress: 40,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: now,
+        finishedAt: null,
+        history: [],
+        partialFiles: [],
+        ...extra
+    };
+}
+
+// Hàm ghi các job vào file store tạm rồi khôi phục chúng
+async function restoreFrom(t, jobs, recoveryMode) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    const filePath = path.join(tempDir, 'jobs.json');
+    fs.writeFileSync(filePath, JSON.stringify({ jobs: Object.fromEntries(jobs.map(job => [job.id, job])) }));
+    const summary = await restoreJobs(createFileStore(filePath), { recoveryMode });
+    // Runner được gọi ở microtask sau khi khôi phục xong
+    await new Promise(resolve => setImmediate(resolve));
+    await closeJobStore();
+    return { summary, saved: JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs };
+}
+
+test('requeue chạy lại job tải với nguyên params và xóa file ghi dở', async (t) => {
+    const partialPath = path.join(os.tmpdir(), `${uuidv4()}.part.mp3`);
+    fs.writeFileSync(partialPath, 'dở');
+    const params = {
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        platform: 'youtube',
+        type: 'audio',
+        start: 10,
+        end: 40,
+        accurate: true,
+        splitByChapters: false,
+        targetLufs: -14,
+        trimSilence: true,
+        fadeIn: 2,
+        fadeOut: 3
+    };
+    const job = storedJob('download', JOB_STATES.CONVERTING, { params, partialFiles: [partialPath], dedupeKey: 'download:key' });
+
+    const { summary, saved } = await restoreFrom(t, [job], RECOVERY_MODES.REQUEUE);
+    assert.deepStrictEqual(summary, { restored: 1, requeued: 1 });
+    assert.strictEqual(fs.existsSync(partialPath), false);
+    const restored = getJob(job.id);
+    assert.strictEqual(restored.status, JOB_STATES.QUEUED);
+    assert.strictEqual(restored.progress, 0);
+    assert.deepStrictEqual(restored.params, params);
+    assert.ok(resumed.download.includes(restored));
+    assert.strictEqual(saved[job.id].status, JOB_STATES.QUEUED);
+});
+
+test('requeue giữ nguyên tùy chọn tách chương và thư mục chương của job tải', async (t) => {
+    const params = {
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        platform: 'youtube',
+        type: 'video',
+        accurate: false,
+        splitByChapters: true,
+        chapterPackaging: 'zip'
+    };
+    const job = storedJob('download', JOB_STATES.RUNNING, { params, chapterFolder: 'song_chapters' });
+
+    const { saved } = await restoreFrom(t, [job], RECOVERY_MODES.REQUEUE);
+    const restored = getJob(job.id);
+    assert.deepStrictEqual(restored.params, params);
+    assert.ok(resumed.download.includes(restored));
+    assert.deepStrictEqual(saved[job.id].params, params);
+});
+
+test('requeue chạy lại job cha, job con chưa xong chờ job cha chạy lại thay vì tự chạy', async (t) => {
+    const batch = storedJob('batch', JOB_STATES.RUNNING);
+    const pending = storedJob('download', JOB_STATES.RUNNING, { parentId: batch.id, params: { type: 'video', playlistFolder: 'list_1234' } });
+    const finished = storedJob('download', JOB_STATES.DONE, { parentId: batch.id });
+    batch.children = [pending.id, finished.id];
+
+    const { summary } = await restoreFrom(t, [pending, finished, batch], RECOVERY_MODES.REQUEUE);
+    assert.strictEqual(summary.requeued, 2);
+    assert.ok(resumed.batch.includes(getJob(batch.id)));
+    assert.ok(!resumed.download.includes(getJob(pending.id)));
+    assert.strictEqual(getJob(pending.id).status, JOB_STATES.QUEUED);
+    assert.strictEqual(getJob(pending.id).params.playlistFolder, 'list_1234');
+    assert.strictEqual(getJob(finished.id).status, JOB_STATES.DONE);
+});
+
+test('job con của job cha không chạy lại được bị đánh dấu INTERRUPTED cùng job cha', async (t) => {
+    const parent = storedJob('unknown-parent', JOB_STATES.RUNNING);
+    const child = storedJob('download', JOB_STATES.QUEUED, { parentId: parent.id });
+    parent.children = [child.id];
+
+    await restoreFrom(t, [child, parent], RECOVERY_MODES.REQUEUE);
+    for (const id of [parent.id, child.id]) {
+        assert.strictEqual(getJob(id).status, JOB_STATES.FAILED);
+        assert.strictEqual(getJob(id).error.code, 'INTERRUPTED');
+    }
+    assert.ok(!resumed.download.includes(getJob(child.id)));
+});
+
+test('job đồng bộ và chế độ fail đánh dấu job bị gián đoạn là thất bại', async (t) => {
+    const sync = storedJob('download', JOB_STATES.RUNNING, { params: { sync: true } });
+    await restoreFrom(t, [sync], RECOVERY_MODES.REQUEUE);
+    assert.strictEqual(getJob(sync.id).error.code, 'INTERRUPTED');
+
+    const running = storedJob('download', JOB_STATES.PAUSED);
+    const { summary, saved } = await restoreFrom(t, [running], RECOVERY_MODES.FAIL);
+    assert.strictEqual(summary.requeued, 0);
+    assert.strictEqual(getJob(running.id).status, JOB_STATES.FAILED);
+    assert.strictEqual(saved[running.id].error.code, 'INTERRUPTED');
+    assert.ok(saved[running.id].finishedAt);
+});
+
+test('restoreJobs từ chối chế độ khôi phục không hợp lệ', async () => {
+    await assert.rejects(restoreJobs(createFileStore(path.join(os.tmpdir(), 'unused.json')), { recoveryMode: 'retry' }));
+});
+
+test('chỉ ghi job xuống store khi đổi trạng thái/giai đoạn hoặc kết thúc, không ghi khi cập nhật tiến trình', async (t) => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+    const store = createFileStore(path.join(tempDir, 'jobs.json'));
+    const writes = [];
+    const set = store.set.bind(store);
+    store.set = (collection, key, value) => {
+        writes.push(value);
+        return set(collection, key, value);
+    };
+    await restoreJobs(store);
+    t.after(() => closeJobStore());
+
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.RUNNING, phase: JOB_PHASES.DOWNLOADING_AUDIO, progress: 1 });
+    for (let progress = 2; progress < 60; progress++) {
+        updateJob(job.id, { progress });
+    }
+    updateJob(job.id, { status: JOB_STATES.CONVERTING, phase: JOB_PHASES.CONVERTING_MP3 });
+    completeJob(job.id, {});
+    // Các tick tiến trình 2-58 không được ghi, tiến trình 59 được ghi cùng lần đổi giai đoạn
+    assert.deepStrictEqual([...new Set(writes.map(value => value.progress))], [0, 1, 59, 100]);
+    assert.strictEqual(writes.at(-1).status, JOB_STATES.DONE);
+});
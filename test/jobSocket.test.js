@@ -0,0 +1,69 @@
+// test/jobSocket.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { logger } = require('../utils');
+const { JOB_STATES, createJob, updateJob } = require('../jobManager');
+const { attachJobSocket } = require('../jobSocket');
+
+logger.silent = true;
+
+// Hàm kết nối tới kênh WebSocket, trả về socket và hàm chờ thông điệp kế tiếp
+async function connect(port, query = '') {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/ws/jobs${query}`);
+    const messages = [];
+    const waiters = [];
+    socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        const waiter = waiters.shift();
+        if (waiter) waiter(message);
+        else messages.push(message);
+    });
+    await once(socket, 'open');
+    const next = () => (messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolve => waiters.push(resolve)));
+    return { socket, next };
+}
+
+test('kênh WebSocket gửi trạng thái, sự kiện và xử lý lệnh điều khiển job', async (t) => {
+    const server = http.createServer();
+    const wss = attachJobSocket(server);
+    server.listen(0);
+    await once(server, 'listening');
+    t.after(() => {
+        wss.close();
+        server.close();
+    });
+    const { port } = server.address();
+
+    const job = createJob('download');
+    const { socket, next } = await connect(port, `?jobs=${job.id}`);
+    t.after(() => socket.close());
+
+    const snapshot = await next();
+    assert.strictEqual(snapshot.type, 'snapshot');
+    assert.strictEqual(snapshot.job.status, JOB_STATES.QUEUED);
+
+    updateJob(job.id, { status: JOB_STATES.RUNNING });
+    const statusEvent = await next();
+    assert.strictEqual(statusEvent.type, 'status');
+    assert.strictEqual(statusEvent.job.status, JOB_STATES.RUNNING);
+
+    socket.send(JSON.stringify({ action: 'pause', jobId: job.id }));
+    const pauseAck = await next();
+    assert.strictEqual(pauseAck.type, 'ack');
+    assert.strictEqual(pauseAck.ok, false);
+
+    socket.send(JSON.stringify({ action: 'cancel', jobId: job.id }));
+    const cancelEvent = await next();
+    assert.strictEqual(cancelEvent.type, JOB_STATES.CANCELLED);
+    const cancelAck = await next();
+    assert.deepStrictEqual([cancelAck.type, cancelAck.action, cancelAck.ok], ['ack', 'cancel', true]);
+
+    socket.send(JSON.stringify({ action: 'subscribe', jobId: 'khong-ton-tai' }));
+    assert.strictEqual((await next()).error, 'Không tìm thấy job.');
+
+    socket.send('{');
+    assert.strictEqual((await next()).type, 'error');
+});
@@ -0,0 +1,278 @@
+// test/mediaProcessor.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    normalizeAudioOptions,
+    getAudioFileSuffix,
+    getAudioCopyMode,
+    getYtDlpAudioOptions,
+    normalizeVideoOptions,
+    normalizeMediaOptions,
+    isDefaultVideoOptions,
+    getOutputNaming,
+    getFormatCodecs,
+    planVideoOutput,
+    planTargetSize,
+    getBurnSubtitleFilter,
+    validateAnimationClip,
+    getLoudnormFilter,
+    parseLoudnormStats,
+    parseSilences
+} = require('../mediaProcessor');
+
+logger.silent = true;
+
+// Hàm tạo tùy chọn âm thanh đã chuẩn hóa kèm các bộ lọc mặc định (không xử lý)
+function audioOptions(input) {
+    return { ...normalizeAudioOptions(input), targetLufs: null, trimSilence: false, fadeIn: null, fadeOut: null };
+}
+
+test('normalizeAudioOptions mặc định MP3, nhận tên gọi khác và chuẩn hóa bitrate/kênh', () => {
+    assert.deepStrictEqual(normalizeAudioOptions(), { audioFormat: 'mp3', audioBitrate: null, audioQuality: null, sampleRate: null, channels: null });
+    assert.deepStrictEqual(normalizeAudioOptions({ audioFormat: 'AAC', audioBitrate: 256, sampleRate: '48000', channels: 'mono' }), {
+        audioFormat: 'm4a',
+        audioBitrate: '256k',
+        audioQuality: null,
+        sampleRate: 48000,
+        channels: 1
+    });
+    assert.strictEqual(normalizeAudioOptions({ audioFormat: 'vorbis', audioQuality: 6 }).audioFormat, 'ogg');
+});
+
+test('normalizeAudioOptions từ chối tùy chọn không hợp lệ với mã 400', () => {
+    const invalid = [
+        { audioFormat: 'wma' },
+        { audioFormat: 'flac', audioBitrate: '320k' },
+        { audioBitrate: '16k' },
+        { audioBitrate: '128kbps' },
+        { audioFormat: 'opus', audioQuality: 5 },
+        { audioQuality: 10 },
+        { audioBitrate: '192k', audioQuality: 2 },
+        { audioFormat: 'opus', sampleRate: 44100 },
+        { channels: 6 }
+    ];
+    for (const input of invalid) {
+        assert.throws(() => normalizeAudioOptions(input), { status: 400 }, JSON.stringify(input));
+    }
+});
+
+test('getAudioFileSuffix mô tả các tùy chọn khác mặc định trong tên file', () => {
+    assert.strictEqual(getAudioFileSuffix(normalizeAudioOptions()), '');
+    assert.strictEqual(getAudioFileSuffix(normalizeAudioOptions({ audioBitrate: '320k', sampleRate: 48000, channels: 1 })), '_320k_48000Hz_mono');
+    assert.strictEqual(getAudioFileSuffix(normalizeAudioOptions({ audioQuality: 0 })), '_q0');
+});
+
+test('getAudioCopyMode chỉ dùng nguyên luồng nguồn khi codec khớp và không đổi chất lượng', () => {
+    const m4aSource = { container: 'mp4', audioCodec: 'mp4a.40.2' };
+    const webmSource = { container: 'webm', audioCodec: 'opus' };
+    assert.strictEqual(getAudioCopyMode(m4aSource, audioOptions({ audioFormat: 'm4a' })), 'rename');
+    assert.strictEqual(getAudioCopyMode(webmSource, audioOptions({ audioFormat: 'opus' })), 'remux');
+    assert.strictEqual(getAudioCopyMode({ container: 'mp3', audioCodec: 'mp3' }, audioOptions({})), 'rename');
+    assert.strictEqual(getAudioCopyMode(webmSource, audioOptions({ audioFormat: 'm4a' })), null);
+    assert.strictEqual(getAudioCopyMode(m4aSource, audioOptions({ audioFormat: 'm4a', audioBitrate: '128k' })), null);
+    assert.strictEqual(getAudioCopyMode(m4aSource, { ...audioOptions({ audioFormat: 'm4a' }), fadeIn: 2 }), null);
+    assert.strictEqual(getAudioCopyMode(null, audioOptions({})), null);
+});
+
+test('getYtDlpAudioOptions ưu tiên luồng cùng codec và chuyển thang chất lượng VBR', () => {
+    assert.deepStrictEqual(getYtDlpAudioOptions(normalizeAudioOptions({ audioFormat: 'opus', channels: 'stereo' })), {
+        format: 'bestaudio[acodec^=opus]/bestaudio',
+        extractAudio: true,
+        audioFormat: 'opus',
+        postprocessorArgs: 'ExtractAudio:-ac 2'
+    });
+    assert.strictEqual(getYtDlpAudioOptions(normalizeAudioOptions({ audioBitrate: '320k' })).audioQuality, '320K');
+    assert.strictEqual(getYtDlpAudioOptions(normalizeAudioOptions({ audioFormat: 'ogg', audioQuality: 8 })).audioQuality, 2);
+});
+
+test('normalizeVideoOptions mặc định MP4 giữ nguyên codec và kiểm tra codec theo container', () => {
+    assert.deepStrictEqual(normalizeVideoOptions(), { container: 'mp4', videoCodec: null, crf: null, preset: null, targetSizeMB: null });
+    assert.deepStrictEqual(normalizeVideoOptions({ container: 'MKV', videoCodec: 'H265', crf: 28, preset: 'Slow' }), {
+        container: 'mkv',
+        videoCodec: 'h265',
+        crf: 28,
+        preset: 'slow',
+        targetSizeMB: null
+    });
+    for (const input of [{ container: 'avi' }, { videoCodec: 'mpeg2' }, { container: 'webm', videoCodec: 'h264' }, { crf: 60 }, { crf: 20.5 }, { preset: 'turbo' }]) {
+        assert.throws(() => normalizeVideoOptions(input), { status: 400 }, JSON.stringify(input));
+    }
+});
+
+test('tên file video mô tả container/codec, tùy chọn mặc định giữ tên cũ', () => {
+    const defaults = normalizeMediaOptions('video', {});
+    assert.ok(isDefaultVideoOptions(defaults));
+    assert.deepStrictEqual(getOutputNaming('video', defaults), { extension: 'mp4', suffix: '' });
+
+    const custom = normalizeMediaOptions('video', { container: 'webm', crf: 30, preset: 'fast' });
+    assert.ok(!isDefaultVideoOptions(custom));
+    assert.deepStrictEqual(getOutputNaming('video', custom), { extension: 'webm', suffix: '_crf30_fast' });
+});
+
+test('getFormatCodecs đổi tên codec của YouTube về tên theo ffprobe', () => {
+    assert.deepStrictEqual(getFormatCodecs({ videoCodec: 'avc1.64001F', audioCodec: 'mp4a.40.2' }), { videoCodec: 'h264', audioCodec: 'aac' });
+    assert.deepStrictEqual(getFormatCodecs({ videoCodec: 'vp09.00.40.08', audioCodec: 'opus' }), { videoCodec: 'vp9', audioCodec: 'opus' });
+    assert.deepStrictEqual(getFormatCodecs(null), { videoCodec: null, audioCodec: null });
+});
+
+test('planVideoOutput sao chép luồng khi container hỗ trợ codec nguồn, mã hóa lại khi cần', () => {
+    const h264Source = { videoCodec: 'h264', audioCodec: 'aac' };
+    assert.deepStrictEqual(planVideoOutput(h264Source, normalizeVideoOptions()), { videoCodec: 'h264', copyVideo: true, copyAudio: true });
+    assert.deepStrictEqual(planVideoOutput(h264Source, normalizeVideoOptions({ container: 'webm' })), { videoCodec: 'vp9', copyVideo: false, copyAudio: false });
+    assert.deepStrictEqual(planVideoOutput({ videoCodec: 'vp9', audioCodec: 'opus' }, normalizeVideoOptions({ container: 'mkv' })), { videoCodec: 'vp9', copyVideo: true, copyAudio: true });
+    assert.strictEqual(planVideoOutput(h264Source, normalizeVideoOptions({ crf: 23 })).copyVideo, false);
+    assert.strictEqual(planVideoOutput(h264Source, normalizeVideoOptions(), { forceTranscode: true }).copyVideo, false);
+});
+
+test('normalizeVideoOptions kiểm tra targetSizeMB và không cho dùng chung với crf', () => {
+    assert.strictEqual(normalizeVideoOptions({ targetSizeMB: 25 }).targetSizeMB, 25);
+    assert.throws(() => normalizeVideoOptions({ targetSizeMB: 0.5 }), { status: 400 });
+    assert.throws(() => normalizeVideoOptions({ targetSizeMB: '25' }), { status: 400 });
+    assert.throws(() => normalizeVideoOptions({ targetSizeMB: 25, crf: 23 }), /crf/);
+    assert.strictEqual(getOutputNaming('video', normalizeMediaOptions('video', { targetSizeMB: 8 })).suffix, '_target8MB');
+});
+
+test('planTargetSize chia bitrate theo thời lượng và hạ độ phân giải khi bitrate thấp', () => {
+    // 25 MB trong 60 giây: khoảng 3390 kbps tổng, âm thanh tối đa 128 kbps
+    assert.deepStrictEqual(planTargetSize(60, 25), { videoBitrate: 3262, audioBitrate: 128, maxHeight: 1080 });
+    // 8 MB trong 300 giây: bitrate thấp nên âm thanh ở mức tối thiểu và video bị thu nhỏ
+    assert.deepStrictEqual(planTargetSize(300, 8), { videoBitrate: 168, audioBitrate: 48, maxHeight: 240 });
+});
+
+test('planTargetSize báo 422 TARGET_SIZE_UNREACHABLE khi không thể đạt dung lượng đích', () => {
+    assert.throws(() => planTargetSize(3600, 8), { status: 422, jobErrorCode: 'TARGET_SIZE_UNREACHABLE' });
+    assert.throws(() => planTargetSize(null, 8), { status: 422, message: /thời lượng/ });
+});
+
+test('tùy chọn phụ đề mềm: codec mặc định theo container, track bật sẵn và tên file', () => {
+    const video = normalizeMediaOptions('video', { container: 'mkv', subtitles: 'en, vi,en', subtitleFormat: 'ASS', defaultSubtitle: 'vi' });
+    assert.deepStrictEqual([video.subtitles, video.subtitleFormat, video.defaultSubtitle], [['en', 'vi'], 'ass', 'vi']);
+    assert.strictEqual(getOutputNaming('video', video).suffix, '_sub-en-vi_ass_default-vi');
+
+    const mp4 = normalizeMediaOptions('video', { subtitles: ['pt-BR'], defaultSubtitle: false });
+    assert.deepStrictEqual([mp4.subtitleFormat, mp4.defaultSubtitle], ['mov_text', null]);
+    assert.strictEqual(getOutputNaming('video', mp4).suffix, '_sub-pt-BR_nodefault');
+    assert.strictEqual(normalizeMediaOptions('video', {}).subtitles, null);
+});
+
+test('tùy chọn phụ đề mềm không hợp lệ bị từ chối với mã 400', () => {
+    const invalid = [
+        { subtitleFormat: 'srt' },
+        { subtitles: [] },
+        { subtitles: ['en', 'english!'] },
+        { subtitles: Array.from({ length: 11 }, (_, index) => `l${String.fromCharCode(97 + index)}`) },
+        { subtitles: ['en'], subtitleFormat: 'srt' },
+        { container: 'webm', subtitles: ['en'], subtitleFormat: 'mov_text' },
+        { subtitles: ['en'], defaultSubtitle: 'vi' }
+    ];
+    for (const input of invalid) {
+        assert.throws(() => normalizeMediaOptions('video', input), { status: 400 }, JSON.stringify(input));
+    }
+});
+
+test('burnSubtitles nhận mã ngôn ngữ hoặc kiểu có sẵn kèm thuộc tính ghi đè', () => {
+    const simple = normalizeMediaOptions('video', { burnSubtitles: 'vi' }).burnSubtitles;
+    assert.deepStrictEqual([simple.language, simple.style, simple.position, simple.box], ['vi', 'default', 'bottom', false]);
+    assert.strictEqual(getOutputNaming('video', normalizeMediaOptions('video', { burnSubtitles: 'vi' })).suffix, '_burn-vi');
+
+    const social = normalizeMediaOptions('video', { burnSubtitles: { language: 'en', style: 'Social' } });
+    assert.strictEqual(social.burnSubtitles.fontSize, 26);
+    assert.ok(!isDefaultVideoOptions(social));
+    assert.strictEqual(getOutputNaming('video', social).suffix, '_burn-en_social');
+    // Ghi đè thuộc tính của kiểu thêm mã băm vào tên file để không trùng với kiểu gốc
+    const custom = normalizeMediaOptions('video', { burnSubtitles: { language: 'en', style: 'social', color: '#FFCC00' } });
+    assert.strictEqual(custom.burnSubtitles.color, '#ffcc00');
+    assert.match(getOutputNaming('video', custom).suffix, /^_burn-en_social_[0-9a-f]{8}$/);
+
+    for (const burnSubtitles of ['english!', { language: 'en', style: 'neon' }, { language: 'en', shadow: 2 }, { language: 'en', fontSize: 100 }, { language: 'en', color: 'orange' }, { language: 'en', position: 'left' }, { language: 'en', font: 'Arial;drop' }]) {
+        assert.throws(() => normalizeMediaOptions('video', { burnSubtitles }), { status: 400 }, JSON.stringify(burnSubtitles));
+    }
+});
+
+test('getBurnSubtitleFilter tạo filter subtitles với kiểu ASS và escape đường dẫn', () => {
+    const { burnSubtitles } = normalizeMediaOptions('video', { burnSubtitles: { language: 'en', style: 'boxed', position: 'top', color: '#FF8000' } });
+    const filter = getBurnSubtitleFilter("/tmp/it's:a.srt", burnSubtitles);
+    assert.ok(filter.startsWith("subtitles=filename=/tmp/it\\\\\\'s\\\\:a.srt:charenc=UTF-8:force_style="), filter);
+    assert.match(filter, /PrimaryColour=&H000080FF/);
+    assert.match(filter, /BorderStyle=3/);
+    assert.match(filter, /Alignment=8/);
+});
+
+test('normalizeMediaOptions với gif/webp dùng giá trị mặc định và kiểm tra khoảng giá trị', () => {
+    const gif = normalizeMediaOptions('gif', {});
+    assert.deepStrictEqual(gif, { width: 480, fps: 12, loop: true, maxFileSizeMB: 10 });
+    assert.deepStrictEqual(getOutputNaming('gif', gif), { extension: 'gif', suffix: '_480w_12fps_max10MB' });
+
+    const webp = normalizeMediaOptions('webp', { width: 320, fps: 24, loop: false, maxFileSizeMB: 2.5 });
+    assert.deepStrictEqual(getOutputNaming('webp', webp), { extension: 'webp', suffix: '_320w_24fps_max2.5MB_noloop' });
+
+    for (const options of [{ width: 32 }, { width: 480.5 }, { fps: 60 }, { fps: '12' }, { loop: 'no' }, { maxFileSizeMB: 0 }, { maxFileSizeMB: 500 }]) {
+        assert.throws(() => normalizeMediaOptions('gif', options), { status: 400 }, JSON.stringify(options));
+    }
+});
+
+test('validateAnimationClip bắt buộc có start/end và giới hạn độ dài 30 giây', () => {
+    assert.doesNotThrow(() => validateAnimationClip({ start: 60, end: 90 }));
+    assert.throws(() => validateAnimationClip(null), /cần khoảng cắt start và end/);
+    assert.throws(() => validateAnimationClip({ start: 60, end: null }), /cần khoảng cắt start và end/);
+    assert.throws(() => validateAnimationClip({ start: 60, end: 90.5 }), { status: 400, message: /tối đa 30 giây/ });
+});
+
+test('normalizeMediaOptions nhận targetLufs, trimSilence, fadeIn, fadeOut và thêm vào tên file', () => {
+    const audio = normalizeMediaOptions('audio', { targetLufs: -14, trimSilence: true, fadeIn: 2, fadeOut: 3.5 });
+    assert.deepStrictEqual(
+        [audio.targetLufs, audio.trimSilence, audio.fadeIn, audio.fadeOut],
+        [-14, true, 2, 3.5]
+    );
+    assert.strictEqual(getOutputNaming('audio', audio).suffix, '_lufs-14_trim_fadein2_fadeout3.5');
+    const plain = normalizeMediaOptions('audio', {});
+    assert.deepStrictEqual([plain.targetLufs, plain.trimSilence, plain.fadeIn, plain.fadeOut], [null, false, null, null]);
+    assert.strictEqual(getOutputNaming('audio', plain).suffix, '');
+
+    for (const options of [{ targetLufs: -80 }, { targetLufs: 0 }, { targetLufs: '-14' }, { trimSilence: 'yes' }, { fadeIn: 0 }, { fadeOut: 31 }, { fadeIn: '2' }]) {
+        assert.throws(() => normalizeMediaOptions('audio', options), { status: 400 }, JSON.stringify(options));
+    }
+});
+
+test('getLoudnormFilter tạo bộ lọc đo độ lớn và bộ lọc chuẩn hóa tuyến tính theo số đo', () => {
+    assert.strictEqual(getLoudnormFilter(-14), 'loudnorm=I=-14:TP=-1.5:LRA=11:print_format=json');
+    const measured = { input_i: '-20.51', input_tp: '-3.02', input_lra: '6.10', input_thresh: '-30.80', target_offset: '0.12' };
+    assert.strictEqual(
+        getLoudnormFilter(-14, measured),
+        'loudnorm=I=-14:TP=-1.5:LRA=11:measured_I=-20.51:measured_TP=-3.02:measured_LRA=6.10:measured_thresh=-30.80:offset=0.12:linear=true:print_format=json'
+    );
+});
+
+test('parseLoudnormStats đọc khối JSON của loudnorm trong log FFmpeg', () => {
+    const log = [
+        'size=N/A time=00:03:20.00 bitrate=N/A speed= 120x',
+        '[Parsed_loudnorm_1 @ 0x55d0c] ',
+        '{',
+        '\t"input_i" : "-20.51",',
+        '\t"input_tp" : "-3.02",',
+        '\t"input_lra" : "6.10",',
+        '\t"input_thresh" : "-30.80",',
+        '\t"target_offset" : "0.12"',
+        '}'
+    ].join('\n');
+    assert.deepStrictEqual(parseLoudnormStats(log), {
+        input_i: '-20.51',
+        input_tp: '-3.02',
+        input_lra: '6.10',
+        input_thresh: '-30.80',
+        target_offset: '0.12'
+    });
+    assert.strictEqual(parseLoudnormStats('không có kết quả đo'), null);
+});
+
+test('parseSilences đọc các khoảng lặng của silencedetect, khoảng cuối chưa kết thúc có end null', () => {
+    const log = [
+        '[silencedetect @ 0x1] silence_start: -0.0015',
+        '[silencedetect @ 0x1] silence_end: 1.25 | silence_duration: 1.2515',
+        'size=N/A time=00:01:00.00 bitrate=N/A',
+        '[silencedetect @ 0x1] silence_start: 58.4'
+    ].join('\n');
+    assert.deepStrictEqual(parseSilences(log), [{ start: 0, end: 1.25 }, { start: 58.4, end: null }]);
+    assert.deepStrictEqual(parseSilences('[silencedetect @ 0x1] silence_end: 3'), []);
+});
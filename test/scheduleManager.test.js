@@ -0,0 +1,66 @@
+// test/scheduleManager.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    SCHEDULE_STATES,
+    getNextCronRun,
+    resolveTiming,
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule
+} = require('../scheduleManager');
+
+logger.silent = true;
+
+const REQUEST = { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', platform: 'youtube', type: 'audio' };
+
+test('getNextCronRun tính lần chạy kế tiếp theo múi giờ và từ chối biểu thức sai', () => {
+    const after = new Date('2024-03-10T10:15:00Z');
+    assert.strictEqual(getNextCronRun('30 * * * *', null, after), '2024-03-10T10:30:00.000Z');
+    assert.strictEqual(getNextCronRun('0 2 * * *', 'Asia/Ho_Chi_Minh', after), '2024-03-10T19:00:00.000Z');
+    assert.throws(() => getNextCronRun('không phải cron', null, after), { status: 400 });
+});
+
+test('resolveTiming chỉ nhận một trong runAt hoặc cron, timezone chỉ đi cùng cron', () => {
+    assert.deepStrictEqual(resolveTiming({ runAt: '2030-01-01T07:00:00+07:00' }), {
+        runAt: '2030-01-01T00:00:00.000Z',
+        cron: null,
+        timezone: null,
+        nextRunAt: '2030-01-01T00:00:00.000Z'
+    });
+    const cronTiming = resolveTiming({ cron: '0 3 * * *', timezone: 'UTC' });
+    assert.strictEqual(cronTiming.runAt, null);
+    assert.ok(new Date(cronTiming.nextRunAt) > new Date());
+
+    assert.throws(() => resolveTiming({}), { status: 400 });
+    assert.throws(() => resolveTiming({ runAt: '2030-01-01T00:00:00Z', cron: '0 3 * * *' }), { status: 400 });
+    assert.throws(() => resolveTiming({ runAt: '2030-01-01T00:00:00Z', timezone: 'UTC' }), /timezone/);
+    assert.throws(() => resolveTiming({ runAt: 'ngày mai' }), /runAt/);
+});
+
+test('updateSchedule tạm dừng/tiếp tục lịch, chỉ kích hoạt lại lịch đã xong khi đổi thời gian chạy', () => {
+    const schedule = createSchedule(REQUEST, { cron: '0 3 * * *' });
+    assert.strictEqual(schedule.status, SCHEDULE_STATES.ACTIVE);
+    assert.strictEqual(getSchedule(schedule.id), schedule);
+
+    updateSchedule(schedule.id, { status: SCHEDULE_STATES.PAUSED });
+    assert.ok(listSchedules({ status: SCHEDULE_STATES.PAUSED }).includes(schedule));
+    assert.throws(() => updateSchedule(schedule.id, { status: SCHEDULE_STATES.COMPLETED }), { status: 400 });
+    updateSchedule(schedule.id, { status: SCHEDULE_STATES.ACTIVE });
+    assert.strictEqual(schedule.status, SCHEDULE_STATES.ACTIVE);
+
+    schedule.status = SCHEDULE_STATES.COMPLETED;
+    assert.throws(() => updateSchedule(schedule.id, { status: SCHEDULE_STATES.ACTIVE }), { status: 409 });
+    updateSchedule(schedule.id, { timing: { runAt: '2030-01-01T00:00:00Z' } });
+    assert.strictEqual(schedule.status, SCHEDULE_STATES.ACTIVE);
+    assert.strictEqual(schedule.cron, null);
+    assert.strictEqual(schedule.nextRunAt, '2030-01-01T00:00:00.000Z');
+
+    deleteSchedule(schedule.id);
+    assert.strictEqual(getSchedule(schedule.id), null);
+    assert.throws(() => updateSchedule(schedule.id, {}), { status: 404 });
+    assert.throws(() => deleteSchedule(schedule.id), { status: 404 });
+});
@@ -0,0 +1,195 @@
+// test/server.test.js
+// Hàng đợi tải nhỏ để dễ làm đầy khi kiểm tra 503/Retry-After (phải đặt trước khi nạp server)
+process.env.NETWORK_CONCURRENCY = '1';
+process.env.MAX_QUEUE_SIZE = '2';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { logger } = require('../utils');
+const { app, logger: serverLogger } = require('../server');
+const { JOB_STATES, getJob, createJob, updateJob, completeJob, linkChildJob } = require('../jobManager');
+const { networkPool } = require('../workerPool');
+
+logger.silent = true;
+serverLogger.silent = true;
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+const PLAYLIST_URL = 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI';
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Hàm gửi request JSON tới server, trả về mã trạng thái, header và body đã parse
+function request(method, path, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const req = http.request(`${baseUrl}${path}`, {
+            method,
+            headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+// Hàm giữ chỗ trong hàng đợi tải cho tới khi hàng đợi đầy, trả về hàm giải phóng các chỗ đã giữ
+async function fillNetworkPool() {
+    const releases = [await networkPool.acquire()];
+    const waiting = [];
+    while (!networkPool.isFull()) waiting.push(networkPool.acquire());
+    return async () => {
+        releases.forEach(release => release());
+        for (const turn of waiting) (await turn)();
+    };
+}
+
+test('GET /api/jobs/:id trả về job, 404 khi không có; GET /api/jobs từ chối trạng thái lạ', async () => {
+    const job = createJob('download', { url: VIDEO_URL });
+    const found = await request('GET', `/api/jobs/${job.id}`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.body.id, job.id);
+    assert.strictEqual(found.body.status, JOB_STATES.QUEUED);
+
+    assert.strictEqual((await request('GET', '/api/jobs/khong-ton-tai')).status, 404);
+    assert.strictEqual((await request('GET', '/api/jobs?status=la')).status, 400);
+    const listed = await request('GET', `/api/jobs?status=${JOB_STATES.QUEUED}`);
+    assert.ok(listed.body.jobs.some(({ id }) => id === job.id));
+});
+
+test('DELETE /api/jobs/:id hủy job, trả về 409 khi job đã kết thúc và 404 khi không có', async () => {
+    const job = createJob('download');
+    updateJob(job.id, { status: JOB_STATES.RUNNING });
+    const cancelled = await request('DELETE', `/api/jobs/${job.id}`);
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(cancelled.body.status, JOB_STATES.CANCELLED);
+    assert.strictEqual(getJob(job.id).status, JOB_STATES.CANCELLED);
+
+    const again = await request('DELETE', `/api/jobs/${job.id}`);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.job.status, JOB_STATES.CANCELLED);
+    assert.strictEqual((await request('DELETE', '/api/jobs/khong-ton-tai')).status, 404);
+});
+
+test('GET /api/jobs/:id/events gửi snapshot rồi các sự kiện SSE và đóng luồng khi job kết thúc', async () => {
+    const job = createJob('download');
+    const events = await new Promise((resolve, reject) => {
+        http.get(`${baseUrl}/api/jobs/${job.id}/events`, (res) => {
+            assert.strictEqual(res.statusCode, 200);
+            assert.match(res.headers['content-type'], /^text\/event-stream/);
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                data += chunk;
+                // Sau snapshot: đổi trạng thái rồi kết thúc job
+                if (data.includes('event: snapshot') && getJob(job.id).status === JOB_STATES.QUEUED) {
+                    updateJob(job.id, { status: JOB_STATES.RUNNING });
+                    completeJob(job.id, { downloadUrl: '/downloads/video.mp4' });
+                }
+            });
+            res.on('end', () => resolve(data));
+        }).on('error', reject);
+    });
+
+    const blocks = events.trim().split('\n\n').map((block) => {
+        const [eventLine, dataLine] = block.split('\n');
+        assert.match(eventLine, /^event: \w+$/);
+        assert.match(dataLine, /^data: /);
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+    assert.strictEqual(blocks[0].event, 'snapshot');
+    assert.strictEqual(blocks[0].data.status, JOB_STATES.QUEUED);
+    assert.strictEqual(blocks.at(-1).event, JOB_STATES.DONE);
+    assert.strictEqual(blocks.at(-1).data.downloadUrl, '/downloads/video.mp4');
+
+    assert.strictEqual((await request('GET', '/api/jobs/khong-phai-uuid/events')).status, 404);
+});
+
+test('POST /api/batch kiểm tra items và trả về 503 kèm Retry-After khi hàng đợi đầy', async () => {
+    assert.strictEqual((await request('POST', '/api/batch', { items: [] })).status, 400);
+    const invalid = await request('POST', '/api/batch', { items: [{ url: VIDEO_URL, platform: 'youtube', type: 'exe' }] });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /^Mục 0:/);
+
+    const release = await fillNetworkPool();
+    try {
+        const full = await request('POST', '/api/batch', { items: [{ url: VIDEO_URL, platform: 'youtube', type: 'video' }] });
+        assert.strictEqual(full.status, 503);
+        assert.strictEqual(full.headers['retry-after'], String(full.body.retryAfter));
+        assert.ok(full.body.retryAfter > 0);
+    } finally {
+        await release();
+    }
+});
+
+test('GET /api/batch/:id trả về tổng hợp job con, 404 với job không phải batch', async () => {
+    const batch = createJob('batch', { itemCount: 2 });
+    const done = createJob('download', { url: VIDEO_URL, type: 'video' });
+    const queued = createJob('download', { url: VIDEO_URL, type: 'audio' });
+    linkChildJob(batch.id, done.id);
+    linkChildJob(batch.id, queued.id);
+    completeJob(done.id, {});
+
+    const response = await request('GET', `/api/batch/${batch.id}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.id, batch.id);
+    assert.strictEqual(response.body.items.length, 2);
+    assert.strictEqual(response.body.childSummary[JOB_STATES.DONE], 1);
+    assert.strictEqual((await request('GET', `/api/batch/${done.id}`)).status, 404);
+});
+
+test('playlist: 400 với tùy chọn sai, 503 khi hàng đợi đầy, GET /api/playlist/:id trả về 404 với job khác loại', async () => {
+    const body = { url: PLAYLIST_URL, platform: 'youtube', type: 'video' };
+    const invalid = await request('POST', '/api/download', { ...body, packaging: 'rar' });
+    assert.strictEqual(invalid.status, 400);
+
+    const release = await fillNetworkPool();
+    try {
+        const full = await request('POST', '/api/download', body);
+        assert.strictEqual(full.status, 503);
+        assert.ok(Number(full.headers['retry-after']) > 0);
+    } finally {
+        await release();
+    }
+
+    const playlist = createJob('playlist', { url: PLAYLIST_URL, type: 'video' });
+    const found = await request('GET', `/api/playlist/${playlist.id}`);
+    assert.strictEqual(found.status, 200);
+    assert.deepStrictEqual(found.body.items, []);
+    assert.strictEqual((await request('GET', `/api/playlist/${createJob('download').id}`)).status, 404);
+});
+
+test('schedules: tạo, xem, cập nhật, xóa lịch tải và trả về 400/404 khi yêu cầu sai', async () => {
+    const runAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    assert.strictEqual((await request('POST', '/api/schedules', { runAt })).status, 400);
+    assert.strictEqual((await request('POST', '/api/schedules', { url: VIDEO_URL, platform: 'youtube', type: 'video', cron: 'sai' })).status, 400);
+
+    const created = await request('POST', '/api/schedules', { url: VIDEO_URL, platform: 'youtube', type: 'video', runAt });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.nextRunAt, runAt);
+    assert.strictEqual(created.body.request.baseUrl, undefined);
+
+    const { id } = created.body;
+    assert.strictEqual((await request('GET', `/api/schedules/${id}`)).body.id, id);
+    const updated = await request('PATCH', `/api/schedules/${id}`, { type: 'audio' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.request.type, 'audio');
+
+    assert.strictEqual((await request('DELETE', `/api/schedules/${id}`)).status, 200);
+    assert.strictEqual((await request('GET', `/api/schedules/${id}`)).status, 404);
+    assert.strictEqual((await request('PATCH', `/api/schedules/${id}`, { type: 'video' })).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/schedules/${id}`)).status, 404);
+});
@@ -0,0 +1,68 @@
+// test/subscriptionManager.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const {
+    normalizeChannelUrl,
+    normalizePreferences,
+    createSubscription,
+    getSubscription,
+    updateSubscription,
+    deleteSubscription,
+    serializeSubscription
+} = require('../subscriptionManager');
+
+logger.silent = true;
+
+test('normalizeChannelUrl chuẩn hóa channel ID, @handle và URL kênh thành URL danh sách video', () => {
+    const channelId = 'UC_x5XG1OV2P6uZZ5FSM9Ttw';
+    assert.strictEqual(normalizeChannelUrl(channelId), `https://www.youtube.com/channel/${channelId}/videos`);
+    assert.strictEqual(normalizeChannelUrl(' @GoogleDevelopers '), 'https://www.youtube.com/@GoogleDevelopers/videos');
+    assert.strictEqual(normalizeChannelUrl(`https://m.youtube.com/channel/${channelId}/shorts`), `https://www.youtube.com/channel/${channelId}/videos`);
+    assert.strictEqual(normalizeChannelUrl('https://www.youtube.com/c/GoogleDevelopers'), 'https://www.youtube.com/c/GoogleDevelopers/videos');
+    assert.strictEqual(normalizeChannelUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), null);
+    assert.strictEqual(normalizeChannelUrl(undefined), null);
+});
+
+test('normalizePreferences dùng giá trị mặc định/hiện tại và từ chối tùy chọn không hợp lệ', () => {
+    assert.deepStrictEqual(normalizePreferences({ type: 'audio' }), {
+        type: 'audio',
+        quality: null,
+        subtitleLanguages: [],
+        subtitleFormats: ['srt'],
+        intervalMinutes: 60,
+        enabled: true
+    });
+    const current = normalizePreferences({ type: 'video', quality: 'Medium', intervalMinutes: 30, enabled: false });
+    assert.strictEqual(current.quality, 'medium');
+    assert.deepStrictEqual(normalizePreferences({ subtitleLanguages: ['vi'], subtitleFormats: ['VTT'] }, current), {
+        ...current,
+        subtitleLanguages: ['vi'],
+        subtitleFormats: ['vtt']
+    });
+
+    assert.throws(() => normalizePreferences({ type: 'gif' }), { status: 400 });
+    assert.throws(() => normalizePreferences({ type: 'video', quality: '720p' }), { status: 400, message: /high, medium, low/ });
+    assert.throws(() => normalizePreferences({}), /type/);
+    assert.throws(() => normalizePreferences({ type: 'audio', subtitleFormats: ['ass'] }), { status: 400 });
+    assert.throws(() => normalizePreferences({ type: 'audio', intervalMinutes: 1 }), /intervalMinutes/);
+    assert.throws(() => normalizePreferences({ type: 'audio', enabled: 'yes' }), /enabled/);
+});
+
+test('createSubscription từ chối kênh đã đăng ký và backfill không hợp lệ, updateSubscription/deleteSubscription báo 404', () => {
+    assert.throws(() => createSubscription({ channel: 'không phải kênh', type: 'audio' }), { status: 400 });
+    assert.throws(() => createSubscription({ channel: '@backfill_test', type: 'audio', backfill: 100 }), /backfill/);
+
+    const subscription = createSubscription({ channel: '@subscription_test', type: 'audio', enabled: false });
+    assert.throws(() => createSubscription({ channelUrl: 'https://www.youtube.com/@subscription_test', type: 'video' }), { status: 409 });
+    const serialized = serializeSubscription(subscription);
+    assert.strictEqual(serialized.channelUrl, 'https://www.youtube.com/@subscription_test/videos');
+    assert.deepStrictEqual([serialized.seenCount, serialized.historyCount], [0, 0]);
+    assert.strictEqual(serialized.history, undefined);
+
+    assert.strictEqual(updateSubscription(subscription.id, { intervalMinutes: 15 }).intervalMinutes, 15);
+    deleteSubscription(subscription.id);
+    assert.strictEqual(getSubscription(subscription.id), null);
+    assert.throws(() => updateSubscription(subscription.id, {}), { status: 404 });
+    assert.throws(() => deleteSubscription(subscription.id), { status: 404 });
+});
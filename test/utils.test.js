@@ -0,0 +1,169 @@
+// test/utils.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+    logger,
+    fetchWithRetry,
+    isPartialFile,
+    cleanFolder,
+    getUniqueTempPath,
+    getDownloadKey,
+    parseTimestamp,
+    parseClipRange,
+    formatClipRange,
+    clipSrtCues
+} = require('../utils');
+
+logger.silent = true;
+
+test('fetchWithRetry không gửi lại khi nhận lỗi 4xx nhưng gửi lại khi lỗi 5xx', async (t) => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests++;
+        res.statusCode = req.url === '/missing' ? 404 : 503;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await assert.rejects(fetchWithRetry(`${baseUrl}/missing`, {}, 3, 1), error => error.response.status === 404);
+    assert.strictEqual(requests, 1);
+    requests = 0;
+    await assert.rejects(fetchWithRetry(`${baseUrl}/busy`, {}, 2, 1), error => error.response.status === 503);
+    assert.strictEqual(requests, 3);
+});
+
+test('getUniqueTempPath thêm ID job vào tên file tạm, isPartialFile nhận ra các file tạm', () => {
+    const jobId = uuidv4();
+    assert.strictEqual(getUniqueTempPath('/downloads/song.mp3', jobId), `/downloads/song.${jobId}.part.mp3`);
+    for (const label of ['part', 'temp', 'video', 'audio', 'original']) {
+        assert.ok(isPartialFile(path.basename(getUniqueTempPath('/downloads/clip.mp4', jobId, label))), label);
+    }
+    assert.ok(isPartialFile(`list.${jobId}.part`));
+    assert.ok(isPartialFile('video.mp4.part-Frag12'));
+    assert.ok(isPartialFile('video.ytdl'));
+    assert.ok(!isPartialFile('song.mp3'));
+    assert.ok(!isPartialFile('party_mix.mp3'));
+});
+
+test('cleanFolder xóa file cũ nhất khi vượt giới hạn nhưng bỏ qua file tạm của job đang chạy', async (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'clean-folder-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const writeFile = (name, ageSeconds) => {
+        const filePath = path.join(folder, name);
+        fs.writeFileSync(filePath, name);
+        const time = new Date(Date.now() - ageSeconds * 1000);
+        fs.utimesSync(filePath, time, time);
+    };
+    writeFile(`oldest.${uuidv4()}.part.mp4`, 300);
+    writeFile('old.mp3', 200);
+    writeFile('new.mp3', 100);
+    writeFile('newest.mp3', 0);
+
+    await cleanFolder(folder, 2);
+    const remaining = fs.readdirSync(folder);
+    assert.strictEqual(remaining.length, 3);
+    assert.ok(!remaining.includes('old.mp3'));
+    assert.ok(remaining.some(isPartialFile));
+
+    // Không vượt giới hạn (không tính file tạm) thì không xóa gì
+    await cleanFolder(folder, 2);
+    assert.strictEqual(fs.readdirSync(folder).length, 3);
+    await cleanFolder(path.join(folder, 'khong-ton-tai'));
+});
+
+test('cleanFolder tính mỗi thư mục con là một mục, bỏ qua thư mục đang dùng hoặc chứa file tạm', async (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'clean-folder-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const writeFile = (name, ageSeconds) => {
+        const filePath = path.join(folder, name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, name);
+        const time = new Date(Date.now() - ageSeconds * 1000);
+        fs.utimesSync(filePath, time, time);
+        fs.utimesSync(path.dirname(filePath), time, time);
+    };
+    writeFile('active_list/1_song.mp3', 500);
+    writeFile(`frames_in_progress/frame.${uuidv4()}.original.jpg`, 400);
+    writeFile('old_list/1_song.mp3', 300);
+    // Thư mục được tính theo file mới nhất bên trong, kể cả thư mục con
+    writeFile('song_chapters/01_intro.mp3', 350);
+    writeFile('song_chapters/nested/02_outro.mp3', 50);
+    writeFile('song.mp3', 100);
+
+    await cleanFolder(folder, 2, { keep: ['active_list'] });
+    assert.deepStrictEqual(fs.readdirSync(folder).sort(), ['active_list', 'frames_in_progress', 'song.mp3', 'song_chapters']);
+
+    await cleanFolder(folder, 1, { keep: ['active_list'] });
+    assert.deepStrictEqual(fs.readdirSync(folder).sort(), ['active_list', 'frames_in_progress', 'song_chapters']);
+});
+
+test('getDownloadKey trùng nhau với các yêu cầu giống hệt, không phụ thuộc thứ tự và chữ hoa/thường của quality', () => {
+    const key = getDownloadKey('dQw4w9WgXcQ', { type: 'video', quality: '720P', format: 'mp4', fps: undefined });
+    assert.strictEqual(key, 'download:dQw4w9WgXcQ:video:720p:format=mp4');
+    assert.strictEqual(getDownloadKey('dQw4w9WgXcQ', { format: 'mp4', quality: '720p', type: 'video', codec: '' }), key);
+    assert.strictEqual(getDownloadKey('dQw4w9WgXcQ', { type: 'audio' }), 'download:dQw4w9WgXcQ:audio:best');
+    assert.notStrictEqual(getDownloadKey('dQw4w9WgXcQ', { type: 'video', quality: '1080p', format: 'mp4' }), key);
+    assert.notStrictEqual(
+        getDownloadKey('dQw4w9WgXcQ', { type: 'video', burnSubtitles: { language: 'vi' } }),
+        getDownloadKey('dQw4w9WgXcQ', { type: 'video', burnSubtitles: { language: 'en' } })
+    );
+    // Mã ngôn ngữ phụ đề và mã codec phân biệt chữ hoa/thường nên không bị đổi
+    assert.notStrictEqual(
+        getDownloadKey('dQw4w9WgXcQ', { type: 'video', subtitles: ['pt-BR'] }),
+        getDownloadKey('dQw4w9WgXcQ', { type: 'video', subtitles: ['pt-br'] })
+    );
+    assert.match(getDownloadKey('dQw4w9WgXcQ', { type: 'video', codecPreference: 'avc1.64001F' }), /codecPreference=avc1\.64001F$/);
+});
+
+test('parseTimestamp đọc số giây, mm:ss và hh:mm:ss', () => {
+    assert.strictEqual(parseTimestamp(90), 90);
+    assert.strictEqual(parseTimestamp('90.5'), 90.5);
+    assert.strictEqual(parseTimestamp('1:30'), 90);
+    assert.strictEqual(parseTimestamp('01:02:03.25'), 3723.25);
+    assert.strictEqual(parseTimestamp('1:75'), null);
+    assert.strictEqual(parseTimestamp('75:30'), null);
+    assert.strictEqual(parseTimestamp('1:75:30'), null);
+    assert.strictEqual(parseTimestamp('1:75:90'), null);
+    assert.strictEqual(parseTimestamp('1:59:59'), 7199);
+    assert.strictEqual(parseTimestamp(-1), null);
+    assert.strictEqual(parseTimestamp('abc'), null);
+});
+
+test('parseClipRange trả về khoảng cắt, null khi không cắt và lỗi khi khoảng không hợp lệ', () => {
+    assert.strictEqual(parseClipRange(undefined, ''), null);
+    assert.deepStrictEqual(parseClipRange('1:00', '1:30'), { start: 60, end: 90 });
+    assert.deepStrictEqual(parseClipRange(undefined, 45), { start: 0, end: 45 });
+    assert.deepStrictEqual(parseClipRange('00:10:00', null), { start: 600, end: null });
+    assert.throws(() => parseClipRange('1:00', '0:30'), /end phải lớn hơn start/);
+    assert.throws(() => parseClipRange('10', '10'), /end phải lớn hơn start/);
+    assert.throws(() => parseClipRange('mười', '20'), /hh:mm:ss/);
+    assert.throws(() => parseClipRange(0, 'x'), /hh:mm:ss/);
+});
+
+test('formatClipRange tạo hậu tố tên file theo khoảng cắt', () => {
+    assert.strictEqual(formatClipRange({ start: 60, end: 90 }), '_clip_00-01-00_00-01-30');
+    assert.strictEqual(formatClipRange({ start: 3723.25, end: null }), '_clip_01-02-03.250_end');
+});
+
+test('clipSrtCues chỉ giữ câu trong đoạn cắt, cắt bớt câu ở biên và đánh số lại', () => {
+    const srt = [
+        '1\r\n00:00:01,000 --> 00:00:04,000\r\nMở đầu',
+        '2\n00:00:09,500 --> 00:00:12,000\nGiữa đoạn',
+        '3\n00:00:15,000 --> 00:00:21,000\nCuối đoạn',
+        '4\n00:00:30,000 --> 00:00:31,000\nSau đoạn cắt'
+    ].join('\n\n');
+    assert.strictEqual(
+        clipSrtCues(srt, { start: 10, end: 20 }),
+        '1\n00:00:00,000 --> 00:00:02,000\nGiữa đoạn\n\n2\n00:00:05,000 --> 00:00:10,000\nCuối đoạn'
+    );
+    assert.strictEqual(clipSrtCues(srt, { start: 29, end: null }), '1\n00:00:01,000 --> 00:00:02,000\nSau đoạn cắt');
+    // Không có câu nào trong đoạn cắt thì trả về chuỗi rỗng (fetchSubtitleTracks báo lỗi 422)
+    assert.strictEqual(clipSrtCues(srt, { start: 22, end: 29 }), '');
+});
@@ -0,0 +1,42 @@
+// test/videoDownloader.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const { normalizeYtDlpFormats } = require('../formatSelector');
+const { parseYtDlpProgress, selectYtDlpFormat } = require('../videoDownloader');
+
+logger.silent = true;
+
+// Danh sách định dạng như trong --dump-single-json của yt-dlp
+const FORMATS = normalizeYtDlpFormats([
+    { format_id: '18', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', height: 360, width: 640, protocol: 'https' },
+    { format_id: '43', ext: 'webm', vcodec: 'vp8', acodec: 'vorbis', height: 720, width: 1280, protocol: 'https' },
+    { format_id: '137', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', height: 1080, width: 1920, protocol: 'https' },
+    { format_id: '140', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', abr: 129.5, protocol: 'https' },
+    { format_id: '251', ext: 'webm', vcodec: 'none', acodec: 'opus', abr: 160, protocol: 'https' },
+    { format_id: '234', ext: 'mp4', vcodec: 'none', acodec: 'mp4a.40.2', abr: 192, protocol: 'm3u8_native' },
+    { format_id: 'sb0', ext: 'mhtml', vcodec: 'none', acodec: 'none', protocol: 'mhtml' }
+]);
+
+test('parseYtDlpProgress đọc phần trăm, dung lượng và ETA từ dòng tiến trình của yt-dlp', () => {
+    assert.deepStrictEqual(parseYtDlpProgress('[download]  42.0% of ~ 10.00MiB at  1.20MiB/s ETA 01:05'), {
+        progress: 42,
+        totalBytes: 10485760,
+        downloadedBytes: 4404019,
+        eta: 65
+    });
+    assert.deepStrictEqual(parseYtDlpProgress('[download] 100% of 3.5KiB'), { progress: 100, totalBytes: 3584, downloadedBytes: 3584 });
+    assert.strictEqual(parseYtDlpProgress('[youtube] dQw4w9WgXcQ: Downloading webpage'), null);
+});
+
+test('selectYtDlpFormat chọn luồng tải nguyên vẹn không cần FFmpeg ghép', () => {
+    // Âm thanh: bitrate cao nhất, ưu tiên codec của định dạng đầu ra, bỏ qua luồng HLS
+    assert.strictEqual(selectYtDlpFormat(FORMATS, 'audio').itag, 251);
+    assert.strictEqual(selectYtDlpFormat(FORMATS, 'audio', { preferAudioCodec: 'mp4a' }).itag, 140);
+    assert.strictEqual(selectYtDlpFormat(FORMATS, 'audio', { itag: 140 }).itag, 140);
+    assert.strictEqual(selectYtDlpFormat(FORMATS, 'audio', { itag: 137 }), null);
+    // Video: luồng có cả hình lẫn tiếng, ưu tiên MP4
+    assert.strictEqual(selectYtDlpFormat(FORMATS, 'video').itag, 18);
+    assert.strictEqual(selectYtDlpFormat(FORMATS.filter(format => format.itag !== 18), 'gif').itag, 43);
+    assert.strictEqual(selectYtDlpFormat(FORMATS.filter(format => !format.hasAudio || !format.hasVideo), 'video'), null);
+});
@@ -0,0 +1,68 @@
+// test/webhookNotifier.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const { isPrivateAddress, createPinnedLookup, validateCallbackUrl, signPayload } = require('../webhookNotifier');
+
+logger.silent = true;
+
+// Hàm đặt tạm biến môi trường trong một test
+function setEnv(t, name, value) {
+    const previous = process.env[name];
+    process.env[name] = value;
+    t.after(() => {
+        if (previous === undefined) delete process.env[name];
+        else process.env[name] = previous;
+    });
+}
+
+test('isPrivateAddress nhận ra địa chỉ loopback, mạng riêng, link-local và metadata', () => {
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+        '198.18.0.1', '198.19.255.255', '224.0.0.251', '239.255.255.250', '240.0.0.1', '255.255.255.255', '::127.0.0.1', '::7f00:1', '::a9fe:a9fe']) {
+        assert.ok(isPrivateAddress(address), address);
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '198.20.0.1', '223.255.255.255', '8.8.8.8', '2606:4700:4700::1111', 'example.com']) {
+        assert.ok(!isPrivateAddress(address), address);
+    }
+});
+
+test('validateCallbackUrl từ chối URL sai, giao thức khác http(s) và server chưa cấu hình WEBHOOK_SECRET', async (t) => {
+    setEnv(t, 'WEBHOOK_SECRET', '');
+    assert.strictEqual(await validateCallbackUrl(undefined), null);
+    assert.strictEqual(await validateCallbackUrl('không phải url'), 'callbackUrl không hợp lệ.');
+    assert.strictEqual(await validateCallbackUrl('ftp://93.184.216.34/hook'), 'callbackUrl chỉ hỗ trợ http hoặc https.');
+    assert.match(await validateCallbackUrl('https://93.184.216.34/hook'), /WEBHOOK_SECRET/);
+});
+
+test('validateCallbackUrl từ chối host nội bộ sau khi phân giải DNS trừ các host trong WEBHOOK_ALLOWED_HOSTS', async (t) => {
+    setEnv(t, 'WEBHOOK_SECRET', 'secret');
+    setEnv(t, 'WEBHOOK_ALLOWED_HOSTS', '');
+    for (const url of ['http://localhost:3000/hook', 'http://127.0.0.1/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://169.254.169.254/latest/meta-data', 'https://10.1.2.3/hook']) {
+        assert.match(await validateCallbackUrl(url), /địa chỉ nội bộ/, url);
+    }
+    assert.strictEqual(await validateCallbackUrl('https://93.184.216.34/hook'), null);
+
+    setEnv(t, 'WEBHOOK_ALLOWED_HOSTS', 'LOCALHOST, 10.1.2.3');
+    assert.strictEqual(await validateCallbackUrl('http://localhost:3000/hook'), null);
+    assert.strictEqual(await validateCallbackUrl('https://10.1.2.3/hook'), null);
+    assert.match(await validateCallbackUrl('http://127.0.0.1/hook'), /địa chỉ nội bộ/);
+});
+
+test('createPinnedLookup chỉ trả về các địa chỉ đã kiểm tra, lọc theo family', () => {
+    const lookup = createPinnedLookup([{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }]);
+    lookup('doi-dns.example', {}, (error, address, family) => {
+        assert.ifError(error);
+        assert.deepStrictEqual([address, family], ['93.184.216.34', 4]);
+    });
+    lookup('doi-dns.example', { family: 6 }, (error, address) => assert.strictEqual(address, '2606:2800:220:1::1'));
+    lookup('doi-dns.example', { all: true }, (error, addresses) => assert.strictEqual(addresses.length, 2));
+    createPinnedLookup([{ address: '93.184.216.34', family: 4 }])('doi-dns.example', { family: 6 }, (error) => {
+        assert.strictEqual(error.code, 'ENOTFOUND');
+    });
+});
+
+test('signPayload ký HMAC-SHA256 trên chuỗi "<timestamp>.<body>"', () => {
+    assert.strictEqual(signPayload(1700000000, '{}', 'secret'), signPayload(1700000000, '{}', 'secret'));
+    assert.notStrictEqual(signPayload(1700000000, '{}', 'secret'), signPayload(1700000001, '{}', 'secret'));
+    assert.match(signPayload(1700000000, '{}', 'secret'), /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,112 @@
+// test/workerPool.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { logger } = require('../utils');
+const { createJob, cancelJob } = require('../jobManager');
+const { createWorkerPool } = require('../workerPool');
+
+logger.silent = true;
+
+// Hàm tạo tác vụ chỉ kết thúc khi được gọi finish()
+function createDeferredTask(order, label) {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    return {
+        finish: () => finish(),
+        task: async () => {
+            order.push(label);
+            await done;
+            return label;
+        }
+    };
+}
+
+test('pool giới hạn số tác vụ chạy đồng thời và chạy các tác vụ chờ theo thứ tự FIFO', async () => {
+    const pool = createWorkerPool('test-fifo', { concurrency: 2, maxQueue: 10 });
+    const order = [];
+    const tasks = ['a', 'b', 'c', 'd'].map(label => createDeferredTask(order, label));
+    const results = tasks.map(({ task }) => pool.run(null, task));
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(order, ['a', 'b']);
+    assert.deepStrictEqual(pool.stats(), { name: 'test-fifo', concurrency: 2, maxQueue: 10, active: 2, waiting: 2 });
+
+    tasks[1].finish();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(order, ['a', 'b', 'c']);
+
+    tasks.forEach(({ finish }) => finish());
+    assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+    assert.strictEqual(pool.stats().active, 0);
+});
+
+test('pool ghi vị trí hàng đợi vào job đang chờ và xóa khi tới lượt', async () => {
+    const pool = createWorkerPool('test-queue', { concurrency: 1 });
+    const release = await pool.acquire();
+    const first = createJob('download');
+    const second = createJob('download');
+    const firstTurn = pool.acquire(first.id);
+    pool.acquire(second.id).then(releaseSecond => releaseSecond());
+
+    assert.deepStrictEqual(first.queue, { name: 'test-queue', position: 1 });
+    assert.deepStrictEqual(second.queue, { name: 'test-queue', position: 2 });
+
+    release();
+    // Gọi giải phóng nhiều lần chỉ trả lại một chỗ
+    release();
+    const releaseFirst = await firstTurn;
+    assert.strictEqual(first.queue, null);
+    assert.deepStrictEqual(second.queue, { name: 'test-queue', position: 1 });
+    assert.strictEqual(pool.stats().active, 1);
+    releaseFirst();
+});
+
+test('job bị hủy khi đang chờ rời hàng đợi, job đã hủy không được nhận vào', async () => {
+    const pool = createWorkerPool('test-cancel', { concurrency: 1 });
+    const release = await pool.acquire();
+    const waitingJob = createJob('download');
+    const nextJob = createJob('download');
+    const cancelled = pool.acquire(waitingJob.id);
+    const nextTurn = pool.acquire(nextJob.id);
+
+    cancelJob(waitingJob.id);
+    await assert.rejects(cancelled, { jobErrorCode: 'CANCELLED' });
+    assert.deepStrictEqual(nextJob.queue, { name: 'test-cancel', position: 1 });
+    await assert.rejects(pool.acquire(waitingJob.id), { jobErrorCode: 'CANCELLED' });
+
+    release();
+    (await nextTurn)();
+    assert.deepStrictEqual(pool.stats().waiting, 0);
+});
+
+test('run từ chối với CANCELLED khi job bị hủy trong lúc tác vụ đang chạy', async () => {
+    const pool = createWorkerPool('test-cancel-run', { concurrency: 1 });
+    const job = createJob('download');
+    const result = pool.run(job.id, async () => {
+        cancelJob(job.id);
+        return 'xong';
+    });
+    await assert.rejects(result, { jobErrorCode: 'CANCELLED' });
+    assert.strictEqual(pool.stats().active, 0);
+});
+
+test('assertCapacity từ chối với mã 503 và Retry-After khi hàng đợi đầy', async () => {
+    const pool = createWorkerPool('test-full', { concurrency: 1, maxQueue: 2 });
+    const release = await pool.acquire();
+    assert.doesNotThrow(() => pool.assertCapacity());
+
+    const turns = [pool.acquire(), pool.acquire()];
+    assert.strictEqual(pool.isFull(), true);
+    assert.throws(() => pool.assertCapacity(), (error) => {
+        assert.strictEqual(error.status, 503);
+        // Ước tính 30 giây mỗi tác vụ, 3 tác vụ trước lượt kế tiếp
+        assert.strictEqual(error.retryAfter, 90);
+        return true;
+    });
+
+    release();
+    for (const turn of turns) (await turn)();
+    assert.strictEqual(pool.isFull(), false);
+});
@@ -4,7 +4,8 @@ const path = require('path');
 const winston = require('winston');
 const ffmpeg = require('fluent-ffmpeg');
 const ytdl = require('@distube/ytdl-core');
-const ytDlp = require('yt-dlp');
+const ytDlp = require('yt-dlp-exec');
+const { JSDOM } = require('jsdom');
 
 // Khởi tạo logger với winston
 const logger = winston.createLogger({
@@ -21,15 +22,20 @@ const logger = winston.createLogger({
 });
 
 // Hàm gọi API với retry mechanism
-async function fetchWithRetry(url, options, retries = 5, delay = 2000) {
+// backoffFactor > 1 thì thời gian chờ tăng dần sau mỗi lần thất bại, onAttempt được gọi sau mỗi lần gửi
+async function fetchWithRetry(url, options, retries = 5, delay = 2000, { backoffFactor = 1, onAttempt = () => {} } = {}) {
     for (let i = 0; i <= retries; i++) {
         try {
             const response = await axios(url, { ...options, timeout: 60000 });
+            onAttempt({ attempt: i + 1, response });
             return response;
         } catch (error) {
+            onAttempt({ attempt: i + 1, error });
             logger.warn(`Retry ${i + 1}/${retries + 1} failed for ${url}: ${error.message}`);
-            if (i === retries) throw error;
-            await new Promise(resolve => setTimeout(resolve, delay));
+            // Lỗi 4xx do chính request (trừ 408/429 là lỗi tạm thời) thì gửi lại cũng không thành công
+            const status = error.response?.status;
+            if (i === retries || (status >= 400 && status < 500 && status !== 408 && status !== 429)) throw error;
+            await new Promise(resolve => setTimeout(resolve, delay * Math.pow(backoffFactor, i)));
         }
     }
 }
@@ -91,8 +97,37 @@ async function validateFile(filePath, type) {
     }
 }
 
-// Hàm xóa file cũ nhất nếu vượt quá giới hạn
-async function cleanFolder(folderPath, maxFiles = 10) {
+// Mẫu tên các file tải dở/chuyển đổi dở của yt-dlp, ytdl-core và FFmpeg (xem getUniqueTempPath)
+const PARTIAL_FILE_PATTERN = /\.(part|ytdl)(-Frag\d+)?$|_(temp|video|audio)\.mp4$|\.[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\.(part|temp|video|audio|original)(\.|$)/;
+
+// Hàm kiểm tra file có phải file tạm của một job đang tải/chuyển đổi
+function isPartialFile(fileName) {
+    return PARTIAL_FILE_PATTERN.test(fileName);
+}
+
+// Hàm lấy thời điểm sửa đổi mới nhất trong thư mục (kể cả thư mục con) và cho biết thư mục có chứa file tạm không
+async function getFolderState(folderPath) {
+    const stats = await fs.stat(folderPath);
+    let mtimeMs = stats.mtimeMs;
+    let hasPartialFiles = false;
+
+    for (const entry of await fs.readdir(folderPath, { withFileTypes: true })) {
+        const entryPath = path.join(folderPath, entry.name);
+        if (entry.isDirectory()) {
+            const inner = await getFolderState(entryPath);
+            mtimeMs = Math.max(mtimeMs, inner.mtimeMs);
+            hasPartialFiles = hasPartialFiles || inner.hasPartialFiles;
+        } else {
+            hasPartialFiles = hasPartialFiles || isPartialFile(entry.name);
+            mtimeMs = Math.max(mtimeMs, (await fs.stat(entryPath)).mtimeMs);
+        }
+    }
+    return { mtimeMs, hasPartialFiles };
+}
+
+// Hàm xóa file hoặc thư mục con cũ nhất nếu vượt quá giới hạn (bỏ qua file tạm của các job đang chạy)
+// keep: tên các thư mục con đang được job sử dụng, không được xóa
+async function cleanFolder(folderPath, maxFiles = 10, { keep = [] } = {}) {
     try {
         const exists = await fs.access(folderPath).then(() => true).catch(() => false);
         if (!exists) return;
@@ -103,17 +138,25 @@ async function cleanFolder(folderPath, maxFiles = 10) {
         for (const file of files) {
             const filePath = path.join(folderPath, file);
             const stats = await fs.stat(filePath);
-            if (stats.isFile()) {
+            if (stats.isFile() && !isPartialFile(file)) {
                 fileStats.push({ file, mtimeMs: stats.mtimeMs });
+            } else if (stats.isDirectory() && !keep.includes(file)) {
+                // Thư mục playlist/chương/khung hình được tính là một mục, cũ theo lần sửa đổi mới nhất bên trong
+                const { mtimeMs, hasPartialFiles } = await getFolderState(filePath);
+                if (!hasPartialFiles) fileStats.push({ file, mtimeMs, isDirectory: true });
             }
         }
 
         if (fileStats.length > maxFiles) {
             fileStats.sort((a, b) => a.mtimeMs - b.mtimeMs);
             const fileToDelete = path.join(folderPath, fileStats[0].file);
-            logger.info(`Chuẩn bị xóa file cũ nhất: ${fileToDelete}`);
-            await fs.unlink(fileToDelete);
-            logger.info(`Đã xóa file cũ nhất: ${fileToDelete}`);
+            logger.info(`Chuẩn bị xóa ${fileStats[0].isDirectory ? 'thư mục' : 'file'} cũ nhất: ${fileToDelete}`);
+            if (fileStats[0].isDirectory) {
+                await fs.rm(fileToDelete, { recursive: true, force: true });
+            } else {
+                await fs.unlink(fileToDelete);
+            }
+            logger.info(`Đã xóa ${fileStats[0].isDirectory ? 'thư mục' : 'file'} cũ nhất: ${fileToDelete}`);
         }
     } catch (error) {
         logger.error(`Error cleaning folder ${folderPath}: ${error.message}`);
@@ -133,6 +176,28 @@ function sanitizeFileName(title) {
         .trim();
 }
 
+// Hàm tạo đường dẫn tạm riêng cho từng job cạnh file đích (giữ phần mở rộng để FFmpeg nhận đúng định dạng)
+function getUniqueTempPath(filePath, jobId, label = 'part') {
+    const { dir, name, ext } = path.parse(filePath);
+    return path.join(dir, `${name}.${jobId}.${label}${ext}`);
+}
+
+// Hàm tạo khóa nhận diện các yêu cầu tải giống hệt nhau (cùng video, loại, chất lượng và tùy chọn định dạng)
+// Tùy chọn dạng object (ví dụ burnSubtitles) được so sánh theo toàn bộ nội dung
+// Chỉ quality được đưa về chữ thường; các tùy chọn khác đã được chuẩn hóa trước đó và giữ nguyên
+// vì mã ngôn ngữ phụ đề (pt-BR), mã codec hay tên thư mục phân biệt chữ hoa/thường
+function getDownloadKey(videoId, { type, quality, ...formatOptions } = {}) {
+    const options = Object.keys(formatOptions)
+        .filter(key => formatOptions[key] !== undefined && formatOptions[key] !== null && formatOptions[key] !== '')
+        .sort()
+        .map((key) => {
+            const value = formatOptions[key];
+            const text = typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : String(value);
+            return `${key}=${text}`;
+        });
+    return ['download', videoId, type, String(quality || 'best').toLowerCase(), ...options].join(':');
+}
+
 // Hàm kiểm tra tính khả dụng của video YouTube
 async function checkVideoAvailability(videoId) {
     try {
@@ -265,6 +330,68 @@ function pad(num, size = 2) {
     return num.toString().padStart(size, '0');
 }
 
+// Hàm chuyển mốc thời gian (số giây hoặc chuỗi hh:mm:ss, mm:ss) thành số giây, trả về null nếu không hợp lệ
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    const match = String(value).trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const [, hours = 0, minutes = 0, seconds] = match;
+    // Có từ hai trường trở lên thì phút và giây phải nhỏ hơn 60 (ví dụ 1:75:90 không hợp lệ)
+    if (match[2] !== undefined && (Number(minutes) >= 60 || parseFloat(seconds) >= 60)) return null;
+    return Number(hours) * 3600 + Number(minutes) * 60 + parseFloat(seconds);
+}
+
+// Hàm kiểm tra khoảng cắt start/end, trả về { start, end } (end null nếu cắt tới hết) hoặc null nếu không cắt
+function parseClipRange(start, end) {
+    if ((start === undefined || start === null || start === '') && (end === undefined || end === null || end === '')) {
+        return null;
+    }
+    const startSeconds = start === undefined || start === null || start === '' ? 0 : parseTimestamp(start);
+    const endSeconds = end === undefined || end === null || end === '' ? null : parseTimestamp(end);
+    if (startSeconds === null || (end !== undefined && end !== null && end !== '' && endSeconds === null)) {
+        throw new Error('start/end phải là số giây hoặc định dạng hh:mm:ss.');
+    }
+    if (endSeconds !== null && endSeconds <= startSeconds) {
+        throw new Error('end phải lớn hơn start.');
+    }
+    return { start: startSeconds, end: endSeconds };
+}
+
+// Hàm tạo phần tên file mô tả khoảng cắt, ví dụ _clip_00-01-30_00-02-00
+function formatClipRange({ start, end }) {
+    const format = (totalSeconds) => {
+        const wholeSeconds = Math.floor(totalSeconds);
+        const fraction = Math.round((totalSeconds - wholeSeconds) * 1000);
+        const time = `${pad(Math.floor(wholeSeconds / 3600))}-${pad(Math.floor(wholeSeconds / 60) % 60)}-${pad(wholeSeconds % 60)}`;
+        return fraction > 0 ? `${time}.${pad(fraction, 3)}` : time;
+    };
+    return `_clip_${format(start)}_${end === null ? 'end' : format(end)}`;
+}
+
+// Hàm chuyển mốc thời gian SRT/VTT (hh:mm:ss,mmm hoặc hh:mm:ss.mmm) thành milliseconds
+function srtTimeToMs(time) {
+    const [hours, minutes, seconds, milliseconds] = time.split(/[:,.]/).map(Number);
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+}
+
+// Hàm giữ lại các câu phụ đề SRT nằm trong khoảng cắt { start, end } (giây) và dời mốc thời gian về đầu đoạn cắt
+// Câu phụ đề vắt qua biên của đoạn cắt được cắt bớt cho vừa đoạn, trả về chuỗi rỗng nếu không còn câu nào
+function clipSrtCues(srtText, { start = 0, end = null }) {
+    const startMs = Math.round(start * 1000);
+    const endMs = end === null ? Infinity : Math.round(end * 1000);
+    return srtText
+        .replace(/\r/g, '')
+        .split(/\n{2,}/)
+        .map(block => block.match(/(\d{2,}:\d{2}:\d{2}[,.]\d{3})\s*-->\s*(\d{2,}:\d{2}:\d{2}[,.]\d{3})[^\n]*\n([\s\S]+)/))
+        .filter(Boolean)
+        .map(([, from, to, text]) => ({ from: srtTimeToMs(from), to: srtTimeToMs(to), text: text.trim() }))
+        .filter(cue => cue.text && cue.to > startMs && cue.from < endMs)
+        .map((cue, index) => `${index + 1}\n${msToTimeSrt(Math.max(cue.from, startMs) - startMs)} --> ${msToTimeSrt(Math.min(cue.to, endMs) - startMs)}\n${cue.text}`)
+        .join('\n\n');
+}
+
 // Hàm chuyển đổi VTT sang SRT
 function convertVttToSrt(vttText) {
     if (!vttText || vttText.trim() === '') {
@@ -362,6 +489,59 @@ function extractTextFromVtt(vttText) {
     return text;
 }
 
+// Hàm chuyển đổi XML phụ đề của YouTube sang VTT
+function convertXmlToVtt(xmlText) {
+    try {
+        // Trả về nguyên bản nếu không phải XML
+        if (!xmlText.includes('<?xml') && !xmlText.includes('<transcript>')) {
+            return xmlText;
+        }
+
+        const dom = new JSDOM(xmlText, { contentType: 'text/xml' });
+        const textElements = dom.window.document.getElementsByTagName('text');
+        if (textElements.length === 0) {
+            logger.error('No text elements found in XML');
+            return null;
+        }
+
+        let vttText = 'WEBVTT\n\n';
+        let hasValidContent = false;
+
+        for (let i = 0; i < textElements.length; i++) {
+            const start = parseFloat(textElements[i].getAttribute('start'));
+            const dur = parseFloat(textElements[i].getAttribute('dur'));
+            if (isNaN(start) || isNaN(dur)) {
+                logger.warn(`Invalid timestamp at index ${i}: start=${start}, dur=${dur}`);
+                continue;
+            }
+
+            const content = textElements[i].textContent
+                .replace(/&amp;quot;/g, '"')
+                .replace(/&amp;/g, '&')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/\n/g, ' ')
+                .trim();
+
+            if (content) {
+                vttText += `${msToTime(Math.round(start * 1000))} --> ${msToTime(Math.round((start + dur) * 1000))}\n${content}\n\n`;
+                hasValidContent = true;
+            }
+        }
+
+        if (!hasValidContent) {
+            logger.error('No valid content found after XML conversion');
+            return null;
+        }
+
+        return vttText.trim();
+    } catch (error) {
+        logger.error(`XML to VTT conversion failed: ${error.message}`);
+        return null;
+    }
+}
+
 // Hàm parse XML phụ đề từ YouTube
 function parseXmlSubtitles(xmlContent) {
     try {
@@ -551,8 +731,11 @@ module.exports = {
     fetchWithRetry,
     checkFFmpeg,
     validateFile,
+    isPartialFile,
     cleanFolder,
     sanitizeFileName,
+    getUniqueTempPath,
+    getDownloadKey,
     checkVideoAvailability,
     getVideoTitle,
     truncateSubtitleText,
@@ -563,8 +746,13 @@ module.exports = {
     msToTime,
     msToTimeSrt,
     pad,
+    parseTimestamp,
+    parseClipRange,
+    formatClipRange,
+    clipSrtCues,
     convertVttToSrt,
     extractTextFromVtt,
+    convertXmlToVtt,
     parseXmlSubtitles,
     getAvailableSubtitleLanguages,
     getDefaultLanguage
@@ -1,392 +1,109 @@
 // videoDownloader.js
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const ytdl = require('@distube/ytdl-core');
 const ytDlp = require('yt-dlp-exec');
-const ffmpeg = require('fluent-ffmpeg');
-const {
-    logger,
-    fetchWithRetry,
-    checkFFmpeg,
-    validateFile,
-    cleanFolder,
-    sanitizeFileName,
-    checkVideoAvailability,
-    getVideoTitle
-} = require('./utils');
-
-// Rate Limiter: Giới hạn 50 request/phút cho endpoint tải video
-const rateLimiter = new RateLimiterMemory({
-    points: 50,
-    duration: 60,
-});
-
-// Hàm kiểm tra danh sách định dạng để chọn định dạng khả dụng
-async function getAvailableFormats(videoUrl) {
-    logger.info(`Fetching formats for URL: ${videoUrl}`);
-    try {
-        const info = await ytdl.getInfo(videoUrl, { timeout: 30000 });
-        const formats = info.formats;
-        return formats.map(format => ({
-            itag: format.itag,
-            quality: format.qualityLabel || format.audioBitrate,
-            container: format.container,
-            type: format.mimeType.includes('video') ? 'video' : 'audio'
-        }));
-    } catch (error) {
-        logger.error(`Error in getAvailableFormats with @distube/ytdl-core: ${error.message}`);
-        return [];
-    }
+const { logger } = require('./utils');
+const { normalizeYtDlpFormats } = require('./formatSelector');
+const { JOB_STATES, JOB_PHASES, updateJob, setJobControls, registerJobFiles, createProcessControls } = require('./jobManager');
+
+// Hàm chuyển đổi kích thước dạng "12.5MiB" của yt-dlp sang byte
+function parseYtDlpSize(value, unit) {
+    const multipliers = { B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4, KB: 1000, MB: 1000 ** 2, GB: 1000 ** 3 };
+    return Math.round(parseFloat(value) * (multipliers[unit] || 1));
 }
 
-// Hàm chọn định dạng khả dụng dựa trên chất lượng và loại nội dung
-async function selectAvailableFormat(videoUrl, quality, type) {
-    const formats = await getAvailableFormats(videoUrl);
-    if (formats.length === 0) return null;
+// Hàm phân tích dòng tiến trình từ stdout của yt-dlp
+function parseYtDlpProgress(line) {
+    const progressMatch = line.match(/(\d+(?:\.\d+)?)%/);
+    if (!progressMatch) return null;
 
-    const qualityMap = {
-        high: ['1080p', '720p'],
-        medium: ['720p', '480p'],
-        low: ['360p', '240p']
-    };
-    const preferredQualities = qualityMap[quality] || qualityMap['high'];
+    const progress = parseFloat(progressMatch[1]);
+    const result = { progress };
 
-    for (let q of preferredQualities) {
-        const format = formats.find(f => f.quality === q && f.type.includes(type));
-        if (format) return format.itag;
+    const sizeMatch = line.match(/of\s+~?\s*(\d+(?:\.\d+)?)\s*([KMGT]?i?B)/);
+    if (sizeMatch) {
+        result.totalBytes = parseYtDlpSize(sizeMatch[1], sizeMatch[2]);
+        result.downloadedBytes = Math.round(result.totalBytes * progress / 100);
     }
 
-    if (type === 'video') {
-        const videoFormat = formats.find(f => f.type.includes('video'));
-        if (videoFormat) return videoFormat.itag;
+    const etaMatch = line.match(/ETA\s+(\d+(?::\d+){1,2})/);
+    if (etaMatch) {
+        result.eta = etaMatch[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
     }
 
-    const audioFormat = formats.find(f => f.type.includes('audio'));
-    if (audioFormat) return audioFormat.itag;
-
-    return formats[0]?.itag || null;
+    return result;
 }
 
-// Hàm xử lý tải video hoặc âm thanh
-async function handleDownload(req, res, downloadProgressMap) {
-    const { url, platform, type, quality } = req.body;
-
-    // Kiểm tra dữ liệu đầu vào
-    if (!url || !platform || !type) {
-        logger.warn(`Missing required fields (url, platform, type) from IP: ${req.ip}`);
-        throw new Error('Thiếu thông tin cần thiết (url, platform, type)');
+// Hàm chọn định dạng (theo dạng của ytdl-core, từ normalizeYtDlpFormats) để tải nguyên luồng bằng yt-dlp
+// Âm thanh: đúng itag đã chọn, hoặc luồng audio-only bitrate cao nhất (ưu tiên codec preferAudioCodec để khỏi mã hóa lại);
+// video và ảnh động: luồng có sẵn cả hình lẫn tiếng để không phải ghép, ưu tiên MP4 rồi tới độ phân giải cao nhất
+function selectYtDlpFormat(formats, type, { itag = null, preferAudioCodec = null } = {}) {
+    const directFormats = formats.filter(format => !format.isHLS && !format.isDashMPD);
+    if (type === 'audio') {
+        const audioFormats = directFormats
+            .filter(format => format.hasAudio && !format.hasVideo)
+            .sort((a, b) => (b.audioBitrate || 0) - (a.audioBitrate || 0));
+        if (itag) return audioFormats.find(format => format.itag === itag) || null;
+        return (preferAudioCodec && audioFormats.find(format => String(format.audioCodec || '').startsWith(preferAudioCodec)))
+            || audioFormats[0]
+            || null;
     }
+    return directFormats
+        .filter(format => format.hasVideo && format.hasAudio)
+        .sort((a, b) => (b.container === 'mp4') - (a.container === 'mp4') || (b.height || 0) - (a.height || 0))[0] || null;
+}
 
-    // Áp dụng giới hạn tốc độ
-    await rateLimiter.consume('download_endpoint', 1);
-    logger.info(`Download request: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}`);
-
-    // Kiểm tra FFmpeg
-    const ffmpegAvailable = await checkFFmpeg();
-    if (!ffmpegAvailable) {
-        logger.error('FFmpeg is not installed or accessible');
-        throw new Error('FFmpeg không được cài đặt hoặc không thể truy cập. Vui lòng cài FFmpeg theo hướng dẫn tại https://ffmpeg.org/download.html và thử lại. Nếu bạn đang dùng Windows, tải FFmpeg, giải nén, và thêm thư mục bin vào biến môi trường PATH.');
+// Hàm tải một luồng bằng yt-dlp về đúng filePath, dùng khi @distube/ytdl-core không tải được
+// yt-dlp không được gọi FFmpeg (không ghép, không trích âm thanh, không fixup): mọi bước FFmpeg chạy sau đó
+// trong pool CPU như khi tải bằng ytdl-core, nên hàm này chỉ cần chạy trong pool tải mạng
+// Trả về { format, info }: định dạng đã tải và thông tin video của yt-dlp (dùng cho thẻ metadata)
+async function downloadWithYtDlp(url, type, filePath, jobId, options = {}) {
+    const info = await ytDlp(url, { dumpSingleJson: true, noWarnings: true });
+    const format = selectYtDlpFormat(normalizeYtDlpFormats(info.formats), type, options);
+    if (!format) {
+        throw new Error(`yt-dlp không tìm thấy định dạng phù hợp cho ${type}.`);
     }
-
-    // Tạo ID tải xuống và lưu vào tiến trình
-    const downloadId = uuidv4();
-    downloadProgressMap.set(downloadId, { progress: 0, error: null });
-
-    if (platform === 'youtube') {
-        // Kiểm tra tính hợp lệ của URL YouTube
-        const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-        if (!videoId) {
-            logger.warn(`Invalid YouTube URL from IP: ${req.ip}: ${url}`);
-            throw new Error('URL YouTube không hợp lệ');
-        }
-
-        // Kiểm tra tính khả dụng của video
-        const availability = await checkVideoAvailability(videoId);
-        if (!availability.isAvailable) {
-            logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
-            throw new Error(availability.reason);
-        }
-
-        // Đảm bảo videoTitle luôn có giá trị hợp lệ
-        let videoTitle = await getVideoTitle(videoId);
-        if (!videoTitle || videoTitle.trim() === '') {
-            videoTitle = `Video_YouTube_${videoId}`; // Fallback nếu không lấy được tiêu đề
-        }
-
-        const fileExtension = type === 'video' ? 'mp4' : 'mp3';
-        const sanitizedTitle = sanitizeFileName(videoTitle);
-        const fileName = `${sanitizedTitle}${quality ? `_${quality}` : ''}.${fileExtension}`;
-        const filePath = path.join(__dirname, 'downloads', fileName);
-
-        // Tạo thư mục lưu trữ nếu chưa tồn tại
-        if (!await fs.access(path.join(__dirname, 'downloads')).then(() => true).catch(() => false)) {
-            await fs.mkdir(path.join(__dirname, 'downloads'), { recursive: true });
-        }
-
-        // Dọn dẹp thư mục downloads
-        await cleanFolder(path.join(__dirname, 'downloads'));
-
-        // Kiểm tra nếu file đã tồn tại
-        if (await fs.access(filePath).then(() => true).catch(() => false)) {
-            const stats = await fs.stat(filePath);
-            if (stats.size === 0) {
-                logger.error(`Existing file is empty: ${filePath}`);
-                await fs.unlink(filePath);
-            } else {
-                logger.info(`File đã tồn tại: ${filePath}`);
-                const isValid = await validateFile(filePath, type);
-                if (!isValid) {
-                    logger.error(`File tồn tại nhưng không hợp lệ: ${filePath}`);
-                    await fs.unlink(filePath);
-                } else {
-                    downloadProgressMap.set(downloadId, { progress: 100, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, error: null });
-                    return res.status(200).json({ success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}` });
-                }
-            }
-        }
-
-        // Trả về ngay lập tức với downloadId để client theo dõi tiến trình
-        res.status(200).json({ message: 'Đang tải, vui lòng chờ...', downloadId });
-
-        // Tải file bất đồng bộ
-        (async () => {
-            try {
-                let downloadedBytes = 0;
-                let totalBytes = 0;
-
-                // Phương pháp 1: Sử dụng yt-dlp để tải
-                try {
-                    const outputPath = path.join(__dirname, 'downloads', `${sanitizedTitle}${quality ? `_${quality}` : ''}`);
-                    const options = type === 'video' ? {
-                        format: 'bestvideo+bestaudio/best',
-                        output: `${outputPath}.%(ext)s`,
-                        mergeOutputFormat: 'mp4'
-                    } : {
-                        format: 'bestaudio',
-                        extractAudio: true,
-                        audioFormat: 'mp3',
-                        output: `${outputPath}.%(ext)s`
-                    };
-
-                    const child = ytDlp.exec(url, options, { stdio: ['pipe', 'pipe', 'pipe'] });
-                    child.stdout.on('data', (data) => {
-                        const progressMatch = data.toString().match(/(\d+\.\d+)%/);
-                        if (progressMatch) {
-                            const progress = parseFloat(progressMatch[1]);
-                            downloadProgressMap.set(downloadId, { progress, error: null });
-                        }
-                    });
-
-                    let errorOutput = '';
-                    child.stderr.on('data', (data) => {
-                        errorOutput += data.toString();
-                    });
-
-                    await new Promise((resolve, reject) => {
-                        child.on('close', (code) => {
-                            if (code !== 0) {
-                                reject(new Error(`yt-dlp failed with code ${code}: ${errorOutput}`));
-                            } else {
-                                resolve();
-                            }
-                        });
-                    });
-                } catch (error) {
-                    logger.error(`yt-dlp-exec download failed: ${error.message}`);
-                    // Phương pháp 2: Fallback về @distube/ytdl-core
-                    try {
-                        const selectedItag = await selectAvailableFormat(url, quality, type);
-                        if (!selectedItag) {
-                            throw new Error('Không tìm thấy định dạng khả dụng cho video/âm thanh.');
-                        }
-
-                        logger.info(`Falling back to @distube/ytdl-core to download ${type} from URL: ${url}`);
-
-                        if (type === 'video') {
-                            // Tải luồng video
-                            const videoStream = ytdl(url, { quality: selectedItag });
-                            const videoPath = path.join(__dirname, 'downloads', `${sanitizedTitle}_video.mp4`);
-                            const videoFileStream = fs.createWriteStream(videoPath);
-                            videoStream.pipe(videoFileStream);
-
-                            let videoDownloadedBytes = 0;
-                            videoStream.on('progress', (chunkLength, downloaded, total) => {
-                                videoDownloadedBytes = downloaded;
-                                const progress = Math.round((downloaded / total) * 100 * 0.5); // 50% cho video
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                videoStream.on('end', resolve);
-                                videoStream.on('error', reject);
-                            });
-
-                            if (videoDownloadedBytes === 0) {
-                                throw new Error('No video data downloaded from stream.');
-                            }
-
-                            // Tải luồng âm thanh
-                            const audioStream = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
-                            const audioPath = path.join(__dirname, 'downloads', `${sanitizedTitle}_audio.mp4`);
-                            const audioFileStream = fs.createWriteStream(audioPath);
-                            audioStream.pipe(audioFileStream);
-
-                            let audioDownloadedBytes = 0;
-                            audioStream.on('progress', (chunkLength, downloaded, total) => {
-                                audioDownloadedBytes = downloaded;
-                                const progress = 50 + Math.round((downloaded / total) * 100 * 0.5); // 50% cho audio
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                audioStream.on('end', resolve);
-                                audioStream.on('error', reject);
-                            });
-
-                            if (audioDownloadedBytes === 0) {
-                                throw new Error('No audio data downloaded from stream.');
-                            }
-
-                            // Hợp nhất video và âm thanh bằng FFmpeg
-                            let ffmpegError = '';
-                            await new Promise((resolve, reject) => {
-                                ffmpeg()
-                                    .input(videoPath)
-                                    .input(audioPath)
-                                    .outputOptions('-c:v copy')
-                                    .outputOptions('-c:a aac')
-                                    .save(filePath)
-                                    .on('end', resolve)
-                                    .on('error', (err) => {
-                                        ffmpegError = err.message;
-                                        reject(err);
-                                    });
-                            });
-
-                            if (ffmpegError) {
-                                throw new Error(`FFmpeg merge failed: ${ffmpegError}`);
-                            }
-
-                            // Xóa file tạm
-                            await fs.unlink(videoPath);
-                            await fs.unlink(audioPath);
-                        } else {
-                            // Tải âm thanh
-                            const stream = ytdl(url, { quality: selectedItag, filter: 'audioonly' });
-                            const fileStream = fs.createWriteStream(filePath);
-                            stream.pipe(fileStream);
-
-                            stream.on('progress', (chunkLength, downloaded, total) => {
-                                downloadedBytes = downloaded;
-                                totalBytes = total;
-                                const progress = Math.round((downloaded / total) * 100);
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                stream.on('end', resolve);
-                                stream.on('error', reject);
-                            });
-
-                            if (downloadedBytes === 0) {
-                                throw new Error('No audio data downloaded from stream.');
-                            }
-
-                            const tempPath = filePath.replace('.mp3', '_temp.mp4');
-                            await fs.rename(filePath, tempPath);
-                            let ffmpegError = '';
-                            await new Promise((resolve, reject) => {
-                                ffmpeg(tempPath)
-                                    .noVideo()
-                                    .audioCodec('mp3')
-                                    .on('end', resolve)
-                                    .on('error', (err) => {
-                                        ffmpegError = err.message;
-                                        reject(err);
-                                    })
-                                    .save(filePath);
-                            });
-                            if (ffmpegError) {
-                                throw new Error(`FFmpeg conversion failed: ${ffmpegError}`);
-                            }
-                            await fs.unlink(tempPath);
-                        }
-                    } catch (fallbackError) {
-                        logger.error(`@distube/ytdl-core download failed: ${fallbackError.message}`);
-                        downloadProgressMap.set(downloadId, { progress: 0, error: 'Không thể tải video/âm thanh từ bất kỳ nguồn nào.' });
-                        return;
-                    }
-                }
-
-                // Kiểm tra lại file trước khi trả về URL
-                if (!await fs.access(filePath).then(() => true).catch(() => false)) {
-                    logger.error(`Download failed, file not created: ${filePath}`);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'Tải xuống thất bại. File không được tạo.' });
-                    return;
-                }
-
-                const stats = await fs.stat(filePath);
-                if (stats.size === 0) {
-                    logger.error(`File tải về rỗng: ${filePath}`);
-                    await fs.unlink(filePath);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'File tải về rỗng. Vui lòng thử lại.' });
-                    return;
-                }
-
-                // Kiểm tra tính toàn vẹn của file
-                const isValid = await validateFile(filePath, type);
-                if (!isValid) {
-                    logger.error(`File không hợp lệ sau khi tải: ${filePath}`);
-                    await fs.unlink(filePath);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'File không hợp lệ. Vui lòng thử lại.' });
-                    return;
-                }
-
-                logger.info(`File tải về thành công: ${filePath}, kích thước: ${stats.size} bytes`);
-                downloadProgressMap.set(downloadId, { progress: 100, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, error: null });
-            } catch (error) {
-                logger.error(`Download error: ${error.message}`);
-                downloadProgressMap.set(downloadId, { progress: 0, error: error.message || 'Lỗi server khi tải nội dung.' });
-            }
-        })();
-    } else {
-        // Xử lý các nền tảng khác ngoài YouTube (sử dụng RapidAPI)
-        try {
-            const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
-                method: 'POST',
-                headers: {
-                    'x-rapidapi-key': process.env.RAPIDAPI_KEY,
-                    'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
-                    'Content-Type': 'application/json'
-                },
-                data: { url, quality }
-            });
-
-            const data = response.data;
-            if (data.error) {
-                logger.warn(`RapidAPI returned error: ${data.error}`);
-                return res.status(400).json({ error: data.error });
-            }
-
-            if (type === 'video' && data.video) {
-                return res.status(200).json({ downloadUrl: data.video });
-            } else if (type === 'audio' && data.audio) {
-                return res.status(200).json({ downloadUrl: data.audio });
+    logger.info(`Downloading itag ${format.itag} with yt-dlp for job ${jobId}: ${filePath}`);
+    updateJob(jobId, {
+        status: JOB_STATES.RUNNING,
+        phase: type === 'audio' ? JOB_PHASES.DOWNLOADING_AUDIO : JOB_PHASES.DOWNLOADING_VIDEO,
+        progress: 0
+    });
+    registerJobFiles(jobId, `${filePath}.part`, `${filePath}.ytdl`);
+
+    const child = ytDlp.exec(url, {
+        format: String(format.itag),
+        // Đường dẫn được dùng như mẫu tên file của yt-dlp nên phải escape ký tự %
+        output: filePath.replace(/%/g, '%%'),
+        fixup: 'never',
+        newline: true,
+        noWarnings: true
+    }, { stdio: ['ignore', 'pipe', 'pipe'] });
+    // Lỗi của tiến trình con được xử lý qua sự kiện 'close'
+    child.catch(() => {});
+    setJobControls(jobId, createProcessControls(child));
+
+    let errorOutput = '';
+    child.stdout.on('data', (data) => {
+        const progressInfo = parseYtDlpProgress(data.toString());
+        if (progressInfo) updateJob(jobId, progressInfo);
+    });
+    child.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+    });
+    await new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`yt-dlp failed with code ${code}: ${errorOutput}`));
             } else {
-                logger.warn(`RapidAPI did not return expected content for type ${type}`);
-                return res.status(400).json({ error: 'Không tìm thấy nội dung để tải. API không trả về link tải.' });
+                resolve();
             }
-        } catch (rapidError) {
-            logger.error(`RapidAPI Download Error: ${rapidError.message}`);
-            return res.status(500).json({
-                error: rapidError.message || 'Lỗi từ RapidAPI. Vui lòng kiểm tra API key hoặc thử lại sau.'
-            });
-        }
-    }
+        });
+    });
+    return { format, info };
 }
 
 module.exports = {
-    handleDownload
-};
\ No newline at end of file
+    parseYtDlpProgress,
+    selectYtDlpFormat,
+    downloadWithYtDlp
+};
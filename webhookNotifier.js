@@ -0,0 +1,308 @@
+// webhookNotifier.js
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger, fetchWithRetry } = require('./utils');
+const {
+    JOB_STATES,
+    FINAL_STATES,
+    WEBHOOK_STATES,
+    jobEvents,
+    getJob,
+    listJobs,
+    addJobWebhook,
+    updateJobWebhook
+} = require('./jobManager');
+
+// Số lần gửi lại webhook khi thất bại
+const WEBHOOK_RETRIES = parseInt(process.env.WEBHOOK_RETRIES, 10) || 5;
+
+// Thời gian chờ trước lần gửi lại đầu tiên (ms), tăng gấp đôi sau mỗi lần thất bại
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 2000;
+
+// Hệ số tăng thời gian chờ giữa các lần gửi lại
+const WEBHOOK_BACKOFF_FACTOR = 2;
+
+// Các thư mục chứa file tải về, dùng để lấy kích thước file cho payload
+const LOCAL_FILE_DIRS = {
+    '/downloads/': path.join(__dirname, 'downloads'),
+    '/subtitles/': path.join(__dirname, 'subtitles')
+};
+
+// Các dải địa chỉ nội bộ không được nhận webhook: địa chỉ không xác định, loopback, mạng riêng,
+// CGNAT, link-local (gồm cả địa chỉ metadata 169.254.169.254 của cloud), dải benchmark, multicast và dải dự trữ
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+// ::/96 gồm ::, ::1 và các địa chỉ IPv4-compatible dạng ::a.b.c.d (đã lỗi thời, có thể trỏ vào 127.0.0.1)
+[['::', 96], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Các webhook đang được gửi (jobId + url), tránh gửi trùng khi khôi phục sau khởi động lại
+const activeDeliveries = new Set();
+
+// Hàm kiểm tra địa chỉ IP có thuộc mạng nội bộ không (địa chỉ IPv4 dạng ::ffff:a.b.c.d cũng được kiểm tra)
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hàm phân giải host của callbackUrl và kiểm tra không trỏ vào mạng nội bộ
+// Trả về { error } khi bị từ chối, ngược lại { addresses } là các địa chỉ đã kiểm tra (null với host được cho phép)
+// Các host trong WEBHOOK_ALLOWED_HOSTS (phân tách bằng dấu phẩy) được bỏ qua kiểm tra
+async function resolveCallbackHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(allowedHost => allowedHost.trim().toLowerCase())
+        .filter(Boolean);
+    if (allowedHosts.includes(host)) return { addresses: null };
+
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+    } catch (error) {
+        logger.warn(`Failed to resolve callback host ${host}: ${error.message}`);
+        return { error: 'Không phân giải được tên miền của callbackUrl.' };
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return { error: 'callbackUrl không được trỏ tới địa chỉ nội bộ (localhost, mạng riêng, link-local).' };
+    }
+    return { addresses };
+}
+
+// Hàm kiểm tra host của callbackUrl không trỏ vào mạng nội bộ sau khi phân giải DNS, trả về thông báo lỗi hoặc null
+async function checkCallbackHost(hostname) {
+    return (await resolveCallbackHost(hostname)).error || null;
+}
+
+// Hàm tạo hàm lookup chỉ trả về các địa chỉ đã kiểm tra, dùng cho agent khi gửi webhook
+// để kết nối không phân giải DNS lần nữa (tên miền có thể đổi sang địa chỉ nội bộ ngay sau khi kiểm tra)
+function createPinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        const candidates = options.family
+            ? addresses.filter(({ family }) => family === options.family)
+            : addresses;
+        if (candidates.length === 0) {
+            const error = new Error(`No verified address for ${hostname}`);
+            error.code = 'ENOTFOUND';
+            callback(error);
+            return;
+        }
+        if (options.all) {
+            callback(null, candidates);
+            return;
+        }
+        callback(null, candidates[0].address, candidates[0].family);
+    };
+}
+
+// Hàm kiểm tra callbackUrl, trả về thông báo lỗi hoặc null
+async function validateCallbackUrl(callbackUrl) {
+    if (callbackUrl === undefined || callbackUrl === null) return null;
+    let parsed;
+    try {
+        parsed = new URL(callbackUrl);
+    } catch (error) {
+        return 'callbackUrl không hợp lệ.';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'callbackUrl chỉ hỗ trợ http hoặc https.';
+    }
+    if (!process.env.WEBHOOK_SECRET) {
+        return 'Server chưa cấu hình WEBHOOK_SECRET nên không hỗ trợ callbackUrl.';
+    }
+    return checkCallbackHost(parsed.hostname);
+}
+
+// Hàm lấy địa chỉ gốc của server theo request (dùng khi không cấu hình PUBLIC_BASE_URL)
+function getRequestBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+// Hàm đăng ký callbackUrl cho job; baseUrl dùng để chuyển link tải tương đối thành link đầy đủ
+function registerCallback(jobId, callbackUrl, baseUrl = null) {
+    if (!callbackUrl) return;
+    addJobWebhook(jobId, callbackUrl, process.env.PUBLIC_BASE_URL || baseUrl);
+    logger.info(`Registered webhook for job ${jobId}: ${callbackUrl}`);
+
+    // Job đã kết thúc trước khi kịp đăng ký (ví dụ dùng chung job vừa xong) thì gửi luôn
+    const job = getJob(jobId);
+    if (job && FINAL_STATES.includes(job.status)) {
+        deliverJobWebhooks(job);
+    }
+}
+
+// Hàm tạo chữ ký HMAC-SHA256 cho payload, ký trên chuỗi "<timestamp>.<body>"
+function signPayload(timestamp, body, secret = process.env.WEBHOOK_SECRET) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Hàm lấy kích thước file cục bộ từ link tải, trả về null với link bên ngoài hoặc file không còn
+async function getLocalFileSize(downloadUrl) {
+    const prefix = downloadUrl && Object.keys(LOCAL_FILE_DIRS).find(dir => downloadUrl.startsWith(dir));
+    if (!prefix) return null;
+    try {
+        const filePath = path.join(LOCAL_FILE_DIRS[prefix], decodeURIComponent(downloadUrl.slice(prefix.length)));
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Hàm chuyển link tải tương đối thành link đầy đủ
+function toAbsoluteUrl(downloadUrl, baseUrl) {
+    if (!downloadUrl || !baseUrl || /^https?:\/\//.test(downloadUrl)) return downloadUrl || null;
+    return new URL(downloadUrl, baseUrl).toString();
+}
+
+// Hàm tạo mô tả file kết quả của một job
+async function describeJobFile(job, baseUrl) {
+    if (!job.downloadUrl) return null;
+    return {
+        jobId: job.id,
+        downloadUrl: toAbsoluteUrl(job.downloadUrl, baseUrl),
+        fileName: job.result?.fileName || null,
+        size: job.result?.size || await getLocalFileSize(job.downloadUrl)
+    };
+}
+
+// Hàm tạo payload webhook cho job đã kết thúc
+async function buildPayload(job, baseUrl) {
+    const files = [];
+    const ownFile = await describeJobFile(job, baseUrl);
+    if (ownFile) files.push(ownFile);
+
+    // Batch/playlist: gửi kèm kết quả của từng job con
+    const children = [];
+    for (const childId of job.children || []) {
+        const child = getJob(childId);
+        if (!child) continue;
+        const childFile = await describeJobFile(child, baseUrl);
+        if (childFile) files.push(childFile);
+        children.push({ jobId: child.id, status: child.status, downloadUrl: childFile?.downloadUrl || null, error: child.error });
+    }
+
+    return {
+        event: `job.${job.status}`,
+        jobId: job.id,
+        kind: job.kind,
+        status: job.status,
+        downloadUrl: toAbsoluteUrl(job.downloadUrl, baseUrl),
+        files,
+        ...(job.children ? { children } : {}),
+        error: job.status === JOB_STATES.DONE ? null : job.error,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// Hàm gửi webhook tới một callbackUrl, thử lại với thời gian chờ tăng dần
+async function deliverWebhook(job, webhook) {
+    const deliveryKey = `${job.id}|${webhook.url}`;
+    if (activeDeliveries.has(deliveryKey)) return;
+    activeDeliveries.add(deliveryKey);
+
+    try {
+        updateJobWebhook(job.id, webhook.url, { status: WEBHOOK_STATES.DELIVERING });
+        // Kiểm tra lại host lúc gửi vì bản ghi DNS có thể đã đổi sau khi đăng ký,
+        // rồi ghim các địa chỉ vừa kiểm tra vào agent để axios kết nối đúng các địa chỉ đó
+        const { error: hostError, addresses } = await resolveCallbackHost(new URL(webhook.url).hostname);
+        if (hostError) throw new Error(hostError);
+        const agents = addresses
+            ? {
+                httpAgent: new http.Agent({ lookup: createPinnedLookup(addresses) }),
+                httpsAgent: new https.Agent({ lookup: createPinnedLookup(addresses) })
+            }
+            : {};
+        const body = JSON.stringify(await buildPayload(job, webhook.baseUrl));
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        await fetchWithRetry(webhook.url, {
+            method: 'POST',
+            data: body,
+            // Giữ nguyên chuỗi body để chữ ký khớp với dữ liệu client nhận được
+            transformRequest: [data => data],
+            // Không theo chuyển hướng để callbackUrl không thể chuyển tiếp webhook vào mạng nội bộ
+            maxRedirects: 0,
+            ...agents,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'downloadvideo-webhook/1.0',
+                'X-Webhook-Id': uuidv4(),
+                'X-Webhook-Event': `job.${job.status}`,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `sha256=${signPayload(timestamp, body)}`
+            }
+        }, WEBHOOK_RETRIES, WEBHOOK_RETRY_DELAY, {
+            backoffFactor: WEBHOOK_BACKOFF_FACTOR,
+            onAttempt: ({ attempt, response, error }) => {
+                updateJobWebhook(job.id, webhook.url, {
+                    attempt: {
+                        attempt,
+                        at: new Date().toISOString(),
+                        statusCode: response?.status || error?.response?.status || null,
+                        error: error ? error.message : null
+                    }
+                });
+            }
+        });
+
+        updateJobWebhook(job.id, webhook.url, { status: WEBHOOK_STATES.DELIVERED });
+        logger.info(`Webhook delivered for job ${job.id} to ${webhook.url}`);
+    } catch (error) {
+        updateJobWebhook(job.id, webhook.url, { status: WEBHOOK_STATES.FAILED });
+        logger.error(`Webhook delivery failed for job ${job.id} to ${webhook.url}: ${error.message}`);
+    } finally {
+        activeDeliveries.delete(deliveryKey);
+    }
+}
+
+// Hàm lấy các webhook chưa gửi xong của job
+function getPendingWebhooks(job) {
+    return (job.webhooks || [])
+        .filter(webhook => webhook.status !== WEBHOOK_STATES.DELIVERED && webhook.status !== WEBHOOK_STATES.FAILED);
+}
+
+// Hàm gửi tất cả webhook chưa gửi xong của job
+function deliverJobWebhooks(job) {
+    getPendingWebhooks(job).forEach(webhook => deliverWebhook(job, webhook));
+}
+
+// Hàm bắt đầu lắng nghe job kết thúc để gửi webhook, đồng thời gửi lại các webhook còn dở từ lần chạy trước
+function attachWebhookNotifier() {
+    jobEvents.on('job', ({ type, job }) => {
+        if (FINAL_STATES.includes(type) && job.webhooks?.length) {
+            deliverJobWebhooks(job);
+        }
+    });
+
+    const pending = listJobs({ limit: Infinity })
+        .filter(job => FINAL_STATES.includes(job.status) && getPendingWebhooks(job).length > 0);
+    pending.forEach(deliverJobWebhooks);
+    if (pending.length > 0) {
+        logger.info(`Resuming webhook delivery for ${pending.length} finished jobs`);
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    createPinnedLookup,
+    validateCallbackUrl,
+    registerCallback,
+    getRequestBaseUrl,
+    signPayload,
+    attachWebhookNotifier
+};
@@ -0,0 +1,137 @@
+// workerPool.js
+const os = require('os');
+const { logger } = require('./utils');
+const {
+    updateJob,
+    setJobControls,
+    isJobCancelled,
+    createCancelledError
+} = require('./jobManager');
+
+// Thời gian xử lý ước tính của một tác vụ khi chưa có số liệu thực tế (ms)
+const DEFAULT_TASK_DURATION = 30000;
+
+// Thời gian chờ tối thiểu gợi ý cho client khi hàng đợi đầy (giây)
+const MIN_RETRY_AFTER = 5;
+
+// Hàm đọc số nguyên dương từ biến môi trường
+function readPositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Hàm tạo pool giới hạn số tác vụ chạy đồng thời, các tác vụ còn lại chờ theo thứ tự FIFO
+function createWorkerPool(name, { concurrency = 1, maxQueue = 50 } = {}) {
+    const waiting = [];
+    let active = 0;
+    let averageDuration = DEFAULT_TASK_DURATION;
+
+    // Cập nhật vị trí trong hàng đợi của các job đang chờ
+    const refreshPositions = () => {
+        waiting.forEach((entry, index) => {
+            if (entry.jobId) updateJob(entry.jobId, { queue: { name, position: index + 1 } });
+        });
+    };
+
+    const createRelease = (startedAt) => {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            active--;
+            // Trung bình trượt thời gian xử lý, dùng để ước tính Retry-After
+            averageDuration = Math.round(averageDuration * 0.8 + (Date.now() - startedAt) * 0.2);
+            next();
+        };
+    };
+
+    const next = () => {
+        while (active < concurrency && waiting.length > 0) {
+            const entry = waiting.shift();
+            active++;
+            if (entry.jobId) updateJob(entry.jobId, { queue: null });
+            entry.resolve(createRelease(Date.now()));
+        }
+        refreshPositions();
+    };
+
+    // Chờ tới lượt và trả về hàm giải phóng chỗ (gọi nhiều lần cũng chỉ giải phóng một lần)
+    const acquire = (jobId = null) => {
+        if (jobId && isJobCancelled(jobId)) {
+            return Promise.reject(createCancelledError());
+        }
+        return new Promise((resolve, reject) => {
+            const entry = { jobId, resolve, reject };
+            waiting.push(entry);
+
+            if (jobId) {
+                // Job bị hủy khi đang chờ thì rời hàng đợi ngay
+                setJobControls(jobId, {
+                    cancel: () => {
+                        const index = waiting.indexOf(entry);
+                        if (index === -1) return;
+                        waiting.splice(index, 1);
+                        reject(createCancelledError());
+                        refreshPositions();
+                    }
+                });
+            }
+            next();
+        });
+    };
+
+    // Chạy một tác vụ khi tới lượt
+    // Job bị hủy trong lúc tác vụ chạy mà tác vụ vẫn kết thúc bình thường (ví dụ FFmpeg xong trước khi nhận tín hiệu)
+    // thì báo lỗi hủy để các bước sau của job không chạy tiếp
+    const run = async (jobId, task) => {
+        const release = await acquire(jobId);
+        try {
+            const result = await task();
+            if (jobId && isJobCancelled(jobId)) throw createCancelledError();
+            return result;
+        } finally {
+            release();
+        }
+    };
+
+    const isFull = () => waiting.length >= maxQueue;
+
+    // Ước tính số giây client nên chờ trước khi gửi lại yêu cầu
+    const getRetryAfter = () => Math.max(
+        MIN_RETRY_AFTER,
+        Math.ceil((averageDuration / 1000) * (waiting.length + 1) / concurrency)
+    );
+
+    // Từ chối nhận thêm job khi hàng đợi đã đầy (HTTP 503 kèm Retry-After)
+    const assertCapacity = () => {
+        if (!isFull()) return;
+        const retryAfter = getRetryAfter();
+        logger.warn(`Worker pool ${name} is full (${waiting.length} waiting), rejecting new job`);
+        const error = new Error('Hệ thống đang xử lý quá nhiều yêu cầu. Vui lòng thử lại sau!');
+        error.status = 503;
+        error.retryAfter = retryAfter;
+        throw error;
+    };
+
+    const stats = () => ({ name, concurrency, maxQueue, active, waiting: waiting.length });
+
+    return { name, acquire, run, isFull, getRetryAfter, assertCapacity, stats };
+}
+
+// Pool cho các tác vụ tải qua mạng (yt-dlp, ytdl-core)
+const networkPool = createWorkerPool('network', {
+    concurrency: readPositiveInt(process.env.NETWORK_CONCURRENCY, 3),
+    maxQueue: readPositiveInt(process.env.MAX_QUEUE_SIZE, 50)
+});
+
+// Pool cho các tác vụ FFmpeg nặng CPU (ghép video, chuyển đổi MP3)
+const cpuPool = createWorkerPool('cpu', {
+    concurrency: readPositiveInt(process.env.FFMPEG_CONCURRENCY, Math.max(1, Math.floor(os.cpus().length / 2))),
+    maxQueue: readPositiveInt(process.env.MAX_QUEUE_SIZE, 50)
+});
+
+module.exports = {
+    createWorkerPool,
+    networkPool,
+    cpuPool
+};